@@ -0,0 +1,37 @@
+// scripts/backfill-blog-content.js
+// Re-run the blog content pipeline (lib/blogContent) over existing posts:
+// sanitizes + normalizes content and fills word_count / reading_time_minutes / toc / first_image.
+// Safe to run more than once. `--dry-run` only reports what would change.
+const { Pool } = require('pg');
+require('dotenv').config();
+const { prepareContent, DERIVED_COLUMNS, derivedParams } = require('../src/lib/blogContent');
+
+const dryRun = process.argv.includes('--dry-run');
+
+(async () => {
+  const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+  let updated = 0;
+  try {
+    const { rows } = await pool.query('SELECT id, slug, content FROM blogs ORDER BY created_at ASC');
+    for (const row of rows) {
+      const prepared = prepareContent(row.content);
+      const changed = JSON.stringify(row.content) !== JSON.stringify(prepared.content);
+      if (dryRun) {
+        console.log(`${row.slug}: ${changed ? 'content changes' : 'content unchanged'}, ${prepared.derived.word_count} words`);
+        continue;
+      }
+      await pool.query(
+        `UPDATE blogs SET content = $1::jsonb, ${DERIVED_COLUMNS.map((c, i) => `${c} = $${i + 3}`).join(', ')}
+         WHERE id = $2`,
+        [JSON.stringify(prepared.content), row.id, ...derivedParams(prepared.derived)]
+      );
+      updated++;
+    }
+    console.log(dryRun ? `Checked ${rows.length} posts` : `Updated ${updated} of ${rows.length} posts`);
+  } catch (err) {
+    console.error('Error backfilling blog content', err);
+    process.exitCode = 1;
+  } finally {
+    pool.end();
+  }
+})();
@@ -127,11 +127,21 @@ function mount(route, url) {
 }
 
 mount('auth', '/api/auth');
+mount('productImports', '/api/products/import-jobs'); // before products (/:slug)
+mount('productVariants', '/api/products/:productId/variants');
 mount('products', '/api/products');
+mount('search', '/api/search');
+mount('recommendations', '/api/recommendations');
 mount('productImages', '/api/product-images');
 mount('categories', '/api/categories');
+mount('home', '/api/home');
+mount('fx', '/api/fx');
+mount('redirects', '/api/redirects');
+mount('trash', '/api/trash');
+mount('blogImports', '/api/blogs/import-jobs'); // before blogs (/:idOrSlug)
 mount('blogs', '/api/blogs');
 mount('blogImages', '/api/blog-images');
+mount('blogTags', '/api/blog-tags');
 mount('users', '/api/users');
 mount('reviews', '/api/reviews');
 mount('events', '/api/events');
@@ -141,6 +151,10 @@ mount('metrics', '/api/metrics');
 mount('push', '/api/push');
 mount('uploads', '/api/uploads');   // 👈 ADDED
 mount('leadsStats', '/api/leads-stats');
+mount('sitemap', '/'); // /sitemap.xml index + /sitemaps/<section>-<n>.xml(.gz), built on demand and cached
+mount('feeds', '/'); // /blog/feed.xml, /blog/atom.xml, /blog/feed.json (+ /blog/tag/:slug/...), before ssrBlog
+mount('ssrBlog', '/'); // /blog/:slug + /ssr/blog/:slug (HTML, follows slug redirects)
+mount('ssrCatalog', '/'); // /product/:slug, /category/:slug (+ /ssr/...) HTML with JSON-LD
 
 /* ---------------- 404 ---------------- */
 app.use('/api', (req, res) => {
@@ -160,6 +174,31 @@ app.use((err, req, res, next) => {
 /* ---------------- START SERVER ---------------- */
 const server = app.listen(PORT, '0.0.0.0', () => {
   console.log(`🚀 Sprada backend running on port ${PORT}`);
+
+  // carry on product / blog import jobs interrupted by the last restart
+  if (process.env.IMPORT_RESUME_ON_BOOT !== 'false') {
+    require('./lib/productImport').resumeImportJobs(pool)
+      .then((n) => n && console.log(`📦 Resumed ${n} product import job(s)`))
+      .catch((e) => console.warn('⚠️ Import job resume skipped:', e.message));
+    require('./lib/blogImport').resumeBlogImportJobs(pool)
+      .then((n) => n && console.log(`📝 Resumed ${n} blog import job(s)`))
+      .catch((e) => console.warn('⚠️ Blog import job resume skipped:', e.message));
+  }
+
+  // flip publish_at / unpublish_at schedules on products and blogs
+  if (process.env.PUBLISH_SCHEDULER !== 'false') {
+    require('./lib/publishScheduler').startPublishScheduler(pool);
+  }
+
+  // nightly related products / posts precompute (RELATED_PRECOMPUTE_HOUR, UTC)
+  if (process.env.RELATED_PRECOMPUTE !== 'false') {
+    require('./lib/relatedContent').startRelatedPrecompute(pool);
+  }
+
+  // purge soft-deleted rows past TRASH_RETENTION_DAYS
+  if (process.env.TRASH_AUTO_PURGE !== 'false') {
+    require('./lib/trash').startTrashPurger(pool);
+  }
 });
 
 /* ---------------- GRACEFUL SHUTDOWN ---------------- */
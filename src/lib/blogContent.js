@@ -0,0 +1,235 @@
+// src/lib/blogContent.js
+// Blog content pipeline: sanitize + normalize + derive.
+//
+// Stored content arrives as a raw HTML string, { html }, { blocks: [...] }
+// (strings, { html } or editor blocks such as { type, data: { text } }).
+// prepareContent() turns any of these into the canonical shape
+//
+//   { version: 1, blocks: [{ type, html, ...fields }] }
+//
+// with HTML sanitized by lib/htmlSanitizer. Block types: paragraph, heading
+// (level, text, id), list (style), quote, code (language, text), image (url,
+// alt, caption), divider, table, html. Every block keeps its rendered `html`,
+// so renderers that join blocks[].html (deriveBodyHtml, feeds) work unchanged.
+//
+// It also derives word_count, reading_time_minutes, toc ([{ level, text, id }])
+// and first_image, stored on blogs for the list endpoints.
+
+const { parseHtml, serialize, textContent, escapeText, escapeAttr } = require('./htmlSanitizer');
+
+const CONTENT_VERSION = 1;
+const WORDS_PER_MINUTE = Math.max(50, Number(process.env.BLOG_WORDS_PER_MINUTE || 200));
+const TOC_LEVELS = new Set([2, 3, 4]);
+
+function esc(s) {
+  return escapeText(String(s == null ? '' : s).replace(/&/g, '&amp;'));
+}
+
+function slugifyHeading(text = '') {
+  return String(text)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\-_ ]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '') || 'section';
+}
+
+function attr(node, name) {
+  const a = node.attrs.find(([k]) => k === name);
+  return a ? a[1] : null;
+}
+
+/* Editor-style block ({ type, data } or { type, text, ... }) -> HTML; null when it carries no content */
+function editorBlockToHtml(b) {
+  const d = (b.data && typeof b.data === 'object') ? b.data : b;
+  const type = String(b.type || '').toLowerCase();
+  // text fields of editor blocks may contain inline markup; it is sanitized afterwards
+  const text = d.text != null ? String(d.text) : null;
+
+  switch (type) {
+    case 'paragraph':
+    case 'text':
+      return text != null ? `<p>${text}</p>` : null;
+    case 'header':
+    case 'heading': {
+      const level = Math.min(6, Math.max(1, parseInt(d.level, 10) || 2));
+      return text != null ? `<h${level}>${text}</h${level}>` : null;
+    }
+    case 'list': {
+      const tag = (d.style === 'ordered' || d.ordered === true) ? 'ol' : 'ul';
+      const items = Array.isArray(d.items) ? d.items : [];
+      const li = items.map((it) => `<li>${typeof it === 'string' ? it : (it && (it.content || it.text)) || ''}</li>`).join('');
+      return items.length ? `<${tag}>${li}</${tag}>` : null;
+    }
+    case 'quote':
+      return text != null
+        ? `<blockquote><p>${text}</p>${d.caption ? `<cite>${d.caption}</cite>` : ''}</blockquote>`
+        : null;
+    case 'code': {
+      const code = d.code != null ? d.code : text;
+      const lang = d.language ? ` class="language-${escapeAttr(String(d.language).replace(/[^\w-]/g, ''))}"` : '';
+      return code != null ? `<pre><code${lang}>${esc(code)}</code></pre>` : null;
+    }
+    case 'image': {
+      const url = (d.file && d.file.url) || d.url || d.src;
+      if (!url) return null;
+      const alt = d.alt || (d.caption ? textContent(parseHtml(d.caption)).trim() : '');
+      const caption = d.caption ? `<figcaption>${d.caption}</figcaption>` : '';
+      return `<figure><img src="${escapeAttr(url)}" alt="${escapeAttr(alt)}">${caption}</figure>`;
+    }
+    case 'delimiter':
+    case 'divider':
+      return '<hr>';
+    default:
+      return text != null ? `<p>${text}</p>` : null;
+  }
+}
+
+/* Any accepted content shape -> one HTML string (before sanitizing) */
+function contentToHtml(content) {
+  if (content == null) return '';
+  if (typeof content === 'string') return content;
+  if (typeof content !== 'object') return esc(content);
+  if (typeof content.html === 'string' && !Array.isArray(content.blocks)) return content.html;
+  if (Array.isArray(content.blocks)) {
+    return content.blocks.map((b) => {
+      if (typeof b === 'string') return b;
+      if (!b || typeof b !== 'object') return '';
+      if (typeof b.html === 'string') return b.html;
+      return editorBlockToHtml(b) || '';
+    }).join('\n');
+  }
+  return '';
+}
+
+const INLINE_TAGS = new Set(['strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark', 'sub', 'sup', 'small', 'q', 'cite', 'code', 'kbd', 'abbr', 'time', 'span', 'a', 'br']);
+
+/* Sanitized top-level nodes -> canonical blocks; headings get unique ids (shared `usedIds`) */
+function nodesToBlocks(nodes, usedIds) {
+  const blocks = [];
+  let inline = [];
+
+  const flushInline = () => {
+    const html = serialize(inline).trim();
+    if (html && textContent(inline).trim()) blocks.push({ type: 'paragraph', html: `<p>${html}</p>` });
+    inline = [];
+  };
+
+  for (const n of nodes) {
+    if (n.type === 'text' || INLINE_TAGS.has(n.tag)) { inline.push(n); continue; }
+    flushInline();
+
+    const tag = n.tag;
+    const h = /^h([1-6])$/.exec(tag);
+    if (h) {
+      const text = textContent(n.children).replace(/\s+/g, ' ').trim();
+      if (!text) continue;
+      let id = attr(n, 'id') || slugifyHeading(text);
+      for (let k = 2; usedIds.has(id); k++) id = `${slugifyHeading(text)}-${k}`;
+      usedIds.add(id);
+      n.attrs = n.attrs.filter(([k]) => k !== 'id').concat([['id', id]]);
+      blocks.push({ type: 'heading', level: Number(h[1]), text, id, html: serialize([n]) });
+    } else if (tag === 'p') {
+      // a paragraph holding only an image is an image block
+      const meaningful = n.children.filter((c) => !(c.type === 'text' && !c.text.trim()));
+      if (meaningful.length === 1 && meaningful[0].tag === 'img') blocks.push(imageBlock(meaningful[0], null));
+      else if (textContent(n.children).trim() || meaningful.some((c) => c.tag === 'img')) blocks.push({ type: 'paragraph', html: serialize([n]) });
+    } else if (tag === 'img') {
+      blocks.push(imageBlock(n, null));
+    } else if (tag === 'figure') {
+      const img = findFirst(n.children, 'img');
+      const cap = findFirst(n.children, 'figcaption');
+      if (img) blocks.push(imageBlock(img, cap ? textContent(cap.children).trim() : null));
+      else blocks.push({ type: 'html', html: serialize([n]) });
+    } else if (tag === 'ul' || tag === 'ol') {
+      blocks.push({ type: 'list', style: tag === 'ol' ? 'ordered' : 'unordered', html: serialize([n]) });
+    } else if (tag === 'blockquote') {
+      blocks.push({ type: 'quote', html: serialize([n]) });
+    } else if (tag === 'pre') {
+      const code = findFirst(n.children, 'code');
+      const cls = code ? attr(code, 'class') : null;
+      const language = cls ? cls.replace(/^language-/, '') : null;
+      blocks.push({ type: 'code', language, text: textContent(n.children), html: serialize([n]) });
+    } else if (tag === 'hr') {
+      blocks.push({ type: 'divider', html: '<hr>' });
+    } else if (tag === 'table') {
+      blocks.push({ type: 'table', html: serialize([n]) });
+    } else if (tag === 'div') {
+      // wrappers are flattened into their children
+      blocks.push(...nodesToBlocks(n.children, usedIds));
+    } else {
+      blocks.push({ type: 'html', html: serialize([n]) });
+    }
+  }
+  flushInline();
+  return blocks;
+}
+
+function findFirst(nodes, tag) {
+  for (const n of nodes) {
+    if (n.type !== 'el') continue;
+    if (n.tag === tag) return n;
+    const inner = findFirst(n.children, tag);
+    if (inner) return inner;
+  }
+  return null;
+}
+
+function imageBlock(img, caption) {
+  const url = attr(img, 'src');
+  const alt = attr(img, 'alt') || '';
+  const html = `<figure><img src="${escapeAttr(url)}" alt="${escapeAttr(alt)}">${caption ? `<figcaption>${esc(caption)}</figcaption>` : ''}</figure>`;
+  return { type: 'image', url, alt, caption: caption || null, html };
+}
+
+/* Derived fields from canonical blocks */
+function deriveFields(blocks) {
+  let words = 0;
+  const toc = [];
+  let firstImage = null;
+  for (const b of blocks) {
+    const text = b.type === 'heading' ? b.text : textContent(parseHtml(b.html));
+    words += (text.match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || []).length;
+    if (b.type === 'heading' && TOC_LEVELS.has(b.level)) toc.push({ level: b.level, text: b.text, id: b.id });
+    if (!firstImage) {
+      if (b.type === 'image') firstImage = b.url;
+      else {
+        const img = findFirst(parseHtml(b.html), 'img');
+        if (img) firstImage = attr(img, 'src');
+      }
+    }
+  }
+  return {
+    word_count: words,
+    reading_time_minutes: words ? Math.max(1, Math.ceil(words / WORDS_PER_MINUTE)) : 0,
+    toc,
+    first_image: firstImage
+  };
+}
+
+/**
+ * Sanitize + normalize content. Returns { content, derived } where content is
+ * the canonical { version, blocks } object and derived the stored fields.
+ */
+function prepareContent(input) {
+  const nodes = parseHtml(contentToHtml(input));
+  const blocks = nodesToBlocks(nodes, new Set());
+  return { content: { version: CONTENT_VERSION, blocks }, derived: deriveFields(blocks) };
+}
+
+// blogs columns written from `derived`
+const DERIVED_COLUMNS = ['word_count', 'reading_time_minutes', 'toc', 'first_image'];
+
+/* Derived values in DERIVED_COLUMNS order (toc serialized for jsonb) */
+function derivedParams(derived) {
+  return [derived.word_count, derived.reading_time_minutes, JSON.stringify(derived.toc), derived.first_image];
+}
+
+module.exports = {
+  CONTENT_VERSION,
+  DERIVED_COLUMNS,
+  prepareContent,
+  derivedParams,
+  contentToHtml
+};
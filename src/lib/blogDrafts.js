@@ -0,0 +1,88 @@
+// src/lib/blogDrafts.js
+// Blog drafts (blog_drafts, one row per post) and signed preview links.
+//
+// Autosaves land in blog_drafts.content and never touch the live blogs row;
+// promoting a draft copies it over the live post (see routes/blogDrafts.js).
+// Preview links carry a short-lived JWT (BLOG_PREVIEW_TTL, default 24h) signed
+// with BLOG_PREVIEW_SECRET, so they cannot be replayed as API access tokens.
+
+const jwt = require('jsonwebtoken');
+
+const PREVIEW_SECRET = process.env.BLOG_PREVIEW_SECRET || `${process.env.JWT_SECRET || 'change_me'}:blog-preview`;
+const PREVIEW_TTL = process.env.BLOG_PREVIEW_TTL || '24h';
+const PREVIEW_AUDIENCE = 'blog-preview';
+
+// blogs columns a draft can carry (the slug follows the title on promote)
+const DRAFT_FIELDS = ['title', 'excerpt', 'content', 'meta_title', 'meta_description', 'canonical_url', 'og_image'];
+
+function pickDraftFields(body) {
+  const out = {};
+  for (const f of DRAFT_FIELDS) {
+    if (body && body[f] !== undefined) out[f] = body[f];
+  }
+  return out;
+}
+
+async function loadDraft(db, blogId) {
+  const { rows } = await db.query(
+    'SELECT blog_id, content, updated_by, updated_at FROM blog_drafts WHERE blog_id = $1 LIMIT 1',
+    [blogId]
+  );
+  return rows[0] || null;
+}
+
+/*
+ * Autosave: merge fields into the post's draft. The first autosave starts from
+ * the live row so a draft is always a complete copy. Returns the draft row.
+ */
+async function saveDraft(db, blogId, fields, userId = null) {
+  const current = await loadDraft(db, blogId);
+  let base = current && current.content;
+  if (!base) {
+    const live = await db.query(`SELECT ${DRAFT_FIELDS.join(', ')} FROM blogs WHERE id = $1 LIMIT 1`, [blogId]);
+    base = live.rows[0] || {};
+  }
+  const content = { ...base, ...fields };
+
+  const { rows } = await db.query(
+    `INSERT INTO blog_drafts (blog_id, content, updated_by, updated_at)
+     VALUES ($1, $2::jsonb, $3, NOW())
+     ON CONFLICT (blog_id) DO UPDATE
+       SET content = EXCLUDED.content, updated_by = EXCLUDED.updated_by, updated_at = NOW()
+     RETURNING blog_id, content, updated_by, updated_at`,
+    [blogId, JSON.stringify(content), userId]
+  );
+  return rows[0];
+}
+
+async function discardDraft(db, blogId) {
+  const { rowCount } = await db.query('DELETE FROM blog_drafts WHERE blog_id = $1', [blogId]);
+  return rowCount > 0;
+}
+
+/* Signed preview token for a post; returns { token, expires_at } */
+function createPreviewToken(blogId, expiresIn = PREVIEW_TTL) {
+  const token = jwt.sign({ blog_id: blogId }, PREVIEW_SECRET, { expiresIn, audience: PREVIEW_AUDIENCE });
+  const { exp } = jwt.decode(token);
+  return { token, expires_at: new Date(exp * 1000).toISOString() };
+}
+
+/* Blog id from a preview token, or null when invalid / expired */
+function verifyPreviewToken(token) {
+  try {
+    const payload = jwt.verify(String(token || ''), PREVIEW_SECRET, { audience: PREVIEW_AUDIENCE });
+    return payload.blog_id || null;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  DRAFT_FIELDS,
+  pickDraftFields,
+  loadDraft,
+  saveDraft,
+  discardDraft,
+  createPreviewToken,
+  verifyPreviewToken
+};
@@ -0,0 +1,176 @@
+// src/lib/blogFeeds.js
+// RSS 2.0 / Atom 1.0 / JSON Feed 1.1 builders for published blogs (served by routes/feeds.js).
+//
+// A feed is { title, description, siteUrl, feedUrl, tag, mode, updated, items };
+// mode 'full' carries the article HTML, 'excerpt' only the summary.
+
+const crypto = require('crypto');
+const { buildImageUrl } = require('./buildUrl');
+const { escapeHtml, deriveBodyHtml, absolutizeImages } = require('./blogHtml');
+
+const FEED_MODES = new Set(['full', 'excerpt']);
+const FEED_MAX_ITEMS = 100;
+
+function xmlEscape(s) {
+  return escapeHtml(s == null ? '' : s);
+}
+
+// ']]>' cannot appear inside CDATA; split it across two sections
+function cdata(s) {
+  return `<![CDATA[${String(s || '').replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+}
+
+function imageType(url) {
+  const ext = (String(url).split('?')[0].match(/\.([a-z0-9]+)$/i) || [])[1];
+  const map = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp', svg: 'image/svg+xml' };
+  return map[(ext || '').toLowerCase()] || 'image/jpeg';
+}
+
+/**
+ * Published posts for a feed (newest first), optionally limited to a tag id.
+ * Returns { items, updated } where updated is the newest change (for Last-Modified).
+ */
+async function loadFeedItems(db, { tagId = null, limit = 20 } = {}) {
+  const { rows } = await db.query(
+    `SELECT b.id, b.title, b.slug, b.excerpt, b.content, b.og_image, b.published_at, b.updated_at,
+            u.full_name AS author_name,
+            COALESCE((
+              SELECT json_agg(json_build_object('name', t.name, 'slug', t.slug) ORDER BY t.name)
+              FROM blog_tag_map m JOIN blog_tags t ON t.id = m.tag_id
+              WHERE m.blog_id = b.id
+            ), '[]'::json) AS tags
+     FROM blogs b
+     LEFT JOIN users u ON u.id = b.author_id
+     WHERE b.is_published = TRUE AND b.deleted_at IS NULL
+       AND ($1::uuid IS NULL OR EXISTS (SELECT 1 FROM blog_tag_map m2 WHERE m2.blog_id = b.id AND m2.tag_id = $1::uuid))
+     ORDER BY b.published_at DESC NULLS LAST, b.created_at DESC
+     LIMIT $2`,
+    [tagId, Math.min(FEED_MAX_ITEMS, Math.max(1, limit))]
+  );
+
+  let updated = null;
+  for (const r of rows) {
+    const t = new Date(r.updated_at || r.published_at || 0);
+    if (!updated || t > updated) updated = t;
+  }
+  return { items: rows, updated };
+}
+
+/* Strong validator over everything that shapes the body */
+function feedEtag(format, feed) {
+  const h = crypto.createHash('sha1');
+  h.update(`${format}|${feed.mode}|${feed.feedUrl}|${feed.title}|${feed.items.length}`);
+  for (const it of feed.items) h.update(`|${it.id}:${new Date(it.updated_at || it.published_at || 0).getTime()}`);
+  return `"${h.digest('hex').slice(0, 27)}"`;
+}
+
+function itemParts(feed, it) {
+  const url = `${feed.siteUrl}/blog/${encodeURIComponent(it.slug)}`;
+  const image = buildImageUrl(it.og_image || null);
+  const summary = it.excerpt || '';
+  const html = feed.mode === 'full' ? absolutizeImages(deriveBodyHtml(it)) : null;
+  const published = new Date(it.published_at || it.updated_at || Date.now());
+  const updated = new Date(it.updated_at || it.published_at || Date.now());
+  return { url, image, summary, html, published, updated, tags: it.tags || [] };
+}
+
+function buildRss(feed) {
+  const items = feed.items.map((it) => {
+    const p = itemParts(feed, it);
+    return [
+      '<item>',
+      `<title>${xmlEscape(it.title)}</title>`,
+      `<link>${xmlEscape(p.url)}</link>`,
+      `<guid isPermaLink="false">${xmlEscape(it.id)}</guid>`,
+      `<pubDate>${p.published.toUTCString()}</pubDate>`,
+      it.author_name ? `<dc:creator>${xmlEscape(it.author_name)}</dc:creator>` : '',
+      ...p.tags.map((t) => `<category>${xmlEscape(t.name)}</category>`),
+      `<description>${cdata(p.summary)}</description>`,
+      p.html != null ? `<content:encoded>${cdata(p.html)}</content:encoded>` : '',
+      p.image ? `<media:content url="${xmlEscape(p.image)}" medium="image" type="${imageType(p.image)}" />` : '',
+      '</item>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+<channel>
+<title>${xmlEscape(feed.title)}</title>
+<link>${xmlEscape(feed.siteUrl)}/blog</link>
+<description>${xmlEscape(feed.description)}</description>
+<atom:link href="${xmlEscape(feed.feedUrl)}" rel="self" type="application/rss+xml" />
+<language>en</language>
+${feed.updated ? `<lastBuildDate>${feed.updated.toUTCString()}</lastBuildDate>` : ''}
+${items.join('\n')}
+</channel>
+</rss>`;
+}
+
+function buildAtom(feed) {
+  const entries = feed.items.map((it) => {
+    const p = itemParts(feed, it);
+    return [
+      '<entry>',
+      `<title>${xmlEscape(it.title)}</title>`,
+      `<link rel="alternate" type="text/html" href="${xmlEscape(p.url)}" />`,
+      `<id>urn:uuid:${xmlEscape(it.id)}</id>`,
+      `<published>${p.published.toISOString()}</published>`,
+      `<updated>${p.updated.toISOString()}</updated>`,
+      it.author_name ? `<author><name>${xmlEscape(it.author_name)}</name></author>` : '',
+      ...p.tags.map((t) => `<category term="${xmlEscape(t.slug)}" label="${xmlEscape(t.name)}" />`),
+      `<summary type="html">${xmlEscape(p.summary)}</summary>`,
+      p.html != null ? `<content type="html">${xmlEscape(p.html)}</content>` : '',
+      p.image ? `<media:content url="${xmlEscape(p.image)}" medium="image" type="${imageType(p.image)}" />` : '',
+      '</entry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom" xmlns:media="http://search.yahoo.com/mrss/">
+<title>${xmlEscape(feed.title)}</title>
+<subtitle>${xmlEscape(feed.description)}</subtitle>
+<link rel="self" type="application/atom+xml" href="${xmlEscape(feed.feedUrl)}" />
+<link rel="alternate" type="text/html" href="${xmlEscape(feed.siteUrl)}/blog" />
+<id>${xmlEscape(feed.feedUrl)}</id>
+<updated>${(feed.updated || new Date(0)).toISOString()}</updated>
+<author><name>${xmlEscape(feed.author)}</name></author>
+${entries.join('\n')}
+</feed>`;
+}
+
+function buildJsonFeed(feed) {
+  return {
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: `${feed.siteUrl}/blog`,
+    feed_url: feed.feedUrl,
+    language: 'en',
+    authors: [{ name: feed.author }],
+    items: feed.items.map((it) => {
+      const p = itemParts(feed, it);
+      return {
+        id: it.id,
+        url: p.url,
+        title: it.title,
+        summary: p.summary || undefined,
+        ...(p.html != null ? { content_html: p.html } : { content_text: p.summary || '' }),
+        image: p.image || undefined,
+        date_published: p.published.toISOString(),
+        date_modified: p.updated.toISOString(),
+        authors: it.author_name ? [{ name: it.author_name }] : undefined,
+        tags: p.tags.length ? p.tags.map((t) => t.name) : undefined
+      };
+    })
+  };
+}
+
+module.exports = {
+  FEED_MODES,
+  FEED_MAX_ITEMS,
+  loadFeedItems,
+  feedEtag,
+  buildRss,
+  buildAtom,
+  buildJsonFeed
+};
@@ -0,0 +1,59 @@
+// src/lib/blogHtml.js
+// Blog HTML helpers shared by the SSR pages (routes/ssrBlog.js) and the feeds (routes/feeds.js)
+
+const { buildImageUrl } = require('./buildUrl');
+const { sanitizeHtml } = require('./htmlSanitizer');
+
+/**
+ * Helper: escape meta strings (title / description / canonical)
+ */
+function escapeHtml(s) {
+  if (!s && s !== 0) return '';
+  return String(s).replace(/[&<>"']/g, (m) => ({ '&':'&amp;','<':'&lt;','>':'&gt;','"':'&quot;',"'":'&#39;' }[m]));
+}
+
+/**
+ * Helper: try to derive article HTML from various stored shapes:
+ * - content can be a string of HTML
+ * - content can be JSON ({ html: '...' } or { blocks: [...] })
+ * - fallback to excerpt
+ * The result is always sanitized: rows saved before the content pipeline
+ * (lib/blogContent) and draft overlays may still hold raw HTML.
+ */
+function deriveBodyHtml(row) {
+  return sanitizeHtml(rawBodyHtml(row));
+}
+
+function rawBodyHtml(row) {
+  if (!row) return '';
+  const c = row.content;
+  if (!c) return escapeHtml(row.excerpt || '');
+  try {
+    if (typeof c === 'string') return c;
+    // if DB returns JSON object already parsed
+    if (c && typeof c === 'object') {
+      if (c.html && typeof c.html === 'string') return c.html;
+      if (Array.isArray(c.blocks)) {
+        // join string blocks or pick html property
+        return c.blocks.map(b => (typeof b === 'string' ? b : (b.html || ''))).join('\n');
+      }
+    }
+  } catch (e) {
+    // noop -> fallback
+  }
+  return escapeHtml(row.excerpt || '');
+}
+
+/**
+ * Rewrite relative <img src> (storage paths) to absolute URLs via buildImageUrl,
+ * for HTML that is read outside the site (feeds).
+ */
+function absolutizeImages(html) {
+  if (!html) return '';
+  return String(html).replace(/(<img\b[^>]*?\ssrc\s*=\s*)(["'])([^"']*)\2/gi, (m, pre, q, src) => {
+    if (!src || /^(https?:|data:|\/\/)/i.test(src)) return m;
+    return `${pre}${q}${buildImageUrl(src)}${q}`;
+  });
+}
+
+module.exports = { escapeHtml, deriveBodyHtml, absolutizeImages };
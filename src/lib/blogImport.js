@@ -0,0 +1,967 @@
+// src/lib/blogImport.js
+// Blog import jobs from a WordPress WXR export or a Wix (JSON) export.
+//
+// Lifecycle (blog_import_jobs.status): running -> completed
+//   (a running job can become failed / cancelled; failed jobs can be resumed)
+//
+// The uploaded file is parsed once into blog_import_items (one normalized post
+// each). The job then works through pending items one by one:
+//   - images referenced by the post (content + cover) are downloaded into the
+//     storage bucket under blogs/imported/ and the URLs rewritten; a failed
+//     download keeps the original URL and is reported as a warning
+//   - the content goes through the blog content pipeline (lib/blogContent)
+//   - the post is created (or updated) with slug, excerpt, published_at, tags,
+//     meta fields and cover image, and snapshotted into blog_versions
+//
+// Re-running an import is idempotent: blog_import_sources remembers which blog
+// every source post became, and blog_import_images which storage path every
+// source image was copied to. Known posts are skipped (unchanged /
+// already_imported) unless the job was started with update_existing.
+
+const crypto = require('crypto');
+const dns = require('dns').promises;
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const { createClient } = require('@supabase/supabase-js');
+const { buildImageUrl } = require('./buildUrl');
+const { decodeEntities } = require('./htmlSanitizer');
+const { prepareContent, DERIVED_COLUMNS, derivedParams } = require('./blogContent');
+const { slugifyTag, setBlogTags, MAX_TAGS_PER_POST } = require('./blogTags');
+const { snapshotBlog } = require('./blogVersions');
+const sitemapService = require('./sitemapService');
+
+const BLOG_IMPORT_MAX_ITEMS = Math.max(1, Number(process.env.BLOG_IMPORT_MAX_ITEMS || 5000));
+const IMAGE_MAX_BYTES = Math.max(1024, Number(process.env.BLOG_IMPORT_IMAGE_MAX_BYTES || 15 * 1024 * 1024));
+const IMAGE_TIMEOUT_MS = Math.max(1000, Number(process.env.BLOG_IMPORT_IMAGE_TIMEOUT_MS || 20000));
+const IMAGE_MAX_REDIRECTS = 3;
+const STORAGE_BUCKET = process.env.SUPABASE_STORAGE_BUCKET || 'sprada_storage';
+const IMAGE_PREFIX = 'blogs/imported';
+
+const SOURCE_FORMATS = new Set(['wordpress', 'wix']);
+const IMAGE_TYPES = {
+  'image/jpeg': 'jpg', 'image/jpg': 'jpg', 'image/png': 'png', 'image/gif': 'gif',
+  'image/webp': 'webp', 'image/avif': 'avif'
+};
+
+function httpError(code, detail = null, status = 400) {
+  const err = new Error(code);
+  err.status = status;
+  if (detail) err.detail = detail;
+  return err;
+}
+
+function slugify(text = '') {
+  return String(text)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\-_ ]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+function toIso(v) {
+  if (!v || /^0000-00-00/.test(String(v))) return null;
+  // WXR dates are "YYYY-MM-DD HH:MM:SS" (post_date_gmt is UTC)
+  const s = /^\d{4}-\d{2}-\d{2} \d{2}:\d{2}:\d{2}$/.test(String(v)) ? `${String(v).replace(' ', 'T')}Z` : v;
+  const d = new Date(s);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+/* Plain text (for excerpts / meta fields that may carry markup) */
+function plainText(s) {
+  return decodeEntities(String(s || '').replace(/<[^>]*>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/* --------------------------------------------------------------------------
+   WORDPRESS (WXR)
+-------------------------------------------------------------------------- */
+
+/*
+ * WXR is RSS with wp:* elements. Bodies sit in CDATA sections, so those are
+ * lifted out first (placeholders) and the remaining markup is read with
+ * simple element matches; CDATA content can then never be mistaken for tags.
+ */
+function liftCdata(xml) {
+  const chunks = [];
+  const text = xml.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, (m, inner) => {
+    chunks.push(inner);
+    return `\u0000${chunks.length - 1}\u0000`;
+  });
+  return { text, chunks };
+}
+
+function xmlValue(doc, raw) {
+  if (raw == null) return null;
+  // text outside CDATA is entity-encoded; CDATA content is taken as is
+  return raw
+    .split(/(\u0000\d+\u0000)/)
+    .map((part) => {
+      const m = /^\u0000(\d+)\u0000$/.exec(part);
+      return m ? doc.chunks[Number(m[1])] : decodeEntities(part);
+    })
+    .join('')
+    .trim();
+}
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function xmlElements(src, name) {
+  const re = new RegExp(`<${escapeRe(name)}(\\s[^>]*)?>([\\s\\S]*?)</${escapeRe(name)}>`, 'g');
+  const out = [];
+  let m;
+  while ((m = re.exec(src))) out.push({ attrs: m[1] || '', inner: m[2] });
+  return out;
+}
+
+function xmlFirst(doc, src, name) {
+  const el = xmlElements(src, name)[0];
+  return el ? xmlValue(doc, el.inner) : null;
+}
+
+function xmlAttr(attrs, name) {
+  const m = new RegExp(`\\s${escapeRe(name)}\\s*=\\s*"([^"]*)"`).exec(attrs);
+  return m ? decodeEntities(m[1]) : null;
+}
+
+/* WordPress stores paragraphs as blank-line separated text (wpautop adds the <p>s on render) */
+function wpautop(html) {
+  const BLOCK = /^<(p|h[1-6]|ul|ol|li|blockquote|pre|figure|table|div|hr|img|section|article|dl)\b/i;
+  return String(html)
+    .replace(/\r\n?/g, '\n')
+    .replace(/<!--[\s\S]*?-->/g, '')
+    .split(/\n\s*\n/)
+    .map((chunk) => chunk.trim())
+    .filter(Boolean)
+    .map((chunk) => (BLOCK.test(chunk) ? chunk : `<p>${chunk.replace(/\n/g, '<br>')}</p>`))
+    .join('\n');
+}
+
+/* [caption]…[/caption] becomes a figure, [embed]url[/embed] a link; other layout shortcodes are dropped */
+function wpShortcodes(html) {
+  return String(html)
+    .replace(/\[caption[^\]]*\]([\s\S]*?)\[\/caption\]/gi, (m, inner) => {
+      const img = /(<a\b[^>]*>\s*)?<img\b[^>]*>(\s*<\/a>)?/i.exec(inner);
+      if (!img) return inner;
+      const caption = inner.replace(img[0], '').trim();
+      return `<figure>${img[0]}${caption ? `<figcaption>${caption}</figcaption>` : ''}</figure>`;
+    })
+    .replace(/\[embed[^\]]*\]\s*(https?:\/\/[^\s[]+)\s*\[\/embed\]/gi, '<p><a href="$1">$1</a></p>')
+    .replace(/\[\/?(gallery|video|audio|playlist|embed|contact-form-7|vc_[a-z_]+|et_pb_[a-z_]+)\b[^\]]*\]/gi, '');
+}
+
+// SEO plugin meta keys, first match wins
+const WP_META_TITLE_KEYS = ['_yoast_wpseo_title', 'rank_math_title', '_aioseo_title', '_aioseop_title'];
+const WP_META_DESC_KEYS = ['_yoast_wpseo_metadesc', 'rank_math_description', '_aioseo_description', '_aioseop_description'];
+const WP_CANONICAL_KEYS = ['_yoast_wpseo_canonical', 'rank_math_canonical_url'];
+
+function wpMeta(meta, keys) {
+  for (const k of keys) {
+    const v = meta[k];
+    // template values such as "%%title%% %%sep%% %%sitename%%" only make sense inside WordPress
+    if (v && !/%%|%\w+%|#\w+#/.test(v)) return v.trim();
+  }
+  return null;
+}
+
+function parseWxr(xml) {
+  const doc = liftCdata(String(xml));
+  const channel = xmlElements(doc.text, 'channel')[0];
+  if (!channel) throw httpError('invalid_wxr');
+
+  const siteUrl = xmlFirst(doc, channel.inner, 'wp:base_blog_url') || xmlFirst(doc, channel.inner, 'wp:base_site_url')
+    || xmlFirst(doc, channel.inner.replace(/<item[\s>][\s\S]*$/, ''), 'link');
+  const items = xmlElements(channel.inner, 'item');
+
+  // attachment post id -> file URL (featured images reference them by _thumbnail_id)
+  const attachments = new Map();
+  for (const it of items) {
+    if (xmlFirst(doc, it.inner, 'wp:post_type') !== 'attachment') continue;
+    const url = xmlFirst(doc, it.inner, 'wp:attachment_url') || xmlFirst(doc, it.inner, 'guid');
+    if (url) attachments.set(xmlFirst(doc, it.inner, 'wp:post_id'), url);
+  }
+
+  const posts = [];
+  for (const it of items) {
+    const type = xmlFirst(doc, it.inner, 'wp:post_type') || 'post';
+    if (type !== 'post' && type !== 'page') continue; // attachments, menus, blocks ...
+
+    const meta = {};
+    for (const pm of xmlElements(it.inner, 'wp:postmeta')) {
+      const k = xmlFirst(doc, pm.inner, 'wp:meta_key');
+      if (k) meta[k] = xmlFirst(doc, pm.inner, 'wp:meta_value');
+    }
+
+    const tags = [];
+    for (const c of xmlElements(it.inner, 'category')) {
+      const domain = xmlAttr(c.attrs, 'domain');
+      const nicename = xmlAttr(c.attrs, 'nicename');
+      if (domain !== 'post_tag' && domain !== 'category') continue;
+      if (domain === 'category' && nicename === 'uncategorized') continue;
+      const name = xmlValue(doc, c.inner);
+      if (name && !tags.includes(name)) tags.push(name);
+    }
+
+    const status = xmlFirst(doc, it.inner, 'wp:status');
+    const body = xmlFirst(doc, it.inner, 'content:encoded') || '';
+    posts.push({
+      source_id: xmlFirst(doc, it.inner, 'wp:post_id') || xmlFirst(doc, it.inner, 'guid'),
+      title: xmlFirst(doc, it.inner, 'title') || '',
+      slug: xmlFirst(doc, it.inner, 'wp:post_name') || null,
+      excerpt: plainText(xmlFirst(doc, it.inner, 'excerpt:encoded')) || null,
+      html: wpautop(wpShortcodes(body)),
+      published: status === 'publish',
+      published_at: toIso(xmlFirst(doc, it.inner, 'wp:post_date_gmt')) || toIso(xmlFirst(doc, it.inner, 'wp:post_date'))
+        || toIso(xmlFirst(doc, it.inner, 'pubDate')),
+      tags,
+      meta_title: wpMeta(meta, WP_META_TITLE_KEYS),
+      meta_description: wpMeta(meta, WP_META_DESC_KEYS),
+      canonical_url: wpMeta(meta, WP_CANONICAL_KEYS),
+      cover_image: meta._thumbnail_id ? attachments.get(meta._thumbnail_id) || null : null,
+      base_url: siteUrl || null,
+      skip_reason: type !== 'post' ? `unsupported_post_type:${type}` : (status === 'trash' ? 'trashed' : null)
+    });
+  }
+
+  let source = 'wordpress';
+  try { if (siteUrl) source = `wordpress:${new URL(siteUrl).host}`; } catch (e) { /* keep generic source */ }
+  return { format: 'wordpress', source, posts };
+}
+
+/* --------------------------------------------------------------------------
+   WIX (JSON)
+-------------------------------------------------------------------------- */
+
+/*
+ * Wix media references come as wix:image://v1/<file>/<name>#..., as
+ * static.wixstatic.com URLs with a /v1/fill/... transform suffix, or as bare
+ * media ids. All of them resolve to the original file on static.wixstatic.com.
+ */
+function wixImageUrl(v) {
+  if (!v) return null;
+  if (typeof v === 'object') {
+    v = v.url || v.src || v.id || (v.image && wixImageUrl(v.image)) || (v.wixMedia && wixImageUrl(v.wixMedia.image)) || null;
+    if (!v) return null;
+  }
+  const s = String(v).trim();
+  const m = /^wix:image:\/\/v1\/([^/#]+)/i.exec(s);
+  if (m) return `https://static.wixstatic.com/media/${m[1]}`;
+  const orig = /^(https?:\/\/static\.wixstatic\.com\/media\/[^/?#]+)/i.exec(s);
+  if (orig) return orig[1];
+  if (/^[\w-]+~mv2(_d_\d+_\d+_s_\d+)?\.\w+$/i.test(s)) return `https://static.wixstatic.com/media/${s}`;
+  return s;
+}
+
+function escapeHtmlText(s) {
+  return String(s == null ? '' : s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/* Ricos (Wix rich content) nodes -> HTML; unknown nodes keep their text */
+function ricosToHtml(nodes) {
+  return (nodes || []).map((n) => {
+    if (!n || typeof n !== 'object') return '';
+    const inner = () => ricosToHtml(n.nodes);
+    switch (n.type) {
+      case 'TEXT': {
+        const td = n.textData || {};
+        let out = escapeHtmlText(td.text || '');
+        for (const d of td.decorations || []) {
+          if (d.type === 'BOLD') out = `<strong>${out}</strong>`;
+          else if (d.type === 'ITALIC') out = `<em>${out}</em>`;
+          else if (d.type === 'UNDERLINE') out = `<u>${out}</u>`;
+          else if (d.type === 'LINK' && d.linkData && d.linkData.link && d.linkData.link.url) {
+            out = `<a href="${escapeHtmlText(d.linkData.link.url)}">${out}</a>`;
+          }
+        }
+        return out;
+      }
+      case 'PARAGRAPH': return `<p>${inner()}</p>`;
+      case 'HEADING': {
+        const level = Math.min(6, Math.max(1, Number(n.headingData && n.headingData.level) || 2));
+        return `<h${level}>${inner()}</h${level}>`;
+      }
+      case 'BULLETED_LIST': return `<ul>${inner()}</ul>`;
+      case 'ORDERED_LIST': return `<ol>${inner()}</ol>`;
+      case 'LIST_ITEM': return `<li>${inner().replace(/^<p>([\s\S]*)<\/p>$/, '$1')}</li>`;
+      case 'BLOCKQUOTE': return `<blockquote>${inner()}</blockquote>`;
+      case 'CODE_BLOCK': return `<pre><code>${inner()}</code></pre>`;
+      case 'DIVIDER': return '<hr>';
+      case 'IMAGE': {
+        const img = (n.imageData && n.imageData.image) || {};
+        const url = wixImageUrl((img.src && (img.src.url || img.src.id)) || img.url);
+        if (!url) return '';
+        const alt = (n.imageData && n.imageData.altText) || '';
+        const caption = n.imageData && n.imageData.caption;
+        return `<figure><img src="${escapeHtmlText(url)}" alt="${escapeHtmlText(alt)}">${caption ? `<figcaption>${escapeHtmlText(caption)}</figcaption>` : ''}</figure>`;
+      }
+      default: return inner();
+    }
+  }).join('');
+}
+
+/* seoData.tags: [{ type: 'title', children }, { type: 'meta', props: { name, content } }] */
+function wixSeo(post) {
+  const tags = (post.seoData && Array.isArray(post.seoData.tags)) ? post.seoData.tags : [];
+  const title = tags.find((t) => t.type === 'title');
+  const desc = tags.find((t) => t.type === 'meta' && t.props && t.props.name === 'description');
+  return {
+    meta_title: post.seoTitle || (title && title.children) || null,
+    meta_description: post.seoDescription || (desc && desc.props.content) || null
+  };
+}
+
+function wixTags(post) {
+  const out = [];
+  for (const list of [post.hashtags, post.tags, post.categories]) {
+    if (!Array.isArray(list)) continue;
+    for (const t of list) {
+      const name = typeof t === 'string' ? t : (t && (t.label || t.name || t.title));
+      // Wix v3 exports tag / category ids only; those cannot be named here
+      if (name && !/^[0-9a-f]{8}-[0-9a-f]{4}-/i.test(name) && !out.includes(name.replace(/^#/, ''))) out.push(name.replace(/^#/, ''));
+    }
+  }
+  return out;
+}
+
+function parseWixJson(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    throw httpError('invalid_json', e.message);
+  }
+  const list = Array.isArray(data) ? data : (data.posts || data.items || data.data || null);
+  if (!Array.isArray(list)) throw httpError('invalid_wix_export', 'expected an array of posts or { posts: [...] }');
+
+  const posts = list.map((p) => {
+    const post = p || {};
+    const html = typeof post.content === 'string' ? post.content
+      : (post.contentHtml || post.html
+        || (post.richContent && Array.isArray(post.richContent.nodes) ? ricosToHtml(post.richContent.nodes) : null)
+        || String(post.plainContent || post.contentText || '').split(/\n\s*\n/).filter(Boolean)
+          .map((para) => `<p>${escapeHtmlText(para.trim())}</p>`).join('\n'));
+    const status = String(post.status || '').toUpperCase();
+    return {
+      source_id: String(post._id || post.id || post.postId || post.slug || ''),
+      title: post.title || '',
+      slug: post.slug || null,
+      excerpt: plainText(post.excerpt) || null,
+      html,
+      published: status ? status === 'PUBLISHED' : post.published !== false,
+      published_at: toIso(post.firstPublishedDate || post.publishedDate || post.lastPublishedDate || post._createdDate),
+      tags: wixTags(post),
+      ...wixSeo(post),
+      canonical_url: null,
+      cover_image: wixImageUrl(post.coverImage || post.coverMedia || post.heroImage || post.media || post.mainImage),
+      base_url: null,
+      skip_reason: status === 'DELETED' || status === 'TRASHED' ? 'trashed' : null
+    };
+  });
+
+  return { format: 'wix', source: 'wix', posts };
+}
+
+/* --------------------------------------------------------------------------
+   FILE PARSING
+-------------------------------------------------------------------------- */
+
+/* file: express-fileupload file ({ data, name }) or { text, name }; format: 'wordpress' | 'wix' | auto */
+function parseBlogImportFile(file, { format } = {}) {
+  const text = file.text != null ? String(file.text) : Buffer.from(file.data || '').toString('utf8');
+  const body = text.replace(/^\uFEFF/, '').trim();
+  if (!body) throw httpError('empty_file');
+
+  let fmt = format ? String(format).toLowerCase() : null;
+  if (fmt && !SOURCE_FORMATS.has(fmt)) throw httpError('unsupported_format', fmt);
+  if (!fmt) {
+    if (body[0] === '<') fmt = 'wordpress';
+    else if (body[0] === '{' || body[0] === '[') fmt = 'wix';
+    else throw httpError('unsupported_format');
+  }
+
+  const parsed = fmt === 'wordpress' ? parseWxr(body) : parseWixJson(body);
+  if (!parsed.posts.length) throw httpError('no_posts');
+  if (parsed.posts.length > BLOG_IMPORT_MAX_ITEMS) throw httpError('too_many_posts');
+  return parsed;
+}
+
+/* --------------------------------------------------------------------------
+   IMAGE REHOSTING
+-------------------------------------------------------------------------- */
+
+let supabase = null;
+function storageBucket() {
+  if (!supabase) {
+    if (!process.env.SUPABASE_URL || !process.env.SUPABASE_SERVICE_ROLE_KEY) throw new Error('storage_not_configured');
+    supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+  }
+  return supabase.storage.from(STORAGE_BUCKET);
+}
+
+/*
+ * Addresses an import may fetch from: IPv4 outside the private / shared /
+ * loopback / link-local / documentation / multicast / reserved ranges, and
+ * IPv6 global unicast (2000::/3) minus its special-purpose blocks. IPv6 forms
+ * that embed an IPv4 address (::ffff:a.b.c.d, NAT64) are judged by that address.
+ */
+const BLOCKED_V4 = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([net4, prefix]) => BLOCKED_V4.addSubnet(net4, prefix, 'ipv4'));
+
+const GLOBAL_V6 = new net.BlockList();
+GLOBAL_V6.addSubnet('2000::', 3, 'ipv6');
+const BLOCKED_V6 = new net.BlockList();
+[['2001::', 23], ['2001:db8::', 32], ['2002::', 16], ['3fff::', 20]]
+  .forEach(([net6, prefix]) => BLOCKED_V6.addSubnet(net6, prefix, 'ipv6'));
+
+/* IPv6 text -> 8 16-bit groups (null when unparsable) */
+function ipv6Groups(ip) {
+  let v = String(ip).toLowerCase().split('%')[0];
+  const dotted = v.match(/^(.*:)(\d+\.\d+\.\d+\.\d+)$/);
+  if (dotted) {
+    if (!net.isIPv4(dotted[2])) return null;
+    const [a, b, c, d] = dotted[2].split('.').map(Number);
+    v = `${dotted[1]}${((a << 8) | b).toString(16)}:${((c << 8) | d).toString(16)}`;
+  }
+  const halves = v.split('::');
+  if (halves.length > 2) return null;
+  const head = halves[0] ? halves[0].split(':') : [];
+  const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+  const fill = halves.length === 2 ? 8 - head.length - tail.length : 0;
+  if (fill < 0 || (halves.length === 1 && head.length !== 8)) return null;
+  const groups = [...head, ...Array(fill).fill('0'), ...tail].map((g) => parseInt(g, 16));
+  return groups.length === 8 && groups.every((g) => g >= 0 && g <= 0xffff) ? groups : null;
+}
+
+/* The IPv4 address carried by an IPv4-mapped (::ffff:0:0/96) or NAT64 (64:ff9b::/96) address */
+function embeddedIPv4(groups) {
+  const mapped = groups.slice(0, 5).every((g) => g === 0) && groups[5] === 0xffff;
+  const nat64 = groups[0] === 0x64 && groups[1] === 0xff9b && groups.slice(2, 6).every((g) => g === 0);
+  if (!mapped && !nat64) return null;
+  return [groups[6] >> 8, groups[6] & 0xff, groups[7] >> 8, groups[7] & 0xff].join('.');
+}
+
+function publicAddress(ip) {
+  if (net.isIPv4(ip)) return !BLOCKED_V4.check(ip, 'ipv4');
+  if (!net.isIPv6(ip)) return false;
+  const groups = ipv6Groups(ip);
+  if (!groups) return false;
+  const v4 = embeddedIPv4(groups);
+  if (v4) return !BLOCKED_V4.check(v4, 'ipv4');
+  const canonical = groups.map((g) => g.toString(16)).join(':');
+  return GLOBAL_V6.check(canonical, 'ipv6') && !BLOCKED_V6.check(canonical, 'ipv6');
+}
+
+/*
+ * Import files come from editors, but their URLs must still not reach internal
+ * hosts. Returns the address to connect to, so the request cannot be pointed
+ * elsewhere by a second DNS answer.
+ */
+async function resolvePublicHost(hostname) {
+  const host = String(hostname || '').replace(/^\[|\]$/g, '');
+  if (!host || host === 'localhost') throw new Error('private_host');
+  const addrs = net.isIP(host) ? [{ address: host, family: net.isIP(host) }] : await dns.lookup(host, { all: true });
+  if (!addrs.length || addrs.some((a) => !publicAddress(a.address))) throw new Error('private_host');
+  return addrs[0];
+}
+
+/*
+ * GET one URL through the validated address. Resolves with the response
+ * (body not yet read); redirects are returned as-is for the caller to check.
+ */
+function requestPinned(u, addr, signal) {
+  return new Promise((resolve, reject) => {
+    const client = u.protocol === 'https:' ? https : http;
+    const req = client.get(u, {
+      headers: { 'User-Agent': 'Sprada-BlogImport/1.0', Accept: 'image/*' },
+      // connect to the address checked above, whatever DNS answers now
+      lookup: (host, opts, cb) => (opts && opts.all ? cb(null, [addr]) : cb(null, addr.address, addr.family)),
+      signal
+    }, resolve);
+    req.on('error', reject);
+  });
+}
+
+/* Read a response body, giving up as soon as it grows past IMAGE_MAX_BYTES */
+function readCapped(resp) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    resp.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > IMAGE_MAX_BYTES) {
+        reject(new Error('image_too_large'));
+        resp.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    resp.on('end', () => resolve(Buffer.concat(chunks)));
+    resp.on('error', reject);
+    resp.on('aborted', () => reject(new Error('aborted')));
+  });
+}
+
+/*
+ * Download an image: every redirect hop is re-checked against the address
+ * rules, at most IMAGE_MAX_REDIRECTS of them. Returns { buf, type }.
+ */
+async function fetchImage(sourceUrl, signal) {
+  let u = new URL(sourceUrl);
+  for (let hop = 0; ; hop++) {
+    if (!/^https?:$/.test(u.protocol)) throw new Error('unsupported_protocol');
+    const addr = await resolvePublicHost(u.hostname);
+    const resp = await requestPinned(u, addr, signal);
+
+    if (resp.statusCode >= 300 && resp.statusCode < 400 && resp.headers.location) {
+      resp.resume();
+      if (hop >= IMAGE_MAX_REDIRECTS) throw new Error('too_many_redirects');
+      u = new URL(resp.headers.location, u);
+      continue;
+    }
+    if (resp.statusCode < 200 || resp.statusCode >= 300) {
+      resp.resume();
+      throw new Error(`http_${resp.statusCode}`);
+    }
+    const type = String(resp.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+    if (!IMAGE_TYPES[type]) { resp.destroy(); throw new Error(`not_an_image:${type || 'unknown'}`); }
+    if (Number(resp.headers['content-length'] || 0) > IMAGE_MAX_BYTES) { resp.destroy(); throw new Error('image_too_large'); }
+    return { buf: await readCapped(resp), type };
+  }
+}
+
+/* Resolve an image reference from a post against the source site */
+function resolveImageUrl(src, baseUrl) {
+  const s = wixImageUrl(decodeEntities(String(src || '').trim()));
+  if (!s || /^data:/i.test(s)) return null;
+  try {
+    const u = baseUrl ? new URL(s, baseUrl) : new URL(s.startsWith('//') ? `https:${s}` : s);
+    return /^https?:$/.test(u.protocol) ? u.toString() : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Copy one image into the bucket (once per source URL, remembered in
+ * blog_import_images). Returns { path, url } with url the public URL.
+ */
+async function rehostImage(db, sourceUrl) {
+  const known = await db.query('SELECT storage_path FROM blog_import_images WHERE source_url = $1 LIMIT 1', [sourceUrl]);
+  if (known.rows.length) return { path: known.rows[0].storage_path, url: buildImageUrl(known.rows[0].storage_path) };
+
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), IMAGE_TIMEOUT_MS);
+  let buf;
+  let type;
+  try {
+    ({ buf, type } = await fetchImage(sourceUrl, ctrl.signal));
+  } catch (err) {
+    throw new Error(ctrl.signal.aborted ? 'timeout' : err.message);
+  } finally {
+    clearTimeout(timer);
+  }
+
+  // content-addressed by source URL: a retried upload overwrites the same object
+  const hash = crypto.createHash('sha1').update(sourceUrl).digest('hex').slice(0, 24);
+  const storagePath = `${IMAGE_PREFIX}/${hash}.${IMAGE_TYPES[type]}`;
+  const { error } = await storageBucket().upload(storagePath, buf, { contentType: type, upsert: true });
+  if (error) throw new Error(`upload_failed:${error.message}`);
+
+  await db.query(
+    `INSERT INTO blog_import_images (source_url, storage_path, content_type, bytes)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (source_url) DO NOTHING`,
+    [sourceUrl, storagePath, type, buf.length]
+  );
+  return { path: storagePath, url: buildImageUrl(storagePath) };
+}
+
+const IMG_SRC_RE = /(<img\b[^>]*?\ssrc\s*=\s*)(["'])([^"']*)\2/gi;
+const A_HREF_RE = /(<a\b[^>]*?\shref\s*=\s*)(["'])([^"']*)\2/gi;
+
+/*
+ * Rehost every image of a post. Returns the rewritten HTML, the cover image
+ * storage path, the rehosted images ({ path, source }) and warnings for the
+ * images that could not be copied (those keep their original URL).
+ */
+async function rehostPostImages(db, post) {
+  const warnings = [];
+  const copied = new Map(); // resolved source URL -> { path, url }
+
+  const sources = new Set();
+  for (const m of String(post.html || '').matchAll(IMG_SRC_RE)) {
+    const u = resolveImageUrl(m[3], post.base_url);
+    if (u) sources.add(u);
+  }
+  const cover = post.cover_image ? resolveImageUrl(post.cover_image, post.base_url) : null;
+  if (cover) sources.add(cover);
+
+  for (const src of sources) {
+    try {
+      copied.set(src, await rehostImage(db, src));
+    } catch (err) {
+      warnings.push({ type: 'image', url: src, error: err.message });
+    }
+  }
+
+  // WordPress links images to their full-size file; those links follow the image
+  const rewrite = (re) => (m, pre, q, val) => {
+    const u = resolveImageUrl(val, post.base_url);
+    const hit = u && copied.get(u);
+    return hit ? `${pre}${q}${hit.url}${q}` : (re === IMG_SRC_RE && u ? `${pre}${q}${u}${q}` : m);
+  };
+  const html = String(post.html || '')
+    .replace(IMG_SRC_RE, rewrite(IMG_SRC_RE))
+    .replace(A_HREF_RE, rewrite(A_HREF_RE));
+
+  return {
+    html,
+    coverPath: cover ? (copied.has(cover) ? copied.get(cover).path : cover) : null,
+    images: Array.from(copied.entries()).map(([source, c]) => ({ source, path: c.path })),
+    warnings
+  };
+}
+
+/* --------------------------------------------------------------------------
+   ITEMS
+-------------------------------------------------------------------------- */
+
+function contentHash(post) {
+  return crypto.createHash('sha1').update(JSON.stringify(post)).digest('hex');
+}
+
+function importTags(post, warnings) {
+  const names = (post.tags || []).filter((t) => slugifyTag(t));
+  if (names.length > MAX_TAGS_PER_POST) warnings.push({ type: 'tags', error: `truncated_to_${MAX_TAGS_PER_POST}` });
+  return names.slice(0, MAX_TAGS_PER_POST);
+}
+
+/* What importing a post would do; { action: 'create' | 'update' | 'skip', reason?, blogId? } */
+async function planItem(db, job, post) {
+  if (post.skip_reason) return { action: 'skip', reason: post.skip_reason };
+  if (!post.source_id) return { action: 'skip', reason: 'missing_source_id' };
+  if (!String(post.title || '').trim()) return { action: 'skip', reason: 'missing_title' };
+  if (!prepareContent(post.html).content.blocks.length) return { action: 'skip', reason: 'empty_content' };
+
+  const hash = contentHash(post);
+  const { rows } = await db.query(
+    `SELECT s.blog_id, s.content_hash, b.deleted_at
+     FROM blog_import_sources s JOIN blogs b ON b.id = s.blog_id
+     WHERE s.source = $1 AND s.source_id = $2 LIMIT 1`,
+    [job.source, post.source_id]
+  );
+  const known = rows[0];
+  if (known) {
+    if (known.deleted_at) return { action: 'skip', reason: 'blog_in_trash', blogId: known.blog_id };
+    if (known.content_hash === hash) return { action: 'skip', reason: 'unchanged', blogId: known.blog_id };
+    if (!(job.options && job.options.update_existing)) return { action: 'skip', reason: 'already_imported', blogId: known.blog_id };
+    return { action: 'update', blogId: known.blog_id, hash };
+  }
+
+  const slug = slugify(post.slug || post.title);
+  if (!slug) return { action: 'skip', reason: 'invalid_slug' };
+  const taken = await db.query('SELECT id FROM blogs WHERE slug = $1 LIMIT 1', [slug]);
+  // a post with the same slug was created by hand (or by another source); never overwrite it
+  if (taken.rows.length) return { action: 'skip', reason: 'slug_exists', blogId: taken.rows[0].id };
+  return { action: 'create', slug, hash };
+}
+
+/* Write one post (inside the caller's transaction); returns the blog id */
+async function applyItem(client, job, post, plan, rehosted, tags) {
+  const prepared = prepareContent(rehosted.html);
+  const publish = post.published && job.options.publish !== false;
+  const publishedAt = publish ? (post.published_at || new Date().toISOString()) : null;
+  const fields = [
+    post.title.trim(),
+    post.excerpt || null,
+    JSON.stringify(prepared.content),
+    post.meta_title || null,
+    post.meta_description || null,
+    post.canonical_url || null,
+    rehosted.coverPath || prepared.derived.first_image || null,
+    publish,
+    publishedAt,
+    ...derivedParams(prepared.derived)
+  ];
+
+  let blogId = plan.blogId;
+  if (plan.action === 'create') {
+    const { rows } = await client.query(
+      `INSERT INTO blogs (title, excerpt, content, meta_title, meta_description, canonical_url, og_image,
+                          is_published, published_at, ${DERIVED_COLUMNS.join(', ')}, slug, author_id, created_at, updated_at)
+       VALUES ($1, $2, $3::jsonb, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+               COALESCE($9::timestamptz, now()), now())
+       RETURNING id`,
+      [...fields, plan.slug, job.created_by || null]
+    );
+    blogId = rows[0].id;
+  } else {
+    await client.query(
+      `UPDATE blogs SET title = $1, excerpt = $2, content = $3::jsonb, meta_title = $4, meta_description = $5,
+         canonical_url = $6, og_image = $7, is_published = $8, published_at = $9,
+         ${DERIVED_COLUMNS.map((c, i) => `${c} = $${10 + i}`).join(', ')}, updated_at = now()
+       WHERE id = $14`,
+      [...fields, blogId]
+    );
+  }
+
+  await setBlogTags(client, blogId, tags);
+
+  // rehosted files show up in the post's image manager
+  for (const img of rehosted.images) {
+    await client.query(
+      `INSERT INTO blog_images (blog_id, url, caption, created_at)
+       SELECT $1, $2, NULL, now()
+       WHERE NOT EXISTS (SELECT 1 FROM blog_images WHERE blog_id = $1 AND url = $2)`,
+      [blogId, img.path]
+    );
+  }
+
+  await client.query(
+    `INSERT INTO blog_import_sources (source, source_id, blog_id, content_hash, job_id)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (source, source_id)
+     DO UPDATE SET blog_id = EXCLUDED.blog_id, content_hash = EXCLUDED.content_hash, job_id = EXCLUDED.job_id, updated_at = now()`,
+    [job.source, post.source_id, blogId, plan.hash, job.id]
+  );
+
+  await snapshotBlog(client, blogId, { userId: job.created_by });
+  return blogId;
+}
+
+/* Run fn(client) in its own transaction with app.user_id set for RLS */
+async function inTransaction(db, userId, fn) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    if (userId) await client.query("SELECT set_config('app.user_id', $1, true)", [String(userId)]);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function setItem(db, job, itemNo, { status, reason = null, blogId = null, warnings = [] }) {
+  await db.query(
+    `UPDATE blog_import_items
+     SET status = $3, reason = $4, blog_id = $5, warnings = $6::jsonb, updated_at = NOW()
+     WHERE job_id = $1 AND item_no = $2`,
+    [job.id, itemNo, status, reason, blogId, JSON.stringify(warnings)]
+  );
+}
+
+/* Import the next pending item; returns false when none is left */
+async function processNextItem(db, job) {
+  const { rows } = await db.query(
+    `SELECT item_no, data FROM blog_import_items
+     WHERE job_id = $1 AND status = 'pending'
+     ORDER BY item_no
+     LIMIT 1`,
+    [job.id]
+  );
+  const item = rows[0];
+  if (!item) return false;
+
+  const post = item.data || {};
+  try {
+    const plan = await planItem(db, job, post);
+    if (plan.action === 'skip') {
+      await setItem(db, job, item.item_no, { status: 'skipped', reason: plan.reason, blogId: plan.blogId || null });
+      return true;
+    }
+
+    // downloads happen outside the transaction; they are remembered per URL either way
+    const warnings = [];
+    const rehosted = job.options.rehost_images === false
+      ? { html: post.html, coverPath: post.cover_image ? resolveImageUrl(post.cover_image, post.base_url) : null, images: [], warnings: [] }
+      : await rehostPostImages(db, post);
+    warnings.push(...rehosted.warnings);
+    const tags = importTags(post, warnings);
+
+    const blogId = await inTransaction(db, job.created_by, (client) => applyItem(client, job, post, plan, rehosted, tags));
+    await setItem(db, job, item.item_no, {
+      status: plan.action === 'create' ? 'imported' : 'updated', blogId, warnings
+    });
+  } catch (err) {
+    await setItem(db, job, item.item_no, { status: 'failed', reason: err.detail ? `${err.message}:${err.detail}` : err.message });
+  }
+  return true;
+}
+
+/* --------------------------------------------------------------------------
+   JOBS
+-------------------------------------------------------------------------- */
+
+const JOB_COLUMNS = `
+  id, status, source_format, source, filename, options, total_items, last_error,
+  created_by, created_at, updated_at, finished_at
+`;
+
+/**
+ * Create a job from a parsed file and store its posts.
+ * Runs inside the caller's transaction; the job starts `running`.
+ */
+async function createBlogImportJob(client, { parsed, filename, options, userId }) {
+  const { rows } = await client.query(
+    `INSERT INTO blog_import_jobs (source_format, source, filename, options, total_items, created_by)
+     VALUES ($1, $2, $3, $4::jsonb, $5, $6)
+     RETURNING ${JOB_COLUMNS}`,
+    [parsed.format, parsed.source, filename || null, JSON.stringify(options || {}), parsed.posts.length, userId || null]
+  );
+  const job = rows[0];
+
+  for (let i = 0; i < parsed.posts.length; i += 200) {
+    const batch = parsed.posts.slice(i, i + 200);
+    await client.query(
+      `INSERT INTO blog_import_items (job_id, item_no, source_id, title, data)
+       SELECT $1, $2 + x.ord::int, x.val->>'source_id', x.val->>'title', x.val
+       FROM jsonb_array_elements($3::jsonb) WITH ORDINALITY AS x(val, ord)`,
+      [job.id, i, JSON.stringify(batch)]
+    );
+  }
+
+  return job;
+}
+
+async function getBlogImportJob(db, id) {
+  const { rows } = await db.query(`SELECT ${JOB_COLUMNS} FROM blog_import_jobs WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+/* Item counters (computed from blog_import_items so they never drift) */
+async function getBlogImportStats(db, id) {
+  const { rows } = await db.query(
+    `SELECT
+       COUNT(*)::int AS total,
+       COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+       COUNT(*) FILTER (WHERE status = 'imported')::int AS imported,
+       COUNT(*) FILTER (WHERE status = 'updated')::int AS updated,
+       COUNT(*) FILTER (WHERE status = 'skipped')::int AS skipped,
+       COUNT(*) FILTER (WHERE status = 'failed')::int AS failed,
+       COUNT(*) FILTER (WHERE jsonb_array_length(warnings) > 0)::int AS with_warnings
+     FROM blog_import_items
+     WHERE job_id = $1`,
+    [id]
+  );
+  return rows[0];
+}
+
+function formatBlogImportJob(job, stats) {
+  const s = stats || {};
+  return {
+    id: job.id,
+    status: job.status,
+    progress: s.total ? Math.floor(((s.total - s.pending) / s.total) * 100) : 0,
+    source_format: job.source_format,
+    source: job.source,
+    filename: job.filename,
+    options: job.options,
+    counts: s,
+    last_error: job.last_error,
+    created_by: job.created_by,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    finished_at: job.finished_at
+  };
+}
+
+/* Everything that did not import cleanly: skipped / failed items and items with warnings */
+async function getBlogImportReport(db, id, { status = null } = {}) {
+  const params = [id];
+  let filter = "(status IN ('skipped', 'failed') OR jsonb_array_length(warnings) > 0)";
+  if (status) {
+    params.push(status);
+    filter = `status = $${params.length}`;
+  }
+  const { rows } = await db.query(
+    `SELECT item_no, source_id, title, status, reason, blog_id, warnings
+     FROM blog_import_items
+     WHERE job_id = $1 AND ${filter}
+     ORDER BY item_no`,
+    params
+  );
+  return rows;
+}
+
+async function setJobStatus(db, id, status, extra = '', extraParams = []) {
+  await db.query(
+    `UPDATE blog_import_jobs SET status = $2, updated_at = NOW()${extra ? `, ${extra}` : ''} WHERE id = $1`,
+    [id, status, ...extraParams]
+  );
+}
+
+const runningJobs = new Set();
+
+/* Work through the job's pending items. Stops when cancelled or finished. */
+async function runBlogImportJob(db, id) {
+  for (;;) {
+    const job = await getBlogImportJob(db, id);
+    if (!job || job.status !== 'running') return;
+
+    const more = await processNextItem(db, job);
+    if (!more) {
+      await setJobStatus(db, id, 'completed', 'finished_at = NOW()');
+      // new posts and tags change the sitemap
+      sitemapService.invalidate(db).catch(() => {});
+      return;
+    }
+
+    await db.query('UPDATE blog_import_jobs SET updated_at = NOW() WHERE id = $1', [id]);
+    // yield between items so API requests are not starved
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+/* Start (or keep) a job running in the background of this process */
+function startBlogImportJob(db, id) {
+  if (runningJobs.has(id)) return false;
+  runningJobs.add(id);
+
+  setImmediate(() => {
+    runBlogImportJob(db, id)
+      .catch(async (err) => {
+        console.error('[blogImport] job failed:', id, err);
+        try {
+          await setJobStatus(db, id, 'failed', 'last_error = $3', [err.message]);
+        } catch (e) {
+          console.error('[blogImport] could not mark job failed:', e.message);
+        }
+      })
+      .finally(() => runningJobs.delete(id));
+  });
+  return true;
+}
+
+/* Pick up jobs left mid-way by a restart */
+async function resumeBlogImportJobs(db) {
+  const { rows } = await db.query("SELECT id FROM blog_import_jobs WHERE status = 'running' ORDER BY created_at");
+  rows.forEach((r) => startBlogImportJob(db, r.id));
+  return rows.length;
+}
+
+module.exports = {
+  BLOG_IMPORT_MAX_ITEMS,
+  parseBlogImportFile,
+  parseWxr,
+  parseWixJson,
+  wixImageUrl,
+  createBlogImportJob,
+  getBlogImportJob,
+  getBlogImportStats,
+  getBlogImportReport,
+  formatBlogImportJob,
+  startBlogImportJob,
+  resumeBlogImportJobs
+};
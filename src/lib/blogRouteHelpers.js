@@ -0,0 +1,38 @@
+// src/lib/blogRouteHelpers.js
+// Helpers shared by the blog routers (blogs.js, blogDrafts.js, blogVersions.js).
+
+function slugify(text = "") {
+  return String(text)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\-_ ]/g, "")
+    .replace(/\s+/g, "-")
+    .replace(/-+/g, "-")
+    .replace(/^-|-$/g, "");
+}
+
+function requireEditorOrAdmin(req, res) {
+  if (!req.user) return res.status(401).json({ ok: false, error: "unauthorized" });
+  const role = Number(req.user.role);
+  if (role === 1 || role === 2) return null;
+  return res.status(403).json({ ok: false, error: "forbidden" });
+}
+
+function isEditorOrAdmin(req) {
+  const role = req.user ? Number(req.user.role) : null;
+  return role === 1 || role === 2;
+}
+
+function requireAdmin(req, res) {
+  if (!req.user) return res.status(401).json({ ok: false, error: "unauthorized" });
+  const role = Number(req.user.role);
+  if (role === 1) return null;
+  return res.status(403).json({ ok: false, error: "forbidden" });
+}
+
+/* Authenticated user id (from the verified JWT only; request headers are never trusted) */
+function getUserIdFromReq(req) {
+  return req.user && req.user.id ? req.user.id : null;
+}
+
+module.exports = { slugify, requireEditorOrAdmin, isEditorOrAdmin, requireAdmin, getUserIdFromReq };
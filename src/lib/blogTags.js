@@ -0,0 +1,135 @@
+// src/lib/blogTags.js
+// Blog tags (blog_tags + blog_tag_map): resolving tag input on blog create /
+// update, loading a post's tags and the tag cloud.
+//
+// Tag input is an array of tag ids, slugs or names; unknown names create the
+// tag. Archive pages live at /blog/tag/:slug (listed in the sitemap).
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_TAGS_PER_POST = 20;
+
+function slugifyTag(text = '') {
+  return String(text)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\-_ ]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/* Validate a tags payload; returns { tags } (trimmed strings) or { error } */
+function parseTagInput(input) {
+  if (input === undefined) return { tags: undefined };
+  if (input === null) return { tags: [] };
+  const list = Array.isArray(input) ? input : String(input).split(',');
+  const tags = [];
+  for (const t of list) {
+    const v = (t && typeof t === 'object') ? (t.id || t.slug || t.name) : t;
+    const s = String(v == null ? '' : v).trim();
+    if (!s) continue;
+    if (!UUID_RE.test(s) && !slugifyTag(s)) return { error: 'invalid_tag' };
+    if (!tags.includes(s)) tags.push(s);
+  }
+  if (tags.length > MAX_TAGS_PER_POST) return { error: 'too_many_tags' };
+  return { tags };
+}
+
+/* Create a tag if no tag has its slug / name yet; returns the tag row */
+async function ensureTag(db, name) {
+  const slug = slugifyTag(name);
+  const found = await db.query(
+    'SELECT id, name, slug FROM blog_tags WHERE slug = $1 OR lower(name) = lower($2) LIMIT 1',
+    [slug, name]
+  );
+  if (found.rows.length) return found.rows[0];
+  const ins = await db.query(
+    `INSERT INTO blog_tags (name, slug) VALUES ($1, $2)
+     ON CONFLICT DO NOTHING
+     RETURNING id, name, slug`,
+    [name, slug]
+  );
+  if (ins.rows.length) return ins.rows[0];
+  // lost a race with a concurrent insert
+  const again = await db.query('SELECT id, name, slug FROM blog_tags WHERE slug = $1 LIMIT 1', [slug]);
+  return again.rows[0];
+}
+
+/* Tag ids for parsed tag input (ids must exist; names / slugs are created) */
+async function resolveTagIds(db, tags) {
+  const ids = [];
+  for (const t of tags) {
+    let row = null;
+    if (UUID_RE.test(t)) {
+      const r = await db.query('SELECT id FROM blog_tags WHERE id = $1 LIMIT 1', [t]);
+      if (!r.rows.length) throw Object.assign(new Error('tag_not_found'), { status: 400, detail: t });
+      row = r.rows[0];
+    } else {
+      row = await ensureTag(db, t);
+    }
+    if (row && !ids.includes(row.id)) ids.push(row.id);
+  }
+  return ids;
+}
+
+/* Replace a post's tags */
+async function setBlogTags(db, blogId, tags) {
+  const ids = await resolveTagIds(db, tags);
+  await db.query('DELETE FROM blog_tag_map WHERE blog_id = $1 AND NOT (tag_id = ANY($2::uuid[]))', [blogId, ids]);
+  if (ids.length) {
+    await db.query(
+      `INSERT INTO blog_tag_map (blog_id, tag_id)
+       SELECT $1, t FROM unnest($2::uuid[]) AS t
+       ON CONFLICT DO NOTHING`,
+      [blogId, ids]
+    );
+  }
+  return ids;
+}
+
+/* blogId -> [{ id, name, slug }] for a batch of posts */
+async function loadTagsForBlogs(db, blogIds) {
+  const out = new Map();
+  if (!blogIds || !blogIds.length) return out;
+  const { rows } = await db.query(
+    `SELECT m.blog_id, t.id, t.name, t.slug
+     FROM blog_tag_map m JOIN blog_tags t ON t.id = m.tag_id
+     WHERE m.blog_id = ANY($1::uuid[])
+     ORDER BY t.name`,
+    [blogIds]
+  );
+  for (const r of rows) {
+    if (!out.has(r.blog_id)) out.set(r.blog_id, []);
+    out.get(r.blog_id).push({ id: r.id, name: r.name, slug: r.slug });
+  }
+  return out;
+}
+
+/* Tags with live post counts; publishedOnly counts (and keeps) only published posts */
+async function tagCloud(db, { publishedOnly = true, minCount = publishedOnly ? 1 : 0, limit = 100 } = {}) {
+  const { rows } = await db.query(
+    `SELECT t.id, t.name, t.slug,
+            COUNT(b.id)::int AS post_count,
+            MAX(COALESCE(b.published_at, b.updated_at)) AS last_post_at
+     FROM blog_tags t
+     LEFT JOIN blog_tag_map m ON m.tag_id = t.id
+     LEFT JOIN blogs b ON b.id = m.blog_id AND b.deleted_at IS NULL
+                       AND ($1::boolean IS NOT TRUE OR b.is_published = TRUE)
+     GROUP BY t.id
+     HAVING COUNT(b.id) >= $2
+     ORDER BY post_count DESC, t.name
+     LIMIT $3`,
+    [publishedOnly, minCount, limit]
+  );
+  return rows;
+}
+
+module.exports = {
+  MAX_TAGS_PER_POST,
+  slugifyTag,
+  parseTagInput,
+  resolveTagIds,
+  setBlogTags,
+  loadTagsForBlogs,
+  tagCloud
+};
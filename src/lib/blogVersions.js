@@ -0,0 +1,181 @@
+// src/lib/blogVersions.js
+// Blog revision history (blog_versions).
+//
+// Every save of a post writes a snapshot of its editable fields into
+// blog_versions.content; restoring a version writes those fields back and
+// records a new snapshot (restored_from = the version id), so history is never
+// rewritten. Auto-save snapshots are pruned: beyond the newest
+// BLOG_AUTOSAVE_KEEP (default 20) per post, those older than
+// BLOG_AUTOSAVE_RETENTION_DAYS (default 14) are deleted. Manual saves are kept.
+
+const BLOG_AUTOSAVE_KEEP = Math.max(0, Number(process.env.BLOG_AUTOSAVE_KEEP || 20));
+const BLOG_AUTOSAVE_RETENTION_DAYS = Math.max(1, Number(process.env.BLOG_AUTOSAVE_RETENTION_DAYS || 14));
+
+// blogs columns captured by a snapshot (and written back by a restore)
+const VERSIONED_FIELDS = ['title', 'slug', 'excerpt', 'content', 'meta_title', 'meta_description', 'canonical_url', 'og_image'];
+// compared as plain values by diffSnapshots (content is diffed per block)
+const SCALAR_FIELDS = VERSIONED_FIELDS.filter((f) => f !== 'content');
+
+function snapshotFromRow(row) {
+  const snap = {};
+  for (const f of VERSIONED_FIELDS) snap[f] = row[f] === undefined ? null : row[f];
+  return snap;
+}
+
+// JSON with sorted keys: jsonb does not keep key order, so compare this instead
+function stableStringify(v) {
+  if (Array.isArray(v)) return `[${v.map(stableStringify).join(',')}]`;
+  if (v && typeof v === 'object') {
+    return `{${Object.keys(v).sort().map((k) => `${JSON.stringify(k)}:${stableStringify(v[k])}`).join(',')}}`;
+  }
+  return JSON.stringify(v === undefined ? null : v);
+}
+
+function sameSnapshot(a, b) {
+  return VERSIONED_FIELDS.every((f) => stableStringify(a[f]) === stableStringify(b[f]));
+}
+
+/**
+ * Snapshot the current state of a post. Skipped (returns null) when it matches
+ * the latest version, unless it records a restore. Returns the version row.
+ */
+async function snapshotBlog(db, blogId, { userId = null, isAutoSave = false, restoredFrom = null } = {}) {
+  const { rows } = await db.query(`SELECT ${VERSIONED_FIELDS.join(', ')} FROM blogs WHERE id = $1 LIMIT 1`, [blogId]);
+  if (!rows.length) return null;
+  const snap = snapshotFromRow(rows[0]);
+
+  if (!restoredFrom) {
+    const latest = await db.query(
+      'SELECT content FROM blog_versions WHERE blog_id = $1 ORDER BY created_at DESC LIMIT 1',
+      [blogId]
+    );
+    if (latest.rows.length && sameSnapshot(latest.rows[0].content || {}, snap)) return null;
+  } else {
+    snap.restored_from = restoredFrom;
+  }
+
+  const ins = await db.query(
+    `INSERT INTO blog_versions (blog_id, content, created_by, created_at, is_auto_save)
+     VALUES ($1, $2::jsonb, $3, NOW(), $4)
+     RETURNING id, blog_id, created_by, created_at, is_auto_save`,
+    [blogId, JSON.stringify(snap), userId, !!isAutoSave]
+  );
+  if (isAutoSave) await pruneAutoSaves(db, { blogId });
+  return ins.rows[0];
+}
+
+/* Apply the retention policy to auto-save versions (one post, or all). Returns rows deleted. */
+async function pruneAutoSaves(db, { blogId = null, keep = BLOG_AUTOSAVE_KEEP, retentionDays = BLOG_AUTOSAVE_RETENTION_DAYS } = {}) {
+  const { rowCount } = await db.query(
+    `DELETE FROM blog_versions v
+     USING (
+       SELECT id, ROW_NUMBER() OVER (PARTITION BY blog_id ORDER BY created_at DESC) AS rn
+       FROM blog_versions
+       WHERE is_auto_save = TRUE AND ($1::uuid IS NULL OR blog_id = $1::uuid)
+     ) ranked
+     WHERE v.id = ranked.id
+       AND ranked.rn > $2
+       AND v.created_at < NOW() - make_interval(days => $3::int)`,
+    [blogId, keep, retentionDays]
+  );
+  return rowCount;
+}
+
+/* Normalise stored content into a list of blocks (see ssrBlog deriveBodyHtml for the shapes) */
+function contentBlocks(content) {
+  if (content == null) return [];
+  const lines = (s) => String(s).split(/\r?\n/).filter((l) => l.trim() !== '');
+  if (typeof content === 'string') return lines(content);
+  if (Array.isArray(content.blocks)) return content.blocks; // canonical shape (lib/blogContent)
+  if (typeof content.html === 'string') return lines(content.html);
+  return [content];
+}
+
+// LCS table size limit (cells) for one diff; larger middles get a coarse diff
+const DIFF_MAX_CELLS = 1000000;
+
+/*
+ * Block-level diff (longest common subsequence). Returns { ops, coarse } with
+ * ops [{ op: 'equal' | 'removed' | 'added', from_index, to_index, block }].
+ * The common prefix and suffix are matched first; when the rest is larger
+ * than DIFF_MAX_CELLS it is reported as all removed + all added (coarse: true).
+ */
+function diffBlocks(fromBlocks, toBlocks) {
+  const a = fromBlocks.map(stableStringify);
+  const b = toBlocks.map(stableStringify);
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) { endA--; endB--; }
+
+  const ops = [];
+  const equal = (i, j) => ops.push({ op: 'equal', from_index: i, to_index: j, block: toBlocks[j] });
+  const removed = (i) => ops.push({ op: 'removed', from_index: i, to_index: null, block: fromBlocks[i] });
+  const added = (j) => ops.push({ op: 'added', from_index: null, to_index: j, block: toBlocks[j] });
+
+  for (let k = 0; k < start; k++) equal(k, k);
+
+  const n = endA - start;
+  const m = endB - start;
+  const coarse = n * m > DIFF_MAX_CELLS;
+  if (coarse) {
+    for (let i = start; i < endA; i++) removed(i);
+    for (let j = start; j < endB; j++) added(j);
+  } else {
+    const lcs = Array.from({ length: n + 1 }, () => new Int32Array(m + 1));
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        lcs[i][j] = a[start + i] === b[start + j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n || j < m) {
+      if (i < n && j < m && a[start + i] === b[start + j]) {
+        equal(start + i, start + j);
+        i++; j++;
+      } else if (i < n && (j === m || lcs[i + 1][j] >= lcs[i][j + 1])) {
+        removed(start + i);
+        i++;
+      } else {
+        added(start + j);
+        j++;
+      }
+    }
+  }
+
+  for (let k = 0; k < a.length - endA; k++) equal(endA + k, endB + k);
+  return { ops, coarse };
+}
+
+/* Diff two snapshots: changed scalar fields plus the block diff of content */
+function diffSnapshots(from, to) {
+  const fields = [];
+  for (const f of SCALAR_FIELDS) {
+    const a = from[f] === undefined ? null : from[f];
+    const b = to[f] === undefined ? null : to[f];
+    if (stableStringify(a) !== stableStringify(b)) fields.push({ field: f, from: a, to: b });
+  }
+  const { ops: blocks, coarse } = diffBlocks(contentBlocks(from.content), contentBlocks(to.content));
+  return {
+    fields,
+    content: {
+      changed: blocks.some((o) => o.op !== 'equal'),
+      coarse,
+      added: blocks.filter((o) => o.op === 'added').length,
+      removed: blocks.filter((o) => o.op === 'removed').length,
+      blocks
+    }
+  };
+}
+
+module.exports = {
+  BLOG_AUTOSAVE_KEEP,
+  BLOG_AUTOSAVE_RETENTION_DAYS,
+  VERSIONED_FIELDS,
+  snapshotFromRow,
+  snapshotBlog,
+  pruneAutoSaves,
+  diffSnapshots
+};
@@ -0,0 +1,232 @@
+// src/lib/categorySchema.js
+// Category attribute schemas (categories.attribute_schema) and validation of
+// product metadata against them.
+//
+// Schema: { attributes: [attr], additional: boolean }
+//   attr: { key, label?, type: 'string'|'number'|'enum'|'unit', required?, aliases?,
+//           values? (enum), units?, default_unit? (unit), min?, max? (number/unit),
+//           max_length? (string) }
+//
+// Metadata keys are matched case-insensitively against key + aliases and moved
+// to the canonical key, so "Origin" / "country_of_origin" both land in "origin".
+// Child categories inherit their ancestors' attributes (closest definition wins).
+
+const KEY_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+const ATTRIBUTE_TYPES = new Set(['string', 'number', 'enum', 'unit']);
+const MAX_ATTRIBUTES = 100;
+const MAX_ANCESTOR_DEPTH = 20;
+
+const EMPTY_SCHEMA = { attributes: [], additional: true };
+
+function isNum(v) {
+  return typeof v === 'number' && Number.isFinite(v);
+}
+
+function strList(v) {
+  return Array.isArray(v) ? v.map((s) => String(s).trim()).filter(Boolean) : null;
+}
+
+/**
+ * Validate an attribute_schema definition from a category create/update body.
+ * Returns { schema } (cleaned) or { error, detail }.
+ */
+function validateSchemaDefinition(input) {
+  if (input == null) return { schema: EMPTY_SCHEMA };
+  if (typeof input !== 'object' || Array.isArray(input)) return { error: 'invalid_attribute_schema' };
+
+  const list = input.attributes == null ? [] : input.attributes;
+  if (!Array.isArray(list)) return { error: 'invalid_attribute_schema' };
+  if (list.length > MAX_ATTRIBUTES) return { error: 'too_many_attributes' };
+
+  const seen = new Set();
+  const attributes = [];
+
+  for (const a of list) {
+    if (!a || typeof a !== 'object') return { error: 'invalid_attribute' };
+    const key = String(a.key || '').trim();
+    if (!KEY_RE.test(key)) return { error: 'invalid_attribute_key', detail: key };
+    if (!ATTRIBUTE_TYPES.has(a.type)) return { error: 'invalid_attribute_type', detail: key };
+
+    const aliases = (strList(a.aliases) || []).filter((s) => s.toLowerCase() !== key.toLowerCase());
+    for (const name of [key, ...aliases]) {
+      const lower = name.toLowerCase();
+      if (seen.has(lower)) return { error: 'duplicate_attribute_key', detail: name };
+      seen.add(lower);
+    }
+
+    const attr = { key, type: a.type, required: !!a.required };
+    if (a.label) attr.label = String(a.label).trim().slice(0, 120);
+    if (aliases.length) attr.aliases = aliases;
+
+    if (a.type === 'enum') {
+      const values = strList(a.values);
+      if (!values || !values.length) return { error: 'enum_values_required', detail: key };
+      attr.values = [...new Set(values)];
+    }
+
+    if (a.type === 'unit') {
+      const units = strList(a.units);
+      if (!units || !units.length) return { error: 'units_required', detail: key };
+      attr.units = [...new Set(units)];
+      if (a.default_unit != null) {
+        const du = attr.units.find((u) => u.toLowerCase() === String(a.default_unit).trim().toLowerCase());
+        if (!du) return { error: 'invalid_default_unit', detail: key };
+        attr.default_unit = du;
+      }
+    }
+
+    if (a.type === 'number' || a.type === 'unit') {
+      for (const b of ['min', 'max']) {
+        if (a[b] == null || a[b] === '') continue;
+        if (!isNum(Number(a[b]))) return { error: `invalid_attribute_${b}`, detail: key };
+        attr[b] = Number(a[b]);
+      }
+      if (attr.min != null && attr.max != null && attr.min > attr.max) return { error: 'invalid_attribute_range', detail: key };
+    }
+
+    if (a.type === 'string' && a.max_length != null) {
+      const n = Number(a.max_length);
+      if (!Number.isInteger(n) || n < 1) return { error: 'invalid_attribute_max_length', detail: key };
+      attr.max_length = n;
+    }
+
+    attributes.push(attr);
+  }
+
+  return { schema: { attributes, additional: input.additional !== false } };
+}
+
+/*
+ * Effective schema for a category: own attributes plus inherited ones from
+ * ancestors (a child's definition of a key overrides its parent's). The
+ * closest category's `additional` flag applies.
+ */
+async function loadEffectiveSchema(db, categoryId) {
+  if (!categoryId) return EMPTY_SCHEMA;
+
+  const { rows } = await db.query(
+    `WITH RECURSIVE chain AS (
+       SELECT id, parent_id, attribute_schema, 0 AS depth
+       FROM categories WHERE id = $1
+       UNION ALL
+       SELECT c.id, c.parent_id, c.attribute_schema, chain.depth + 1
+       FROM categories c
+       JOIN chain ON c.id = chain.parent_id
+       WHERE chain.depth < $2
+     )
+     SELECT attribute_schema FROM chain ORDER BY depth ASC`,
+    [categoryId, MAX_ANCESTOR_DEPTH]
+  );
+  if (!rows.length) return EMPTY_SCHEMA;
+
+  const byKey = new Map();
+  for (const r of rows) {
+    const s = r.attribute_schema || EMPTY_SCHEMA;
+    for (const a of s.attributes || []) {
+      if (!byKey.has(a.key.toLowerCase())) byKey.set(a.key.toLowerCase(), a);
+    }
+  }
+
+  const own = rows[0].attribute_schema || EMPTY_SCHEMA;
+  return { attributes: [...byKey.values()], additional: own.additional !== false };
+}
+
+/* Coerce one value to the attribute's type: { value } or { error } */
+function coerceValue(attr, raw) {
+  if (raw != null && typeof raw === 'object' && attr.type !== 'unit') return { error: 'invalid_type' };
+
+  if (attr.type === 'string') {
+    const s = String(raw).trim();
+    if (attr.max_length && s.length > attr.max_length) return { error: 'too_long' };
+    return { value: s };
+  }
+
+  if (attr.type === 'enum') {
+    const s = String(raw).trim().toLowerCase();
+    const match = attr.values.find((v) => v.toLowerCase() === s);
+    return match ? { value: match } : { error: 'not_allowed' };
+  }
+
+  let num;
+  let unit = null;
+
+  if (attr.type === 'number') {
+    num = typeof raw === 'number' ? raw : Number(String(raw).trim().replace(/,/g, ''));
+  } else {
+    // unit: { value, unit } or "25 kg" / "25kg" / "25" (default_unit)
+    let rawUnit;
+    if (raw && typeof raw === 'object') {
+      num = Number(raw.value);
+      rawUnit = raw.unit;
+    } else {
+      const m = /^\s*(-?\d+(?:[.,]\d+)?)\s*(\S.*)?$/.exec(String(raw));
+      if (!m) return { error: 'invalid_number' };
+      num = Number(m[1].replace(',', '.'));
+      rawUnit = m[2];
+    }
+    const wanted = rawUnit == null || String(rawUnit).trim() === '' ? attr.default_unit : String(rawUnit).trim();
+    if (!wanted) return { error: 'unit_required' };
+    unit = attr.units.find((u) => u.toLowerCase() === wanted.toLowerCase());
+    if (!unit) return { error: 'invalid_unit' };
+  }
+
+  if (!isNum(num)) return { error: 'invalid_number' };
+  if (attr.min != null && num < attr.min) return { error: 'below_min' };
+  if (attr.max != null && num > attr.max) return { error: 'above_max' };
+
+  return { value: attr.type === 'unit' ? { value: num, unit } : num };
+}
+
+function isBlank(v) {
+  return v == null || (typeof v === 'string' && v.trim() === '');
+}
+
+/**
+ * Validate + normalize metadata against a (effective) schema.
+ * Returns { metadata, errors } — errors is [{ key, error, allowed? }], empty when valid.
+ * Keys outside the schema pass through untouched unless schema.additional is false.
+ */
+function validateMetadata(schema, metadata) {
+  const src = metadata && typeof metadata === 'object' && !Array.isArray(metadata) ? metadata : {};
+  const attrs = (schema && schema.attributes) || [];
+  if (!attrs.length && (!schema || schema.additional !== false)) return { metadata: { ...src }, errors: [] };
+
+  const lookup = new Map();
+  for (const a of attrs) {
+    lookup.set(a.key.toLowerCase(), a);
+    for (const al of a.aliases || []) lookup.set(al.toLowerCase(), a);
+  }
+
+  const out = {};
+  const errors = [];
+
+  for (const [k, v] of Object.entries(src)) {
+    const attr = lookup.get(k.toLowerCase());
+    if (!attr) {
+      if (schema.additional === false) errors.push({ key: k, error: 'unknown_attribute' });
+      else out[k] = v;
+      continue;
+    }
+    if (isBlank(v)) continue;
+
+    const r = coerceValue(attr, v);
+    if (r.error) {
+      const e = { key: attr.key, error: r.error };
+      if (r.error === 'not_allowed') e.allowed = attr.values;
+      if (r.error === 'invalid_unit') e.allowed = attr.units;
+      errors.push(e);
+    } else {
+      out[attr.key] = r.value;
+    }
+  }
+
+  for (const a of attrs) {
+    if (a.required && out[a.key] === undefined && !errors.some((e) => e.key === a.key)) {
+      errors.push({ key: a.key, error: 'required' });
+    }
+  }
+
+  return { metadata: out, errors };
+}
+
+module.exports = { EMPTY_SCHEMA, validateSchemaDefinition, loadEffectiveSchema, validateMetadata };
@@ -0,0 +1,114 @@
+// src/lib/categoryTree.js
+// Category hierarchy helpers over categories.parent_id: nested tree with
+// rolled-up product counts, breadcrumbs, cycle detection for moves and
+// sibling reordering.
+
+const MAX_DEPTH = 20;
+
+/* Sibling order used everywhere categories are listed */
+function compareSiblings(a, b) {
+  const sa = a.sort_order == null ? Infinity : a.sort_order;
+  const sb = b.sort_order == null ? Infinity : b.sort_order;
+  if (sa !== sb) return sa - sb;
+  return String(a.name || '').localeCompare(String(b.name || ''));
+}
+
+/**
+ * Nested category tree. Each node: { id, slug, name, description, parent_id,
+ * sort_order, trade_type, image, depth, product_count, total_product_count, children }
+ * product_count is the category's own products; total_product_count includes
+ * all descendants. publishedOnly limits counts to published products.
+ * rootId returns just that subtree ([] when unknown); maxDepth trims deeper levels
+ * (counts still include them).
+ */
+async function loadCategoryTree(db, { publishedOnly = true, rootId = null, maxDepth = null } = {}) {
+  const { rows } = await db.query(
+    `SELECT c.id, c.slug, c.name, c.description, c.parent_id, c.sort_order, c.trade_type, c.image,
+            COALESCE(pc.product_count, 0) AS product_count
+     FROM categories c
+     LEFT JOIN (
+       SELECT category_id, COUNT(*)::int AS product_count
+       FROM products
+       WHERE deleted_at IS NULL ${publishedOnly ? 'AND is_published = TRUE' : ''}
+       GROUP BY category_id
+     ) pc ON pc.category_id = c.id
+     WHERE c.deleted_at IS NULL`
+  );
+
+  const byId = new Map();
+  for (const r of rows) byId.set(String(r.id), { ...r, children: [] });
+
+  const roots = [];
+  for (const node of byId.values()) {
+    const parent = node.parent_id != null ? byId.get(String(node.parent_id)) : null;
+    // dangling parent ids surface as roots rather than disappearing
+    if (parent) parent.children.push(node);
+    else roots.push(node);
+  }
+
+  const visit = (node, depth, seen) => {
+    seen.add(String(node.id));
+    node.depth = depth;
+    node.children = node.children.filter((c) => !seen.has(String(c.id)));
+    node.children.sort(compareSiblings);
+    node.total_product_count = node.product_count;
+    for (const child of node.children) {
+      visit(child, depth + 1, seen);
+      node.total_product_count += child.total_product_count;
+    }
+    if (maxDepth != null && depth >= maxDepth) node.children = [];
+  };
+
+  roots.sort(compareSiblings);
+
+  if (rootId) {
+    const root = byId.get(String(rootId));
+    if (!root) return [];
+    visit(root, 0, new Set());
+    return [root];
+  }
+
+  const seen = new Set();
+  for (const r of roots) visit(r, 0, seen);
+  return roots;
+}
+
+/* Ancestors of a category, root first, ending with the category itself */
+async function loadBreadcrumbs(db, categoryId) {
+  if (!categoryId) return [];
+  const { rows } = await db.query(
+    `WITH RECURSIVE chain AS (
+       SELECT id, slug, name, parent_id, 0 AS depth
+       FROM categories WHERE id = $1
+       UNION ALL
+       SELECT c.id, c.slug, c.name, c.parent_id, chain.depth + 1
+       FROM categories c
+       JOIN chain ON c.id = chain.parent_id
+       WHERE chain.depth < $2
+     )
+     SELECT id, slug, name FROM chain ORDER BY depth DESC`,
+    [categoryId, MAX_DEPTH]
+  );
+  return rows;
+}
+
+/* True when making parentId the parent of categoryId would create a cycle */
+async function wouldCreateCycle(db, categoryId, parentId) {
+  if (!parentId) return false;
+  if (String(parentId) === String(categoryId)) return true;
+  const { rows } = await db.query(
+    `WITH RECURSIVE chain AS (
+       SELECT id, parent_id, 0 AS depth FROM categories WHERE id = $1
+       UNION ALL
+       SELECT c.id, c.parent_id, chain.depth + 1
+       FROM categories c
+       JOIN chain ON c.id = chain.parent_id
+       WHERE chain.depth < $3
+     )
+     SELECT 1 FROM chain WHERE id = $2 LIMIT 1`,
+    [parentId, categoryId, MAX_DEPTH * 5]
+  );
+  return rows.length > 0;
+}
+
+module.exports = { compareSiblings, loadCategoryTree, loadBreadcrumbs, wouldCreateCycle };
@@ -0,0 +1,98 @@
+// src/lib/commentSpam.js
+// Local spam scoring for blog comments (no external service).
+//
+// Heuristics, each adding to the score with a reason code:
+//   honeypot        hidden form field (COMMENT_HONEYPOT_FIELD, default "website") was filled
+//   links           links in the body / name
+//   blocklist       blocklisted words (defaults + COMMENT_BLOCKLIST, comma separated)
+//   repeat_ip       several comments from the same IP in the last COMMENT_REPEAT_WINDOW_MIN minutes
+//   repeat_email    same for the email address
+//   duplicate       the same body was posted recently
+// A score >= COMMENT_SPAM_THRESHOLD (default 50) files the comment as spam.
+
+const COMMENT_SPAM_THRESHOLD = Math.max(1, Number(process.env.COMMENT_SPAM_THRESHOLD || 50));
+const COMMENT_HONEYPOT_FIELD = process.env.COMMENT_HONEYPOT_FIELD || 'website';
+const REPEAT_WINDOW_MIN = Math.max(1, Number(process.env.COMMENT_REPEAT_WINDOW_MIN || 10));
+const REPEAT_LIMIT = Math.max(1, Number(process.env.COMMENT_REPEAT_LIMIT || 3));
+
+const DEFAULT_BLOCKLIST = [
+  'viagra', 'cialis', 'casino', 'porn', 'xxx', 'escort', 'payday loan', 'bitcoin doubler',
+  'crypto signals', 'seo services', 'backlinks', 'buy followers', 'work from home', 'forex signals'
+];
+const BLOCKLIST = DEFAULT_BLOCKLIST.concat(
+  String(process.env.COMMENT_BLOCKLIST || '').split(',').map((w) => w.trim().toLowerCase()).filter(Boolean)
+);
+
+const LINK_RE = /(https?:\/\/|www\.|<a\s|\[url)/gi;
+
+function escapeRe(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+const BLOCKLIST_RES = BLOCKLIST.map((w) => ({ word: w, re: new RegExp(`\\b${escapeRe(w)}\\b`, 'i') }));
+
+/* Score from the submission alone (no db); returns { score, reasons } */
+function scoreContent({ body = '', name = '', honeypot = '' } = {}) {
+  let score = 0;
+  const reasons = [];
+
+  if (honeypot && String(honeypot).trim()) {
+    score += 100;
+    reasons.push('honeypot');
+  }
+
+  const links = (String(body).match(LINK_RE) || []).length + (String(name).match(LINK_RE) || []).length;
+  if (links) {
+    // one link is common in genuine comments; every extra one weighs more
+    score += 10 + (links - 1) * 20;
+    reasons.push(`links:${links}`);
+  }
+
+  const text = `${name} ${body}`;
+  for (const { word, re } of BLOCKLIST_RES) {
+    if (re.test(text)) {
+      score += 30;
+      reasons.push(`blocklist:${word}`);
+    }
+  }
+
+  return { score, reasons };
+}
+
+/* Full score: content heuristics + recent submissions from the same ip / email */
+async function scoreComment(db, { body, name, email, ip, honeypot }) {
+  const { score: contentScore, reasons } = scoreContent({ body, name, honeypot });
+  let score = contentScore;
+
+  const { rows } = await db.query(
+    `SELECT
+       COUNT(*) FILTER (WHERE $1::text IS NOT NULL AND ip = $1)::int AS same_ip,
+       COUNT(*) FILTER (WHERE $2::text IS NOT NULL AND lower(email) = lower($2))::int AS same_email,
+       COUNT(*) FILTER (WHERE md5(body) = md5($3))::int AS same_body
+     FROM blog_comments
+     WHERE created_at > NOW() - make_interval(mins => $4::int)
+       AND (($1::text IS NOT NULL AND ip = $1) OR ($2::text IS NOT NULL AND lower(email) = lower($2)) OR md5(body) = md5($3))`,
+    [ip || null, email || null, String(body || ''), REPEAT_WINDOW_MIN]
+  );
+  const r = rows[0] || {};
+  if (r.same_ip >= REPEAT_LIMIT) {
+    score += 30;
+    reasons.push(`repeat_ip:${r.same_ip}`);
+  }
+  if (r.same_email >= REPEAT_LIMIT) {
+    score += 30;
+    reasons.push(`repeat_email:${r.same_email}`);
+  }
+  if (r.same_body > 0) {
+    score += 40;
+    reasons.push('duplicate');
+  }
+
+  return { score, reasons, is_spam: score >= COMMENT_SPAM_THRESHOLD };
+}
+
+module.exports = {
+  COMMENT_SPAM_THRESHOLD,
+  COMMENT_HONEYPOT_FIELD,
+  scoreContent,
+  scoreComment
+};
@@ -0,0 +1,109 @@
+// src/lib/cursor.js
+// Opaque keyset ("cursor") pagination helpers for list routes.
+//
+// A sort spec describes the ORDER BY of a list in keyset form:
+//   { name, dir: 'ASC'|'DESC', keys: [{ expr, type }], id: { expr, type } }
+// All keys share one direction and `id` is the tie-breaker, so the next page
+// is a single row comparison: (k1, k2, id) < ($1, $2, $3).
+// Nullable sort columns must be COALESCE'd in `expr` (NULL breaks row comparison).
+//
+// The cursor itself is base64url JSON { s: spec name, v: [sort values as text], id }.
+// Values are taken from Postgres as ::text so timestamps keep microsecond precision.
+
+function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload), 'utf8').toString('base64url');
+}
+
+function decodeCursor(str) {
+  try {
+    const obj = JSON.parse(Buffer.from(String(str), 'base64url').toString('utf8'));
+    if (!obj || typeof obj.s !== 'string' || !Array.isArray(obj.v) || obj.id == null) return null;
+    return obj;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Read ?cursor from the query.
+ *   - absent        -> { enabled: false }             (classic page/limit mode)
+ *   - empty string  -> { enabled: true, cursor: null } (first page in cursor mode)
+ *   - token         -> { enabled: true, cursor }       (or { error: 'invalid_cursor' })
+ */
+function readCursor(query, spec) {
+  if (!query || query.cursor === undefined) return { enabled: false, cursor: null };
+  const raw = String(query.cursor || '').trim();
+  if (!raw) return { enabled: true, cursor: null };
+
+  const cursor = decodeCursor(raw);
+  if (!cursor || cursor.s !== spec.name || cursor.v.length !== spec.keys.length) {
+    return { enabled: true, cursor: null, error: 'invalid_cursor' };
+  }
+  return { enabled: true, cursor };
+}
+
+/* ?include_total=false skips the COUNT(*) query (default: count) */
+function wantsTotal(query) {
+  return String((query && query.include_total) || '').toLowerCase() !== 'false';
+}
+
+/**
+ * Append the keyset condition for `cursor` to an existing WHERE clause
+ * (which may be ''), pushing the cursor values onto `params`.
+ */
+function appendCursorWhere(where, spec, cursor, params) {
+  if (!cursor) return where;
+
+  const lhs = [...spec.keys.map((k) => k.expr), spec.id.expr];
+  const rhs = [];
+  cursor.v.forEach((v, i) => {
+    params.push(v);
+    rhs.push(`$${params.length}::${spec.keys[i].type}`);
+  });
+  params.push(cursor.id);
+  rhs.push(`$${params.length}::${spec.id.type}`);
+
+  const cond = `(${lhs.join(', ')}) ${spec.dir === 'ASC' ? '>' : '<'} (${rhs.join(', ')})`;
+  return where ? `${where} AND ${cond}` : `WHERE ${cond}`;
+}
+
+/* ORDER BY list for a spec (keys then id, same direction) */
+function cursorOrderSql(spec) {
+  return [...spec.keys.map((k) => k.expr), spec.id.expr].map((e) => `${e} ${spec.dir}`).join(', ');
+}
+
+/* SELECT-list fragment exposing the row's sort values as text[] (leading comma) */
+function cursorSelectSql(spec) {
+  return `,
+        ARRAY[${spec.keys.map((k) => `(${k.expr})::text`).join(', ')}] AS cursor_sort`;
+}
+
+/**
+ * Rows must be fetched with LIMIT limit + 1.
+ * Trims the look-ahead row, strips cursor_sort and returns next_cursor (null on the last page).
+ */
+function pageWithCursor(rows, limit, spec, idField = 'id') {
+  const hasMore = rows.length > limit;
+  const page = hasMore ? rows.slice(0, limit) : rows;
+  const last = page[page.length - 1];
+
+  const next_cursor = hasMore && last
+    ? encodeCursor({ s: spec.name, v: last.cursor_sort, id: String(last[idField]) })
+    : null;
+
+  return {
+    rows: page.map(({ cursor_sort, ...rest }) => rest),
+    next_cursor
+  };
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  readCursor,
+  wantsTotal,
+  appendCursorWhere,
+  cursorOrderSql,
+  cursorSelectSql,
+  pageWithCursor
+};
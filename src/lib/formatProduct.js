@@ -0,0 +1,61 @@
+// src/lib/formatProduct.js
+// Shared product row formatter (used by products, search and other product-facing routes)
+
+/* Format product row for frontend */
+function formatPublicRow(row) {
+  let category = null;
+  try {
+    if (row.category && typeof row.category === 'string') category = JSON.parse(row.category);
+    else category = row.category || null;
+  } catch {
+    category = null;
+  }
+
+  // decide effective_trade_type: product trade_type if set else category.trade_type (if available) else 'both'
+  const product_trade_type = (row.trade_type == null) ? null : String(row.trade_type);
+  const category_trade_type = category && category.trade_type ? category.trade_type : null;
+  const effective_trade_type = product_trade_type || category_trade_type || 'both';
+
+  // Normalize og_image and primary_image to canonical full URLs
+  function normalizeSupabaseUrl(path) {
+  if (!path) return null;
+  if (path.startsWith('http')) return path;
+  return `https://kwthxsumqqssiywdcevx.supabase.co/storage/v1/object/public/sprada_storage/${path}`;
+}
+
+const ogImage = normalizeSupabaseUrl(
+  row.og_image || (row.metadata && row.metadata.og_image) || null
+);
+
+  const primaryImage = row.primary_image
+  ? row.primary_image.startsWith('http')
+    ? row.primary_image
+    : `https://kwthxsumqqssiywdcevx.supabase.co/storage/v1/object/public/sprada_storage/${row.primary_image}`
+  : null;
+
+  return {
+    id: row.id,
+    sku: row.sku || null,
+    title: row.title,
+    slug: row.slug,
+    short_description: row.short_description || row.description || null,
+    description: row.description || null,
+    price: row.price,
+    currency: row.currency,
+    moq: row.moq || 1,
+    available_qty: row.available_qty == null ? null : Number(row.available_qty),
+    is_published: !!row.is_published,
+    og_image: ogImage,
+    metadata: row.metadata || {},
+    category: category ? { ...category, trade_type: category_trade_type || 'both' } : null,
+    trade_type: product_trade_type, // explicit product-level value (nullable)
+    effective_trade_type, // computed effective value for convenience
+    primary_image: primaryImage || null,
+    publish_at: row.publish_at || null,
+    unpublish_at: row.unpublish_at || null,
+    created_at: row.created_at || null,
+    updated_at: row.updated_at || null
+  };
+}
+
+module.exports = { formatPublicRow };
@@ -0,0 +1,142 @@
+// src/lib/fx.js
+// Currency conversion over the fx_rates table (1 base = rate quote on rate_date).
+//
+// A pair is resolved from the latest rate on or before today: direct
+// (EUR->USD), inverse (USD->EUR stored, EUR->USD asked) or through the pivot
+// currency (INR->USD->EUR). The reported rate_date is the oldest leg used.
+//
+// Rounding is configured by env:
+//   FX_ROUND_INCREMENT  step converted amounts are rounded to (default 0.01)
+//   FX_ROUND_MODE       nearest | up | down (default nearest)
+//   FX_ROUND_OVERRIDES  per-currency steps, e.g. "JPY:1,KRW:10"
+
+const FX_PIVOT = (process.env.FX_PIVOT_CURRENCY || 'USD').toUpperCase();
+const FX_CACHE_TTL_MS = Number(process.env.FX_CACHE_TTL_MS || 60000);
+
+const ROUND_MODES = new Set(['nearest', 'up', 'down']);
+const ROUND_INCREMENT = Number(process.env.FX_ROUND_INCREMENT) > 0 ? Number(process.env.FX_ROUND_INCREMENT) : 0.01;
+const ROUND_MODE = ROUND_MODES.has(process.env.FX_ROUND_MODE) ? process.env.FX_ROUND_MODE : 'nearest';
+const ROUND_OVERRIDES = String(process.env.FX_ROUND_OVERRIDES || '')
+  .split(',')
+  .map((s) => s.split(':').map((x) => x.trim()))
+  .filter(([c, inc]) => /^[A-Za-z]{3}$/.test(c || '') && Number(inc) > 0)
+  .reduce((acc, [c, inc]) => ({ ...acc, [c.toUpperCase()]: Number(inc) }), {});
+
+/* 'eur' -> 'EUR'; anything that isn't a 3-letter code -> null */
+function normalizeCurrency(v) {
+  const s = String(v || '').trim().toUpperCase();
+  return /^[A-Z]{3}$/.test(s) ? s : null;
+}
+
+function roundingFor(currency) {
+  return { increment: ROUND_OVERRIDES[currency] || ROUND_INCREMENT, mode: ROUND_MODE };
+}
+
+/* Round to the currency's increment; works in integer steps to avoid float drift */
+function roundAmount(amount, currency) {
+  const { increment, mode } = roundingFor(currency);
+  const steps = amount / increment;
+  const eps = 1e-9;
+  const n = mode === 'up' ? Math.ceil(steps - eps) : mode === 'down' ? Math.floor(steps + eps) : Math.round(steps);
+  const decimals = Math.max(0, (String(increment).split('.')[1] || '').length);
+  return Number((n * increment).toFixed(decimals));
+}
+
+let cache = { at: 0, rates: null };
+
+/* Drop cached rates (call after writes) */
+function invalidateFxCache() {
+  cache = { at: 0, rates: null };
+}
+
+/* Latest rate per pair as of today: Map "BASE/QUOTE" -> { rate, rate_date } */
+async function loadLatestRates(db) {
+  if (cache.rates && Date.now() - cache.at < FX_CACHE_TTL_MS) return cache.rates;
+
+  const { rows } = await db.query(
+    `SELECT DISTINCT ON (base_currency, quote_currency)
+       base_currency, quote_currency, rate, rate_date::text AS rate_date
+     FROM fx_rates
+     WHERE rate_date <= CURRENT_DATE
+     ORDER BY base_currency, quote_currency, rate_date DESC`
+  );
+
+  const rates = new Map();
+  for (const r of rows) {
+    rates.set(`${r.base_currency}/${r.quote_currency}`, { rate: Number(r.rate), rate_date: r.rate_date });
+  }
+  cache = { at: Date.now(), rates };
+  return rates;
+}
+
+/* One leg: stored directly or as the inverse pair */
+function leg(rates, from, to) {
+  const direct = rates.get(`${from}/${to}`);
+  if (direct) return direct;
+  const inverse = rates.get(`${to}/${from}`);
+  if (inverse) return { rate: 1 / inverse.rate, rate_date: inverse.rate_date };
+  return null;
+}
+
+/* Resolve from -> to; returns { rate, rate_date } or null */
+function resolveRate(rates, from, to) {
+  if (from === to) return { rate: 1, rate_date: null };
+
+  const one = leg(rates, from, to);
+  if (one) return one;
+
+  if (from !== FX_PIVOT && to !== FX_PIVOT) {
+    const a = leg(rates, from, FX_PIVOT);
+    const b = leg(rates, FX_PIVOT, to);
+    if (a && b) {
+      return { rate: a.rate * b.rate, rate_date: a.rate_date < b.rate_date ? a.rate_date : b.rate_date };
+    }
+  }
+  return null;
+}
+
+/**
+ * Converter into `target` backed by the current rates.
+ * convert(amount, fromCurrency) -> { amount, currency, original_amount,
+ *   original_currency, rate, rate_date } or null when no rate is known.
+ */
+async function getConverter(db, target) {
+  const rates = await loadLatestRates(db);
+
+  const convert = (amount, from) => {
+    if (amount == null || amount === '') return null;
+    const src = normalizeCurrency(from);
+    if (!src) return null;
+    const r = resolveRate(rates, src, target);
+    if (!r) return null;
+    const original = Number(amount);
+    return {
+      amount: roundAmount(original * r.rate, target),
+      currency: target,
+      original_amount: original,
+      original_currency: src,
+      rate: Number(r.rate.toPrecision(10)),
+      rate_date: r.rate_date
+    };
+  };
+
+  return { target, convert };
+}
+
+/* Attach converted_price to a formatted product ({ price, currency }) */
+function withConvertedPrice(product, converter) {
+  if (!converter) return product;
+  return { ...product, converted_price: converter.convert(product.price, product.currency) };
+}
+
+module.exports = {
+  FX_PIVOT,
+  normalizeCurrency,
+  roundAmount,
+  roundingFor,
+  loadLatestRates,
+  resolveRate,
+  getConverter,
+  withConvertedPrice,
+  invalidateFxCache
+};
@@ -0,0 +1,225 @@
+// src/lib/htmlSanitizer.js
+// Allowlist HTML sanitizer for blog content (no dependencies).
+//
+// parseHtml() tokenizes HTML into a small tree keeping only allowlisted tags
+// and attributes: script-like elements are dropped with their content, other
+// unknown tags are unwrapped (their text is kept), URLs must be http(s),
+// mailto, tel or relative, and unclosed tags are closed. serialize() turns the
+// tree back into HTML; sanitizeHtml() does both.
+
+const ALLOWED_TAGS = new Set([
+  'p', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6',
+  'strong', 'b', 'em', 'i', 'u', 's', 'del', 'ins', 'mark', 'sub', 'sup', 'small',
+  'blockquote', 'q', 'cite', 'code', 'pre', 'kbd', 'abbr', 'time', 'span', 'div',
+  'ul', 'ol', 'li', 'dl', 'dt', 'dd',
+  'a', 'img', 'figure', 'figcaption',
+  'table', 'thead', 'tbody', 'tfoot', 'tr', 'th', 'td', 'caption'
+]);
+const VOID_TAGS = new Set(['br', 'hr', 'img']);
+// removed together with everything inside them
+const DROP_WITH_CONTENT = new Set([
+  'script', 'style', 'iframe', 'frame', 'frameset', 'object', 'embed', 'applet', 'noscript',
+  'template', 'svg', 'math', 'textarea', 'select', 'option', 'button', 'title', 'head'
+]);
+
+const GLOBAL_ATTRS = new Set(['title', 'lang', 'dir']);
+const TAG_ATTRS = {
+  a: new Set(['href', 'rel', 'target']),
+  img: new Set(['src', 'alt', 'width', 'height', 'loading']),
+  h1: new Set(['id']), h2: new Set(['id']), h3: new Set(['id']), h4: new Set(['id']), h5: new Set(['id']), h6: new Set(['id']),
+  td: new Set(['colspan', 'rowspan']), th: new Set(['colspan', 'rowspan', 'scope']),
+  ol: new Set(['start', 'reversed', 'type']), li: new Set(['value']),
+  blockquote: new Set(['cite']), q: new Set(['cite']), time: new Set(['datetime']),
+  code: new Set(['class']), pre: new Set(['class'])
+};
+const URL_ATTRS = new Set(['href', 'src', 'cite']);
+const SAFE_SCHEMES = { href: ['http', 'https', 'mailto', 'tel'], src: ['http', 'https'], cite: ['http', 'https'] };
+
+const NAMED_ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(s) {
+  return String(s).replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : '';
+    }
+    const v = NAMED_ENTITIES[e.toLowerCase()];
+    return v !== undefined ? v : m;
+  });
+}
+
+// text keeps existing entities; bare '&', '<' and '>' are escaped
+function escapeText(s) {
+  return String(s)
+    .replace(/&(?!(#\d+|#x[0-9a-f]+|[a-z][a-z0-9]*);)/gi, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;');
+}
+
+function escapeAttr(s) {
+  return String(s).replace(/&/g, '&amp;').replace(/"/g, '&quot;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+}
+
+function safeUrl(attr, value) {
+  // decode and drop control / whitespace characters before reading the scheme ("jav&#x61;script:", "java\nscript:")
+  const v = decodeEntities(value).trim();
+  const probe = v.replace(/[\u0000- \u007f-\u009f]/g, '');
+  const m = probe.match(/^([a-z][a-z0-9+.-]*):/i);
+  if (!m) return probe.startsWith('//') ? `https:${v}` : v; // relative
+  return SAFE_SCHEMES[attr].includes(m[1].toLowerCase()) ? v : null;
+}
+
+function cleanAttrs(tag, rawAttrs) {
+  const allowed = TAG_ATTRS[tag];
+  const out = [];
+  for (const [nameRaw, valueRaw] of rawAttrs) {
+    const name = nameRaw.toLowerCase();
+    if (!GLOBAL_ATTRS.has(name) && !(allowed && allowed.has(name))) continue;
+    if (out.some(([n]) => n === name)) continue;
+    let value = valueRaw == null ? '' : valueRaw;
+    if (URL_ATTRS.has(name)) {
+      value = safeUrl(name, value);
+      if (value == null || value === '') continue;
+    } else {
+      value = decodeEntities(value);
+    }
+    if (name === 'class') {
+      // only code highlighting hints survive
+      value = value.split(/\s+/).filter((c) => /^language-[\w-]+$/.test(c)).join(' ');
+      if (!value) continue;
+    }
+    if (name === 'target' && value !== '_blank') continue;
+    out.push([name, value]);
+  }
+  if (tag === 'a' && out.some(([n, v]) => n === 'target' && v === '_blank')) {
+    const rel = out.find(([n]) => n === 'rel');
+    if (rel) rel[1] = Array.from(new Set(`${rel[1]} noopener noreferrer`.trim().split(/\s+/))).join(' ');
+    else out.push(['rel', 'noopener noreferrer']);
+  }
+  if (tag === 'img' && !out.some(([n]) => n === 'src')) return null;
+  return out;
+}
+
+function parseAttrs(s) {
+  const attrs = [];
+  const re = /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'=<>`]+)))?/g;
+  let m;
+  while ((m = re.exec(s))) attrs.push([m[1], m[2] ?? m[3] ?? m[4] ?? null]);
+  return attrs;
+}
+
+// index of the '>' closing a tag that starts at i, honouring quoted attribute values
+function tagEnd(html, i) {
+  let quote = null;
+  for (let j = i; j < html.length; j++) {
+    const c = html[j];
+    if (quote) { if (c === quote) quote = null; }
+    else if (c === '"' || c === "'") quote = c;
+    else if (c === '>') return j;
+  }
+  return -1;
+}
+
+/**
+ * Parse + sanitize HTML into nodes:
+ *   { type: 'text', text }            (text is already escaped)
+ *   { type: 'el', tag, attrs: [[name, value]], children }
+ */
+function parseHtml(input) {
+  const html = String(input == null ? '' : input);
+  const root = { type: 'el', tag: '#root', attrs: [], children: [] };
+  const stack = [root];
+  const top = () => stack[stack.length - 1];
+  let i = 0;
+  let text = '';
+
+  const flushText = () => {
+    if (text) top().children.push({ type: 'text', text: escapeText(text) });
+    text = '';
+  };
+
+  while (i < html.length) {
+    const lt = html.indexOf('<', i);
+    if (lt === -1) { text += html.slice(i); break; }
+    text += html.slice(i, lt);
+    i = lt;
+
+    if (html.startsWith('<!--', i)) {
+      const end = html.indexOf('-->', i + 4);
+      i = end === -1 ? html.length : end + 3;
+      continue;
+    }
+    if (html[i + 1] === '!' || html[i + 1] === '?') {
+      const end = html.indexOf('>', i);
+      i = end === -1 ? html.length : end + 1;
+      continue;
+    }
+
+    const m = /^<(\/?)([a-zA-Z][\w:-]*)/.exec(html.slice(i, i + 64));
+    if (!m) { text += '<'; i += 1; continue; }
+    const end = tagEnd(html, i + m[0].length);
+    if (end === -1) { text += html.slice(i); break; }
+
+    const closing = m[1] === '/';
+    const tag = m[2].toLowerCase();
+    const attrSrc = html.slice(i + m[0].length, end);
+    i = end + 1;
+
+    if (!closing && DROP_WITH_CONTENT.has(tag)) {
+      const close = new RegExp(`</${tag}\\s*>`, 'i').exec(html.slice(i));
+      i = close ? i + close.index + close[0].length : html.length;
+      continue;
+    }
+    if (!ALLOWED_TAGS.has(tag)) continue; // unwrap: keep the text around / inside it
+
+    flushText();
+    if (closing) {
+      const idx = stack.map((n) => n.tag).lastIndexOf(tag);
+      if (idx > 0) stack.length = idx; // closes anything left open inside it
+      continue;
+    }
+
+    const attrs = cleanAttrs(tag, parseAttrs(attrSrc));
+    if (!attrs) continue;
+    const node = { type: 'el', tag, attrs, children: [] };
+    top().children.push(node);
+    if (!VOID_TAGS.has(tag) && !/\/\s*$/.test(attrSrc)) stack.push(node);
+  }
+  flushText();
+  return root.children;
+}
+
+function serialize(nodes) {
+  return nodes.map((n) => {
+    if (n.type === 'text') return n.text;
+    const attrs = n.attrs.map(([k, v]) => ` ${k}="${escapeAttr(v)}"`).join('');
+    if (VOID_TAGS.has(n.tag)) return `<${n.tag}${attrs}>`;
+    return `<${n.tag}${attrs}>${serialize(n.children)}</${n.tag}>`;
+  }).join('');
+}
+
+/* Plain text of nodes (entities decoded); block-level elements are separated by spaces */
+function textContent(nodes) {
+  return nodes.map((n) => {
+    if (n.type === 'text') return decodeEntities(n.text);
+    if (n.tag === 'br' || n.tag === 'hr') return ' ';
+    if (n.tag === 'img') return '';
+    const inner = textContent(n.children);
+    return /^(p|h[1-6]|li|div|blockquote|pre|tr|td|th|dt|dd|figcaption|caption)$/.test(n.tag) ? ` ${inner} ` : inner;
+  }).join('');
+}
+
+function sanitizeHtml(html) {
+  return serialize(parseHtml(html));
+}
+
+module.exports = {
+  ALLOWED_TAGS,
+  parseHtml,
+  serialize,
+  textContent,
+  sanitizeHtml,
+  escapeText,
+  escapeAttr,
+  decodeEntities
+};
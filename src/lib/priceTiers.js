@@ -0,0 +1,169 @@
+// src/lib/priceTiers.js
+// Quantity price tiers (product_price_tiers) + MOQ-aware quoting.
+//
+// A tier's unit_price applies from its min_qty up to the next tier's min_qty.
+// Tiers can carry a validity window; outside it they are ignored. Below the
+// first active tier the product's base `price` applies.
+
+const MAX_TIERS_PER_PRODUCT = 50;
+
+/* ISO date string | '' | null -> Date | null; NaN date -> undefined (invalid) */
+function dateParam(v) {
+  if (v == null || v === '') return null;
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? undefined : d;
+}
+
+/* Windows overlap when each starts before the other ends (null = open-ended) */
+function windowsOverlap(a, b) {
+  const aFrom = a.valid_from ? a.valid_from.getTime() : -Infinity;
+  const aTo = a.valid_to ? a.valid_to.getTime() : Infinity;
+  const bFrom = b.valid_from ? b.valid_from.getTime() : -Infinity;
+  const bTo = b.valid_to ? b.valid_to.getTime() : Infinity;
+  return aFrom < bTo && bFrom < aTo;
+}
+
+/**
+ * Validate a price_tiers request body (array of
+ * { min_qty, unit_price, label?, valid_from?, valid_to? }).
+ * Returns { tiers } (sorted by min_qty) or { error }.
+ */
+function validatePriceTiers(input) {
+  if (!Array.isArray(input)) return { error: 'price_tiers_must_be_array' };
+  if (input.length > MAX_TIERS_PER_PRODUCT) return { error: 'too_many_price_tiers' };
+
+  const tiers = [];
+  for (const t of input) {
+    if (!t || typeof t !== 'object') return { error: 'invalid_price_tier' };
+
+    const min_qty = Number(t.min_qty);
+    if (!Number.isInteger(min_qty) || min_qty < 1) return { error: 'invalid_tier_min_qty' };
+
+    const unit_price = Number(t.unit_price);
+    if (t.unit_price === '' || t.unit_price == null || !Number.isFinite(unit_price) || unit_price < 0) {
+      return { error: 'invalid_tier_unit_price' };
+    }
+
+    const valid_from = dateParam(t.valid_from);
+    const valid_to = dateParam(t.valid_to);
+    if (valid_from === undefined || valid_to === undefined) return { error: 'invalid_tier_validity' };
+    if (valid_from && valid_to && valid_to <= valid_from) return { error: 'invalid_tier_validity' };
+
+    tiers.push({
+      min_qty,
+      unit_price: Math.round(unit_price * 100) / 100,
+      label: t.label ? String(t.label).trim().slice(0, 120) : null,
+      valid_from,
+      valid_to
+    });
+  }
+
+  // the same breakpoint may only be defined once for any point in time
+  for (let i = 0; i < tiers.length; i++) {
+    for (let j = i + 1; j < tiers.length; j++) {
+      if (tiers[i].min_qty === tiers[j].min_qty && windowsOverlap(tiers[i], tiers[j])) {
+        return { error: 'overlapping_price_tiers' };
+      }
+    }
+  }
+
+  tiers.sort((a, b) => a.min_qty - b.min_qty);
+  return { tiers };
+}
+
+/* Replace all tiers of a product (inside the caller's transaction) */
+async function replacePriceTiers(client, productId, tiers) {
+  await client.query('DELETE FROM product_price_tiers WHERE product_id = $1', [productId]);
+  for (const t of tiers) {
+    await client.query(
+      `INSERT INTO product_price_tiers
+         (product_id, min_qty, unit_price, label, valid_from, valid_to, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())`,
+      [productId, t.min_qty, t.unit_price, t.label, t.valid_from, t.valid_to]
+    );
+  }
+}
+
+function formatTier(row, at = new Date()) {
+  const from = row.valid_from ? new Date(row.valid_from) : null;
+  const to = row.valid_to ? new Date(row.valid_to) : null;
+  return {
+    id: row.id,
+    min_qty: Number(row.min_qty),
+    unit_price: Number(row.unit_price),
+    label: row.label || null,
+    valid_from: row.valid_from || null,
+    valid_to: row.valid_to || null,
+    is_active: (!from || from <= at) && (!to || to > at)
+  };
+}
+
+/**
+ * Load tiers for a product.
+ *   activeOnly -> only tiers valid at `at` (default now)
+ */
+async function loadPriceTiers(db, productId, { activeOnly = false, at = new Date() } = {}) {
+  const params = [productId];
+  let cond = '';
+  if (activeOnly) {
+    params.push(at);
+    cond = `AND (valid_from IS NULL OR valid_from <= $2) AND (valid_to IS NULL OR valid_to > $2)`;
+  }
+  const { rows } = await db.query(
+    `SELECT id, min_qty, unit_price, label, valid_from, valid_to
+     FROM product_price_tiers
+     WHERE product_id = $1 ${cond}
+     ORDER BY min_qty ASC, valid_from ASC NULLS FIRST`,
+    params
+  );
+  return rows.map((r) => formatTier(r, at));
+}
+
+/* money math in cents so 0.1 * 3 doesn't turn into 0.30000000000000004 */
+function toCents(n) {
+  return Math.round(Number(n) * 100);
+}
+
+/**
+ * Price `quantity` units of `product` ({ price, currency, moq, available_qty })
+ * against its active tiers. Returns the quote, or { error, ... } when the
+ * quantity is invalid or below MOQ.
+ */
+function buildQuote(product, tiers, quantity) {
+  const qty = Number(quantity);
+  if (!Number.isInteger(qty) || qty < 1) return { error: 'invalid_quantity' };
+
+  const moq = Number(product.moq) || 1;
+  if (qty < moq) return { error: 'below_moq', moq };
+
+  const active = tiers.filter((t) => t.is_active).sort((a, b) => a.min_qty - b.min_qty);
+  let tier = null;
+  for (const t of active) {
+    if (t.min_qty <= qty) tier = t;
+  }
+  const next = active.find((t) => t.min_qty > qty) || null;
+
+  const baseCents = toCents(product.price || 0);
+  const unitCents = tier ? toCents(tier.unit_price) : baseCents;
+  const totalCents = unitCents * qty;
+
+  const availableQty = product.available_qty == null ? null : Number(product.available_qty);
+
+  return {
+    quantity: qty,
+    moq,
+    currency: product.currency,
+    base_unit_price: baseCents / 100,
+    unit_price: unitCents / 100,
+    total: totalCents / 100,
+    savings: Math.max(0, (baseCents - unitCents) * qty) / 100,
+    tier: tier ? { id: tier.id, min_qty: tier.min_qty, label: tier.label } : null,
+    next_tier: next
+      ? { min_qty: next.min_qty, unit_price: next.unit_price, label: next.label, qty_to_reach: next.min_qty - qty }
+      : null,
+    available_qty: availableQty,
+    in_stock: availableQty == null ? null : availableQty >= qty
+  };
+}
+
+module.exports = { validatePriceTiers, replacePriceTiers, loadPriceTiers, buildQuote };
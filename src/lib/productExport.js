@@ -0,0 +1,187 @@
+// src/lib/productExport.js
+// Streaming product catalog export (CSV / XLSX / NDJSON).
+//
+// Columns are the importer's own targets (see productImport.js), so an exported
+// sheet can be edited and fed straight back into /api/products/import-jobs:
+// category_slug -> category, image_url -> images, metadata.<key> -> metadata.
+
+const ExcelJS = require('exceljs');
+const { buildImageUrl } = require('./buildUrl');
+const { PRODUCT_FROM, buildWhere } = require('./productFilters');
+const { appendCursorWhere, cursorOrderSql, cursorSelectSql } = require('./cursor');
+
+const EXPORT_BATCH_SIZE = Math.max(1, Number(process.env.EXPORT_BATCH_SIZE || 500));
+
+const EXPORT_FORMATS = {
+  csv: { type: 'text/csv; charset=utf-8', ext: 'csv' },
+  xlsx: { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx' },
+  ndjson: { type: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' }
+};
+
+const BASE_COLUMNS = [
+  'sku', 'title', 'slug', 'short_description', 'description',
+  'price', 'currency', 'moq', 'available_qty', 'is_published', 'trade_type',
+  'category_slug', 'meta_title', 'meta_description', 'og_image', 'image_url'
+];
+
+// walk the catalog in created_at order, keyset-paged so large exports stay cheap
+const EXPORT_SORT_SPEC = {
+  name: 'export',
+  dir: 'ASC',
+  keys: [{ expr: 'p.created_at', type: 'timestamptz' }],
+  id: { expr: 'p.id', type: 'uuid' }
+};
+
+/* Metadata keys present on the filtered products (become metadata.<key> columns) */
+async function exportMetadataKeys(db, filters) {
+  const params = [];
+  const { where } = buildWhere(filters, params);
+  const { rows } = await db.query(
+    `SELECT DISTINCT k.key
+     FROM ${PRODUCT_FROM}
+     CROSS JOIN LATERAL jsonb_object_keys(
+       CASE WHEN jsonb_typeof(p.metadata) = 'object' THEN p.metadata ELSE '{}'::jsonb END
+     ) AS k(key)
+     ${where}
+     ORDER BY k.key`,
+    params
+  );
+  return rows.map((r) => r.key);
+}
+
+/* Yield batches of filtered product rows until the catalog is exhausted */
+async function* exportBatches(db, filters) {
+  let cursor = null;
+  for (;;) {
+    const params = [];
+    const built = buildWhere(filters, params);
+    const where = appendCursorWhere(built.where, EXPORT_SORT_SPEC, cursor, params);
+
+    const { rows } = await db.query(
+      `SELECT
+         p.id, p.sku, p.title, p.slug, p.short_description, p.description,
+         p.price, p.currency, p.moq, p.available_qty, p.is_published, p.trade_type,
+         p.meta_title, p.meta_description, p.og_image, p.metadata,
+         c.slug AS category_slug,
+         pi.url AS primary_image${cursorSelectSql(EXPORT_SORT_SPEC)}
+       FROM ${PRODUCT_FROM}
+       LEFT JOIN LATERAL (
+         SELECT url FROM product_images
+         WHERE product_id = p.id AND is_primary = TRUE
+         ORDER BY created_at DESC LIMIT 1
+       ) pi ON TRUE
+       ${where}
+       ORDER BY ${cursorOrderSql(EXPORT_SORT_SPEC)}
+       LIMIT ${EXPORT_BATCH_SIZE}`,
+      params
+    );
+
+    if (!rows.length) return;
+    yield rows;
+    if (rows.length < EXPORT_BATCH_SIZE) return;
+
+    const last = rows[rows.length - 1];
+    cursor = { s: EXPORT_SORT_SPEC.name, v: last.cursor_sort, id: String(last.id) };
+  }
+}
+
+function metaCell(v) {
+  if (v == null) return '';
+  // unit attributes ({ value, unit }) are written the way the importer reads them: "25 kg"
+  if (typeof v === 'object' && !Array.isArray(v) && v.unit && v.value != null) return `${v.value} ${v.unit}`;
+  return typeof v === 'object' ? JSON.stringify(v) : String(v);
+}
+
+/* DB row -> flat record keyed by column name (CSV / XLSX) */
+function flatRecord(row, metaKeys) {
+  const meta = row.metadata && typeof row.metadata === 'object' ? row.metadata : {};
+  const rec = {
+    sku: row.sku || '',
+    title: row.title || '',
+    slug: row.slug || '',
+    short_description: row.short_description || '',
+    description: row.description || '',
+    price: row.price == null ? '' : Number(row.price),
+    currency: row.currency || '',
+    moq: row.moq == null ? '' : row.moq,
+    available_qty: row.available_qty == null ? '' : row.available_qty,
+    is_published: row.is_published ? 'true' : 'false',
+    trade_type: row.trade_type || '',
+    category_slug: row.category_slug || '',
+    meta_title: row.meta_title || '',
+    meta_description: row.meta_description || '',
+    og_image: row.og_image || '',
+    image_url: buildImageUrl(row.primary_image) || ''
+  };
+  for (const k of metaKeys) rec[`metadata.${k}`] = metaCell(meta[k]);
+  return rec;
+}
+
+/* DB row -> NDJSON object (metadata kept as an object) */
+function jsonRecord(row) {
+  return {
+    ...flatRecord(row, []),
+    price: row.price == null ? null : Number(row.price),
+    moq: row.moq,
+    available_qty: row.available_qty,
+    is_published: !!row.is_published,
+    metadata: row.metadata || {},
+    image_url: buildImageUrl(row.primary_image)
+  };
+}
+
+function csvCell(v) {
+  const s = v == null ? '' : String(v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/* Respect back-pressure so a slow client doesn't buffer the whole catalog */
+function write(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => res.once('drain', resolve));
+}
+
+/**
+ * Stream the filtered catalog to `res` in `format` (csv|xlsx|ndjson).
+ * Headers must not have been sent yet.
+ */
+async function streamProductExport(db, res, { format, filters, filename }) {
+  const fmt = EXPORT_FORMATS[format];
+  const metaKeys = format === 'ndjson' ? [] : await exportMetadataKeys(db, filters);
+  const columns = [...BASE_COLUMNS, ...metaKeys.map((k) => `metadata.${k}`)];
+
+  res.setHeader('Content-Type', fmt.type);
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}.${fmt.ext}"`);
+  res.setHeader('Cache-Control', 'no-store');
+
+  if (format === 'xlsx') {
+    const wb = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const ws = wb.addWorksheet('products');
+    ws.addRow(columns).commit();
+    for await (const rows of exportBatches(db, filters)) {
+      for (const row of rows) {
+        const rec = flatRecord(row, metaKeys);
+        ws.addRow(columns.map((c) => rec[c])).commit();
+      }
+    }
+    ws.commit();
+    await wb.commit();
+    return;
+  }
+
+  if (format === 'csv') {
+    await write(res, '\ufeff' + columns.map(csvCell).join(',') + '\r\n');
+  }
+
+  for await (const rows of exportBatches(db, filters)) {
+    const lines = rows.map((row) => {
+      if (format === 'ndjson') return JSON.stringify(jsonRecord(row)) + '\n';
+      const rec = flatRecord(row, metaKeys);
+      return columns.map((c) => csvCell(rec[c])).join(',') + '\r\n';
+    });
+    await write(res, lines.join(''));
+  }
+  res.end();
+}
+
+module.exports = { EXPORT_FORMATS, streamProductExport };
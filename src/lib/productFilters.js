@@ -0,0 +1,263 @@
+// src/lib/productFilters.js
+// Product listing filters + facet counts.
+// Shared by GET /api/products and anything that must honour "the same filters".
+//
+// Every filter is tagged with a facet key. Facet counts are computed with all
+// filters applied except the facet's own, so a selected value doesn't hide its
+// siblings in the storefront sidebar.
+
+const { buildRankedSearch } = require('./productSearch');
+const { OPTION_KEY_RE, variantExistsSql } = require('./productVariants');
+
+const ALLOWED_TRADE_TYPES = new Set(['import', 'export', 'both']);
+
+// metadata keys usable as ?meta[key]=... filters and facets
+const META_KEY_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const DEFAULT_FACET_KEYS = (process.env.PRODUCT_FACET_KEYS || 'origin,grade,packaging,hs_code')
+  .split(',')
+  .map((s) => s.trim())
+  .filter(Boolean);
+
+const FACET_VALUE_LIMIT = 50;
+
+// FROM clause every filter expression is written against
+const PRODUCT_FROM = 'products p LEFT JOIN categories c ON c.id = p.category_id';
+
+// in stock = the product itself or any active variant has stock
+const IN_STOCK_SQL = `(COALESCE(p.available_qty, 0) > 0 OR ${variantExistsSql('v.available_qty > 0')})`;
+
+/*
+ * Range condition matched by the product's own column or by a single active
+ * variant (both bounds on the same variant, not min on one and max on another).
+ */
+function rangeCondition(params, productExpr, variantExpr, min, max) {
+  const bounds = [];
+  if (min !== undefined) {
+    params.push(min);
+    bounds.push(['>=', `$${params.length}`]);
+  }
+  if (max !== undefined) {
+    params.push(max);
+    bounds.push(['<=', `$${params.length}`]);
+  }
+  const range = (expr) => bounds.map(([op, ref]) => `${expr} ${op} ${ref}`).join(' AND ');
+  return `((${range(productExpr)}) OR ${variantExistsSql(range(variantExpr))})`;
+}
+
+/* "a,b" | ['a','b'] -> ['a','b'] (trimmed, empties dropped) */
+function listParam(v) {
+  if (v == null) return [];
+  const arr = Array.isArray(v) ? v : String(v).split(',');
+  return arr.map((s) => String(s).trim()).filter(Boolean);
+}
+
+/* '' | undefined -> undefined, numeric string -> number, garbage -> NaN */
+function numberParam(v) {
+  if (v == null || v === '') return undefined;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+function boolParam(v) {
+  if (v == null || v === '') return undefined;
+  const s = String(v).toLowerCase();
+  if (s === 'true' || s === '1') return true;
+  if (s === 'false' || s === '0') return false;
+  return undefined;
+}
+
+/**
+ * Parse listing query params into filter descriptors.
+ * Returns { filters } or { error } (error is a 400 error code).
+ *
+ * Supported:
+ *   category_id, category_slug, q (+ search_mode=ranked), trade_type,
+ *   price_min, price_max, price_currency (comma list), moq_min, moq_max,
+ *   in_stock (true|false), meta[<key>]=v1,v2, variant[<option>]=v1,v2
+ * price / moq / in_stock match the product or any of its active variants.
+ */
+function parseProductFilters(query = {}) {
+  const filters = [];
+  const add = (key, apply) => filters.push({ key, apply });
+
+  const { category_id, category_slug, q, trade_type } = query;
+
+  if (category_id) {
+    add('category', (params) => {
+      params.push(category_id);
+      return `p.category_id = $${params.length}`;
+    });
+  }
+
+  if (category_slug) {
+    add('category', (params) => {
+      params.push(category_slug);
+      return `c.slug = $${params.length}`;
+    });
+  }
+
+  if (q && String(query.search_mode || '').toLowerCase() === 'ranked') {
+    add('q', (params, ctx) => {
+      const search = buildRankedSearch(q, params);
+      // a non-empty q without usable tokens matches nothing (not everything)
+      if (!search) return 'FALSE';
+      ctx.search = search;
+      return search.where;
+    });
+  } else if (q) {
+    add('q', (params) => {
+      params.push(`%${q}%`);
+      return `(p.title ILIKE $${params.length} OR p.slug ILIKE $${params.length} OR p.short_description ILIKE $${params.length})`;
+    });
+  }
+
+  // trade_type filter: product-level OR inherited from category
+  if (trade_type) {
+    const tt = String(trade_type).toLowerCase();
+    if (!ALLOWED_TRADE_TYPES.has(tt)) return { error: 'invalid_trade_type' };
+    add('trade_type', (params) => {
+      params.push(tt);
+      return `(COALESCE(NULLIF(lower(p.trade_type),''), lower(c.trade_type)) = $${params.length})`;
+    });
+  }
+
+  const priceMin = numberParam(query.price_min);
+  const priceMax = numberParam(query.price_max);
+  if (Number.isNaN(priceMin) || Number.isNaN(priceMax)) return { error: 'invalid_price_range' };
+  if (priceMin !== undefined || priceMax !== undefined) {
+    add('price', (params) =>
+      rangeCondition(params, 'p.price', 'COALESCE(v.price, p.price)', priceMin, priceMax));
+  }
+
+  // ?currency is the display currency (FX conversion), so the filter has its own name
+  const currencies = listParam(query.price_currency).map((s) => s.toUpperCase());
+  if (currencies.length) {
+    add('currency', (params) => {
+      params.push(currencies);
+      return `upper(p.currency) = ANY($${params.length}::text[])`;
+    });
+  }
+
+  const moqMin = numberParam(query.moq_min);
+  const moqMax = numberParam(query.moq_max);
+  if (Number.isNaN(moqMin) || Number.isNaN(moqMax)) return { error: 'invalid_moq_range' };
+  if (moqMin !== undefined || moqMax !== undefined) {
+    add('moq', (params) =>
+      rangeCondition(params, 'COALESCE(p.moq, 1)', 'COALESCE(v.moq, p.moq, 1)', moqMin, moqMax));
+  }
+
+  const inStock = boolParam(query.in_stock);
+  if (inStock === true) add('in_stock', () => IN_STOCK_SQL);
+  if (inStock === false) add('in_stock', () => `NOT ${IN_STOCK_SQL}`);
+
+  // metadata filters: ?meta[origin]=India&meta[grade]=A,B (case-insensitive match)
+  const meta = query.meta && typeof query.meta === 'object' ? query.meta : {};
+  for (const [k, v] of Object.entries(meta)) {
+    if (!META_KEY_RE.test(k)) return { error: 'invalid_metadata_key' };
+    const values = listParam(v).map((s) => s.toLowerCase());
+    if (!values.length) continue;
+    add(`meta.${k}`, (params) => {
+      params.push(k);
+      const keyRef = `$${params.length}`;
+      params.push(values);
+      return `lower(p.metadata->>${keyRef}) = ANY($${params.length}::text[])`;
+    });
+  }
+
+  // variant option filters: ?variant[packaging]=25 kg bag,50 kg bag (case-insensitive)
+  const variantOpts = query.variant && typeof query.variant === 'object' ? query.variant : {};
+  for (const [k, v] of Object.entries(variantOpts)) {
+    if (!OPTION_KEY_RE.test(k)) return { error: 'invalid_variant_option' };
+    const values = listParam(v).map((s) => s.toLowerCase());
+    if (!values.length) continue;
+    add(`variant.${k}`, (params) => {
+      params.push(k);
+      const keyRef = `$${params.length}`;
+      params.push(values);
+      return variantExistsSql(`lower(v.options->>${keyRef}) = ANY($${params.length}::text[])`);
+    });
+  }
+
+  return { filters };
+}
+
+/**
+ * Render filters into a WHERE clause, pushing values onto `params`.
+ * Options:
+ *   exclude -> facet key to leave out (for disjunctive facet counts)
+ *   base    -> extra raw conditions always applied (e.g. 'p.is_published = TRUE');
+ *              trashed products (deleted_at set) are always excluded
+ * Returns { where, search } — search is the ranked-search descriptor when q ran in ranked mode.
+ */
+function buildWhere(filters, params, { exclude = null, base = [] } = {}) {
+  const ctx = { search: null };
+  const parts = ['p.deleted_at IS NULL', ...base];
+  for (const f of filters) {
+    if (exclude && f.key === exclude) continue;
+    const sql = f.apply(params, ctx);
+    if (sql) parts.push(sql);
+  }
+  return { where: parts.length ? `WHERE ${parts.join(' AND ')}` : '', search: ctx.search };
+}
+
+/* ?facet_keys=origin,grade -> validated key list (defaults from PRODUCT_FACET_KEYS) */
+function facetKeys(v) {
+  const keys = listParam(v).filter((k) => META_KEY_RE.test(k));
+  return keys.length ? keys.slice(0, 20) : DEFAULT_FACET_KEYS;
+}
+
+/**
+ * Compute the facets block for the product listing.
+ * Each facet runs its own small aggregate with its own filter excluded, one
+ * after another so a listing request holds a single pool connection at a time.
+ * Metadata values are case-folded like the meta filter ({ value, label, count }:
+ * value lower-cased, label the most common spelling).
+ */
+async function computeFacets(db, filters, { keys = DEFAULT_FACET_KEYS, base = [] } = {}) {
+  const run = async (exclude, selectSql, tail = '', { params: seed = [], conditions = [] } = {}) => {
+    const params = [...seed];
+    const { where } = buildWhere(filters, params, { exclude, base: [...base, ...conditions] });
+    const { rows } = await db.query(`SELECT ${selectSql} FROM ${PRODUCT_FROM} ${where} ${tail}`, params);
+    return rows;
+  };
+
+  const categories = await run('category',
+    `c.id, c.slug, c.name, COUNT(*)::int AS count`,
+    `GROUP BY c.id, c.slug, c.name ORDER BY count DESC, c.name`);
+  const tradeTypes = await run('trade_type',
+    `COALESCE(NULLIF(lower(p.trade_type),''), lower(c.trade_type), 'both') AS value, COUNT(*)::int AS count`,
+    `GROUP BY 1 ORDER BY count DESC`);
+  const currencies = await run('currency',
+    `upper(p.currency) AS value, COUNT(*)::int AS count`,
+    `GROUP BY 1 ORDER BY count DESC`);
+  const stock = await run('in_stock',
+    `COUNT(*) FILTER (WHERE ${IN_STOCK_SQL})::int AS in_stock,
+     COUNT(*) FILTER (WHERE NOT ${IN_STOCK_SQL})::int AS out_of_stock`);
+  const price = await run('price', `MIN(p.price) AS min, MAX(p.price) AS max`);
+  const moq = await run('moq', `MIN(COALESCE(p.moq, 1))::int AS min, MAX(COALESCE(p.moq, 1))::int AS max`);
+
+  const metadata = {};
+  for (const k of keys) {
+    const rows = await run(`meta.${k}`,
+      `lower(p.metadata->>$1) AS value, mode() WITHIN GROUP (ORDER BY p.metadata->>$1) AS label, COUNT(*)::int AS count`,
+      `GROUP BY 1 ORDER BY count DESC, value LIMIT ${FACET_VALUE_LIMIT}`,
+      { params: [k], conditions: ['p.metadata->>$1 IS NOT NULL'] });
+    metadata[k] = rows.map((r) => ({ value: r.value, label: r.label, count: r.count }));
+  }
+
+  return {
+    categories: categories.filter((r) => r.id).map((r) => ({ id: r.id, slug: r.slug, name: r.name, count: r.count })),
+    trade_type: tradeTypes,
+    currency: currencies,
+    in_stock: stock[0] || { in_stock: 0, out_of_stock: 0 },
+    price: {
+      min: price[0] && price[0].min != null ? Number(price[0].min) : null,
+      max: price[0] && price[0].max != null ? Number(price[0].max) : null
+    },
+    moq: moq[0] || { min: null, max: null },
+    metadata
+  };
+}
+
+module.exports = { PRODUCT_FROM, parseProductFilters, buildWhere, facetKeys, computeFacets };
@@ -0,0 +1,911 @@
+// src/lib/productImport.js
+// Chunked, resumable product import jobs (CSV / XLSX).
+//
+// Lifecycle (product_import_jobs.status):
+//   previewing -> previewed -> committing -> completed
+//   (any running state can become failed / cancelled; failed jobs can be resumed)
+//
+// The uploaded file is parsed once into product_import_rows (raw cells). Preview
+// normalizes each row through the column mapping and records what commit would
+// do (create / update / skip / error + field diff) without touching products.
+// Commit replays the previewed create/update rows. Both phases work in chunks
+// and only pick rows still in the state they consume, so a job interrupted by
+// a restart carries on where it stopped.
+
+const ExcelJS = require('exceljs');
+const { parse } = require('csv-parse/sync');
+const { v4: uuidv4 } = require('uuid');
+const { buildImageUrl } = require('./buildUrl');
+const { OPTION_KEY_RE, validateVariantInput } = require('./productVariants');
+const { loadEffectiveSchema, validateMetadata } = require('./categorySchema');
+const { trackSlugChange } = require('./slugRedirects');
+const sitemapService = require('./sitemapService');
+
+const IMPORT_CHUNK_SIZE = Math.max(1, Number(process.env.IMPORT_CHUNK_SIZE || 200));
+const IMPORT_MAX_ROWS = Math.max(1, Number(process.env.IMPORT_MAX_ROWS || 50000));
+
+const ALLOWED_TRADE_TYPES = new Set(['import', 'export', 'both']);
+const META_KEY_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// plain product columns a file column can be mapped onto
+const SCALAR_FIELDS = [
+  'title', 'slug', 'sku', 'description', 'short_description',
+  'price', 'currency', 'moq', 'available_qty', 'is_published', 'trade_type',
+  'meta_title', 'meta_description', 'og_image'
+];
+
+// variant columns (variant.<field>, plus variant.option.<key> for options)
+const VARIANT_FIELDS = ['sku', 'title', 'price', 'moq', 'available_qty', 'is_active', 'sort_order'];
+
+// header aliases used when no explicit mapping is given for a column
+const HEADER_ALIASES = {
+  category: 'category',
+  category_slug: 'category',
+  category_name: 'category',
+  image: 'images',
+  images: 'images',
+  image_url: 'images',
+  image_urls: 'images',
+  primary_image: 'images'
+};
+
+function httpError(code, detail = null, status = 400) {
+  const err = new Error(code);
+  err.status = status;
+  if (detail) err.detail = detail;
+  return err;
+}
+
+function slugify(text = '') {
+  return String(text)
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9\-_ ]/g, '')
+    .replace(/\s+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '');
+}
+
+/* --------------------------------------------------------------------------
+   FILE PARSING
+-------------------------------------------------------------------------- */
+
+function cellText(cell) {
+  const v = cell && cell.value;
+  if (v == null) return '';
+  if (v instanceof Date) return v.toISOString();
+  if (typeof v === 'object') {
+    if (v.hyperlink) return String(v.hyperlink).trim();
+    if (v.result != null) return String(v.result).trim(); // formula
+    if (Array.isArray(v.richText)) return v.richText.map((t) => t.text).join('').trim();
+  }
+  return String(cell.text != null ? cell.text : v).trim();
+}
+
+async function parseXlsx(buffer, sheet) {
+  const wb = new ExcelJS.Workbook();
+  try {
+    await wb.xlsx.load(buffer);
+  } catch {
+    throw httpError('invalid_xlsx');
+  }
+
+  let ws = wb.worksheets[0];
+  if (sheet != null && sheet !== '') {
+    ws = /^\d+$/.test(String(sheet))
+      ? wb.worksheets[Number(sheet) - 1]
+      : wb.getWorksheet(String(sheet));
+  }
+  if (!ws) throw httpError('sheet_not_found');
+
+  const headers = [];
+  ws.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col - 1] = cellText(cell);
+  });
+
+  const records = [];
+  ws.eachRow((row, n) => {
+    if (n === 1) return;
+    const rec = {};
+    let hasValue = false;
+    headers.forEach((h, i) => {
+      if (!h) return;
+      const v = cellText(row.getCell(i + 1));
+      if (v !== '') hasValue = true;
+      rec[h] = v;
+    });
+    if (hasValue) records.push(rec);
+  });
+
+  return { headers: headers.filter(Boolean), records };
+}
+
+function parseCsv(text) {
+  let records;
+  try {
+    records = parse(text, { columns: true, trim: true, skip_empty_lines: true, bom: true });
+  } catch (err) {
+    throw httpError('invalid_csv');
+  }
+  const headers = records.length ? Object.keys(records[0]) : [];
+  return { headers, records };
+}
+
+/**
+ * Parse an uploaded file into { format, headers, records }.
+ * `file` is { data: Buffer, name } (express-fileupload) or { text } for raw CSV.
+ * XLSX is detected by extension or by its zip signature.
+ */
+async function parseImportFile(file, { sheet } = {}) {
+  if (file.text != null) return { format: 'csv', ...parseCsv(String(file.text)) };
+
+  const buf = file.data;
+  if (!buf || !buf.length) throw httpError('file_required');
+
+  const name = String(file.name || '').toLowerCase();
+  const isZip = buf.length > 3 && buf[0] === 0x50 && buf[1] === 0x4b && buf[2] === 0x03 && buf[3] === 0x04;
+
+  if (name.endsWith('.xlsx') || isZip) return { format: 'xlsx', ...(await parseXlsx(buf, sheet)) };
+  if (name.endsWith('.xls')) throw httpError('unsupported_file_type');
+  return { format: 'csv', ...parseCsv(buf.toString('utf8')) };
+}
+
+/* --------------------------------------------------------------------------
+   COLUMN MAPPING
+-------------------------------------------------------------------------- */
+
+/*
+ * Validate a mapping target: scalar field, category, images, metadata.<key>,
+ * variant.<field>, variant.option.<key> or ignore
+ */
+function isValidTarget(t) {
+  if (t === 'ignore' || t === 'category' || t === 'images') return true;
+  if (SCALAR_FIELDS.includes(t)) return true;
+  const opt = /^variant\.option\.(.+)$/.exec(t);
+  if (opt) return OPTION_KEY_RE.test(opt[1]);
+  const v = /^variant\.(.+)$/.exec(t);
+  if (v) return VARIANT_FIELDS.includes(v[1]);
+  const m = /^metadata\.(.+)$/.exec(t);
+  return !!(m && META_KEY_RE.test(m[1]));
+}
+
+function defaultTarget(header) {
+  const h = String(header).trim().toLowerCase().replace(/\s+/g, '_');
+  if (SCALAR_FIELDS.includes(h)) return h;
+  if (HEADER_ALIASES[h]) return HEADER_ALIASES[h];
+  // variant.option.Grade / variant_option_grade -> variant.option.<key> (key case kept)
+  const opt = /^variant[._]option[._](.+)$/i.exec(String(header).trim());
+  if (opt && OPTION_KEY_RE.test(opt[1])) return `variant.option.${opt[1]}`;
+  const v = /^variant[._](.+)$/.exec(h);
+  if (v && VARIANT_FIELDS.includes(v[1])) return `variant.${v[1]}`;
+  // metadata keys keep their original case (metadata.HS_Code -> HS_Code)
+  const m = /^(?:metadata\.|meta_)(.+)$/i.exec(String(header).trim());
+  if (m && META_KEY_RE.test(m[1])) return `metadata.${m[1]}`;
+  return null;
+}
+
+/**
+ * Resolve file headers against a user mapping ({ "<header>": "<target>" }).
+ * Unmapped headers fall back to their own name / known aliases; the rest are ignored.
+ * Returns { columns: [{ header, target }], ignored: [header] } or throws invalid_mapping.
+ */
+function resolveColumns(headers, mapping = {}) {
+  if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) throw httpError('invalid_mapping');
+
+  for (const [header, target] of Object.entries(mapping)) {
+    if (!headers.includes(header)) throw httpError('unknown_column', header);
+    if (typeof target !== 'string' || !isValidTarget(target)) throw httpError('invalid_mapping', header);
+  }
+
+  const columns = [];
+  const ignored = [];
+  for (const header of headers) {
+    const target = Object.prototype.hasOwnProperty.call(mapping, header) ? mapping[header] : defaultTarget(header);
+    if (!target || target === 'ignore') ignored.push(header);
+    else columns.push({ header, target });
+  }
+
+  const targets = columns.map((c) => c.target);
+  if (!targets.some((t) => t === 'title' || t === 'sku' || t === 'slug')) throw httpError('identifier_column_required');
+
+  return { columns, ignored };
+}
+
+/* --------------------------------------------------------------------------
+   ROW NORMALIZATION
+-------------------------------------------------------------------------- */
+
+function parseBool(v) {
+  const s = String(v).trim().toLowerCase();
+  if (['true', '1', 'yes', 'y', 'published'].includes(s)) return true;
+  if (['false', '0', 'no', 'n', 'draft'].includes(s)) return false;
+  return undefined;
+}
+
+/**
+ * Map one raw record through the resolved columns.
+ * Empty cells are left out so an update only touches the columns the file fills in.
+ * Returns { data, error } (error is the first validation code hit).
+ */
+function normalizeRecord(raw, columns) {
+  const data = {};
+  const metadata = {};
+  const images = [];
+  const variant = {};
+  const options = {};
+
+  for (const { header, target } of columns) {
+    const value = raw[header] == null ? '' : String(raw[header]).trim();
+    if (value === '') continue;
+
+    if (target === 'images') {
+      for (const url of value.split(/[\s|,]+/).filter(Boolean)) {
+        if (!/^https?:\/\/\S+$/i.test(url)) return { data, error: 'invalid_image_url' };
+        if (!images.includes(url)) images.push(url);
+      }
+    } else if (target.startsWith('metadata.')) {
+      metadata[target.slice('metadata.'.length)] = value;
+    } else if (target.startsWith('variant.option.')) {
+      options[target.slice('variant.option.'.length)] = value;
+    } else if (target.startsWith('variant.')) {
+      variant[target.slice('variant.'.length)] = value;
+    } else {
+      data[target] = value;
+    }
+  }
+
+  if (data.price !== undefined) {
+    const n = Number(String(data.price).replace(/,/g, ''));
+    if (!Number.isFinite(n) || n < 0) return { data, error: 'invalid_price' };
+    data.price = Math.round(n * 100) / 100;
+  }
+
+  for (const k of ['moq', 'available_qty']) {
+    if (data[k] === undefined) continue;
+    const n = Number(data[k]);
+    if (!Number.isInteger(n) || n < 0) return { data, error: `invalid_${k}` };
+    data[k] = n;
+  }
+
+  if (data.currency !== undefined) {
+    if (!/^[A-Za-z]{3}$/.test(data.currency)) return { data, error: 'invalid_currency' };
+    data.currency = data.currency.toUpperCase();
+  }
+
+  if (data.trade_type !== undefined) {
+    const tt = data.trade_type.toLowerCase();
+    if (!ALLOWED_TRADE_TYPES.has(tt)) return { data, error: 'invalid_trade_type' };
+    data.trade_type = tt;
+  }
+
+  if (data.is_published !== undefined) {
+    const b = parseBool(data.is_published);
+    if (b === undefined) return { data, error: 'invalid_is_published' };
+    data.is_published = b;
+  }
+
+  if (data.slug !== undefined) {
+    data.slug = slugify(data.slug);
+    if (!data.slug) return { data, error: 'invalid_slug' };
+  }
+
+  if (Object.keys(metadata).length) data.metadata = metadata;
+  if (images.length) data.images = images;
+
+  if (Object.keys(variant).length || Object.keys(options).length) {
+    if (variant.is_active !== undefined) {
+      const b = parseBool(variant.is_active);
+      if (b === undefined) return { data, error: 'invalid_variant_is_active' };
+      variant.is_active = b;
+    }
+    if (Object.keys(options).length) variant.options = options;
+    const checked = validateVariantInput(variant, { partial: true });
+    if (checked.error) return { data, error: checked.error };
+    if (!checked.fields.sku && !checked.fields.title) return { data, error: 'variant_sku_or_title_required' };
+    data.variant = checked.fields;
+  }
+
+  if (!data.title && !data.sku && !data.slug) return { data, error: 'missing_title_sku_slug' };
+
+  return { data, error: null };
+}
+
+/* Key used to match a row against products and against earlier rows of the same file */
+function matchKeyFor(data) {
+  if (data.sku) return `sku:${data.sku}`;
+  const slug = data.slug || slugify(data.title || '');
+  return slug ? `slug:${slug}` : null;
+}
+
+/* Variant rows of one product share its match key; this tells them apart */
+function variantKeyFor(data) {
+  if (!data.variant) return null;
+  return data.variant.sku ? `sku:${data.variant.sku}` : `title:${data.variant.title.toLowerCase()}`;
+}
+
+/* --------------------------------------------------------------------------
+   RESOLUTION + DIFF (shared by preview and commit)
+-------------------------------------------------------------------------- */
+
+async function findCategory(client, ref) {
+  const { rows } = await client.query(
+    `SELECT id, slug, name FROM categories
+     WHERE (slug = $1 OR lower(name) = lower($1)) AND deleted_at IS NULL
+     ORDER BY (slug = $1) DESC
+     LIMIT 1`,
+    [ref]
+  );
+  return rows[0] || null;
+}
+
+async function findExisting(client, data) {
+  if (data.sku) {
+    const r = await client.query('SELECT * FROM products WHERE sku = $1 LIMIT 1', [data.sku]);
+    if (r.rows[0]) return r.rows[0];
+  }
+  const slug = data.slug || slugify(data.title || '');
+  if (!slug) return null;
+  const r2 = await client.query('SELECT * FROM products WHERE slug = $1 LIMIT 1', [slug]);
+  return r2.rows[0] || null;
+}
+
+function sameValue(a, b) {
+  if (a == null && b == null) return true;
+  if (a == null || b == null) return false;
+  if (typeof b === 'number') return Number(a) === b;
+  return String(a) === String(b);
+}
+
+/*
+ * Match a row's variant to product_variants (by SKU, else by title within the
+ * product) and diff it. productId is null when the product doesn't exist yet.
+ * Returns { existing, diff } or { error }.
+ */
+async function planVariant(client, variant, productId) {
+  let existing = null;
+  if (variant.sku) {
+    const r = await client.query('SELECT * FROM product_variants WHERE sku = $1 LIMIT 1', [variant.sku]);
+    existing = r.rows[0] || null;
+    if (existing && String(existing.product_id) !== String(productId)) return { error: 'variant_sku_taken' };
+  }
+  if (!existing && productId && variant.title) {
+    const r = await client.query(
+      'SELECT * FROM product_variants WHERE product_id = $1 AND lower(title) = lower($2) LIMIT 1',
+      [productId, variant.title]
+    );
+    existing = r.rows[0] || null;
+  }
+  if (!existing && !variant.title) return { error: 'variant_title_required' };
+
+  if (!existing) return { existing: null, diff: { action: 'create', values: variant } };
+
+  const changes = {};
+  for (const [k, v] of Object.entries(variant)) {
+    if (k === 'options') {
+      const cur = existing.options || {};
+      for (const [ok, ov] of Object.entries(v)) {
+        if (!sameValue(cur[ok], ov)) changes[`option.${ok}`] = { from: cur[ok] ?? null, to: ov };
+      }
+    } else if (!sameValue(existing[k], v)) {
+      changes[k] = { from: existing[k] ?? null, to: v };
+    }
+  }
+  return {
+    existing,
+    diff: Object.keys(changes).length ? { action: 'update', id: existing.id, changes } : null
+  };
+}
+
+/**
+ * Work out what importing `data` would do against the current database.
+ * Returns { action, diff, error, existing, category, variant }.
+ */
+async function planRow(client, data) {
+  let category = null;
+  if (data.category) {
+    category = await findCategory(client, data.category);
+    if (!category) return { action: 'error', error: 'unknown_category' };
+  }
+
+  const existing = await findExisting(client, data);
+  // a match in the trash is not silently revived or updated
+  if (existing && existing.deleted_at) return { action: 'error', error: 'product_in_trash' };
+
+  if (!existing && !data.title) return { action: 'error', error: 'title_required' };
+
+  if (!existing && data.slug === undefined) {
+    const slug = slugify(data.title);
+    if (!slug) return { action: 'error', error: 'invalid_slug' };
+  }
+
+  const diff = {};
+  const before = existing || {};
+
+  for (const f of SCALAR_FIELDS) {
+    if (data[f] === undefined) continue;
+    if (!existing || !sameValue(before[f], data[f])) diff[f] = { from: existing ? before[f] ?? null : null, to: data[f] };
+  }
+
+  if (category && (!existing || String(before.category_id) !== String(category.id))) {
+    diff.category = { from: existing ? before.category_id || null : null, to: { id: category.id, slug: category.slug, name: category.name } };
+  }
+
+  // Rows that set metadata or a category are checked against the category's
+  // attribute schema; the merged, normalized metadata then replaces the stored one.
+  let metadata = null;
+  const categoryId = category ? category.id : existing ? existing.category_id : null;
+  if (categoryId && (data.metadata || category)) {
+    const schema = await loadEffectiveSchema(client, categoryId);
+    if (schema.attributes.length || schema.additional === false) {
+      const merged = { ...((existing && before.metadata) || {}), ...(data.metadata || {}) };
+      const checked = validateMetadata(schema, merged);
+      if (checked.errors.length) {
+        const e = checked.errors[0];
+        return { action: 'error', error: `invalid_metadata:${e.key}:${e.error}` };
+      }
+      metadata = checked.metadata;
+    }
+  }
+
+  const cur = (existing && before.metadata) || {};
+  if (metadata) {
+    for (const k of new Set([...Object.keys(cur), ...Object.keys(metadata)])) {
+      if (!sameValue(cur[k], metadata[k])) diff[`metadata.${k}`] = { from: cur[k] ?? null, to: metadata[k] ?? null };
+    }
+  } else if (data.metadata) {
+    for (const [k, v] of Object.entries(data.metadata)) {
+      if (!sameValue(cur[k], v)) diff[`metadata.${k}`] = { from: cur[k] ?? null, to: v };
+    }
+  }
+
+  if (data.images) {
+    let known = [];
+    if (existing) {
+      const { rows } = await client.query('SELECT url FROM product_images WHERE product_id = $1', [existing.id]);
+      // stored paths may be storage-relative; exports write them as full URLs
+      known = rows.flatMap((r) => [r.url, buildImageUrl(r.url)]);
+    }
+    const add = data.images.filter((u) => !known.includes(u));
+    if (add.length) diff.images = { add };
+  }
+
+  let variant = null;
+  if (data.variant) {
+    const vp = await planVariant(client, data.variant, existing ? existing.id : null);
+    if (vp.error) return { action: 'error', error: vp.error };
+    variant = vp.existing;
+    if (vp.diff) diff.variant = vp.diff;
+  }
+
+  if (!existing) return { action: 'create', diff, error: null, existing: null, category, variant, metadata };
+  return { action: Object.keys(diff).length ? 'update' : 'skip', diff, error: null, existing, category, variant, metadata };
+}
+
+/* Insert or update the row's variant under productId */
+async function applyVariant(client, productId, fields, existing) {
+  if (!existing) {
+    await client.query(
+      `INSERT INTO product_variants
+         (product_id, sku, title, options, price, moq, available_qty, is_active, sort_order, created_at, updated_at)
+       VALUES ($1, $2, $3, $4::jsonb, $5, $6, COALESCE($7, 0), COALESCE($8, TRUE), COALESCE($9, 0), NOW(), NOW())`,
+      [
+        productId, fields.sku || null, fields.title, JSON.stringify(fields.options || {}),
+        fields.price ?? null, fields.moq ?? null, fields.available_qty ?? null,
+        fields.is_active ?? null, fields.sort_order ?? null
+      ]
+    );
+    return;
+  }
+
+  const sets = [];
+  const params = [];
+  for (const [k, v] of Object.entries(fields)) {
+    if (k === 'options') {
+      params.push(JSON.stringify(v));
+      sets.push(`options = COALESCE(options, '{}'::jsonb) || $${params.length}::jsonb`);
+    } else {
+      params.push(v);
+      sets.push(`${k} = $${params.length}`);
+    }
+  }
+  params.push(existing.id);
+  await client.query(
+    `UPDATE product_variants SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $${params.length}`,
+    params
+  );
+}
+
+/* Write one planned row. Runs inside the chunk transaction (caller handles the savepoint). */
+async function applyRow(client, data, plan, userId) {
+  const { existing, category } = plan;
+  const metadata = plan.metadata || data.metadata;
+  let productId;
+
+  if (!existing) {
+    productId = uuidv4();
+    const slug = data.slug || slugify(data.title);
+    const shortDescription = data.short_description || data.description || null;
+    await client.query(
+      `INSERT INTO products
+         (id, sku, title, slug, description, short_description, price, currency, moq, available_qty,
+          is_published, trade_type, category_id, metadata, meta_title, meta_description, og_image,
+          created_by, created_at, updated_at)
+       VALUES ($1,$2,$3,$4,$5,$6,COALESCE($7,0),COALESCE($8,'USD'),COALESCE($9,1),COALESCE($10,0),
+               COALESCE($11,FALSE),COALESCE($12,'both'),$13,COALESCE($14::jsonb,'{}'::jsonb),$15,$16,$17,
+               $18,NOW(),NOW())`,
+      [
+        productId, data.sku || null, data.title, slug, data.description || null, shortDescription,
+        data.price ?? null, data.currency || null, data.moq ?? null, data.available_qty ?? null,
+        data.is_published ?? null, data.trade_type || null, category ? category.id : null,
+        metadata ? JSON.stringify(metadata) : null,
+        data.meta_title || null, data.meta_description || null, data.og_image || null,
+        userId || null
+      ]
+    );
+  } else {
+    productId = existing.id;
+    const sets = [];
+    const params = [];
+    const set = (col, val, cast = '') => {
+      params.push(val);
+      sets.push(`${col} = $${params.length}${cast}`);
+    };
+
+    for (const f of SCALAR_FIELDS) {
+      if (data[f] !== undefined) set(f, data[f]);
+    }
+    if (category) set('category_id', category.id);
+    if (plan.metadata) {
+      set('metadata', JSON.stringify(plan.metadata), '::jsonb');
+    } else if (data.metadata) {
+      params.push(JSON.stringify(data.metadata));
+      sets.push(`metadata = COALESCE(metadata, '{}'::jsonb) || $${params.length}::jsonb`);
+    }
+
+    if (sets.length) {
+      params.push(productId);
+      await client.query(
+        `UPDATE products SET ${sets.join(', ')}, updated_at = NOW() WHERE id = $${params.length}`,
+        params
+      );
+    }
+    if (data.slug !== undefined) {
+      await trackSlugChange(client, {
+        entityType: 'product', entityId: productId, oldSlug: existing.slug, newSlug: data.slug, userId
+      });
+    }
+  }
+
+  if (data.images && data.images.length) {
+    const { rows } = await client.query(
+      'SELECT url, is_primary FROM product_images WHERE product_id = $1',
+      [productId]
+    );
+    const known = new Set(rows.flatMap((r) => [r.url, buildImageUrl(r.url)]));
+    let hasPrimary = rows.some((r) => r.is_primary);
+
+    for (const url of data.images) {
+      if (known.has(url)) continue;
+      await client.query(
+        `INSERT INTO product_images (product_id, url, filename, is_primary, created_at)
+         VALUES ($1, $2, $3, $4, NOW())`,
+        [productId, url, url.split('/').pop().split('?')[0] || null, !hasPrimary]
+      );
+      known.add(url);
+      hasPrimary = true;
+    }
+  }
+
+  if (data.variant) await applyVariant(client, productId, data.variant, plan.variant);
+
+  return productId;
+}
+
+/* --------------------------------------------------------------------------
+   JOBS
+-------------------------------------------------------------------------- */
+
+const JOB_COLUMNS = `
+  id, status, phase, filename, source_format, columns, ignored_columns, options,
+  total_rows, last_error, created_by, created_at, updated_at, committed_at, finished_at
+`;
+
+/**
+ * Create a job from a parsed file and store its rows.
+ * Runs inside the caller's transaction; the job starts in `previewing`.
+ */
+async function createImportJob(client, { parsed, filename, mapping, options, userId }) {
+  if (!parsed.records.length) throw httpError('no_rows');
+  if (parsed.records.length > IMPORT_MAX_ROWS) throw httpError('too_many_rows');
+
+  const { columns, ignored } = resolveColumns(parsed.headers, mapping || {});
+
+  const { rows } = await client.query(
+    `INSERT INTO product_import_jobs
+       (filename, source_format, columns, ignored_columns, options, total_rows, created_by)
+     VALUES ($1, $2, $3::jsonb, $4::jsonb, $5::jsonb, $6, $7)
+     RETURNING ${JOB_COLUMNS}`,
+    [
+      filename || null, parsed.format, JSON.stringify(columns), JSON.stringify(ignored),
+      JSON.stringify(options || {}), parsed.records.length, userId || null
+    ]
+  );
+  const job = rows[0];
+
+  for (let i = 0; i < parsed.records.length; i += 500) {
+    const batch = parsed.records.slice(i, i + 500);
+    await client.query(
+      `INSERT INTO product_import_rows (job_id, row_no, raw)
+       SELECT $1, $2 + x.ord::int, x.val
+       FROM jsonb_array_elements($3::jsonb) WITH ORDINALITY AS x(val, ord)`,
+      [job.id, i, JSON.stringify(batch)]
+    );
+  }
+
+  return job;
+}
+
+async function getJob(db, id) {
+  const { rows } = await db.query(`SELECT ${JOB_COLUMNS} FROM product_import_jobs WHERE id = $1`, [id]);
+  return rows[0] || null;
+}
+
+/* Row counters for a job (computed from product_import_rows so they never drift) */
+async function getJobStats(db, id) {
+  const { rows } = await db.query(
+    `SELECT
+       COUNT(*)::int AS total,
+       COUNT(*) FILTER (WHERE status <> 'pending')::int AS previewed,
+       COUNT(*) FILTER (WHERE action = 'create')::int AS creates,
+       COUNT(*) FILTER (WHERE action = 'update')::int AS updates,
+       COUNT(*) FILTER (WHERE action = 'skip')::int AS unchanged,
+       COUNT(*) FILTER (WHERE action = 'error')::int AS errors,
+       COUNT(*) FILTER (WHERE status = 'committed')::int AS committed,
+       COUNT(*) FILTER (WHERE status = 'failed')::int AS failed
+     FROM product_import_rows
+     WHERE job_id = $1`,
+    [id]
+  );
+  return rows[0];
+}
+
+/* Job row + counters + progress (0..100 for the current phase) */
+function formatJob(job, stats) {
+  const s = stats || {};
+  const toWrite = (s.creates || 0) + (s.updates || 0);
+  const progress = job.phase === 'commit'
+    ? (toWrite ? Math.floor(((s.committed + s.failed) / toWrite) * 100) : 100)
+    : (s.total ? Math.floor((s.previewed / s.total) * 100) : 0);
+
+  return {
+    id: job.id,
+    status: job.status,
+    phase: job.phase,
+    progress,
+    filename: job.filename,
+    source_format: job.source_format,
+    columns: job.columns,
+    ignored_columns: job.ignored_columns,
+    options: job.options,
+    counts: s,
+    last_error: job.last_error,
+    created_by: job.created_by,
+    created_at: job.created_at,
+    updated_at: job.updated_at,
+    committed_at: job.committed_at,
+    finished_at: job.finished_at
+  };
+}
+
+async function setStatus(db, id, status, extra = '', extraParams = []) {
+  await db.query(
+    `UPDATE product_import_jobs SET status = $2, updated_at = NOW()${extra ? `, ${extra}` : ''} WHERE id = $1`,
+    [id, status, ...extraParams]
+  );
+}
+
+/* Run fn(client) in its own transaction with app.user_id set for RLS */
+async function inTransaction(db, userId, fn) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    if (userId) await client.query("SELECT set_config('app.user_id', $1, true)", [String(userId)]);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/* Preview the next chunk of pending rows; returns how many rows were handled */
+async function previewChunk(db, job) {
+  return inTransaction(db, job.created_by, async (client) => {
+    const { rows } = await client.query(
+      `SELECT row_no, raw FROM product_import_rows
+       WHERE job_id = $1 AND status = 'pending'
+       ORDER BY row_no
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED`,
+      [job.id, IMPORT_CHUNK_SIZE]
+    );
+
+    for (const row of rows) {
+      const { data, error } = normalizeRecord(row.raw || {}, job.columns || []);
+      const matchKey = error ? null : matchKeyFor(data);
+      const variantKey = error ? null : variantKeyFor(data);
+      let plan = { action: 'error', diff: null, error };
+
+      if (!error && matchKey) {
+        const dup = await client.query(
+          `SELECT row_no FROM product_import_rows
+           WHERE job_id = $1 AND match_key = $2 AND variant_key IS NOT DISTINCT FROM $3 AND row_no < $4
+           ORDER BY row_no LIMIT 1`,
+          [job.id, matchKey, variantKey, row.row_no]
+        );
+        plan = dup.rows[0]
+          ? { action: 'error', diff: null, error: `duplicate_of_row_${dup.rows[0].row_no}` }
+          : await planRow(client, data);
+
+        // another variant of a product an earlier row creates: only the variant is new here
+        if (plan.action === 'create') {
+          const first = await client.query(
+            `SELECT row_no FROM product_import_rows
+             WHERE job_id = $1 AND match_key = $2 AND action = 'create' AND row_no < $3
+             ORDER BY row_no LIMIT 1`,
+            [job.id, matchKey, row.row_no]
+          );
+          if (first.rows[0]) {
+            plan = {
+              action: 'update',
+              diff: { product: { created_by_row: first.rows[0].row_no }, ...(plan.diff.variant ? { variant: plan.diff.variant } : {}) },
+              error: null,
+              existing: null
+            };
+          }
+        }
+      }
+
+      await client.query(
+        `UPDATE product_import_rows
+         SET status = 'previewed', data = $3::jsonb, match_key = $4, variant_key = $5, action = $6,
+             diff = $7::jsonb, error = $8, product_id = $9, updated_at = NOW()
+         WHERE job_id = $1 AND row_no = $2`,
+        [
+          job.id, row.row_no, JSON.stringify(data), matchKey, variantKey, plan.action,
+          plan.diff ? JSON.stringify(plan.diff) : null, plan.error || null,
+          plan.existing ? plan.existing.id : null
+        ]
+      );
+    }
+
+    return rows.length;
+  });
+}
+
+/*
+ * Commit the next chunk of previewed create/update rows.
+ * Each row gets its own savepoint so a failing row is recorded and skipped
+ * instead of rolling back the rest of the chunk.
+ */
+async function commitChunk(db, job) {
+  return inTransaction(db, job.created_by, async (client) => {
+    const { rows } = await client.query(
+      `SELECT row_no, data FROM product_import_rows
+       WHERE job_id = $1 AND status = 'previewed' AND action IN ('create', 'update')
+       ORDER BY row_no
+       LIMIT $2
+       FOR UPDATE SKIP LOCKED`,
+      [job.id, IMPORT_CHUNK_SIZE]
+    );
+
+    for (const row of rows) {
+      await client.query('SAVEPOINT import_row');
+      let status = 'committed';
+      let error = null;
+      let productId = null;
+
+      try {
+        // re-plan against the live data: products may have changed since the preview
+        const plan = await planRow(client, row.data);
+        if (plan.action === 'error') throw new Error(plan.error);
+        productId = plan.action === 'skip' ? plan.existing.id : await applyRow(client, row.data, plan, job.created_by);
+        await client.query('RELEASE SAVEPOINT import_row');
+      } catch (err) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+        status = 'failed';
+        error = err.message;
+      }
+
+      await client.query(
+        `UPDATE product_import_rows
+         SET status = $3, error = COALESCE($4, error), product_id = COALESCE($5, product_id), updated_at = NOW()
+         WHERE job_id = $1 AND row_no = $2`,
+        [job.id, row.row_no, status, error, productId]
+      );
+    }
+
+    return rows.length;
+  });
+}
+
+const runningJobs = new Set();
+
+/* Drive a job through its remaining chunks. Stops when cancelled or finished. */
+async function runImportJob(db, id) {
+  for (;;) {
+    const job = await getJob(db, id);
+    if (!job) return;
+
+    if (job.status === 'previewing') {
+      const n = await previewChunk(db, job);
+      if (n === 0) {
+        if (job.options && job.options.auto_commit) {
+          await setStatus(db, id, 'committing', "phase = 'commit', committed_at = NOW()");
+        } else {
+          await setStatus(db, id, 'previewed');
+          return;
+        }
+      }
+    } else if (job.status === 'committing') {
+      const n = await commitChunk(db, job);
+      if (n === 0) {
+        await setStatus(db, id, 'completed', 'finished_at = NOW()');
+        // new / re-slugged products change the sitemap
+        sitemapService.invalidate(db).catch(() => {});
+        return;
+      }
+    } else {
+      return;
+    }
+
+    await db.query('UPDATE product_import_jobs SET updated_at = NOW() WHERE id = $1', [id]);
+    // yield between chunks so API requests are not starved
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+}
+
+/* Start (or keep) a job running in the background of this process */
+function startImportJob(db, id) {
+  if (runningJobs.has(id)) return false;
+  runningJobs.add(id);
+
+  setImmediate(() => {
+    runImportJob(db, id)
+      .catch(async (err) => {
+        console.error('[productImport] job failed:', id, err);
+        try {
+          await setStatus(db, id, 'failed', 'last_error = $3', [err.message]);
+        } catch (e) {
+          console.error('[productImport] could not mark job failed:', e.message);
+        }
+      })
+      .finally(() => runningJobs.delete(id));
+  });
+  return true;
+}
+
+/* Pick up jobs left mid-way by a restart */
+async function resumeImportJobs(db) {
+  const { rows } = await db.query(
+    "SELECT id FROM product_import_jobs WHERE status IN ('previewing', 'committing') ORDER BY created_at"
+  );
+  rows.forEach((r) => startImportJob(db, r.id));
+  return rows.length;
+}
+
+module.exports = {
+  IMPORT_CHUNK_SIZE,
+  parseImportFile,
+  resolveColumns,
+  normalizeRecord,
+  createImportJob,
+  getJob,
+  getJobStats,
+  formatJob,
+  startImportJob,
+  resumeImportJobs
+};
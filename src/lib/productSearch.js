@@ -0,0 +1,99 @@
+// src/lib/productSearch.js
+// Ranked full-text search over products.search_vector (kept up to date by
+// products_search_vector_trigger), with prefix matching and a pg_trgm
+// fallback on the title so misspelled queries ("turmric") still match.
+
+// word_similarity() cut-off for the typo fallback (0..1, higher = stricter)
+const TRGM_THRESHOLD = Number(process.env.SEARCH_TRGM_THRESHOLD || 0.3);
+
+// ts_headline options for highlighted snippets
+const HEADLINE_OPTS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=35, MinWords=12, MaxFragments=2';
+
+// HTML-safe text for ts_headline: tags stripped, <, >, " and stray & escaped
+// (existing entities kept), so the <mark> tags are the only markup in the result
+const SAFE_TEXT_SQL = (expr) =>
+  `replace(replace(replace(regexp_replace(regexp_replace(${expr}, '<[^>]*>', ' ', 'g'),` +
+  ` '&(?![A-Za-z][A-Za-z0-9]*;|#[0-9]+;|#[xX][0-9A-Fa-f]+;)', '&amp;', 'g'),` +
+  ` '<', '&lt;'), '>', '&gt;'), '"', '&quot;')`;
+
+/**
+ * Split a free-text query into safe lowercase tokens (letters, combining marks
+ * and digits of any script), so they can be embedded in a to_tsquery()
+ * expression without escaping. Latin diacritics are folded ("café" -> "cafe");
+ * other scripts are recomposed (NFC) so they match the stored text.
+ */
+function tokenize(q) {
+  return String(q || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/([a-z])[\u0300-\u036f]+/g, '$1')
+    .normalize('NFC')
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .slice(0, 10);
+}
+
+/**
+ * Build the SQL fragments for a ranked product search.
+ * Pushes its values onto `params` (same convention as the route filter builders)
+ * and returns null when the query has no usable tokens.
+ *
+ * Returns:
+ *   where   -> match condition (full-text prefix match OR trigram similarity on title)
+ *   rank    -> numeric relevance expression (higher = better)
+ *   snippet -> highlighted excerpt from short_description/description (escaped text + <mark>)
+ *   title   -> highlighted title (escaped text + <mark>)
+ */
+function buildRankedSearch(q, params, alias = 'p') {
+  const tokens = tokenize(q);
+  if (!tokens.length) return null;
+
+  params.push(tokens.map((t) => `${t}:*`).join(' & '));
+  const tsq = `to_tsquery('english', $${params.length})`;
+
+  params.push(tokens.join(' '));
+  const raw = `$${params.length}`;
+
+  params.push(TRGM_THRESHOLD);
+  const threshold = `$${params.length}`;
+
+  const sim = `word_similarity(${raw}, ${alias}.title)`;
+
+  return {
+    tokens,
+    where: `(${alias}.search_vector @@ ${tsq} OR ${sim} >= ${threshold})`,
+    // ts_rank normalization 32 scales to 0..1 so it can be blended with similarity
+    rank: `(COALESCE(ts_rank(${alias}.search_vector, ${tsq}, 32), 0) + ${sim} * 0.5)`,
+    snippet: `ts_headline('english', ${SAFE_TEXT_SQL(`COALESCE(NULLIF(${alias}.short_description, ''), ${alias}.description, '')`)}, ${tsq}, '${HEADLINE_OPTS}')`,
+    title: `ts_headline('english', ${SAFE_TEXT_SQL(`COALESCE(${alias}.title, '')`)}, ${tsq}, 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true')`
+  };
+}
+
+/**
+ * SELECT-list fragment for the search columns (empty string when not searching)
+ */
+function searchSelectSql(search) {
+  if (!search) return '';
+  return `,
+        ${search.rank} AS search_rank,
+        ${search.snippet} AS search_snippet,
+        ${search.title} AS search_title`;
+}
+
+/**
+ * Attach rank/snippet fields from a raw row onto an already formatted product
+ */
+function withSearchFields(formatted, row) {
+  return {
+    ...formatted,
+    search: {
+      rank: row.search_rank == null ? null : Number(row.search_rank),
+      snippet: row.search_snippet || null,
+      title: row.search_title || null
+    }
+  };
+}
+
+module.exports = { tokenize, buildRankedSearch, searchSelectSql, withSearchFields };
@@ -0,0 +1,127 @@
+// src/lib/productVariants.js
+// Product variants (product_variants): packaging sizes / grades with their own
+// SKU, price, MOQ and stock. A NULL price or moq inherits the product's value.
+
+const OPTION_KEY_RE = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const VARIANT_COLUMNS = `
+  id, product_id, sku, title, options, price, moq, available_qty,
+  is_active, sort_order, created_at, updated_at
+`;
+
+/* '' -> null, numeric -> number, garbage -> NaN */
+function nullableNumber(v) {
+  if (v === null || v === '') return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : NaN;
+}
+
+/**
+ * Validate a variant body. With { partial: true } (updates) only the fields
+ * present are checked/returned. Returns { fields } or { error }.
+ */
+function validateVariantInput(body = {}, { partial = false } = {}) {
+  const fields = {};
+  const has = (k) => body[k] !== undefined;
+
+  if (has('title') || !partial) {
+    const title = String(body.title || '').trim();
+    if (!title) return { error: 'variant_title_required' };
+    fields.title = title.slice(0, 200);
+  }
+
+  if (has('sku')) fields.sku = body.sku == null || String(body.sku).trim() === '' ? null : String(body.sku).trim();
+
+  if (has('options')) {
+    const o = body.options;
+    if (o == null) fields.options = {};
+    else if (typeof o !== 'object' || Array.isArray(o)) return { error: 'invalid_variant_options' };
+    else {
+      for (const k of Object.keys(o)) {
+        if (!OPTION_KEY_RE.test(k)) return { error: 'invalid_variant_option_key' };
+        if (o[k] != null && typeof o[k] === 'object') return { error: 'invalid_variant_options' };
+      }
+      fields.options = o;
+    }
+  }
+
+  if (has('price')) {
+    const n = nullableNumber(body.price);
+    if (Number.isNaN(n) || (n !== null && n < 0)) return { error: 'invalid_variant_price' };
+    fields.price = n === null ? null : Math.round(n * 100) / 100;
+  }
+
+  if (has('moq')) {
+    const n = nullableNumber(body.moq);
+    if (Number.isNaN(n) || (n !== null && (!Number.isInteger(n) || n < 0))) return { error: 'invalid_variant_moq' };
+    fields.moq = n;
+  }
+
+  if (has('available_qty')) {
+    const n = Number(body.available_qty);
+    if (!Number.isInteger(n) || n < 0) return { error: 'invalid_variant_available_qty' };
+    fields.available_qty = n;
+  }
+
+  if (has('is_active')) fields.is_active = !!body.is_active;
+
+  if (has('sort_order')) {
+    const n = Number(body.sort_order);
+    if (!Number.isInteger(n)) return { error: 'invalid_variant_sort_order' };
+    fields.sort_order = n;
+  }
+
+  return { fields };
+}
+
+/*
+ * Variant row -> API shape. `product` (price, currency, moq) fills in the
+ * inherited values as effective_*.
+ */
+function formatVariant(row, product = null) {
+  const price = row.price == null ? null : Number(row.price);
+  const productPrice = product && product.price != null ? Number(product.price) : null;
+  return {
+    id: row.id,
+    product_id: row.product_id,
+    sku: row.sku || null,
+    title: row.title,
+    options: row.options || {},
+    price,
+    moq: row.moq == null ? null : Number(row.moq),
+    available_qty: Number(row.available_qty || 0),
+    is_active: !!row.is_active,
+    sort_order: Number(row.sort_order || 0),
+    effective_price: price != null ? price : productPrice,
+    effective_moq: row.moq != null ? Number(row.moq) : (product ? Number(product.moq) || 1 : null),
+    currency: product ? product.currency : undefined,
+    created_at: row.created_at || null,
+    updated_at: row.updated_at || null
+  };
+}
+
+/* Variants of a product ordered for display (activeOnly hides disabled ones) */
+async function loadVariants(db, productId, { activeOnly = false, product = null } = {}) {
+  const { rows } = await db.query(
+    `SELECT ${VARIANT_COLUMNS}
+     FROM product_variants
+     WHERE product_id = $1 ${activeOnly ? 'AND is_active = TRUE' : ''}
+     ORDER BY sort_order ASC, created_at ASC`,
+    [productId]
+  );
+  return rows.map((r) => formatVariant(r, product));
+}
+
+/* SQL fragment: the filtered product (alias p) has an active variant matching `cond` (alias v) */
+function variantExistsSql(cond) {
+  return `EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id AND v.is_active = TRUE AND ${cond})`;
+}
+
+module.exports = {
+  OPTION_KEY_RE,
+  VARIANT_COLUMNS,
+  validateVariantInput,
+  formatVariant,
+  loadVariants,
+  variantExistsSql
+};
@@ -0,0 +1,199 @@
+// src/lib/publishScheduler.js
+// Scheduled publish / unpublish for products and blogs (publish_at / unpublish_at).
+//
+// startPublishScheduler runs in-process: it flips due rows, clears the
+// schedule column it acted on, rebuilds the sitemap and broadcasts a
+// `schedule` SSE event per row through /api/events. Between runs it sleeps
+// until the next due time (at most PUBLISH_SCHEDULER_INTERVAL_MS, default 60s);
+// nudgePublishScheduler() re-arms it after a schedule was edited (a nudge
+// during a run makes it run again right after).
+//
+// Runs happen in transactions with app.user_id set for RLS (the products /
+// blogs policies only let admins see and update unpublished rows):
+// PUBLISH_SCHEDULER_USER_ID (an admin), else the oldest active admin. Without
+// either the database role must have BYPASSRLS.
+//
+// The UPDATEs only return rows they flipped, so several processes running the
+// scheduler never announce the same change twice.
+
+const sitemapService = require('./sitemapService');
+
+const MAX_SLEEP_MS = Math.max(1000, Number(process.env.PUBLISH_SCHEDULER_INTERVAL_MS || 60000));
+
+const SCHEDULED = {
+  product: { table: 'products', columns: 'id, slug, title', publishedAt: null },
+  // blogs keep their display date: the scheduled time becomes published_at
+  blog: { table: 'blogs', columns: 'id, slug, title', publishedAt: 'published_at = COALESCE(publish_at, NOW())' }
+};
+
+/*
+ * 'unpublish_before_publish' when the schedule, merged onto the stored row's
+ * publish_at / unpublish_at, would unpublish before (or when) it publishes
+ */
+function scheduleOrderError(schedule, stored = null) {
+  const pick = (key) => (schedule[key] !== undefined ? schedule[key] : (stored && stored[key]) || null);
+  const publishAt = pick('publish_at');
+  const unpublishAt = pick('unpublish_at');
+  return publishAt && unpublishAt && new Date(unpublishAt) <= new Date(publishAt) ? 'unpublish_before_publish' : null;
+}
+
+/*
+ * Validate publish_at / unpublish_at from a request body. Keys left undefined
+ * are untouched; null / '' clears. Returns { schedule } (Date | null values) or { error }.
+ * Only checks the order within the body; updates re-check against the stored
+ * row with scheduleOrderError.
+ */
+function parseSchedule(body) {
+  const schedule = {};
+  for (const key of ['publish_at', 'unpublish_at']) {
+    const v = body ? body[key] : undefined;
+    if (v === undefined) continue;
+    if (v === null || v === '') {
+      schedule[key] = null;
+      continue;
+    }
+    const d = new Date(v);
+    if (Number.isNaN(d.getTime())) return { error: `invalid_${key}` };
+    schedule[key] = d;
+  }
+  const error = scheduleOrderError(schedule);
+  return error ? { error } : { schedule };
+}
+
+function broadcast(event, data) {
+  try {
+    require('../routes/events').broadcast(event, data);
+  } catch (e) {
+    console.warn('[publishScheduler] broadcast failed:', e.message);
+  }
+}
+
+/* User the scheduler acts as (app.user_id), null when there is none */
+async function schedulerUserId(db) {
+  if (process.env.PUBLISH_SCHEDULER_USER_ID) return process.env.PUBLISH_SCHEDULER_USER_ID;
+  const { rows } = await db.query(
+    'SELECT id FROM users WHERE role_id = 1 AND is_active IS NOT FALSE ORDER BY created_at LIMIT 1'
+  );
+  return rows[0] ? rows[0].id : null;
+}
+
+/* Run fn(client) in its own transaction with app.user_id set for RLS */
+async function inTransaction(db, userId, fn) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    if (userId) await client.query("SELECT set_config('app.user_id', $1, true)", [String(userId)]);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/* Flip everything due now (db: the pool); returns [{ entity, action, id, slug, title }] */
+async function runDueSchedules(db) {
+  const userId = await schedulerUserId(db);
+  const changes = await inTransaction(db, userId, (client) => flipDue(client));
+
+  if (changes.length) {
+    sitemapService.invalidate(db).catch(() => {});
+    const at = new Date().toISOString();
+    for (const c of changes) broadcast('schedule', { ...c, at });
+  }
+  return changes;
+}
+
+async function flipDue(db) {
+  const changes = [];
+
+  for (const [entity, cfg] of Object.entries(SCHEDULED)) {
+    const published = await db.query(
+      `UPDATE ${cfg.table}
+       SET is_published = TRUE, ${cfg.publishedAt ? `${cfg.publishedAt}, ` : ''}publish_at = NULL, updated_at = NOW()
+       WHERE publish_at IS NOT NULL AND publish_at <= NOW() AND deleted_at IS NULL
+       RETURNING ${cfg.columns}`
+    );
+    published.rows.forEach((r) => changes.push({ entity, action: 'published', ...r }));
+
+    const unpublished = await db.query(
+      `UPDATE ${cfg.table}
+       SET is_published = FALSE, unpublish_at = NULL, updated_at = NOW()
+       WHERE unpublish_at IS NOT NULL AND unpublish_at <= NOW() AND deleted_at IS NULL
+       RETURNING ${cfg.columns}`
+    );
+    unpublished.rows.forEach((r) => changes.push({ entity, action: 'unpublished', ...r }));
+  }
+  return changes;
+}
+
+/* Milliseconds until the next scheduled flip (null when nothing is scheduled) */
+async function msUntilNextDue(db) {
+  const parts = Object.values(SCHEDULED).map((cfg) =>
+    `SELECT MIN(LEAST(publish_at, unpublish_at)) AS next FROM ${cfg.table} WHERE deleted_at IS NULL`
+  );
+  const { rows } = await inTransaction(db, await schedulerUserId(db), (client) =>
+    client.query(`SELECT MIN(next) AS next FROM (${parts.join(' UNION ALL ')}) s`)
+  );
+  if (!rows[0] || !rows[0].next) return null;
+  return Math.max(0, new Date(rows[0].next).getTime() - Date.now());
+}
+
+let state = { db: null, timer: null, running: false, pending: false };
+
+function arm(delay) {
+  if (state.timer) clearTimeout(state.timer);
+  state.timer = setTimeout(tick, delay);
+  if (state.timer.unref) state.timer.unref();
+}
+
+async function tick() {
+  if (state.running) return;
+  state.running = true;
+  state.pending = false;
+  let sleep = MAX_SLEEP_MS;
+  try {
+    const changes = await runDueSchedules(state.db);
+    if (changes.length) console.log(`⏰ Scheduled publish: ${changes.length} change(s)`);
+    const next = await msUntilNextDue(state.db);
+    // small margin so the row is due when we wake up
+    if (next != null) sleep = Math.min(MAX_SLEEP_MS, next + 250);
+  } catch (e) {
+    console.warn('⚠️ Publish scheduler run failed:', e.message);
+  } finally {
+    state.running = false;
+    // a nudge during the run may have scheduled something sooner than `sleep`
+    if (state.db) arm(state.pending ? 100 : sleep);
+  }
+}
+
+/* Start the scheduler for this process (idempotent) */
+function startPublishScheduler(db) {
+  if (state.db) return;
+  state.db = db;
+  arm(0);
+}
+
+/* Re-check soon, e.g. after publish_at / unpublish_at was edited */
+function nudgePublishScheduler() {
+  if (!state.db) return;
+  if (state.running) state.pending = true;
+  else arm(100);
+}
+
+function stopPublishScheduler() {
+  if (state.timer) clearTimeout(state.timer);
+  state = { db: null, timer: null, running: false, pending: false };
+}
+
+module.exports = {
+  parseSchedule,
+  scheduleOrderError,
+  runDueSchedules,
+  startPublishScheduler,
+  nudgePublishScheduler,
+  stopPublishScheduler
+};
@@ -0,0 +1,324 @@
+// src/lib/recommendations.js
+// Visitor-personalized product recommendations from analytics_events.
+//
+// Personalized lists need a visitor whose latest cookie_consents row has
+// consent.personalization === true; without it the visitor's history is not
+// read at all and everyone gets the same trending list.
+//
+// For a consenting visitor, the product_view history (last RECO_HISTORY_DAYS,
+// event_props.product_id or .slug) gives each viewed product a weight
+//   (1 + ln(views)) * 0.5 ^ (age_days / RECO_HALF_LIFE_DAYS)
+// normalized so the strongest interest is 1. Candidates are scored by
+//   - co-views: other visitors who viewed a history product and this one
+//     (last RELATED_COVIEW_DAYS)            2 * sum(weight * ln(1 + n))
+//   - category affinity: share of the history weight in the candidate's
+//     category                              3 * share
+//   - popularity (trending score)           tie-breaker, 0.1 * ln(1 + score)
+// Already viewed products are left out. Lists shorter than the limit are
+// filled with trending products.
+//
+// Trending = most viewed published products over RECO_TRENDING_DAYS, recent
+// views counting more (same half-life); newest products when there are no
+// views yet. Kept in memory for RECO_TRENDING_TTL_MS. (The recent_product_views
+// view counts all-time views by product_id only, so it is not used here.)
+
+const { formatPublicRow } = require('./formatProduct');
+
+const RECO_LIMIT = Math.max(1, Number(process.env.RECO_LIMIT || 12));
+const RECO_HISTORY_DAYS = Math.max(1, Number(process.env.RECO_HISTORY_DAYS || 90));
+const RECO_HALF_LIFE_DAYS = Math.max(1, Number(process.env.RECO_HALF_LIFE_DAYS || 14));
+const RECO_TRENDING_DAYS = Math.max(1, Number(process.env.RECO_TRENDING_DAYS || 14));
+const RECO_TRENDING_TTL_MS = Math.max(0, Number(process.env.RECO_TRENDING_TTL_MS || 10 * 60 * 1000));
+const RELATED_COVIEW_DAYS = Math.max(1, Number(process.env.RELATED_COVIEW_DAYS || 90));
+// most recent viewed products used as the visitor's profile
+const HISTORY_PRODUCTS = 20;
+// candidates fetched per source before ranking
+const CANDIDATES = 60;
+const TRENDING_SIZE = 60;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// product_view event -> product (by id or slug)
+const VIEWED_PRODUCT_JOIN = (ev, p) =>
+  `(${p}.id::text = ${ev}.event_props->>'product_id' OR ${p}.slug = ${ev}.event_props->>'slug')`;
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+/* --------------------------------------------------------------------------
+   VISITOR + CONSENT
+-------------------------------------------------------------------------- */
+
+/* visitor id (from the signed visitor cookie) -> visitors.id, null when unknown */
+async function resolveVisitor(db, visitorId) {
+  if (!visitorId || !UUID_RE.test(String(visitorId).trim())) return null;
+  const { rows } = await db.query('SELECT id FROM visitors WHERE id = $1', [String(visitorId).trim()]);
+  return rows[0] ? rows[0].id : null;
+}
+
+/* true only when the visitor's latest consent row allows personalization */
+async function hasPersonalizationConsent(db, visitorId) {
+  const { rows } = await db.query(
+    `SELECT consent FROM cookie_consents
+     WHERE visitor_id = $1
+     ORDER BY created_at DESC NULLS LAST
+     LIMIT 1`,
+    [visitorId]
+  );
+  const consent = rows[0] && rows[0].consent;
+  if (!consent || typeof consent !== 'object') return false;
+  return consent.personalization === true || consent.personalization === 'true';
+}
+
+/* --------------------------------------------------------------------------
+   HISTORY + SCORING
+-------------------------------------------------------------------------- */
+
+/* Visitor's viewed products (most recent first) with normalized interest weights */
+async function loadHistory(db, visitorId) {
+  const { rows } = await db.query(
+    `SELECT p.id, p.category_id, COUNT(*)::int AS views,
+            EXTRACT(EPOCH FROM (NOW() - MAX(a.created_at))) / 86400 AS age_days
+     FROM analytics_events a
+     JOIN products p ON ${VIEWED_PRODUCT_JOIN('a', 'p')}
+     WHERE a.visitor_id = $1 AND a.event_type = 'product_view'
+       AND a.created_at > NOW() - make_interval(days => $2)
+       AND p.deleted_at IS NULL
+     GROUP BY p.id, p.category_id
+     ORDER BY MAX(a.created_at) DESC
+     LIMIT $3`,
+    [visitorId, RECO_HISTORY_DAYS, HISTORY_PRODUCTS]
+  );
+
+  const history = rows.map((r) => ({
+    id: r.id,
+    category_id: r.category_id,
+    views: r.views,
+    weight: (1 + Math.log(Math.max(1, r.views))) * Math.pow(0.5, Math.max(0, Number(r.age_days)) / RECO_HALF_LIFE_DAYS)
+  }));
+  const max = Math.max(0, ...history.map((h) => h.weight));
+  if (max > 0) history.forEach((h) => { h.weight /= max; });
+  return history;
+}
+
+/* Products co-viewed with the history, weighted by the history product's weight */
+async function coviewCandidates(db, visitorId, history) {
+  const { rows } = await db.query(
+    `WITH hist AS (
+       SELECT h.id, h.w, p.slug
+       FROM unnest($1::uuid[], $2::float8[]) AS h(id, w)
+       JOIN products p ON p.id = h.id
+     ),
+     peers AS (
+       SELECT DISTINCT a.visitor_id, hist.id AS src_id, hist.w
+       FROM hist
+       JOIN analytics_events a
+         ON a.event_type = 'product_view' AND a.created_at > NOW() - make_interval(days => $4)
+        AND (a.event_props->>'product_id' = hist.id::text OR a.event_props->>'slug' = hist.slug)
+       WHERE a.visitor_id IS NOT NULL AND a.visitor_id <> $3
+     ),
+     co AS (
+       SELECT p2.id, p2.category_id, pe.src_id, pe.w, COUNT(DISTINCT pe.visitor_id)::int AS n
+       FROM peers pe
+       JOIN analytics_events b
+         ON b.visitor_id = pe.visitor_id AND b.event_type = 'product_view'
+        AND b.created_at > NOW() - make_interval(days => $4)
+       JOIN products p2 ON ${VIEWED_PRODUCT_JOIN('b', 'p2')}
+       WHERE p2.id <> pe.src_id AND p2.is_published = TRUE AND p2.deleted_at IS NULL
+       GROUP BY p2.id, p2.category_id, pe.src_id, pe.w
+     )
+     SELECT id, category_id, SUM(w * ln(1 + n)) AS coview_score, SUM(n)::int AS coviews
+     FROM co
+     GROUP BY id, category_id
+     ORDER BY coview_score DESC
+     LIMIT $5`,
+    [history.map((h) => h.id), history.map((h) => h.weight), visitorId, RELATED_COVIEW_DAYS, CANDIDATES]
+  );
+  return rows;
+}
+
+/* Published products in the visitor's categories, most viewed first */
+async function categoryCandidates(db, categoryIds) {
+  if (!categoryIds.length) return [];
+  const { rows } = await db.query(
+    `SELECT p.id, p.category_id
+     FROM products p
+     LEFT JOIN LATERAL (
+       SELECT COUNT(*)::int AS n
+       FROM analytics_events a
+       WHERE a.event_type = 'product_view' AND a.created_at > NOW() - make_interval(days => $2)
+         AND ${VIEWED_PRODUCT_JOIN('a', 'p')}
+     ) v ON TRUE
+     WHERE p.category_id = ANY($1::uuid[]) AND p.is_published = TRUE AND p.deleted_at IS NULL
+     ORDER BY v.n DESC, p.created_at DESC
+     LIMIT $3`,
+    [categoryIds, RECO_TRENDING_DAYS, CANDIDATES]
+  );
+  return rows;
+}
+
+/* Ranked { id, score, reasons } list for a visitor history */
+async function scorePersonalized(db, visitorId, history, trending) {
+  const viewed = new Set(history.map((h) => h.id));
+  const totalWeight = history.reduce((s, h) => s + h.weight, 0) || 1;
+
+  const affinity = new Map();
+  for (const h of history) {
+    if (!h.category_id) continue;
+    affinity.set(h.category_id, (affinity.get(h.category_id) || 0) + h.weight / totalWeight);
+  }
+
+  const [coviewed, inCategories] = [
+    await coviewCandidates(db, visitorId, history),
+    await categoryCandidates(db, [...affinity.keys()])
+  ];
+
+  const popularity = new Map(trending.map((t) => [t.id, t.score]));
+  const candidates = new Map();
+  for (const r of coviewed) candidates.set(r.id, { id: r.id, category_id: r.category_id, coview_score: Number(r.coview_score), coviews: r.coviews });
+  for (const r of inCategories) if (!candidates.has(r.id)) candidates.set(r.id, { id: r.id, category_id: r.category_id });
+
+  return [...candidates.values()]
+    .filter((c) => !viewed.has(c.id))
+    .map((c) => {
+      const reasons = {};
+      let score = 0;
+      if (c.coview_score > 0) { score += 2 * c.coview_score; reasons.coviews = c.coviews; }
+      const share = c.category_id ? affinity.get(c.category_id) || 0 : 0;
+      if (share > 0) { score += 3 * share; reasons.category_affinity = round(share); }
+      const pop = popularity.get(c.id) || 0;
+      if (pop > 0) { score += 0.1 * Math.log1p(pop); reasons.trending = true; }
+      return { id: c.id, score: round(score), reasons };
+    })
+    .filter((c) => c.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/* --------------------------------------------------------------------------
+   TRENDING
+-------------------------------------------------------------------------- */
+
+let trendingCache = null; // { at, list }
+
+/* Ranked { id, score, reasons } trending list (recency-weighted views) */
+async function getTrending(db) {
+  if (trendingCache && Date.now() - trendingCache.at < RECO_TRENDING_TTL_MS) return trendingCache.list;
+
+  const { rows } = await db.query(
+    `SELECT p.id, COUNT(*)::int AS views, COUNT(DISTINCT a.visitor_id)::int AS visitors,
+            SUM(power(0.5, EXTRACT(EPOCH FROM (NOW() - a.created_at)) / 86400 / $2)) AS score
+     FROM analytics_events a
+     JOIN products p ON ${VIEWED_PRODUCT_JOIN('a', 'p')}
+     WHERE a.event_type = 'product_view' AND a.created_at > NOW() - make_interval(days => $1)
+       AND p.is_published = TRUE AND p.deleted_at IS NULL
+     GROUP BY p.id
+     ORDER BY score DESC
+     LIMIT $3`,
+    [RECO_TRENDING_DAYS, RECO_HALF_LIFE_DAYS, TRENDING_SIZE]
+  );
+
+  let list = rows.map((r) => ({ id: r.id, score: round(Number(r.score)), reasons: { views: r.views, visitors: r.visitors } }));
+  if (!list.length) {
+    // no views yet: newest products
+    const newest = await db.query(
+      `SELECT id FROM products WHERE is_published = TRUE AND deleted_at IS NULL
+       ORDER BY created_at DESC LIMIT $1`,
+      [TRENDING_SIZE]
+    );
+    list = newest.rows.map((r) => ({ id: r.id, score: 0, reasons: { newest: true } }));
+  }
+
+  if (RECO_TRENDING_TTL_MS > 0) trendingCache = { at: Date.now(), list };
+  return list;
+}
+
+/* --------------------------------------------------------------------------
+   READ
+-------------------------------------------------------------------------- */
+
+async function hydrateProducts(db, list) {
+  if (!list.length) return [];
+  const { rows } = await db.query(
+    `SELECT p.id, p.sku, p.title, p.slug, p.short_description, p.price, p.currency, p.moq,
+            p.available_qty, p.is_published, p.og_image, p.metadata, p.trade_type,
+            jsonb_build_object('id', c.id, 'slug', c.slug, 'name', c.name, 'trade_type', c.trade_type) AS category,
+            pi.url AS primary_image
+     FROM products p
+     LEFT JOIN categories c ON c.id = p.category_id
+     LEFT JOIN LATERAL (
+       SELECT url FROM product_images
+       WHERE product_id = p.id AND is_primary = TRUE
+       ORDER BY sort_order DESC, created_at DESC LIMIT 1
+     ) pi ON TRUE
+     WHERE p.id = ANY($1::uuid[]) AND p.is_published = TRUE AND p.deleted_at IS NULL`,
+    [list.map((r) => r.id)]
+  );
+  const byId = new Map(rows.map((r) => [r.id, r]));
+  return list.filter((r) => byId.has(r.id)).map((r) => ({
+    ...formatPublicRow(byId.get(r.id)),
+    recommendation_score: r.score,
+    recommendation_reasons: r.reasons
+  }));
+}
+
+/**
+ * Recommended products for a visitor:
+ *   { strategy: 'personalized' | 'trending', reason, visitor_id, products }
+ * reason explains a trending answer: unknown_visitor | no_consent | no_history.
+ * exclude: product ids to leave out (e.g. the product being shown).
+ */
+async function getRecommendations(db, { visitorId = null, limit = RECO_LIMIT, exclude = [] } = {}) {
+  const trending = await getTrending(db);
+  const skip = new Set(exclude.map(String));
+
+  let strategy = 'trending';
+  let reason = null;
+  let ranked = [];
+  const visitor = await resolveVisitor(db, visitorId);
+
+  if (!visitor) reason = 'unknown_visitor';
+  else if (!(await hasPersonalizationConsent(db, visitor))) reason = 'no_consent';
+  else {
+    const history = await loadHistory(db, visitor);
+    if (!history.length) reason = 'no_history';
+    else {
+      history.forEach((h) => skip.add(String(h.id)));
+      ranked = (await scorePersonalized(db, visitor, history, trending)).filter((r) => !skip.has(String(r.id)));
+      if (ranked.length) strategy = 'personalized';
+      else reason = 'no_history';
+    }
+  }
+
+  // fill up with trending products not already listed / viewed
+  const listed = new Set(ranked.map((r) => String(r.id)));
+  const fill = trending
+    .filter((t) => !skip.has(String(t.id)) && !listed.has(String(t.id)))
+    .map((t) => ({ ...t, reasons: { ...t.reasons, fallback: 'trending' } }));
+
+  // hydrate a few extra so the list stays full when some ids went away
+  const products = (await hydrateProducts(db, [...ranked, ...fill].slice(0, limit + 4))).slice(0, limit);
+
+  return { strategy, reason, visitor_id: strategy === 'personalized' ? visitor : null, products };
+}
+
+/* Hydrated trending products (trending_score instead of recommendation fields) */
+async function getTrendingProducts(db, limit = RECO_LIMIT) {
+  const trending = await getTrending(db);
+  const products = (await hydrateProducts(db, trending.slice(0, limit + 4))).slice(0, limit);
+  return products.map(({ recommendation_score, recommendation_reasons, ...p }) => ({ ...p, trending_score: recommendation_score }));
+}
+
+/* Drop the cached trending list */
+function invalidateTrendingCache() {
+  trendingCache = null;
+}
+
+module.exports = {
+  RECO_LIMIT,
+  getRecommendations,
+  getTrending,
+  getTrendingProducts,
+  hasPersonalizationConsent,
+  invalidateTrendingCache
+};
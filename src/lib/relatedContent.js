@@ -0,0 +1,438 @@
+// src/lib/relatedContent.js
+// Related content: related products, related blog posts and product <-> blog cross links.
+//
+// Products are related by
+//   - same category                                  +3
+//   - shared metadata attributes (same key + value)  +1 each (up to +4)
+//   - text similarity on search_vector               ts_rank * 10
+//   - co-views: visitors who viewed both (analytics_events `product_view`,
+//     event_props.product_id or .slug, last RELATED_COVIEW_DAYS)   2 * ln(1 + n)
+// Blog posts are related by shared tags (+2 each) and text similarity of
+// title + excerpt. A blog "mentions" a product when its content links to
+// /product/<slug> (+2) or names the product title as a whole phrase (+1).
+//
+// Results are stored per item in related_content ({ id, score, reasons } lists)
+// and precomputed nightly (startRelatedPrecompute, RELATED_PRECOMPUTE_HOUR UTC).
+// Reads never compute: they serve the stored lists (empty when there are none
+// yet) and queue items whose lists are missing or older than
+// RELATED_MAX_AGE_HOURS; a background run refreshes the queue
+// RELATED_QUEUE_DELAY_MS after the first item was queued. Ids are hydrated with live
+// rows, so unpublished / deleted items never show up; hydrated responses are
+// kept in memory for RELATED_CACHE_TTL_MS.
+
+const { buildImageUrl } = require('./buildUrl');
+const { formatPublicRow } = require('./formatProduct');
+
+const RELATED_LIMIT = Math.max(1, Number(process.env.RELATED_LIMIT || 8));
+const RELATED_COVIEW_DAYS = Math.max(1, Number(process.env.RELATED_COVIEW_DAYS || 90));
+const RELATED_MAX_AGE_HOURS = Math.max(1, Number(process.env.RELATED_MAX_AGE_HOURS || 36));
+const RELATED_CACHE_TTL_MS = Math.max(0, Number(process.env.RELATED_CACHE_TTL_MS || 5 * 60 * 1000));
+const RELATED_PRECOMPUTE_HOUR = Math.min(23, Math.max(0, Number(process.env.RELATED_PRECOMPUTE_HOUR || 3)));
+const RELATED_QUEUE_DELAY_MS = Math.max(0, Number(process.env.RELATED_QUEUE_DELAY_MS || 30 * 1000));
+// candidates kept per list; reads slice down to the requested limit
+const STORED_PER_LIST = 24;
+const CACHE_MAX_ENTRIES = 500;
+const QUEUE_MAX_ENTRIES = 10000;
+
+// regex matching `title` as a whole phrase in text (title special chars escaped)
+const REGEX_SPECIALS_SQL = String.raw`'([.*+?^$(){}|\[\]\\])'`;
+const TITLE_PHRASE_SQL = (title) =>
+  `('\\m' || regexp_replace(${title}, ${REGEX_SPECIALS_SQL}, '\\\\\\1', 'g') || '\\M')`;
+// links to a product page inside stored blog content; the slug must end at a
+// non-slug character so /product/pepper does not match /product/pepper-black
+const LINKS_PRODUCT_SQL = (content, slug) =>
+  `(${content} ~* ('/products?/' || regexp_replace(${slug}, ${REGEX_SPECIALS_SQL}, '\\\\\\1', 'g') || '([^a-z0-9_-]|$)'))`;
+
+function round(n) {
+  return Math.round(n * 1000) / 1000;
+}
+
+function rank(rows, scoreFn) {
+  return rows
+    .map((r) => scoreFn(r))
+    .filter((r) => r.score > 0)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, STORED_PER_LIST);
+}
+
+/* --------------------------------------------------------------------------
+   COMPUTE
+-------------------------------------------------------------------------- */
+
+async function computeRelatedProducts(db, productId) {
+  const { rows } = await db.query(
+    `WITH src AS (
+       SELECT id, slug, category_id, COALESCE(metadata, '{}'::jsonb) AS metadata, search_vector
+       FROM products WHERE id = $1
+     ),
+     q AS (
+       -- the source's most frequent lexemes, OR-ed
+       SELECT NULLIF(string_agg(quote_literal(l.lexeme), ' | '), '')::tsquery AS tsq
+       FROM (
+         SELECT u.lexeme FROM src, unnest(src.search_vector) u
+         ORDER BY COALESCE(array_length(u.positions, 1), 1) DESC, u.lexeme
+         LIMIT 24
+       ) l
+     ),
+     coviews AS (
+       SELECT p2.id, COUNT(DISTINCT b.visitor_id)::int AS n
+       FROM src
+       JOIN analytics_events a
+         ON a.event_type = 'product_view' AND a.created_at > NOW() - make_interval(days => $2)
+        AND (a.event_props->>'product_id' = src.id::text OR a.event_props->>'slug' = src.slug)
+       JOIN analytics_events b
+         ON b.visitor_id = a.visitor_id AND b.event_type = 'product_view'
+        AND b.created_at > NOW() - make_interval(days => $2)
+       JOIN products p2
+         ON p2.id::text = b.event_props->>'product_id' OR p2.slug = b.event_props->>'slug'
+       WHERE p2.id <> src.id
+       GROUP BY p2.id
+     )
+     SELECT c.id,
+            (src.category_id IS NOT NULL AND c.category_id = src.category_id) AS same_category,
+            attrs.n AS shared_attrs,
+            COALESCE(ts_rank(c.search_vector, q.tsq, 32), 0) AS text_rank,
+            COALESCE(cv.n, 0) AS coviews
+     FROM products c
+     CROSS JOIN src
+     CROSS JOIN q
+     LEFT JOIN coviews cv ON cv.id = c.id
+     CROSS JOIN LATERAL (
+       SELECT COUNT(*)::int AS n
+       FROM jsonb_each_text(CASE WHEN jsonb_typeof(c.metadata) = 'object' THEN c.metadata ELSE '{}'::jsonb END) m
+       WHERE m.key <> 'og_image' AND src.metadata->>m.key = m.value
+     ) attrs
+     WHERE c.id <> src.id AND c.is_published = TRUE AND c.deleted_at IS NULL
+       AND (c.category_id = src.category_id OR cv.n > 0 OR attrs.n > 0
+            OR (q.tsq IS NOT NULL AND c.search_vector @@ q.tsq))`,
+    [productId, RELATED_COVIEW_DAYS]
+  );
+
+  return rank(rows, (r) => {
+    const reasons = {};
+    let score = 0;
+    if (r.same_category) { score += 3; reasons.category = true; }
+    if (r.shared_attrs) { score += Math.min(4, r.shared_attrs); reasons.attributes = r.shared_attrs; }
+    if (Number(r.text_rank) > 0) { score += Number(r.text_rank) * 10; reasons.text = round(Number(r.text_rank)); }
+    if (r.coviews) { score += 2 * Math.log1p(r.coviews); reasons.coviews = r.coviews; }
+    return { id: r.id, score: round(score), reasons };
+  });
+}
+
+async function computeRelatedPosts(db, blogId) {
+  const { rows } = await db.query(
+    `WITH src AS (
+       SELECT id,
+              NULLIF(replace(plainto_tsquery('english', COALESCE(title, '') || ' ' || COALESCE(excerpt, ''))::text, '&', '|'), '')::tsquery AS tsq
+       FROM blogs WHERE id = $1
+     )
+     SELECT b.id, tags.n AS shared_tags,
+            COALESCE(ts_rank(to_tsvector('english', COALESCE(b.title, '') || ' ' || COALESCE(b.excerpt, '')), src.tsq, 32), 0) AS text_rank
+     FROM blogs b
+     CROSS JOIN src
+     CROSS JOIN LATERAL (
+       SELECT COUNT(*)::int AS n
+       FROM blog_tag_map m
+       WHERE m.blog_id = b.id AND m.tag_id IN (SELECT tag_id FROM blog_tag_map WHERE blog_id = src.id)
+     ) tags
+     WHERE b.id <> src.id AND b.is_published = TRUE AND b.deleted_at IS NULL
+       AND (tags.n > 0 OR (src.tsq IS NOT NULL
+            AND to_tsvector('english', COALESCE(b.title, '') || ' ' || COALESCE(b.excerpt, '')) @@ src.tsq))`,
+    [blogId]
+  );
+
+  return rank(rows, (r) => {
+    const reasons = {};
+    let score = 0;
+    if (r.shared_tags) { score += 2 * r.shared_tags; reasons.tags = r.shared_tags; }
+    if (Number(r.text_rank) > 0) { score += Number(r.text_rank) * 10; reasons.text = round(Number(r.text_rank)); }
+    return { id: r.id, score: round(score), reasons };
+  });
+}
+
+/* Published blogs that link to or name the product */
+async function computeBlogsMentioningProduct(db, productId) {
+  const { rows } = await db.query(
+    `SELECT b.id,
+            ${LINKS_PRODUCT_SQL('b.content::text', 'p.slug')} AS links,
+            (length(p.title) >= 4 AND b.content::text ~* ${TITLE_PHRASE_SQL('p.title')}) AS names
+     FROM products p
+     JOIN blogs b ON b.is_published = TRUE AND b.deleted_at IS NULL
+     WHERE p.id = $1
+       AND (${LINKS_PRODUCT_SQL('b.content::text', 'p.slug')}
+            OR (length(p.title) >= 4 AND b.content::text ~* ${TITLE_PHRASE_SQL('p.title')}))`,
+    [productId]
+  );
+  return rank(rows, (r) => mentionScore(r));
+}
+
+/* Published products the blog links to or names */
+async function computeProductsMentionedInBlog(db, blogId) {
+  const { rows } = await db.query(
+    `SELECT p.id,
+            ${LINKS_PRODUCT_SQL('b.content::text', 'p.slug')} AS links,
+            (length(p.title) >= 4 AND b.content::text ~* ${TITLE_PHRASE_SQL('p.title')}) AS names
+     FROM blogs b
+     JOIN products p ON p.is_published = TRUE AND p.deleted_at IS NULL
+     WHERE b.id = $1
+       AND (${LINKS_PRODUCT_SQL('b.content::text', 'p.slug')}
+            OR (length(p.title) >= 4 AND b.content::text ~* ${TITLE_PHRASE_SQL('p.title')}))`,
+    [blogId]
+  );
+  return rank(rows, (r) => mentionScore(r));
+}
+
+function mentionScore(r) {
+  const reasons = {};
+  let score = 0;
+  if (r.links) { score += 2; reasons.links = true; }
+  if (r.names) { score += 1; reasons.names = true; }
+  return { id: r.id, score, reasons };
+}
+
+/*
+ * Compute and store one item's lists.
+ * product: related_products = similar products, related_posts = blogs mentioning it
+ * blog:    related_posts = similar posts, related_products = products it mentions
+ */
+async function refreshRelated(db, entityType, entityId) {
+  const [products, posts] = entityType === 'product'
+    ? [await computeRelatedProducts(db, entityId), await computeBlogsMentioningProduct(db, entityId)]
+    : [await computeProductsMentionedInBlog(db, entityId), await computeRelatedPosts(db, entityId)];
+
+  const { rows } = await db.query(
+    `INSERT INTO related_content (entity_type, entity_id, related_products, related_posts, computed_at)
+     VALUES ($1, $2, $3::jsonb, $4::jsonb, NOW())
+     ON CONFLICT (entity_type, entity_id)
+     DO UPDATE SET related_products = EXCLUDED.related_products, related_posts = EXCLUDED.related_posts,
+                   computed_at = EXCLUDED.computed_at
+     RETURNING related_products, related_posts, computed_at`,
+    [entityType, entityId, JSON.stringify(products), JSON.stringify(posts)]
+  );
+  cache.delete(`${entityType}:${entityId}`);
+  return rows[0];
+}
+
+/* --------------------------------------------------------------------------
+   READ
+-------------------------------------------------------------------------- */
+
+async function hydrateProducts(db, list) {
+  if (!list.length) return [];
+  const { rows } = await db.query(
+    `SELECT p.id, p.sku, p.title, p.slug, p.short_description, p.price, p.currency, p.moq,
+            p.available_qty, p.is_published, p.og_image, p.metadata, p.trade_type,
+            jsonb_build_object('id', c.id, 'slug', c.slug, 'name', c.name, 'trade_type', c.trade_type) AS category,
+            pi.url AS primary_image
+     FROM products p
+     LEFT JOIN categories c ON c.id = p.category_id
+     LEFT JOIN LATERAL (
+       SELECT url FROM product_images
+       WHERE product_id = p.id AND is_primary = TRUE
+       ORDER BY sort_order DESC, created_at DESC LIMIT 1
+     ) pi ON TRUE
+     WHERE p.id = ANY($1::uuid[]) AND p.is_published = TRUE AND p.deleted_at IS NULL`,
+    [list.map((r) => r.id)]
+  );
+  const byId = new Map(rows.map((r) => [r.id, r]));
+  return list.filter((r) => byId.has(r.id)).map((r) => ({
+    ...formatPublicRow(byId.get(r.id)),
+    related_score: r.score,
+    related_reasons: r.reasons
+  }));
+}
+
+async function hydratePosts(db, list) {
+  if (!list.length) return [];
+  const { rows } = await db.query(
+    `SELECT id, title, slug, excerpt, og_image, published_at, reading_time_minutes
+     FROM blogs
+     WHERE id = ANY($1::uuid[]) AND is_published = TRUE AND deleted_at IS NULL`,
+    [list.map((r) => r.id)]
+  );
+  const byId = new Map(rows.map((r) => [r.id, r]));
+  return list.filter((r) => byId.has(r.id)).map((r) => {
+    const b = byId.get(r.id);
+    return { ...b, image: buildImageUrl(b.og_image), related_score: r.score, related_reasons: r.reasons };
+  });
+}
+
+// entityType:entityId -> { at, value } (hydrated, RELATED_LIMIT items per list)
+const cache = new Map();
+
+/* Drop cached lists (all, or one item's) */
+function invalidateRelatedCache(entityType = null, entityId = null) {
+  if (entityType && entityId) cache.delete(`${entityType}:${entityId}`);
+  else cache.clear();
+}
+
+// "entityType:entityId" of items read with missing / stale lists
+const queued = new Set();
+let queueTimer = null;
+
+/* Queue an item and make sure a background run is coming */
+function queueRefresh(db, entityType, entityId) {
+  if (queued.size < QUEUE_MAX_ENTRIES) queued.add(`${entityType}:${entityId}`);
+  if (queueTimer) return;
+  queueTimer = setTimeout(() => {
+    drainRelatedQueue(db)
+      .catch((e) => console.warn('[relatedContent] queue run failed:', e.message))
+      .finally(() => {
+        queueTimer = null;
+        // items queued during the run (or left for a running precompute) get the next one
+        if (queued.size) queueRefresh(db, ...queued.values().next().value.split(':'));
+      });
+  }, RELATED_QUEUE_DELAY_MS);
+  if (queueTimer.unref) queueTimer.unref();
+}
+
+/* Refresh the queued items one by one; returns how many were refreshed */
+async function drainRelatedQueue(db) {
+  // a precompute in progress takes the queued items first
+  if (precomputing) return 0;
+  let refreshed = 0;
+  while (queued.size) {
+    const key = queued.values().next().value;
+    queued.delete(key);
+    const [type, id] = key.split(':');
+    try {
+      await refreshRelated(db, type, id);
+      invalidateRelatedCache(type, id);
+      refreshed++;
+    } catch (e) {
+      console.warn('[relatedContent] refresh failed:', type, id, e.message);
+    }
+    // yield between items so API requests are not starved
+    await new Promise((resolve) => setImmediate(resolve));
+  }
+  return refreshed;
+}
+
+/**
+ * Related lists for a product or blog id:
+ *   { related_products, related_posts, computed_at }
+ * Stale or missing lists are served as they are (computed_at null when
+ * missing) and queued for a background refresh.
+ * refresh: recompute now instead of using the stored lists (editors only).
+ */
+async function getRelated(db, entityType, entityId, { limit = RELATED_LIMIT, refresh = false } = {}) {
+  const key = `${entityType}:${entityId}`;
+  const hit = cache.get(key);
+  if (!refresh && hit && Date.now() - hit.at < RELATED_CACHE_TTL_MS && limit <= RELATED_LIMIT) {
+    return trim(hit.value, limit);
+  }
+
+  let stored;
+  if (refresh) {
+    stored = await refreshRelated(db, entityType, entityId);
+  } else {
+    const { rows } = await db.query(
+      `SELECT related_products, related_posts, computed_at,
+              computed_at <= NOW() - make_interval(hours => $3) AS stale
+       FROM related_content
+       WHERE entity_type = $1 AND entity_id = $2`,
+      [entityType, entityId, RELATED_MAX_AGE_HOURS]
+    );
+    stored = rows[0] || { related_products: [], related_posts: [], computed_at: null, stale: true };
+    if (stored.stale) queueRefresh(db, entityType, entityId);
+  }
+
+  // hydrate more than needed so lists stay full when some ids went away
+  const take = Math.max(limit, RELATED_LIMIT);
+  const value = {
+    related_products: (await hydrateProducts(db, (stored.related_products || []).slice(0, take + 4))).slice(0, take),
+    related_posts: (await hydratePosts(db, (stored.related_posts || []).slice(0, take + 4))).slice(0, take),
+    computed_at: stored.computed_at
+  };
+
+  if (RELATED_CACHE_TTL_MS > 0) {
+    if (cache.size >= CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+    cache.set(key, { at: Date.now(), value });
+  }
+  return trim(value, limit);
+}
+
+function trim(value, limit) {
+  return {
+    ...value,
+    related_products: value.related_products.slice(0, limit),
+    related_posts: value.related_posts.slice(0, limit)
+  };
+}
+
+/* --------------------------------------------------------------------------
+   NIGHTLY PRECOMPUTE
+-------------------------------------------------------------------------- */
+
+let precomputing = false;
+
+/*
+ * Recompute every published product and blog, items queued by reads first;
+ * stale rows of removed items are dropped
+ */
+async function precomputeAllRelated(db) {
+  if (precomputing) return null;
+  precomputing = true;
+  const counts = { products: 0, blogs: 0, failed: 0 };
+  try {
+    const items = [
+      ...(await db.query('SELECT id FROM products WHERE is_published = TRUE AND deleted_at IS NULL ORDER BY id')).rows
+        .map((r) => ['product', r.id]),
+      ...(await db.query('SELECT id FROM blogs WHERE is_published = TRUE AND deleted_at IS NULL ORDER BY id')).rows
+        .map((r) => ['blog', r.id])
+    ].sort((a, b) => Number(queued.has(b.join(':'))) - Number(queued.has(a.join(':'))));
+    queued.clear();
+    for (const [type, id] of items) {
+      try {
+        await refreshRelated(db, type, id);
+        counts[type === 'product' ? 'products' : 'blogs']++;
+      } catch (e) {
+        counts.failed++;
+        console.warn('[relatedContent] refresh failed:', type, id, e.message);
+      }
+      // yield between items so API requests are not starved
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    await db.query(
+      `DELETE FROM related_content rc
+       WHERE (rc.entity_type = 'product' AND NOT EXISTS (
+                SELECT 1 FROM products p WHERE p.id = rc.entity_id AND p.deleted_at IS NULL))
+          OR (rc.entity_type = 'blog' AND NOT EXISTS (
+                SELECT 1 FROM blogs b WHERE b.id = rc.entity_id AND b.deleted_at IS NULL))`
+    );
+    invalidateRelatedCache();
+    return counts;
+  } finally {
+    precomputing = false;
+  }
+}
+
+function msUntilNextRun(now = new Date()) {
+  const next = new Date(now);
+  next.setUTCHours(RELATED_PRECOMPUTE_HOUR, 0, 0, 0);
+  if (next <= now) next.setUTCDate(next.getUTCDate() + 1);
+  return next - now;
+}
+
+/* Run precomputeAllRelated every night at RELATED_PRECOMPUTE_HOUR (UTC) */
+function startRelatedPrecompute(db) {
+  const schedule = () => {
+    const timer = setTimeout(() => {
+      precomputeAllRelated(db)
+        .then((counts) => counts && console.log('🔗 Related content precomputed:', counts))
+        .catch((e) => console.warn('⚠️ Related content precompute failed:', e.message))
+        .finally(schedule);
+    }, msUntilNextRun());
+    if (timer.unref) timer.unref();
+  };
+  schedule();
+}
+
+module.exports = {
+  RELATED_LIMIT,
+  getRelated,
+  refreshRelated,
+  invalidateRelatedCache,
+  precomputeAllRelated,
+  startRelatedPrecompute
+};
@@ -1,6 +1,52 @@
 // src/lib/sitemapService.js
-const fs = require("fs");
-const path = require("path");
+// Sitemaps, served dynamically by routes/sitemap.js:
+//
+//   /sitemap.xml                     sitemap index
+//   /sitemaps/<section>-<n>.xml      one part of a section
+//   (+ .gz of each; the index links the .gz parts when SITEMAP_GZIP=true)
+//
+// Sections: pages, categories, products, blogs, blog-tags. Each section is
+// split into parts of at most SITEMAP_MAX_URLS urls (<= 50,000) and
+// SITEMAP_MAX_BYTES uncompressed bytes (<= 50 MB), the protocol limits.
+// Product and blog urls carry <image:image> entries (product_images /
+// blog_images + og_image). SITEMAP_HREFLANG adds <xhtml:link> alternates:
+//   SITEMAP_HREFLANG="en=https://example.com,de=https://example.com/de,x-default=https://example.com"
+// each url gets one alternate per entry (that base + the url's path).
+//
+// Urls are built on APP_DOMAIN only (never the request host), so there is one
+// set, cached until invalidate() (called after content changes) drops it and
+// the next request rebuilds. SITEMAP_CACHE_TTL_MS (0 = no limit) additionally
+// caps how long a set is served.
+const zlib = require("zlib");
+const crypto = require("crypto");
+
+const PROTOCOL_MAX_URLS = 50000;
+const PROTOCOL_MAX_BYTES = 50 * 1024 * 1024;
+const MAX_IMAGES_PER_URL = 1000;
+
+const SITEMAP_MAX_URLS = Math.min(PROTOCOL_MAX_URLS, Math.max(1, Number(process.env.SITEMAP_MAX_URLS || PROTOCOL_MAX_URLS)));
+const SITEMAP_MAX_BYTES = Math.min(PROTOCOL_MAX_BYTES, Math.max(10 * 1024, Number(process.env.SITEMAP_MAX_BYTES || PROTOCOL_MAX_BYTES)));
+const SITEMAP_CACHE_TTL_MS = Math.max(0, Number(process.env.SITEMAP_CACHE_TTL_MS || 60 * 60 * 1000));
+const SITEMAP_GZIP = String(process.env.SITEMAP_GZIP || "false").toLowerCase() === "true";
+
+const { buildImageUrl } = require("./buildUrl");
+
+// "lang=base,lang=base" -> [{ lang, base }]
+const HREFLANG = String(process.env.SITEMAP_HREFLANG || "")
+  .split(",")
+  .map((s) => s.trim())
+  .filter(Boolean)
+  .map((s) => {
+    const i = s.indexOf("=");
+    return i > 0 ? { lang: s.slice(0, i).trim(), base: s.slice(i + 1).trim().replace(/\/$/, "") } : null;
+  })
+  .filter((h) => h && h.lang && /^https?:\/\//i.test(h.base));
+
+const URLSET_OPEN =
+  `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"` +
+  ` xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"` +
+  `${HREFLANG.length ? ' xmlns:xhtml="http://www.w3.org/1999/xhtml"' : ""}>\n`;
+const URLSET_CLOSE = "</urlset>";
 
 // ------------------------------
 // Safely fetch rows from DB
@@ -11,143 +57,294 @@ async function fetchRows(db, sql, params = []) {
   return rows || [];
 }
 
+function xmlEscape(s) {
+  return String(s).replace(/[&<>"']/g, (m) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&apos;" }[m]));
+}
+
+function toDate(v) {
+  if (!v) return null;
+  const d = v instanceof Date ? v : new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
 // ------------------------------
 // URL Entry for XML sitemap
 // ------------------------------
-function urlEntry(url, opts = {}) {
+function urlEntry(baseUrl, path, opts = {}) {
   const lastmod = opts.lastmod ? `<lastmod>${opts.lastmod.toISOString()}</lastmod>` : "";
   const changefreq = opts.changefreq ? `<changefreq>${opts.changefreq}</changefreq>` : "";
   const priority =
     typeof opts.priority === "number"
       ? `<priority>${opts.priority.toFixed(1)}</priority>`
       : "";
+  const alternates = HREFLANG.map(
+    (h) => `<xhtml:link rel="alternate" hreflang="${xmlEscape(h.lang)}" href="${xmlEscape(h.base + path)}"/>`
+  ).join("");
+  const images = (opts.images || [])
+    .slice(0, MAX_IMAGES_PER_URL)
+    .map((src) => `<image:image><image:loc>${xmlEscape(src)}</image:loc></image:image>`)
+    .join("");
 
-  return `<url><loc>${url}</loc>${lastmod}${changefreq}${priority}</url>`;
+  return `<url><loc>${xmlEscape(baseUrl + path)}</loc>${lastmod}${changefreq}${priority}${alternates}${images}</url>`;
+}
+
+/* Absolute, de-duplicated image urls (storage paths resolved) */
+function imageList(...lists) {
+  const seen = new Set();
+  for (const list of lists) {
+    for (const v of list || []) {
+      const url = buildImageUrl(v);
+      if (url) seen.add(url);
+    }
+  }
+  return [...seen];
 }
 
 // ------------------------------
-// Build XML Sitemap
+// Section entries
 // ------------------------------
-async function buildXml(db, baseUrl) {
-  baseUrl =
-    (baseUrl || process.env.APP_DOMAIN || "https://localhost:4200").replace(
-      /\/$/,
-      ""
-    );
-
-  const urls = [];
-
-  // homepage
-  urls.push(urlEntry(`${baseUrl}/`, { changefreq: "daily", priority: 1.0 }));
-
-  // categories
-  const categories = await fetchRows(
-    db,
-    `SELECT slug, updated_at FROM categories ORDER BY sort_order NULLS LAST, name`
-  );
-  categories.forEach((c) =>
-    urls.push(
-      urlEntry(`${baseUrl}/category/${encodeURIComponent(c.slug)}`, {
-        lastmod: c.updated_at || null,
-        changefreq: "weekly",
-        priority: 0.8,
-      })
-    )
-  );
-
-  // products
-  const products = await fetchRows(
-    db,
-    `SELECT slug, updated_at FROM products
-     WHERE is_published = TRUE ORDER BY updated_at DESC LIMIT 50000`
-  );
-  products.forEach((p) =>
-    urls.push(
-      urlEntry(`${baseUrl}/product/${encodeURIComponent(p.slug)}`, {
-        lastmod: p.updated_at || null,
-        changefreq: "weekly",
-        priority: 0.9,
-      })
-    )
-  );
-
-  // blogs
-  const blogs = await fetchRows(
-    db,
-    `SELECT slug, published_at, updated_at FROM blogs
-     WHERE is_published = TRUE ORDER BY published_at DESC LIMIT 50000`
-  );
-  blogs.forEach((b) => {
-    const last = b.published_at || b.updated_at || null;
-    urls.push(
-      urlEntry(`${baseUrl}/blog/${encodeURIComponent(b.slug)}`, {
-        lastmod: last,
-        changefreq: "monthly",
-        priority: 0.7,
-      })
-    );
-  });
-
-  const xml = `<?xml version="1.0" encoding="UTF-8"?>\n<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join(
-    "\n"
-  )}\n</urlset>`;
-
-  return xml;
+const SECTIONS = [
+  {
+    name: "pages",
+    async entries(db, baseUrl) {
+      return [{ xml: urlEntry(baseUrl, "/", { changefreq: "daily", priority: 1.0 }), lastmod: null }];
+    },
+  },
+  {
+    name: "categories",
+    async entries(db, baseUrl) {
+      const rows = await fetchRows(
+        db,
+        `SELECT slug, updated_at, image FROM categories WHERE deleted_at IS NULL ORDER BY sort_order NULLS LAST, name`
+      );
+      return rows.map((c) => {
+        const lastmod = toDate(c.updated_at);
+        return {
+          xml: urlEntry(baseUrl, `/category/${encodeURIComponent(c.slug)}`, {
+            lastmod,
+            changefreq: "weekly",
+            priority: 0.8,
+            images: imageList([c.image]),
+          }),
+          lastmod,
+        };
+      });
+    },
+  },
+  {
+    name: "products",
+    async entries(db, baseUrl) {
+      const rows = await fetchRows(
+        db,
+        `SELECT p.slug, p.updated_at, p.og_image,
+                COALESCE(array_agg(pi.url ORDER BY pi.is_primary DESC, pi.sort_order DESC, pi.created_at ASC)
+                         FILTER (WHERE pi.url IS NOT NULL), '{}') AS images
+         FROM products p
+         LEFT JOIN product_images pi ON pi.product_id = p.id
+         WHERE p.is_published = TRUE AND p.deleted_at IS NULL
+         GROUP BY p.id
+         ORDER BY p.updated_at DESC NULLS LAST, p.id`
+      );
+      return rows.map((p) => {
+        const lastmod = toDate(p.updated_at);
+        return {
+          xml: urlEntry(baseUrl, `/product/${encodeURIComponent(p.slug)}`, {
+            lastmod,
+            changefreq: "weekly",
+            priority: 0.9,
+            images: imageList(p.images, [p.og_image]),
+          }),
+          lastmod,
+        };
+      });
+    },
+  },
+  {
+    name: "blogs",
+    async entries(db, baseUrl) {
+      const rows = await fetchRows(
+        db,
+        `SELECT b.slug, b.published_at, b.updated_at, b.og_image, b.first_image,
+                COALESCE(array_agg(bi.url ORDER BY bi.created_at ASC) FILTER (WHERE bi.url IS NOT NULL), '{}') AS images
+         FROM blogs b
+         LEFT JOIN blog_images bi ON bi.blog_id = b.id
+         WHERE b.is_published = TRUE AND b.deleted_at IS NULL
+         GROUP BY b.id
+         ORDER BY b.published_at DESC NULLS LAST, b.id`
+      );
+      return rows.map((b) => {
+        const lastmod = toDate(b.updated_at) || toDate(b.published_at);
+        return {
+          xml: urlEntry(baseUrl, `/blog/${encodeURIComponent(b.slug)}`, {
+            lastmod,
+            changefreq: "monthly",
+            priority: 0.7,
+            images: imageList([b.og_image], [b.first_image], b.images),
+          }),
+          lastmod,
+        };
+      });
+    },
+  },
+  {
+    // blog tag archives (tags with at least one published post)
+    name: "blog-tags",
+    async entries(db, baseUrl) {
+      const rows = await fetchRows(
+        db,
+        `SELECT t.slug, MAX(COALESCE(b.published_at, b.updated_at)) AS last_post_at
+         FROM blog_tags t
+         JOIN blog_tag_map m ON m.tag_id = t.id
+         JOIN blogs b ON b.id = m.blog_id AND b.is_published = TRUE AND b.deleted_at IS NULL
+         GROUP BY t.slug
+         ORDER BY t.slug`
+      );
+      return rows.map((t) => {
+        const lastmod = toDate(t.last_post_at);
+        return {
+          xml: urlEntry(baseUrl, `/blog/tag/${encodeURIComponent(t.slug)}`, {
+            lastmod,
+            changefreq: "weekly",
+            priority: 0.5,
+          }),
+          lastmod,
+        };
+      });
+    },
+  },
+];
+
+/* Entries -> parts within the url-count and byte limits */
+function splitParts(entries) {
+  const fixed = Buffer.byteLength(URLSET_OPEN) + Buffer.byteLength(URLSET_CLOSE);
+  const parts = [];
+  let current = null;
+  for (const e of entries) {
+    const bytes = Buffer.byteLength(e.xml) + 1;
+    if (!current || current.entries.length >= SITEMAP_MAX_URLS || current.bytes + bytes > SITEMAP_MAX_BYTES) {
+      current = { entries: [], bytes: fixed };
+      parts.push(current);
+    }
+    current.entries.push(e);
+    current.bytes += bytes;
+  }
+  return parts;
+}
+
+function maxDate(dates) {
+  let max = null;
+  for (const d of dates) if (d && (!max || d > max)) max = d;
+  return max;
+}
+
+function makeFile(xml, lastmod) {
+  return {
+    xml,
+    lastmod,
+    etag: `"${crypto.createHash("sha1").update(xml).digest("hex").slice(0, 27)}"`,
+    gz: null, // gzipped lazily (getFile)
+  };
 }
 
 // ------------------------------
-// Write Sitemap to public folder
+// Build the whole set
 // ------------------------------
-async function writeStatic(xml) {
-  const outDir = path.resolve(process.cwd(), "public");
-  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
-  const outPath = path.join(outDir, "sitemap.xml");
-  fs.writeFileSync(outPath, xml, "utf8");
-  return outPath;
+async function buildSet(db, baseUrl) {
+  const files = new Map();
+  const index = [];
+  const builtAt = new Date();
+
+  for (const section of SECTIONS) {
+    const parts = splitParts(await section.entries(db, baseUrl));
+    parts.forEach((part, i) => {
+      const name = `${section.name}-${i + 1}`;
+      const lastmod = maxDate(part.entries.map((e) => e.lastmod));
+      files.set(name, makeFile(`${URLSET_OPEN}${part.entries.map((e) => e.xml).join("\n")}\n${URLSET_CLOSE}`, lastmod || builtAt));
+      index.push({ name, lastmod });
+    });
+  }
+
+  const ext = SITEMAP_GZIP ? ".xml.gz" : ".xml";
+  const indexXml =
+    `<?xml version="1.0" encoding="UTF-8"?>\n<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n` +
+    index
+      .map(
+        (s) =>
+          `<sitemap><loc>${xmlEscape(`${baseUrl}/sitemaps/${s.name}${ext}`)}</loc>` +
+          `${s.lastmod ? `<lastmod>${s.lastmod.toISOString()}</lastmod>` : ""}</sitemap>`
+      )
+      .join("\n") +
+    `\n</sitemapindex>`;
+
+  return { at: Date.now(), index: makeFile(indexXml, maxDate(index.map((s) => s.lastmod)) || builtAt), files };
+}
+
+// the built set and the build in progress (shared by concurrent callers)
+let cached = null;
+let pending = null;
+// bumped by invalidate() so builds started before a change are not cached
+let generation = 0;
+
+function siteBase() {
+  return (process.env.APP_DOMAIN || "https://localhost:4200").replace(/\/$/, "");
+}
+
+/* Cached set, built on first use */
+async function getSet(db) {
+  if (cached && (!SITEMAP_CACHE_TTL_MS || Date.now() - cached.at < SITEMAP_CACHE_TTL_MS)) return cached;
+  if (pending) return pending;
+
+  const startedAt = generation;
+  const build = buildSet(db, siteBase())
+    .then((set) => {
+      if (startedAt === generation) cached = set;
+      return set;
+    })
+    .finally(() => {
+      if (pending === build) pending = null;
+    });
+  pending = build;
+  return build;
+}
+
+/**
+ * One sitemap file: name "index" or "<section>-<n>".
+ * Returns { body, etag, lastmod } (gzip: gzipped body) or null when unknown.
+ */
+async function getFile(db, name, { gzip = false } = {}) {
+  const set = await getSet(db);
+  const file = name === "index" ? set.index : set.files.get(name);
+  if (!file) return null;
+  if (!gzip) return { body: file.xml, etag: file.etag, lastmod: file.lastmod };
+  if (!file.gz) file.gz = zlib.gzipSync(file.xml);
+  return { body: file.gz, etag: `${file.etag.slice(0, -1)}-gz"`, lastmod: file.lastmod };
 }
 
 module.exports = {
+  SECTION_NAMES: SECTIONS.map((s) => s.name),
+  getFile,
+
   // ------------------------------
-  // REBUILD SITEMAP
+  // REBUILD SITEMAP (warms the cache)
   // ------------------------------
-  async rebuild(db, baseUrl) {
+  async rebuild(db) {
     if (!db || typeof db.query !== "function") {
       console.warn("sitemapService.rebuild: DB missing → SKIPPED");
       return { ok: false, skipped: true };
     }
 
-    const xml = await buildXml(db, baseUrl);
-    const outPath = await writeStatic(xml);
-    return { ok: true, path: outPath };
+    cached = null;
+    const set = await getSet(db);
+    return { ok: true, files: set.files.size };
   },
 
   // ------------------------------
-  // INVALIDATE + silently fallback
+  // INVALIDATE: drop the cached set, the next request rebuilds
   // ------------------------------
-  async invalidate(providedDb = null, baseUrl) {
-    let db = providedDb;
-
-    // auto-detect DB if not provided
-    if (!db) {
-      try {
-        const local = require("../db");
-        db = local.pool || local.client || local;
-      } catch {
-        db = null;
-      }
-    }
-
-    // no db = skip sitemap generation (do NOT error)
-    if (!db || typeof db.query !== "function") {
-      console.warn("sitemapService.invalidate: No DB → Sitemap SKIPPED");
-      return { ok: false, skipped: true };
-    }
-
-    try {
-      return await this.rebuild(db, baseUrl);
-    } catch (err) {
-      console.error("sitemapService.invalidate failed:", err);
-      return { ok: false, error: err.message };
-    }
+  async invalidate(providedDb = null) {
+    generation++;
+    pending = null;
+    cached = null;
+    return { ok: true };
   },
 };
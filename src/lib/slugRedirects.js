@@ -0,0 +1,92 @@
+// src/lib/slugRedirects.js
+// slug_redirects: old slug -> entity (product / category / blog), so retired
+// storefront URLs keep resolving after merges and slug changes.
+//
+// Redirects point at the entity id rather than the new slug, so renaming
+// twice never produces a redirect chain: lookups always land on the current slug.
+
+const ENTITY_TYPES = new Set(['product', 'category', 'blog']);
+
+// storefront path prefix + source table per entity type (matches sitemapService)
+const ENTITIES = {
+  product: { table: 'products', path: '/product/' },
+  category: { table: 'categories', path: '/category/' },
+  blog: { table: 'blogs', path: '/blog/' }
+};
+
+/* Record (or re-point) oldSlug -> entityId. No-op for empty slugs. */
+async function recordSlugRedirect(client, { entityType, oldSlug, entityId, reason = null, userId = null }) {
+  if (!ENTITY_TYPES.has(entityType)) throw new Error(`unknown entity type: ${entityType}`);
+  if (!oldSlug || !entityId) return;
+  await client.query(
+    `INSERT INTO slug_redirects (entity_type, old_slug, entity_id, reason, created_by, created_at)
+     VALUES ($1, $2, $3, $4, $5, NOW())
+     ON CONFLICT (entity_type, old_slug)
+     DO UPDATE SET entity_id = EXCLUDED.entity_id, reason = EXCLUDED.reason,
+                   created_by = EXCLUDED.created_by, created_at = NOW()`,
+    [entityType, oldSlug, entityId, reason, userId]
+  );
+}
+
+/* Move every redirect pointing at fromId over to toId (used when fromId goes away) */
+async function repointSlugRedirects(client, entityType, fromId, toId) {
+  const { rowCount } = await client.query(
+    'UPDATE slug_redirects SET entity_id = $3 WHERE entity_type = $1 AND entity_id = $2',
+    [entityType, fromId, toId]
+  );
+  return rowCount;
+}
+
+/*
+ * Call after an entity's slug was written. Records oldSlug -> entity and drops
+ * any redirect for the new slug (a live slug always wins over a redirect).
+ * Returns true when the slug actually changed.
+ */
+async function trackSlugChange(client, { entityType, entityId, oldSlug, newSlug, userId = null }) {
+  if (!newSlug) return false;
+  await client.query('DELETE FROM slug_redirects WHERE entity_type = $1 AND old_slug = $2', [entityType, newSlug]);
+  if (!oldSlug || oldSlug === newSlug) return false;
+  await recordSlugRedirect(client, { entityType, oldSlug, entityId, reason: 'slug_change', userId });
+  return true;
+}
+
+function entityPath(entityType, slug) {
+  return `${ENTITIES[entityType].path}${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Resolve an old slug. Returns null when there is no redirect or the slug is
+ * live (no redirect needed), else { entity_type, entity_id, from, to, path }.
+ */
+async function resolveSlugRedirect(db, entityType, slug) {
+  const entity = ENTITIES[entityType];
+  if (!entity || !slug) return null;
+
+  const { rows } = await db.query(
+    `SELECT r.entity_id, t.slug AS current_slug
+     FROM slug_redirects r
+     JOIN ${entity.table} t ON t.id = r.entity_id AND t.deleted_at IS NULL
+     WHERE r.entity_type = $1 AND r.old_slug = $2
+       AND NOT EXISTS (SELECT 1 FROM ${entity.table} live WHERE live.slug = $2 AND live.deleted_at IS NULL)
+     LIMIT 1`,
+    [entityType, slug]
+  );
+  if (!rows[0] || !rows[0].current_slug || rows[0].current_slug === slug) return null;
+
+  return {
+    entity_type: entityType,
+    entity_id: rows[0].entity_id,
+    from: slug,
+    to: rows[0].current_slug,
+    path: entityPath(entityType, rows[0].current_slug)
+  };
+}
+
+module.exports = {
+  ENTITY_TYPES,
+  recordSlugRedirect,
+  repointSlugRedirects,
+  trackSlugChange,
+  entityPath,
+  resolveSlugRedirect
+};
@@ -0,0 +1,175 @@
+// src/lib/trash.js
+// Soft delete for products, categories, blogs and leads (deleted_at / deleted_by).
+//
+// DELETE routes move rows to the trash; /api/trash lists, restores and purges
+// them. Rows trashed longer than TRASH_RETENTION_DAYS (default 30) are purged
+// by startTrashPurger, every TRASH_PURGE_INTERVAL_MS (default hourly; disable
+// with TRASH_AUTO_PURGE=false).
+
+const TRASH_RETENTION_DAYS = Math.max(1, Number(process.env.TRASH_RETENTION_DAYS || 30));
+const TRASH_PURGE_INTERVAL_MS = Math.max(60000, Number(process.env.TRASH_PURGE_INTERVAL_MS || 3600000));
+
+// trash type -> table + columns shown in listings
+const TRASH_ENTITIES = {
+  products: { table: 'products', columns: 'id, sku, title, slug, category_id, is_published' },
+  categories: { table: 'categories', columns: 'id, slug, name, parent_id' },
+  blogs: { table: 'blogs', columns: 'id, title, slug, is_published, published_at' },
+  leads: { table: 'leads', columns: 'id, name, email, company, status' }
+};
+
+// references cleared before a purge (trashed children / trashed products of a category)
+const DETACH = {
+  categories: [['categories', 'parent_id'], ['products', 'category_id']]
+};
+
+async function detachReferences(db, type, idsSql, params) {
+  for (const [table, col] of DETACH[type] || []) {
+    await db.query(`UPDATE ${table} SET ${col} = NULL WHERE ${col} IN (${idsSql})`, params);
+  }
+}
+
+async function inTransaction(db, fn) {
+  const client = await db.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+function entityFor(type) {
+  const e = TRASH_ENTITIES[type];
+  if (!e) throw Object.assign(new Error('invalid_type'), { status: 400 });
+  return e;
+}
+
+/* Move a live row to the trash; returns { id } or null when missing / already trashed */
+async function softDelete(db, type, id, userId = null) {
+  const { table } = entityFor(type);
+  const { rows } = await db.query(
+    `UPDATE ${table} SET deleted_at = NOW(), deleted_by = $2
+     WHERE id::text = $1 AND deleted_at IS NULL
+     RETURNING id`,
+    [String(id), userId]
+  );
+  return rows[0] || null;
+}
+
+/*
+ * Restore a trashed row. A restored category whose parent is gone (or still
+ * trashed) comes back as a root category. Multi-statement: run it on a
+ * transaction client (req.txRun).
+ */
+async function restore(db, type, id) {
+  const { table, columns } = entityFor(type);
+  const { rows } = await db.query(
+    `UPDATE ${table} SET deleted_at = NULL, deleted_by = NULL
+     WHERE id::text = $1 AND deleted_at IS NOT NULL
+     RETURNING ${columns}`,
+    [String(id)]
+  );
+  const row = rows[0] || null;
+
+  if (row && type === 'categories' && row.parent_id) {
+    const p = await db.query('SELECT 1 FROM categories WHERE id = $1 AND deleted_at IS NULL', [row.parent_id]);
+    if (!p.rows[0]) {
+      await db.query('UPDATE categories SET parent_id = NULL WHERE id = $1', [row.id]);
+      row.parent_id = null;
+    }
+  }
+  return row;
+}
+
+/* Permanently delete a trashed row; returns { id } or null */
+async function purge(db, type, id) {
+  const { table } = entityFor(type);
+  await detachReferences(db, type, `SELECT id FROM ${table} WHERE id::text = $1 AND deleted_at IS NOT NULL`, [String(id)]);
+  const { rows } = await db.query(
+    `DELETE FROM ${table} WHERE id::text = $1 AND deleted_at IS NOT NULL RETURNING id`,
+    [String(id)]
+  );
+  return rows[0] || null;
+}
+
+/* Trashed rows of one type, most recently deleted first */
+async function listTrash(db, type, { limit = 50, offset = 0 } = {}) {
+  const { table, columns } = entityFor(type);
+  const { rows } = await db.query(
+    `SELECT ${columns}, deleted_at, deleted_by,
+            deleted_at + make_interval(days => $3) AS purge_after
+     FROM ${table}
+     WHERE deleted_at IS NOT NULL
+     ORDER BY deleted_at DESC
+     LIMIT $1 OFFSET $2`,
+    [limit, offset, TRASH_RETENTION_DAYS]
+  );
+  const count = await db.query(`SELECT COUNT(*)::int AS total FROM ${table} WHERE deleted_at IS NOT NULL`);
+  return { items: rows, total: count.rows[0].total };
+}
+
+/* Trash size per type */
+async function trashCounts(db) {
+  const out = {};
+  for (const [type, { table }] of Object.entries(TRASH_ENTITIES)) {
+    const { rows } = await db.query(`SELECT COUNT(*)::int AS total FROM ${table} WHERE deleted_at IS NOT NULL`);
+    out[type] = rows[0].total;
+  }
+  return out;
+}
+
+/*
+ * Purge everything trashed longer than the retention period; returns counts per type.
+ * Takes the pool: each type is detached + deleted in its own transaction.
+ */
+async function purgeExpired(db, retentionDays = TRASH_RETENTION_DAYS) {
+  const out = {};
+  for (const [type, { table }] of Object.entries(TRASH_ENTITIES)) {
+    out[type] = await inTransaction(db, async (client) => {
+      await detachReferences(
+        client, type,
+        `SELECT id FROM ${table} WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - make_interval(days => $1)`,
+        [retentionDays]
+      );
+      const { rowCount } = await client.query(
+        `DELETE FROM ${table}
+         WHERE deleted_at IS NOT NULL AND deleted_at < NOW() - make_interval(days => $1)`,
+        [retentionDays]
+      );
+      return rowCount;
+    });
+  }
+  return out;
+}
+
+/* Periodic purge in this process; returns the timer (unref'd) */
+function startTrashPurger(db) {
+  const run = () => purgeExpired(db)
+    .then((counts) => {
+      const n = Object.values(counts).reduce((a, b) => a + b, 0);
+      if (n) console.log('🗑️ Purged expired trash:', counts);
+    })
+    .catch((e) => console.warn('⚠️ Trash purge failed:', e.message));
+
+  run();
+  const timer = setInterval(run, TRASH_PURGE_INTERVAL_MS);
+  if (timer.unref) timer.unref();
+  return timer;
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  TRASH_ENTITIES,
+  softDelete,
+  restore,
+  purge,
+  listTrash,
+  trashCounts,
+  purgeExpired,
+  startTrashPurger
+};
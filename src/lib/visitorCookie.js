@@ -0,0 +1,52 @@
+// src/lib/visitorCookie.js
+// First-party visitor cookie: the visitors.id the server resolved for this
+// browser, signed (HMAC-SHA256) so a client cannot swap in another visitor's id.
+// Set by POST /api/visitors/identify; read by routes that personalize
+// (recommendations) instead of trusting ids from the query string.
+
+const crypto = require('crypto');
+
+const VISITOR_COOKIE = process.env.VISITOR_COOKIE_NAME || 'sprada_vid';
+const VISITOR_COOKIE_SECRET = process.env.VISITOR_COOKIE_SECRET || process.env.JWT_SECRET || 'change_me';
+const VISITOR_COOKIE_MAX_AGE_MS = 365 * 24 * 60 * 60 * 1000;
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function sign(visitorId) {
+  return crypto.createHmac('sha256', VISITOR_COOKIE_SECRET).update(String(visitorId)).digest('base64url');
+}
+
+/* Set the signed cookie for a visitor id resolved on the server */
+function setVisitorCookie(res, visitorId) {
+  res.cookie(VISITOR_COOKIE, `${visitorId}.${sign(visitorId)}`, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: process.env.NODE_ENV === 'production',
+    maxAge: VISITOR_COOKIE_MAX_AGE_MS,
+    path: '/'
+  });
+}
+
+/* Visitor id from the request's signed cookie, null when missing or tampered with */
+function readVisitorCookie(req) {
+  const header = (req.headers && req.headers.cookie) || '';
+  const pair = header.split(';').map((s) => s.trim()).find((s) => s.startsWith(`${VISITOR_COOKIE}=`));
+  if (!pair) return null;
+
+  let value;
+  try {
+    value = decodeURIComponent(pair.slice(VISITOR_COOKIE.length + 1));
+  } catch (e) {
+    return null;
+  }
+  const dot = value.lastIndexOf('.');
+  if (dot < 0) return null;
+  const id = value.slice(0, dot);
+  if (!UUID_RE.test(id)) return null;
+
+  const given = Buffer.from(value.slice(dot + 1));
+  const expected = Buffer.from(sign(id));
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? id : null;
+}
+
+module.exports = { VISITOR_COOKIE, setVisitorCookie, readVisitorCookie };
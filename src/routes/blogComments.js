@@ -1,19 +1,41 @@
 // src/routes/blogComments.js
+// Threaded blog comments + moderation queue (mounted inside blogs.js)
+//
+// POST /api/blogs/:id/comments                 { name, email, rating?, body, parent_id? } (+ honeypot field)
+// GET  /api/blogs/:id/comments                 approved comments as a reply tree (?all=true: editors, every status)
+// GET  /api/blogs/comments/moderation          (editor) queue ?status=pending|spam|rejected|approved, page, limit
+// POST /api/blogs/comments/moderate            (editor) bulk { ids: [...], action: approve|reject|spam }
+// POST /api/blogs/comments/:commentId/approve|reject|spam
+// PUT  /api/blogs/comments/:commentId          (editor) edit
+// DELETE /api/blogs/comments/:commentId        (editor) deletes the comment and its replies
+//
+// New comments are scored by lib/commentSpam: high scores go to 'spam', the
+// rest wait in 'pending'. Only 'approved' comments are public (is_published mirrors it).
 
 const express = require("express");
 const router = express.Router();
 
+const { scoreComment, COMMENT_HONEYPOT_FIELD } = require("../lib/commentSpam");
+
 /* ----------------------- Helpers ----------------------- */
 function requireAuth(req, res) {
   if (!req.user) return res.status(401).json({ ok: false, error: "unauthorized" });
   return null;
 }
+function isEditorOrAdmin(req) {
+  const role = req.user ? Number(req.user.role) : null;
+  return role === 1 || role === 2;
+}
 function requireEditorOrAdmin(req, res) {
   if (!req.user) return res.status(401).json({ ok: false, error: "unauthorized" });
   const role = Number(req.user.role);
   if (role === 1 || role === 2) return null;
   return res.status(403).json({ ok: false, error: "forbidden" });
 }
+function getUserIdFromReq(req) {
+  if (req.user && req.user.id) return req.user.id;
+  return null;
+}
 function sendOK(res, d = {}) {
   return res.json({ ok: true, ...d });
 }
@@ -21,26 +43,115 @@ function sendError(res, code = 400, msg = "error") {
   return res.status(code).json({ ok: false, error: msg });
 }
 
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const STATUSES = ["pending", "approved", "rejected", "spam"];
+const ACTIONS = { approve: "approved", reject: "rejected", spam: "spam" };
+const MAX_BODY_LENGTH = 5000;
+const MAX_THREAD_DEPTH = Math.max(1, Number(process.env.COMMENT_MAX_DEPTH || 5));
+const MAX_BULK = 200;
+
+const PUBLIC_COLUMNS = "id, blog_id, parent_id, user_id, name, rating, body, created_at, updated_at";
+const MODERATION_COLUMNS = `${PUBLIC_COLUMNS}, email, status, spam_score, spam_reasons, ip, user_agent, moderated_by, moderated_at`;
+
+/*
+ * Nest rows (sorted by created_at) into [{ ...comment, replies: [...] }].
+ * Replies whose parent is not in the set are dropped unless keepOrphans.
+ * Top-level comments are newest first, replies oldest first.
+ */
+function buildThread(rows, { keepOrphans = false } = {}) {
+  const byId = new Map(rows.map((r) => [r.id, { ...r, replies: [] }]));
+  const roots = [];
+  for (const node of byId.values()) {
+    const parent = node.parent_id ? byId.get(node.parent_id) : null;
+    if (parent) parent.replies.push(node);
+    else if (!node.parent_id || keepOrphans) roots.push(node);
+  }
+  return roots.reverse();
+}
+
+/* Set status on comments; keeps is_published / is_approved in step (blog aggregates read is_published) */
+async function setStatus(db, ids, status, userId) {
+  const q = await db.query(
+    `
+    UPDATE blog_comments
+    SET status = $2, is_published = ($2 = 'approved'), is_approved = ($2 = 'approved'),
+        moderated_by = $3, moderated_at = now(), updated_at = now()
+    WHERE id = ANY($1::uuid[])
+    RETURNING id, blog_id, status
+  `,
+    [ids, status, userId]
+  );
+  return q.rows;
+}
+
 /* ----------------------- POST comment ----------------------- */
 router.post("/:id/comments", async (req, res) => {
   const db = req.db;
   const blogId = req.params.id;
-  const { name, email, rating, body } = req.body || {};
+  const payload = req.body || {};
+  const { name, email, rating, body, parent_id } = payload;
 
-  if (!body) return sendError(res, 400, "body_required");
+  if (!body || !String(body).trim()) return sendError(res, 400, "body_required");
+  if (String(body).length > MAX_BODY_LENGTH) return sendError(res, 400, "body_too_long");
   if (rating && (rating < 1 || rating > 5)) return sendError(res, 400, "rating_invalid");
+  if (!UUID_RE.test(String(blogId))) return sendError(res, 404, "not_found");
 
   try {
+    const blog = await db.query(
+      "SELECT id FROM blogs WHERE id = $1 AND is_published = TRUE AND deleted_at IS NULL LIMIT 1",
+      [blogId]
+    );
+    if (!blog.rows.length) return sendError(res, 404, "not_found");
+
+    if (parent_id) {
+      if (!UUID_RE.test(String(parent_id))) return sendError(res, 400, "invalid_parent");
+      // replies go to approved comments on the same post, up to MAX_THREAD_DEPTH levels
+      const parent = await db.query(
+        `
+        WITH RECURSIVE chain AS (
+          SELECT id, parent_id, 1 AS depth FROM blog_comments WHERE id = $1
+          UNION ALL
+          SELECT c.id, c.parent_id, chain.depth + 1 FROM blog_comments c JOIN chain ON c.id = chain.parent_id
+          WHERE chain.depth < $3
+        )
+        SELECT bc.blog_id, bc.status, (SELECT MAX(depth) FROM chain)::int AS depth
+        FROM blog_comments bc WHERE bc.id = $1 AND bc.blog_id = $2
+      `,
+        [parent_id, blogId, MAX_THREAD_DEPTH + 1]
+      );
+      if (!parent.rows.length || parent.rows[0].status !== "approved") return sendError(res, 400, "invalid_parent");
+      if (parent.rows[0].depth >= MAX_THREAD_DEPTH) return sendError(res, 400, "thread_too_deep");
+    }
+
+    const ip = req.ip || null;
+    const spam = await scoreComment(db, {
+      body: String(body),
+      name: name || "",
+      email: email || null,
+      ip,
+      honeypot: payload[COMMENT_HONEYPOT_FIELD]
+    });
+    // staff replies skip the queue unless they trip the filter
+    const status = spam.is_spam ? "spam" : (isEditorOrAdmin(req) ? "approved" : "pending");
+
     const q = await db.query(
       `
-      INSERT INTO blog_comments (blog_id, name, email, rating, body, is_published, created_at)
-      VALUES ($1,$2,$3,$4,$5,false,now())
-      RETURNING *
+      INSERT INTO blog_comments
+        (blog_id, parent_id, user_id, name, email, rating, body, status, is_published, is_approved,
+         spam_score, spam_reasons, ip, user_agent, created_at)
+      VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$9,$10,$11::jsonb,$12,$13,now())
+      RETURNING ${PUBLIC_COLUMNS}, status
     `,
-      [blogId, name || null, email || null, rating || null, body]
+      [
+        blogId, parent_id || null, getUserIdFromReq(req), name || null, email || null, rating || null, body,
+        status, status === "approved", spam.score, JSON.stringify(spam.reasons), ip,
+        (req.get("user-agent") || "").slice(0, 500) || null
+      ]
     );
 
-    return res.status(201).json({ ok: true, comment: q.rows[0] });
+    // do not tell the submitter that the comment was filed as spam
+    const comment = { ...q.rows[0], status: status === "spam" ? "pending" : status };
+    return res.status(201).json({ ok: true, comment });
   } catch (err) {
     console.error("[blog-comments.POST] error:", err);
     return sendError(res, 500, "server_error");
@@ -51,30 +162,121 @@ router.post("/:id/comments", async (req, res) => {
 router.get("/:id/comments", async (req, res) => {
   const db = req.db;
   const blogId = req.params.id;
-  const all = req.query.all === "true";
+  const all = req.query.all === "true" && isEditorOrAdmin(req);
+  if (!UUID_RE.test(String(blogId))) return sendError(res, 404, "not_found");
 
   try {
+    // like POST: the public only sees comments of live posts
+    if (!isEditorOrAdmin(req)) {
+      const blog = await db.query(
+        "SELECT id FROM blogs WHERE id = $1 AND is_published = TRUE AND deleted_at IS NULL LIMIT 1",
+        [blogId]
+      );
+      if (!blog.rows.length) return sendError(res, 404, "not_found");
+    }
+
     let sql = `
-      SELECT id, blog_id, name, email, rating, body, is_published,
-             created_at, updated_at
+      SELECT ${all ? MODERATION_COLUMNS : PUBLIC_COLUMNS}
       FROM blog_comments
       WHERE blog_id=$1
     `;
 
     const params = [blogId];
 
-    if (!all) sql += " AND is_published = true";
+    if (!all) sql += " AND status = 'approved'";
 
-    sql += " ORDER BY created_at DESC";
+    sql += " ORDER BY created_at ASC";
 
     const q = await db.query(sql, params);
-    return sendOK(res, { comments: q.rows });
+    const comments = buildThread(q.rows, { keepOrphans: all });
+    return sendOK(res, { comments, total: q.rows.length });
   } catch (err) {
     console.error("[blog-comments.GET] error:", err);
     return sendError(res, 500, "server_error");
   }
 });
 
+/* ----------------------- Moderation queue ----------------------- */
+router.get("/comments/moderation", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  const db = req.db;
+  const status = req.query.status || "pending";
+  if (!STATUSES.includes(status)) return sendError(res, 400, "invalid_status");
+  const page = Math.max(1, parseInt(req.query.page || "1", 10));
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || "50", 10)));
+  const offset = (page - 1) * limit;
+
+  try {
+    const q = await db.query(
+      `
+      SELECT ${MODERATION_COLUMNS.split(", ").map((c) => `c.${c}`).join(", ")},
+             b.title AS blog_title, b.slug AS blog_slug,
+             p.body AS parent_body
+      FROM blog_comments c
+      JOIN blogs b ON b.id = c.blog_id AND b.deleted_at IS NULL
+      LEFT JOIN blog_comments p ON p.id = c.parent_id
+      WHERE c.status = $1
+      ORDER BY ${status === "spam" ? "c.spam_score DESC, " : ""}c.created_at DESC
+      LIMIT $2 OFFSET $3
+    `,
+      [status, limit, offset]
+    );
+
+    const counts = await db.query(
+      `SELECT c.status, COUNT(*)::int AS n
+       FROM blog_comments c JOIN blogs b ON b.id = c.blog_id AND b.deleted_at IS NULL
+       GROUP BY c.status`
+    );
+    const byStatus = Object.fromEntries(STATUSES.map((s) => [s, 0]));
+    counts.rows.forEach((r) => { byStatus[r.status] = r.n; });
+
+    return sendOK(res, { comments: q.rows, counts: byStatus, status, page, limit });
+  } catch (err) {
+    console.error("[blog-comments.GET moderation] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Bulk moderation ----------------------- */
+router.post("/comments/moderate", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  const db = req.db;
+  const { ids, action } = req.body || {};
+  const status = ACTIONS[action];
+  if (!status) return sendError(res, 400, "invalid_action");
+  if (!Array.isArray(ids) || !ids.length) return sendError(res, 400, "ids_required");
+  if (ids.length > MAX_BULK) return sendError(res, 400, "too_many_ids");
+  if (!ids.every((id) => UUID_RE.test(String(id)))) return sendError(res, 400, "invalid_ids");
+
+  try {
+    const updated = await setStatus(db, [...new Set(ids)], status, getUserIdFromReq(req));
+    return sendOK(res, { action, status, updated: updated.length, ids: updated.map((r) => r.id) });
+  } catch (err) {
+    console.error("[blog-comments.POST moderate] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Single moderation action ----------------------- */
+router.post("/comments/:commentId/:action(approve|reject|spam)", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  const db = req.db;
+  const id = req.params.commentId;
+  if (!UUID_RE.test(String(id))) return sendError(res, 404, "not_found");
+
+  try {
+    const updated = await setStatus(db, [id], ACTIONS[req.params.action], getUserIdFromReq(req));
+    if (!updated[0]) return sendError(res, 404, "not_found");
+    return sendOK(res, { comment: updated[0] });
+  } catch (err) {
+    console.error("[blog-comments.POST action] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
 /* ----------------------- UPDATE comment ----------------------- */
 router.put("/comments/:commentId", async (req, res) => {
   if (requireEditorOrAdmin(req, res)) return;
@@ -82,6 +284,13 @@ router.put("/comments/:commentId", async (req, res) => {
   const db = req.db;
   const id = req.params.commentId;
   const { body, rating, name, email, is_published } = req.body || {};
+  let { status } = req.body || {};
+
+  // legacy flag: is_published maps onto approved / pending
+  if (status === undefined && is_published !== undefined) {
+    status = is_published === true || is_published === "true" ? "approved" : "pending";
+  }
+  if (status !== undefined && !STATUSES.includes(status)) return sendError(res, 400, "invalid_status");
 
   try {
     const sets = [];
@@ -105,9 +314,12 @@ router.put("/comments/:commentId", async (req, res) => {
       sets.push(`email=$${idx++}`);
       params.push(email);
     }
-    if (is_published !== undefined) {
-      sets.push(`is_published=$${idx++}`);
-      params.push(is_published);
+    if (status !== undefined) {
+      sets.push(`status=$${idx}`, `is_published=($${idx} = 'approved')`, `is_approved=($${idx} = 'approved')`);
+      params.push(status);
+      idx++;
+      sets.push(`moderated_by=$${idx++}`, "moderated_at=now()");
+      params.push(getUserIdFromReq(req));
     }
 
     if (!sets.length) return sendError(res, 400, "no_update_fields");
@@ -119,7 +331,7 @@ router.put("/comments/:commentId", async (req, res) => {
       UPDATE blog_comments
       SET ${sets.join(", ")}, updated_at = now()
       WHERE id=$${idx}
-      RETURNING *
+      RETURNING ${MODERATION_COLUMNS}
     `,
       params
     );
@@ -141,9 +353,20 @@ router.delete("/comments/:commentId", async (req, res) => {
   const id = req.params.commentId;
 
   try {
-    const d = await db.query(`DELETE FROM blog_comments WHERE id=$1 RETURNING id`, [id]);
+    // replies reference their parent (no cascade), so remove the whole subtree in one statement
+    const d = await db.query(
+      `
+      WITH RECURSIVE subtree AS (
+        SELECT id FROM blog_comments WHERE id=$1
+        UNION ALL
+        SELECT c.id FROM blog_comments c JOIN subtree s ON c.parent_id = s.id
+      )
+      DELETE FROM blog_comments WHERE id IN (SELECT id FROM subtree) RETURNING id
+    `,
+      [id]
+    );
     if (!d.rows[0]) return sendError(res, 404, "not_found");
-    return sendOK(res);
+    return sendOK(res, { deleted: d.rows.length });
   } catch (err) {
     console.error("[blog-comments.DELETE] error:", err);
     return sendError(res, 500, "server_error");
@@ -0,0 +1,198 @@
+// src/routes/blogDrafts.js
+// Blog draft autosave + preview links (mounted inside blogs.js, editor/admin only)
+//
+// GET    /api/blogs/:id/draft                 -> { draft | null, live_updated_at }
+// PUT    /api/blogs/:id/draft                 autosave { title?, excerpt?, content?, meta_*?, canonical_url?, og_image? }
+// DELETE /api/blogs/:id/draft                 discard
+// POST   /api/blogs/:id/draft/promote         copy the draft over the live post
+// POST   /api/blogs/:id/preview-link          { expires_in? (seconds) } -> signed /blog/preview/:token URL
+//
+// The preview URL renders the draft (or the unpublished post) through ssrBlog.
+
+const express = require("express");
+const router = express.Router();
+
+const { trackSlugChange } = require("../lib/slugRedirects");
+const sitemapService = require("../lib/sitemapService");
+const { snapshotBlog } = require("../lib/blogVersions");
+const { prepareContent, DERIVED_COLUMNS, derivedParams } = require("../lib/blogContent");
+const { pickDraftFields, loadDraft, saveDraft, discardDraft, createPreviewToken } = require("../lib/blogDrafts");
+const { slugify, requireEditorOrAdmin, getUserIdFromReq } = require("../lib/blogRouteHelpers");
+
+/* ----------------------- Helpers ----------------------- */
+function sendOK(res, d = {}) {
+  return res.json({ ok: true, ...d });
+}
+function sendError(res, code = 400, msg = "error") {
+  return res.status(code).json({ ok: false, error: msg });
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const MAX_PREVIEW_SECONDS = 7 * 24 * 3600;
+
+async function liveBlog(db, id) {
+  if (!UUID_RE.test(String(id))) return null;
+  const r = await db.query(
+    "SELECT id, slug, title, is_published, updated_at FROM blogs WHERE id = $1 AND deleted_at IS NULL LIMIT 1",
+    [id]
+  );
+  return r.rows[0] || null;
+}
+
+/* ----------------------- GET draft ----------------------- */
+router.get("/:id/draft", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const db = req.db;
+  try {
+    const blog = await liveBlog(db, req.params.id);
+    if (!blog) return sendError(res, 404, "not_found");
+    const draft = await loadDraft(db, blog.id);
+    return sendOK(res, { draft, live_updated_at: blog.updated_at });
+  } catch (err) {
+    console.error("[blog-drafts.GET] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Autosave ----------------------- */
+router.put("/:id/draft", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const db = req.db;
+  const fields = pickDraftFields(req.body || {});
+  if (!Object.keys(fields).length) return sendError(res, 400, "no_update_fields");
+  if (fields.title !== undefined && !String(fields.title || "").trim()) return sendError(res, 400, "title_required");
+
+  try {
+    const blog = await liveBlog(db, req.params.id);
+    if (!blog) return sendError(res, 404, "not_found");
+    const draft = await saveDraft(db, blog.id, fields, getUserIdFromReq(req));
+    return sendOK(res, { draft });
+  } catch (err) {
+    console.error("[blog-drafts.PUT] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Discard ----------------------- */
+router.delete("/:id/draft", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const db = req.db;
+  try {
+    const blog = await liveBlog(db, req.params.id);
+    if (!blog) return sendError(res, 404, "not_found");
+    const discarded = await discardDraft(db, blog.id);
+    if (!discarded) return sendError(res, 404, "no_draft");
+    return sendOK(res, {});
+  } catch (err) {
+    console.error("[blog-drafts.DELETE] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Promote draft to live ----------------------- */
+// Same rules as PUT /api/blogs/:id: a new title re-slugs (old slug kept as a
+// redirect) and the save is snapshotted into blog_versions. The draft is removed.
+async function promoteDraft(client, blogId, userId) {
+  const existing = await client.query(
+    "SELECT id, slug, title FROM blogs WHERE id = $1 AND deleted_at IS NULL LIMIT 1 FOR UPDATE",
+    [blogId]
+  );
+  if (!existing.rows.length) throw Object.assign(new Error("not_found"), { status: 404 });
+  const draft = await loadDraft(client, blogId);
+  if (!draft) throw Object.assign(new Error("no_draft"), { status: 404 });
+
+  const fields = pickDraftFields(draft.content || {});
+  if (!fields.title) fields.title = existing.rows[0].title;
+
+  const updates = [];
+  const params = [];
+  let idx = 1;
+  for (const [k, v] of Object.entries(fields)) {
+    if (k === "content") {
+      // drafts hold raw editor content; it goes through the same pipeline as PUT /api/blogs/:id
+      const prepared = prepareContent(v);
+      if (!prepared.content.blocks.length) throw Object.assign(new Error("content_empty"), { status: 400 });
+      updates.push(`content = $${idx++}::jsonb`); params.push(JSON.stringify(prepared.content));
+      derivedParams(prepared.derived).forEach((d, i) => { updates.push(`${DERIVED_COLUMNS[i]} = $${idx++}`); params.push(d); });
+    }
+    else { updates.push(`${k} = $${idx++}`); params.push(v); }
+  }
+
+  let slug = existing.rows[0].slug;
+  if (fields.title !== existing.rows[0].title) {
+    const base = slugify(fields.title);
+    slug = base; let count = 0;
+    while (true) {
+      const check = await client.query("SELECT 1 FROM blogs WHERE slug = $1 AND id != $2 LIMIT 1", [slug, blogId]);
+      if (!check.rows.length) break;
+      count++; slug = `${base}-${count}`;
+    }
+    updates.push(`slug = $${idx++}`); params.push(slug);
+  }
+
+  params.push(blogId);
+  const updated = await client.query(
+    `UPDATE blogs SET ${updates.join(", ")}, updated_at = now() WHERE id = $${idx}
+     RETURNING id, title, slug, is_published, updated_at`,
+    params
+  );
+  const slugChanged = await trackSlugChange(client, {
+    entityType: "blog", entityId: blogId, oldSlug: existing.rows[0].slug, newSlug: slug, userId
+  });
+  await snapshotBlog(client, blogId, { userId });
+  await discardDraft(client, blogId);
+  return { blog: updated.rows[0], slugChanged };
+}
+
+router.post("/:id/draft/promote", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const db = req.db;
+  const id = req.params.id;
+  if (!UUID_RE.test(String(id))) return sendError(res, 404, "not_found");
+  const userId = getUserIdFromReq(req);
+
+  try {
+    const result = req.txRun
+      ? await req.txRun((client) => promoteDraft(client, id, userId))
+      : await promoteDraft(db, id, userId);
+    if (result.slugChanged || result.blog.is_published) sitemapService.invalidate(db).catch(() => {});
+    return sendOK(res, { blog: result.blog });
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error("[blog-drafts.promote] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Signed preview link ----------------------- */
+router.post("/:id/preview-link", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const db = req.db;
+  const body = req.body || {};
+  let expiresIn;
+  if (body.expires_in !== undefined) {
+    expiresIn = parseInt(body.expires_in, 10);
+    if (!Number.isFinite(expiresIn) || expiresIn < 60 || expiresIn > MAX_PREVIEW_SECONDS) {
+      return sendError(res, 400, "invalid_expires_in");
+    }
+  }
+
+  try {
+    const blog = await liveBlog(db, req.params.id);
+    if (!blog) return sendError(res, 404, "not_found");
+
+    const { token, expires_at } = createPreviewToken(blog.id, expiresIn);
+    // same base as ssrBlog canonicals: APP_DOMAIN or the request host
+    const domain = (process.env.APP_DOMAIN || "").replace(/\/$/, "");
+    const host = req.get("x-forwarded-host") || req.get("host") || "";
+    const domainBase = domain || (host ? `${req.protocol}://${host}` : "");
+    const path = `/blog/preview/${encodeURIComponent(token)}`;
+
+    return sendOK(res, { url: `${domainBase}${path}`, path, token, expires_at });
+  } catch (err) {
+    console.error("[blog-drafts.preview-link] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+module.exports = router;
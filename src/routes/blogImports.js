@@ -0,0 +1,230 @@
+// src/routes/blogImports.js
+// Blog import jobs from WordPress (WXR) / Wix (JSON) exports, with image rehosting
+// Mount at /api/blogs/import-jobs (before the blogs router so /:idOrSlug doesn't swallow it)
+
+const express = require('express');
+const router = express.Router();
+const {
+  parseBlogImportFile, createBlogImportJob, getBlogImportJob, getBlogImportStats,
+  getBlogImportReport, formatBlogImportJob, startBlogImportJob
+} = require('../lib/blogImport');
+
+function requireEditorOrAdmin(req, res) {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'unauthorized' });
+
+  const role = Number(req.user.role || req.user.role_id || req.user.roleId || 0);
+  if (role === 1 || role === 2) return null;
+
+  return res.status(403).json({ ok: false, error: 'forbidden' });
+}
+
+function currentUserId(req) {
+  const u = req.user || {};
+  const id = u.id || u.user_id || u.sub;
+  return id ? String(id) : null;
+}
+
+function boolField(v, dflt) {
+  if (v == null || v === '') return dflt;
+  return String(v).toLowerCase() !== 'false';
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const ITEM_STATUSES = new Set(['pending', 'imported', 'updated', 'skipped', 'failed']);
+
+async function loadJob(req, res) {
+  if (!UUID_RE.test(req.params.id)) {
+    res.status(400).json({ ok: false, error: 'invalid_id' });
+    return null;
+  }
+  const job = await getBlogImportJob(req.db, req.params.id);
+  if (!job) {
+    res.status(404).json({ ok: false, error: 'not_found' });
+    return null;
+  }
+  return job;
+}
+
+/* --------------------------------------------------------------------------
+   POST /api/blogs/import-jobs  (Admin/Editor)
+   multipart/form-data:
+     - file             WordPress WXR (.xml) or Wix export (.json)
+     - format           wordpress | wix (default: detected from the file)
+     - update_existing  default false: posts imported before are skipped;
+                        true re-imports them when the source changed
+     - rehost_images    default true: copy images into the storage bucket
+     - publish          default true: posts published at the source are
+                        published (with their original date); false imports
+                        everything as unpublished
+   JSON body { data, format, ... } (file contents as text) is accepted too.
+   Responds 202 with the job; poll GET /:id, then GET /:id/report.
+-------------------------------------------------------------------------- */
+router.post('/', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const body = req.body || {};
+    const upload = req.files && req.files.file;
+    const file = upload
+      ? (Array.isArray(upload) ? upload[0] : upload)
+      : (body.data ? { text: typeof body.data === 'string' ? body.data : JSON.stringify(body.data), name: null } : null);
+
+    if (!file) return res.status(400).json({ ok: false, error: 'file_required' });
+
+    const parsed = parseBlogImportFile(file, { format: body.format });
+    const options = {
+      update_existing: boolField(body.update_existing, false),
+      rehost_images: boolField(body.rehost_images, true),
+      publish: boolField(body.publish, true)
+    };
+
+    const job = await req.txRun((client) => createBlogImportJob(client, {
+      parsed,
+      filename: file.name || null,
+      options,
+      userId: currentUserId(req)
+    }));
+
+    startBlogImportJob(req.db, job.id);
+
+    return res.status(202).json({ ok: true, job: formatBlogImportJob(job, null) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ ok: false, error: err.message, detail: err.detail || undefined });
+    }
+    console.error('[blogImports.POST] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/blogs/import-jobs  (Admin/Editor) — recent jobs
+-------------------------------------------------------------------------- */
+router.get('/', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit || 20)));
+    const { rows } = await req.db.query(
+      `SELECT id, status, source_format, source, filename, total_items, last_error,
+              created_by, created_at, updated_at, finished_at
+       FROM blog_import_jobs
+       ORDER BY created_at DESC
+       LIMIT $1`,
+      [limit]
+    );
+
+    return res.json({ ok: true, jobs: rows });
+  } catch (err) {
+    console.error('[blogImports.GET] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/blogs/import-jobs/:id  (Admin/Editor)
+   Status, progress (0-100) and counts
+   (imported / updated / skipped / failed / with_warnings / pending)
+-------------------------------------------------------------------------- */
+router.get('/:id', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const stats = await getBlogImportStats(req.db, job.id);
+    return res.json({ ok: true, job: formatBlogImportJob(job, stats) });
+  } catch (err) {
+    console.error('[blogImports.GET/:id] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/blogs/import-jobs/:id/report  (Admin/Editor)
+   Items that did not import cleanly: skipped (reason: unchanged,
+   already_imported, slug_exists, blog_in_trash, trashed, empty_content,
+   unsupported_post_type:<type>, ...), failed (reason = error) and imported
+   items with warnings (images that could not be copied, truncated tags).
+   ?status= lists every item with that status instead.
+-------------------------------------------------------------------------- */
+router.get('/:id/report', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const status = req.query.status ? String(req.query.status) : null;
+    if (status && !ITEM_STATUSES.has(status)) return res.status(400).json({ ok: false, error: 'invalid_status' });
+
+    const [stats, items] = await Promise.all([
+      getBlogImportStats(req.db, job.id),
+      getBlogImportReport(req.db, job.id, { status })
+    ]);
+    return res.json({ ok: true, job: formatBlogImportJob(job, stats), items });
+  } catch (err) {
+    console.error('[blogImports.report] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   POST /api/blogs/import-jobs/:id/resume  (Admin/Editor)
+   Restarts a failed or cancelled job (or one not running in this process)
+   from its first pending item.
+-------------------------------------------------------------------------- */
+router.post('/:id/resume', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (!['failed', 'cancelled', 'running'].includes(job.status)) {
+      return res.status(409).json({ ok: false, error: 'job_not_resumable', status: job.status });
+    }
+
+    await req.db.query(
+      `UPDATE blog_import_jobs SET status = 'running', last_error = NULL, finished_at = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [job.id]
+    );
+
+    const started = startBlogImportJob(req.db, job.id);
+    return res.status(202).json({ ok: true, started });
+  } catch (err) {
+    console.error('[blogImports.resume] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   POST /api/blogs/import-jobs/:id/cancel  (Admin/Editor)
+   Stops after the current post. Posts already imported stay.
+-------------------------------------------------------------------------- */
+router.post('/:id/cancel', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const { rows } = await req.db.query(
+      `UPDATE blog_import_jobs
+       SET status = 'cancelled', finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'running'
+       RETURNING id`,
+      [job.id]
+    );
+    if (!rows[0]) return res.status(409).json({ ok: false, error: 'job_finished', status: job.status });
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[blogImports.cancel] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+module.exports = router;
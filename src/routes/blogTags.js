@@ -0,0 +1,166 @@
+// src/routes/blogTags.js
+// Blog tags. Mount at /api/blog-tags
+//
+// GET    /api/blog-tags                 tags + published post counts (?all=true: editors, every tag, all posts)
+// GET    /api/blog-tags/cloud           tag cloud { tags: [{ name, slug, post_count, weight 1-5 }] } (?limit)
+// GET    /api/blog-tags/:idOrSlug
+// POST   /api/blog-tags                 (editor) { name, slug? }
+// PUT    /api/blog-tags/:id             (editor) { name?, slug? }
+// DELETE /api/blog-tags/:id             (editor) untags every post
+//
+// Posts are tagged through POST/PUT /api/blogs ({ tags: [...] }); filter with GET /api/blogs?tag=<slug>.
+
+const express = require("express");
+const router = express.Router();
+
+const sitemapService = require("../lib/sitemapService");
+const { slugifyTag, tagCloud } = require("../lib/blogTags");
+
+/* ----------------------- Helpers ----------------------- */
+function isEditorOrAdmin(req) {
+  const role = req.user ? Number(req.user.role) : null;
+  return role === 1 || role === 2;
+}
+function requireEditorOrAdmin(req, res) {
+  if (!req.user) return res.status(401).json({ ok: false, error: "unauthorized" });
+  if (isEditorOrAdmin(req)) return null;
+  return res.status(403).json({ ok: false, error: "forbidden" });
+}
+function sendOK(res, d = {}) {
+  return res.json({ ok: true, ...d });
+}
+function sendError(res, code = 400, msg = "error") {
+  return res.status(code).json({ ok: false, error: msg });
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// unique violation on blog_tags name / slug
+function isDuplicate(err) {
+  return err && err.code === "23505";
+}
+
+/* ----------------------- List ----------------------- */
+router.get("/", async (req, res) => {
+  const all = req.query.all === "true" && isEditorOrAdmin(req);
+  try {
+    const tags = await tagCloud(req.db, { publishedOnly: !all, minCount: 0, limit: 1000 });
+    return sendOK(res, { tags });
+  } catch (err) {
+    console.error("[blog-tags.GET] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Tag cloud ----------------------- */
+router.get("/cloud", async (req, res) => {
+  const limit = Math.min(200, Math.max(1, parseInt(req.query.limit || "50", 10)));
+  try {
+    const rows = await tagCloud(req.db, { publishedOnly: true, limit });
+    const counts = rows.map((t) => t.post_count);
+    const min = Math.min(...counts);
+    const max = Math.max(...counts);
+    // weight 1..5 on a log scale so one busy tag does not flatten the rest
+    const weight = (n) =>
+      max === min ? 3 : 1 + Math.round((4 * (Math.log(n) - Math.log(min))) / (Math.log(max) - Math.log(min)));
+
+    const tags = rows
+      .map((t) => ({ ...t, weight: weight(t.post_count) }))
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return sendOK(res, { tags });
+  } catch (err) {
+    console.error("[blog-tags.GET cloud] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Single tag ----------------------- */
+router.get("/:idOrSlug", async (req, res) => {
+  const v = req.params.idOrSlug;
+  try {
+    const q = await req.db.query(
+      `SELECT t.id, t.name, t.slug,
+              (SELECT COUNT(*)::int FROM blog_tag_map m JOIN blogs b ON b.id = m.blog_id
+               WHERE m.tag_id = t.id AND b.is_published = TRUE AND b.deleted_at IS NULL) AS post_count
+       FROM blog_tags t
+       WHERE ${UUID_RE.test(v) ? "t.id = $1" : "t.slug = $1"}
+       LIMIT 1`,
+      [v]
+    );
+    if (!q.rows.length) return sendError(res, 404, "not_found");
+    return sendOK(res, { tag: q.rows[0] });
+  } catch (err) {
+    console.error("[blog-tags.GET one] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Create ----------------------- */
+router.post("/", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const name = String((req.body && req.body.name) || "").trim();
+  if (!name) return sendError(res, 400, "name_required");
+  const slug = slugifyTag((req.body && req.body.slug) || name);
+  if (!slug) return sendError(res, 400, "invalid_slug");
+
+  try {
+    const q = await req.db.query(
+      "INSERT INTO blog_tags (name, slug) VALUES ($1, $2) RETURNING id, name, slug",
+      [name, slug]
+    );
+    return res.status(201).json({ ok: true, tag: q.rows[0] });
+  } catch (err) {
+    if (isDuplicate(err)) return sendError(res, 409, "tag_exists");
+    console.error("[blog-tags.POST] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Update ----------------------- */
+router.put("/:id", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const id = req.params.id;
+  if (!UUID_RE.test(id)) return sendError(res, 404, "not_found");
+  const body = req.body || {};
+  const name = body.name !== undefined ? String(body.name || "").trim() : undefined;
+  if (name === "") return sendError(res, 400, "name_required");
+  const slug = body.slug !== undefined ? slugifyTag(body.slug) : undefined;
+  if (slug === "") return sendError(res, 400, "invalid_slug");
+  if (name === undefined && slug === undefined) return sendError(res, 400, "no_update_fields");
+
+  try {
+    const existing = await req.db.query("SELECT slug FROM blog_tags WHERE id = $1 LIMIT 1", [id]);
+    if (!existing.rows.length) return sendError(res, 404, "not_found");
+
+    const q = await req.db.query(
+      `UPDATE blog_tags SET name = COALESCE($1, name), slug = COALESCE($2, slug)
+       WHERE id = $3 RETURNING id, name, slug`,
+      [name ?? null, slug ?? null, id]
+    );
+    if (q.rows[0].slug !== existing.rows[0].slug) sitemapService.invalidate(req.db).catch(() => {});
+    return sendOK(res, { tag: q.rows[0] });
+  } catch (err) {
+    if (isDuplicate(err)) return sendError(res, 409, "tag_exists");
+    console.error("[blog-tags.PUT] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Delete ----------------------- */
+router.delete("/:id", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const id = req.params.id;
+  if (!UUID_RE.test(id)) return sendError(res, 404, "not_found");
+  try {
+    // blog_tag_map rows go with it (ON DELETE CASCADE)
+    const q = await req.db.query("DELETE FROM blog_tags WHERE id = $1 RETURNING id", [id]);
+    if (!q.rows.length) return sendError(res, 404, "not_found");
+    sitemapService.invalidate(req.db).catch(() => {});
+    return sendOK(res, {});
+  } catch (err) {
+    console.error("[blog-tags.DELETE] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,210 @@
+// src/routes/blogVersions.js
+// Blog revision history (mounted inside blogs.js, editor/admin only)
+//
+// GET  /api/blogs/:id/versions                         ?include_auto=false, page, limit
+// GET  /api/blogs/:id/versions/diff?from=&to=          version ids; to defaults to 'current'
+// GET  /api/blogs/:id/versions/:versionId
+// POST /api/blogs/:id/versions/:versionId/restore
+// POST /api/blogs/versions/prune                       (admin) auto-save retention sweep
+
+const express = require("express");
+const router = express.Router();
+
+const { trackSlugChange } = require("../lib/slugRedirects");
+const sitemapService = require("../lib/sitemapService");
+const { snapshotFromRow, snapshotBlog, pruneAutoSaves, diffSnapshots, VERSIONED_FIELDS } = require("../lib/blogVersions");
+const { prepareContent, DERIVED_COLUMNS, derivedParams } = require("../lib/blogContent");
+const { requireEditorOrAdmin, requireAdmin, getUserIdFromReq } = require("../lib/blogRouteHelpers");
+
+/* ----------------------- Helpers ----------------------- */
+function sendOK(res, d = {}) {
+  return res.json({ ok: true, ...d });
+}
+function sendError(res, code = 400, msg = "error") {
+  return res.status(code).json({ ok: false, error: msg });
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function liveBlog(db, id) {
+  if (!UUID_RE.test(String(id))) return null;
+  const r = await db.query(
+    `SELECT id, ${VERSIONED_FIELDS.join(", ")} FROM blogs WHERE id = $1 AND deleted_at IS NULL LIMIT 1`,
+    [id]
+  );
+  return r.rows[0] || null;
+}
+
+async function findVersion(db, blogId, versionId) {
+  if (!UUID_RE.test(String(versionId))) return null;
+  const r = await db.query(
+    `SELECT id, blog_id, content, created_by, created_at, is_auto_save
+     FROM blog_versions WHERE id = $1 AND blog_id = $2 LIMIT 1`,
+    [versionId, blogId]
+  );
+  return r.rows[0] || null;
+}
+
+/* ----------------------- Prune auto-saves (admin) ----------------------- */
+router.post("/versions/prune", async (req, res) => {
+  if (requireAdmin(req, res)) return;
+  try {
+    const deleted = await pruneAutoSaves(req.db);
+    return sendOK(res, { deleted });
+  } catch (err) {
+    console.error("[blog-versions.prune] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- List versions ----------------------- */
+router.get("/:id/versions", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const db = req.db;
+  const page = Math.max(1, parseInt(req.query.page || "1", 10));
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit || "20", 10)));
+  const offset = (page - 1) * limit;
+  const includeAuto = req.query.include_auto !== "false";
+
+  try {
+    const blog = await liveBlog(db, req.params.id);
+    if (!blog) return sendError(res, 404, "not_found");
+
+    // version_no counts every snapshot (auto-saves included) so numbers stay stable when filtering
+    const q = await db.query(
+      `
+      SELECT * FROM (
+        SELECT v.id, v.created_by, v.created_at, v.is_auto_save,
+               v.content->>'title' AS title, v.content->>'restored_from' AS restored_from,
+               u.full_name AS created_by_name,
+               ROW_NUMBER() OVER (ORDER BY v.created_at ASC, v.id ASC) AS version_no
+        FROM blog_versions v
+        LEFT JOIN users u ON u.id = v.created_by
+        WHERE v.blog_id = $1
+      ) s
+      WHERE ($2::boolean OR s.is_auto_save IS NOT TRUE)
+      ORDER BY s.created_at DESC, s.id DESC
+      LIMIT $3 OFFSET $4
+    `,
+      [blog.id, includeAuto, limit, offset]
+    );
+
+    const versions = q.rows.map((v) => ({ ...v, version_no: Number(v.version_no) }));
+    return sendOK(res, { versions, page, limit });
+  } catch (err) {
+    console.error("[blog-versions.GET list] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Diff two versions ----------------------- */
+router.get("/:id/versions/diff", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const db = req.db;
+  const fromId = req.query.from;
+  const toId = req.query.to || "current";
+  if (!fromId) return sendError(res, 400, "from_required");
+
+  try {
+    const blog = await liveBlog(db, req.params.id);
+    if (!blog) return sendError(res, 404, "not_found");
+
+    // 'current' compares against the live post
+    const load = async (vid) => {
+      if (vid === "current") return { id: "current", content: snapshotFromRow(blog) };
+      return findVersion(db, blog.id, vid);
+    };
+    const from = await load(fromId);
+    const to = await load(toId);
+    if (!from || !to) return sendError(res, 404, "version_not_found");
+
+    return sendOK(res, {
+      from: { id: from.id, created_at: from.created_at || null },
+      to: { id: to.id, created_at: to.created_at || null },
+      diff: diffSnapshots(from.content || {}, to.content || {})
+    });
+  } catch (err) {
+    console.error("[blog-versions.GET diff] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Single version ----------------------- */
+router.get("/:id/versions/:versionId", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const db = req.db;
+  try {
+    const blog = await liveBlog(db, req.params.id);
+    if (!blog) return sendError(res, 404, "not_found");
+    const version = await findVersion(db, blog.id, req.params.versionId);
+    if (!version) return sendError(res, 404, "version_not_found");
+    return sendOK(res, { version });
+  } catch (err) {
+    console.error("[blog-versions.GET one] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+/* ----------------------- Restore a version ----------------------- */
+// Writes the snapshot back and records a new version (restored_from). The old
+// slug is only taken back when no other post uses it; a changed slug is tracked as a redirect.
+async function restoreVersion(client, blogId, versionId, userId) {
+  const existing = await client.query(
+    "SELECT id, slug FROM blogs WHERE id = $1 AND deleted_at IS NULL LIMIT 1 FOR UPDATE",
+    [blogId]
+  );
+  if (!existing.rows.length) throw Object.assign(new Error("not_found"), { status: 404 });
+  const version = await findVersion(client, blogId, versionId);
+  if (!version) throw Object.assign(new Error("version_not_found"), { status: 404 });
+
+  const snap = version.content || {};
+  if (!snap.title) throw Object.assign(new Error("version_incomplete"), { status: 409 });
+
+  let slug = existing.rows[0].slug;
+  if (snap.slug && snap.slug !== slug) {
+    const taken = await client.query("SELECT 1 FROM blogs WHERE slug = $1 AND id != $2 LIMIT 1", [snap.slug, blogId]);
+    if (!taken.rows.length) slug = snap.slug;
+  }
+
+  // versions saved before the content pipeline may hold raw HTML; re-run it on restore
+  const prepared = prepareContent(snap.content ?? null);
+  if (!prepared.content.blocks.length) throw Object.assign(new Error("content_empty"), { status: 400 });
+  await client.query(
+    `UPDATE blogs SET title = $1, slug = $2, excerpt = $3, content = $4::jsonb, meta_title = $5,
+       meta_description = $6, canonical_url = $7, og_image = $8,
+       ${DERIVED_COLUMNS.map((c, i) => `${c} = $${10 + i}`).join(", ")}, updated_at = now()
+     WHERE id = $9`,
+    [
+      snap.title, slug, snap.excerpt ?? null, JSON.stringify(prepared.content), snap.meta_title ?? null,
+      snap.meta_description ?? null, snap.canonical_url ?? null, snap.og_image ?? null, blogId,
+      ...derivedParams(prepared.derived)
+    ]
+  );
+  const slugChanged = await trackSlugChange(client, {
+    entityType: "blog", entityId: blogId, oldSlug: existing.rows[0].slug, newSlug: slug, userId
+  });
+  const created = await snapshotBlog(client, blogId, { userId, restoredFrom: version.id });
+  return { version: created, slug, slugChanged };
+}
+
+router.post("/:id/versions/:versionId/restore", async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  const db = req.db;
+  const { id, versionId } = req.params;
+  if (!UUID_RE.test(String(id))) return sendError(res, 404, "not_found");
+  const userId = getUserIdFromReq(req);
+
+  try {
+    const result = req.txRun
+      ? await req.txRun((client) => restoreVersion(client, id, versionId, userId))
+      : await restoreVersion(db, id, versionId, userId);
+    if (result.slugChanged) sitemapService.invalidate(db).catch(() => {});
+    return sendOK(res, { restored_from: versionId, slug: result.slug, version: result.version });
+  } catch (err) {
+    if (err.status) return sendError(res, err.status, err.message);
+    console.error("[blog-versions.restore] error:", err);
+    return sendError(res, 500, "server_error");
+  }
+});
+
+module.exports = router;
@@ -12,49 +12,36 @@ const multer = require('multer');
 const { v4: uuidv4 } = require('uuid');
 
 const { buildImageUrl } = require('../lib/buildUrl');
+const { trackSlugChange } = require('../lib/slugRedirects');
+const sitemapService = require('../lib/sitemapService');
+const { softDelete } = require('../lib/trash');
+const { parseSchedule, scheduleOrderError, nudgePublishScheduler } = require('../lib/publishScheduler');
+const { snapshotBlog } = require('../lib/blogVersions');
+const { parseTagInput, setBlogTags, loadTagsForBlogs } = require('../lib/blogTags');
+const { prepareContent, DERIVED_COLUMNS, derivedParams } = require('../lib/blogContent');
+const { getRelated } = require('../lib/relatedContent');
+const {
+  slugify, requireEditorOrAdmin, isEditorOrAdmin, requireAdmin, getUserIdFromReq
+} = require('../lib/blogRouteHelpers');
+const {
+  readCursor, wantsTotal, appendCursorWhere, cursorOrderSql, cursorSelectSql, pageWithCursor
+} = require('../lib/cursor');
 
 // ------------------- IMPORT SUB‑ROUTERS -------------------
 const commentRouter = require('./blogComments');
 const likeRouter = require('./blogLikes');
+const versionRouter = require('./blogVersions');
+const draftRouter = require('./blogDrafts');
 
 const router = express.Router();
 
 /* ----------------------
-   Helpers (same pattern as categories.js)
+   Helpers (role checks, slugify and the user id come from lib/blogRouteHelpers)
    ---------------------- */
-function slugify(text = "") {
-  return String(text)
-    .toLowerCase()
-    .trim()
-    .replace(/[^a-z0-9\-_ ]/g, "")
-    .replace(/\s+/g, "-")
-    .replace(/-+/g, "-")
-    .replace(/^-|-$/g, "");
-}
-
 function requireAuth(req, res) {
   if (!req.user) return res.status(401).json({ ok: false, error: "unauthorized" });
   return null;
 }
-function requireEditorOrAdmin(req, res) {
-  if (!req.user) return res.status(401).json({ ok: false, error: "unauthorized" });
-  const role = Number(req.user.role);
-  if (role === 1 || role === 2) return null;
-  return res.status(403).json({ ok: false, error: "forbidden" });
-}
-function requireAdmin(req, res) {
-  if (!req.user) return res.status(401).json({ ok: false, error: "unauthorized" });
-  const role = Number(req.user.role);
-  if (role === 1) return null;
-  return res.status(403).json({ ok: false, error: "forbidden" });
-}
-
-function getUserIdFromReq(req) {
-  if (req.user && req.user.id) return req.user.id;
-  if (req.headers && req.headers['x-user-id']) return req.headers['x-user-id'];
-  return null;
-}
-
 async function setAppUser(db, userId) {
   if (!userId || !db) return;
   try {
@@ -94,8 +81,21 @@ function sendError(res, code = 400, message = 'error') { return res.status(code)
 
 /* ----------------------
    LIST / SEARCH
-   GET /api/blogs? q, page, limit, published (true/false)
+   GET /api/blogs? q, page, limit, published (true/false), tag (tag slug)
+   Cursor mode: ?cursor= (empty for first page, then next_cursor); ?include_total=false skips the count
    ---------------------- */
+// keyset form of the list ORDER BY: published first, newest published_at, newest created_at
+const BLOG_CURSOR_SPEC = {
+  name: 'default',
+  dir: 'DESC',
+  keys: [
+    { expr: '(b.is_published IS TRUE)', type: 'boolean' },
+    { expr: "COALESCE(b.published_at, '-infinity'::timestamptz)", type: 'timestamptz' },
+    { expr: "COALESCE(b.created_at, '-infinity'::timestamptz)", type: 'timestamptz' }
+  ],
+  id: { expr: 'b.id', type: 'uuid' }
+};
+
 router.get('/', async (req, res) => {
   const db = req.db;
   const q = (req.query.q || '').trim();
@@ -107,7 +107,7 @@ router.get('/', async (req, res) => {
   try {
     if (!db) throw new Error('database pool unavailable');
 
-    const where = [];
+    const where = ['deleted_at IS NULL'];
     const params = [];
     if (q) {
       params.push(`%${q}%`);
@@ -115,30 +115,64 @@ router.get('/', async (req, res) => {
     }
     if (published === 'true') where.push(`is_published = true`);
     else if (published === 'false') where.push(`(is_published IS NULL OR is_published = false)`);
+    if (req.query.tag) {
+      params.push(String(req.query.tag).trim().toLowerCase());
+      where.push(`id IN (SELECT m.blog_id FROM blog_tag_map m JOIN blog_tags t ON t.id = m.tag_id WHERE t.slug = $${params.length})`);
+    }
 
     const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
 
-    const countRes = await db.query(`SELECT count(*)::int as total FROM blogs ${whereSql}`, params);
-    const total = countRes.rows[0].total;
+    const pager = readCursor(req.query, BLOG_CURSOR_SPEC);
+    if (pager.error) return sendError(res, 400, pager.error);
 
-    params.push(limit, offset);
-    const listSql = `
-      SELECT b.id, b.title, b.slug, b.excerpt, b.meta_title, b.meta_description, b.canonical_url,
-             b.og_image as image, b.author_id, b.is_published, b.published_at, b.created_at, b.updated_at
-      FROM blogs b
-      ${whereSql}
-      ORDER BY (is_published IS NOT TRUE) ASC, published_at DESC NULLS LAST, created_at DESC
-      LIMIT $${params.length - 1} OFFSET $${params.length}
-    `;
-    const rows = (await db.query(listSql, params)).rows;
+    let total = null;
+    if (wantsTotal(req.query)) {
+      const countRes = await db.query(`SELECT count(*)::int as total FROM blogs ${whereSql}`, params);
+      total = countRes.rows[0].total;
+    }
+
+    let listSql;
+    if (pager.enabled) {
+      const pageWhere = appendCursorWhere(whereSql, BLOG_CURSOR_SPEC, pager.cursor, params);
+      params.push(limit + 1);
+      listSql = `
+        SELECT b.id, b.title, b.slug, b.excerpt, b.meta_title, b.meta_description, b.canonical_url,
+               b.og_image as image, b.author_id, b.is_published, b.published_at, b.publish_at, b.unpublish_at,
+               b.word_count, b.reading_time_minutes, b.first_image,
+               b.created_at, b.updated_at${cursorSelectSql(BLOG_CURSOR_SPEC)}
+        FROM blogs b
+        ${pageWhere}
+        ORDER BY ${cursorOrderSql(BLOG_CURSOR_SPEC)}
+        LIMIT $${params.length}
+      `;
+    } else {
+      params.push(limit, offset);
+      listSql = `
+        SELECT b.id, b.title, b.slug, b.excerpt, b.meta_title, b.meta_description, b.canonical_url,
+               b.og_image as image, b.author_id, b.is_published, b.published_at, b.publish_at, b.unpublish_at,
+               b.word_count, b.reading_time_minutes, b.first_image,
+               b.created_at, b.updated_at
+        FROM blogs b
+        ${whereSql}
+        ORDER BY (is_published IS NOT TRUE) ASC, published_at DESC NULLS LAST, created_at DESC
+        LIMIT $${params.length - 1} OFFSET $${params.length}
+      `;
+    }
+    const result = (await db.query(listSql, params)).rows;
+    const { rows, next_cursor } = pager.enabled
+      ? pageWithCursor(result, limit, BLOG_CURSOR_SPEC)
+      : { rows: result, next_cursor: undefined };
 
     // normalize og_image -> image_url
+    const tagsByBlog = await loadTagsForBlogs(db, rows.map(r => r.id));
     const blogs = rows.map(r => ({
       ...r,
-      image: buildImageUrl(r.image)
+      image: buildImageUrl(r.image),
+      first_image: r.first_image ? buildImageUrl(r.first_image) : null,
+      tags: tagsByBlog.get(r.id) || []
     }));
 
-    return sendOK(res, { blogs, total, page, limit });
+    return sendOK(res, { blogs, total, page, limit, ...(pager.enabled ? { next_cursor } : {}) });
   } catch (err) {
     console.error('[blogs.GET /] error:', err);
     return sendError(res, 500, 'server_error');
@@ -148,7 +182,10 @@ router.get('/', async (req, res) => {
 /* ----------------------
    CREATE (admin/editor)
    POST /api/blogs
-   Body: { title, excerpt, content, author_id?, meta_title?, meta_description?, canonical_url?, og_image? }
+   Body: { title, excerpt, content, author_id?, meta_title?, meta_description?, canonical_url?, og_image?, tags? }
+   tags: tag ids, slugs or names (unknown names create the tag)
+   content: HTML string, { html } or { blocks }; stored sanitized as
+   { version, blocks } with word_count / reading_time_minutes / toc / first_image
    ---------------------- */
 router.post('/', (req, res) => {
   if (requireEditorOrAdmin(req, res)) return;
@@ -159,6 +196,10 @@ router.post('/', (req, res) => {
 
     const { title, excerpt, content, author_id, meta_title, meta_description, canonical_url, og_image } = req.body || {};
     if (!title || !content) return sendError(res, 400, 'title_and_content_required');
+    const prepared = prepareContent(content);
+    if (!prepared.content.blocks.length) return sendError(res, 400, 'content_empty');
+    const tagInput = parseTagInput(req.body.tags);
+    if (tagInput.error) return sendError(res, 400, tagInput.error);
 
     const slugBase = slugify(title);
     try {
@@ -173,12 +214,14 @@ router.post('/', (req, res) => {
           }
           const authorToUse = author_id || userId || null;
           const insertSql = `
-            INSERT INTO blogs (id, title, slug, excerpt, content, author_id, meta_title, meta_description, canonical_url, og_image, is_published, published_at, created_at, updated_at)
-            VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,false,NULL, now(), now())
+            INSERT INTO blogs (id, title, slug, excerpt, content, author_id, meta_title, meta_description, canonical_url, og_image, ${DERIVED_COLUMNS.join(', ')}, is_published, published_at, created_at, updated_at)
+            VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,false,NULL, now(), now())
             RETURNING id, title, slug, excerpt, author_id, is_published, created_at, og_image
           `;
           const id = uuidv4();
-          const r = await client.query(insertSql, [id, title, slug, excerpt || null, JSON.stringify(content), authorToUse, meta_title || null, meta_description || null, canonical_url || null, og_image || null]);
+          const r = await client.query(insertSql, [id, title, slug, excerpt || null, JSON.stringify(prepared.content), authorToUse, meta_title || null, meta_description || null, canonical_url || null, og_image || null, ...derivedParams(prepared.derived)]);
+          if (tagInput.tags) await setBlogTags(client, id, tagInput.tags);
+          await snapshotBlog(client, id, { userId });
           return r.rows[0];
         });
         const insertedNormalized = { ...inserted, og_image: buildImageUrl(inserted.og_image) };
@@ -195,15 +238,18 @@ router.post('/', (req, res) => {
       }
       const authorToUse = author_id || userId || null;
       const insertSql = `
-        INSERT INTO blogs (title, slug, excerpt, content, author_id, meta_title, meta_description, canonical_url, og_image, is_published, published_at, created_at, updated_at)
-        VALUES ($1,$2,$3,$4::jsonb,$5,$6,$7,$8,$9,false,NULL, now(), now())
+        INSERT INTO blogs (title, slug, excerpt, content, author_id, meta_title, meta_description, canonical_url, og_image, ${DERIVED_COLUMNS.join(', ')}, is_published, published_at, created_at, updated_at)
+        VALUES ($1,$2,$3,$4::jsonb,$5,$6,$7,$8,$9,$10,$11,$12,$13,false,NULL, now(), now())
         RETURNING id, title, slug, excerpt, author_id, is_published, created_at, og_image
       `;
-      const inserted = await db.query(insertSql, [title, slug, excerpt || null, JSON.stringify(content), authorToUse, meta_title || null, meta_description || null, canonical_url || null, og_image || null]);
+      const inserted = await db.query(insertSql, [title, slug, excerpt || null, JSON.stringify(prepared.content), authorToUse, meta_title || null, meta_description || null, canonical_url || null, og_image || null, ...derivedParams(prepared.derived)]);
       const insertedRow = inserted.rows[0];
+      if (tagInput.tags) await setBlogTags(db, insertedRow.id, tagInput.tags);
+      await snapshotBlog(db, insertedRow.id, { userId });
       insertedRow.og_image = buildImageUrl(insertedRow.og_image);
       return res.status(201).json({ ok: true, blog: insertedRow });
     } catch (err) {
+      if (err.status === 400) return res.status(400).json({ ok: false, error: err.message, detail: err.detail });
       console.error('[blogs.POST] error:', err);
       return sendError(res, 500, 'server_error');
     }
@@ -212,7 +258,10 @@ router.post('/', (req, res) => {
 
 /* ----------------------
    UPDATE (admin/editor)
-   PUT /api/blogs/:id
+   PUT /api/blogs/:id  { ..., tags?, auto_save? }  (tags replaces the post's tags)
+   A new title re-slugs the post; the old slug is kept as a redirect.
+   Every save is snapshotted into blog_versions (auto_save: true marks editor
+   auto-saves, which are pruned by retention; see /api/blogs/:id/versions).
    ---------------------- */
 router.put('/:id', (req, res) => {
   if (requireEditorOrAdmin(req, res)) return;
@@ -220,14 +269,21 @@ router.put('/:id', (req, res) => {
     const db = req.db;
     const id = req.params.id;
     const { title, excerpt, content, meta_title, meta_description, canonical_url, og_image } = req.body || {};
-    if (!title && !excerpt && !content && !meta_title && !meta_description && !canonical_url && !og_image) {
+    const isAutoSave = req.body && (req.body.auto_save === true || req.body.auto_save === 'true');
+    const tagInput = parseTagInput(req.body && req.body.tags);
+    if (tagInput.error) return sendError(res, 400, tagInput.error);
+    if (!title && !excerpt && !content && !meta_title && !meta_description && !canonical_url && !og_image && !tagInput.tags) {
       return sendError(res, 400, 'no_update_fields');
     }
+    // content is sanitized + normalized; derived columns are rewritten with it
+    const prepared = content !== undefined ? prepareContent(content) : null;
+    if (prepared && !prepared.content.blocks.length) return sendError(res, 400, 'content_empty');
 
     try {
       if (req.txRun) {
+        let slugChanged = false;
         const updated = await req.txRun(async client => {
-          const existing = await client.query('SELECT * FROM blogs WHERE id = $1 LIMIT 1', [id]);
+          const existing = await client.query('SELECT * FROM blogs WHERE id = $1 AND deleted_at IS NULL LIMIT 1', [id]);
           if (!existing.rows.length) throw Object.assign(new Error('not_found'), { status: 404 });
 
           const updates = [];
@@ -235,7 +291,10 @@ router.put('/:id', (req, res) => {
           let idx = 1;
           if (title) { updates.push(`title = $${idx++}`); params.push(title); }
           if (excerpt !== undefined) { updates.push(`excerpt = $${idx++}`); params.push(excerpt); }
-          if (content !== undefined) { updates.push(`content = $${idx++}::jsonb`); params.push(JSON.stringify(content)); }
+          if (prepared) {
+            updates.push(`content = $${idx++}::jsonb`); params.push(JSON.stringify(prepared.content));
+            derivedParams(prepared.derived).forEach((v, i) => { updates.push(`${DERIVED_COLUMNS[i]} = $${idx++}`); params.push(v); });
+          }
           if (meta_title !== undefined) { updates.push(`meta_title = $${idx++}`); params.push(meta_title); }
           if (meta_description !== undefined) { updates.push(`meta_description = $${idx++}`); params.push(meta_description); }
           if (canonical_url !== undefined) { updates.push(`canonical_url = $${idx++}`); params.push(canonical_url); }
@@ -253,16 +312,24 @@ router.put('/:id', (req, res) => {
           }
 
           params.push(id);
-          const updateSql = `UPDATE blogs SET ${updates.join(',')}, updated_at = now() WHERE id = $${idx} RETURNING id, title, slug, og_image`;
+          updates.push('updated_at = now()');
+          const updateSql = `UPDATE blogs SET ${updates.join(',')} WHERE id = $${idx} RETURNING id, title, slug, og_image`;
           const updated = await client.query(updateSql, params);
+          if (tagInput.tags) await setBlogTags(client, id, tagInput.tags);
+          slugChanged = await trackSlugChange(client, {
+            entityType: 'blog', entityId: id, oldSlug: existing.rows[0].slug, newSlug: updated.rows[0].slug, userId: getUserIdFromReq(req)
+          });
+          await snapshotBlog(client, id, { userId: getUserIdFromReq(req), isAutoSave });
           return updated.rows[0];
         });
+        // tag archive pages are in the sitemap too
+        if (slugChanged || tagInput.tags) sitemapService.invalidate(db).catch(() => {});
         const updatedNormalized = { ...updated, og_image: buildImageUrl(updated.og_image) };
         return sendOK(res, { blog: updatedNormalized });
       }
 
       // fallback
-      const existing = await db.query('SELECT * FROM blogs WHERE id = $1 LIMIT 1', [id]);
+      const existing = await db.query('SELECT * FROM blogs WHERE id = $1 AND deleted_at IS NULL LIMIT 1', [id]);
       if (!existing.rows.length) return sendError(res, 404, 'not_found');
 
       const updates = [];
@@ -270,7 +337,10 @@ router.put('/:id', (req, res) => {
       let idx = 1;
       if (title) { updates.push(`title = $${idx++}`); params.push(title); }
       if (excerpt !== undefined) { updates.push(`excerpt = $${idx++}`); params.push(excerpt); }
-      if (content !== undefined) { updates.push(`content = $${idx++}::jsonb`); params.push(JSON.stringify(content)); }
+      if (prepared) {
+        updates.push(`content = $${idx++}::jsonb`); params.push(JSON.stringify(prepared.content));
+        derivedParams(prepared.derived).forEach((v, i) => { updates.push(`${DERIVED_COLUMNS[i]} = $${idx++}`); params.push(v); });
+      }
       if (meta_title !== undefined) { updates.push(`meta_title = $${idx++}`); params.push(meta_title); }
       if (meta_description !== undefined) { updates.push(`meta_description = $${idx++}`); params.push(meta_description); }
       if (canonical_url !== undefined) { updates.push(`canonical_url = $${idx++}`); params.push(canonical_url); }
@@ -288,12 +358,20 @@ router.put('/:id', (req, res) => {
       }
 
       params.push(id);
-      const updateSql = `UPDATE blogs SET ${updates.join(',')}, updated_at = now() WHERE id = $${idx} RETURNING id, title, slug, og_image`;
+      updates.push('updated_at = now()');
+      const updateSql = `UPDATE blogs SET ${updates.join(',')} WHERE id = $${idx} RETURNING id, title, slug, og_image`;
       const updated = await db.query(updateSql, params);
+      if (tagInput.tags) await setBlogTags(db, id, tagInput.tags);
       const updatedRow = updated.rows[0];
+      const slugChanged = await trackSlugChange(db, {
+        entityType: 'blog', entityId: id, oldSlug: existing.rows[0].slug, newSlug: updatedRow.slug, userId: getUserIdFromReq(req)
+      });
+      await snapshotBlog(db, id, { userId: getUserIdFromReq(req), isAutoSave });
+      if (slugChanged || tagInput.tags) sitemapService.invalidate(db).catch(() => {});
       updatedRow.og_image = buildImageUrl(updatedRow.og_image);
       return sendOK(res, { blog: updatedRow });
     } catch (err) {
+      if (err.status === 400) return res.status(400).json({ ok: false, error: err.message, detail: err.detail });
       console.error('[blogs.PUT] error:', err);
       if (err.status === 404) return sendError(res, 404, 'not_found');
       return sendError(res, 500, 'server_error');
@@ -303,7 +381,7 @@ router.put('/:id', (req, res) => {
 
 /* ----------------------
    DELETE (admin/editor)
-   DELETE /api/blogs/:id
+   DELETE /api/blogs/:id  -> moves the post to the trash (see /api/trash)
    ---------------------- */
 router.delete('/:id', (req, res) => {
   if (requireEditorOrAdmin(req, res)) return;
@@ -313,14 +391,16 @@ router.delete('/:id', (req, res) => {
     try {
       if (req.txRun) {
         await req.txRun(async client => {
-          const r = await client.query('DELETE FROM blogs WHERE id=$1 RETURNING id', [id]);
-          if (!r.rows[0]) throw Object.assign(new Error('not_found'), { status: 404 });
+          const r = await softDelete(client, 'blogs', id, getUserIdFromReq(req));
+          if (!r) throw Object.assign(new Error('not_found'), { status: 404 });
           return true;
         });
+        sitemapService.invalidate(db).catch(() => {});
         return sendOK(res, {});
       }
-      const r = await db.query('DELETE FROM blogs WHERE id=$1 RETURNING id', [id]);
-      if (!r.rows[0]) return sendError(res, 404, 'not_found');
+      const r = await softDelete(db, 'blogs', id, getUserIdFromReq(req));
+      if (!r) return sendError(res, 404, 'not_found');
+      sitemapService.invalidate(db).catch(() => {});
       return sendOK(res, {});
     } catch (err) {
       console.error('[blogs.DELETE] error:', err);
@@ -342,7 +422,7 @@ router.post('/:id/publish', (req, res) => {
     const publish = req.body.publish === true || req.body.publish === 'true';
     const published_at = req.body.published_at ? new Date(req.body.published_at) : (publish ? new Date() : null);
     try {
-      const upd = await db.query('UPDATE blogs SET is_published=$1, published_at=$2, updated_at=now() WHERE id=$3 RETURNING id, is_published, published_at', [publish, published_at, id]);
+      const upd = await db.query('UPDATE blogs SET is_published=$1, published_at=$2, updated_at=now() WHERE id=$3 AND deleted_at IS NULL RETURNING id, is_published, published_at', [publish, published_at, id]);
       if (!upd.rows.length) return sendError(res, 404, 'not_found');
       return sendOK(res, { data: upd.rows[0] });
     } catch (err) {
@@ -352,6 +432,47 @@ router.post('/:id/publish', (req, res) => {
   })();
 });
 
+/* ----------------------
+   SCHEDULE (admin/editor)
+   PUT /api/blogs/:id/schedule  { publish_at?, unpublish_at? }  (ISO dates; null clears)
+   The publish scheduler flips is_published when due (published_at = publish_at).
+   ---------------------- */
+router.put('/:id/schedule', (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  (async () => {
+    const db = req.db;
+    const parsed = parseSchedule(req.body || {});
+    if (parsed.error) return sendError(res, 400, parsed.error);
+
+    const keys = Object.keys(parsed.schedule);
+    if (!keys.length) return sendError(res, 400, 'no_update_fields');
+
+    try {
+      const cur = await db.query('SELECT publish_at, unpublish_at FROM blogs WHERE id = $1 AND deleted_at IS NULL LIMIT 1', [req.params.id]);
+      if (!cur.rows.length) return sendError(res, 404, 'not_found');
+      const orderError = scheduleOrderError(parsed.schedule, cur.rows[0]);
+      if (orderError) return sendError(res, 400, orderError);
+
+      const params = keys.map((k) => parsed.schedule[k]);
+      const sets = keys.map((k, i) => `${k} = $${i + 1}`);
+      params.push(req.params.id);
+      const upd = await db.query(
+        `UPDATE blogs SET ${sets.join(', ')}, updated_at = now()
+         WHERE id = $${params.length} AND deleted_at IS NULL
+         RETURNING id, is_published, published_at, publish_at, unpublish_at`,
+        params
+      );
+      if (!upd.rows.length) return sendError(res, 404, 'not_found');
+
+      nudgePublishScheduler();
+      return sendOK(res, { data: upd.rows[0] });
+    } catch (err) {
+      console.error('[blogs.PUT schedule] error:', err);
+      return sendError(res, 500, 'server_error');
+    }
+  })();
+});
+
 /* ----------------------
    Editor single file upload (admin/editor)
    POST /api/blogs/upload (multipart form-data, field 'file')
@@ -372,11 +493,42 @@ router.post('/upload', upload.single('file'), (req, res) => {
 });
 
 /* =========================================================
-   🔥 MOUNT COMMENT & LIKE SUB‑ROUTERS (they contain
-   the specific routes like /:id/comments, /:id/like etc.)
+   🔥 MOUNT COMMENT, LIKE, VERSION & DRAFT SUB‑ROUTERS (they contain
+   the specific routes like /:id/comments, /:id/like, /:id/versions, /:id/draft etc.)
    ========================================================= */
 router.use('/', commentRouter);
 router.use('/', likeRouter);
+router.use('/', versionRouter);
+router.use('/', draftRouter);
+
+/* ----------------------
+   RELATED (public)
+   GET /api/blogs/:idOrSlug/related?limit=8
+   related_posts: shared tags + title/excerpt similarity
+   related_products: published products the post links to / names
+   Served from the precomputed lists (lib/relatedContent); missing or stale
+   lists are refreshed in the background shortly after the read (empty until then);
+   ?refresh=true (admin/editor) recomputes them now.
+   ---------------------- */
+router.get('/:idOrSlug/related', async (req, res) => {
+  const db = req.db;
+  try {
+    const q = await db.query(
+      'SELECT id FROM blogs WHERE (id::text = $1 OR slug = $1) AND deleted_at IS NULL LIMIT 1', [req.params.idOrSlug]
+    );
+    if (!q.rows.length) return sendError(res, 404, 'not_found');
+
+    const limit = Math.min(24, Math.max(1, Number(req.query.limit) || 8));
+    const refresh = String(req.query.refresh || '') === 'true' && isEditorOrAdmin(req);
+    const related = await getRelated(db, 'blog', q.rows[0].id, { limit, refresh });
+
+    res.set('Cache-Control', refresh ? 'no-store' : 'public, max-age=300');
+    return sendOK(res, related);
+  } catch (err) {
+    console.error('[blogs.GET /:idOrSlug/related] error:', err);
+    return sendError(res, 500, 'server_error');
+  }
+});
 
 /* =========================================================
    ⚠️ GENERIC GET BY ID OR SLUG – MUST BE THE LAST ROUTE
@@ -388,7 +540,7 @@ router.get('/:idOrSlug', async (req, res) => {
     if (!db) throw new Error('database pool unavailable');
 
     const q = await db.query(
-      `SELECT b.*, b.content as content_json FROM blogs b WHERE b.id::text = $1 OR b.slug = $1 LIMIT 1`, [idOrSlug]
+      `SELECT b.*, b.content as content_json FROM blogs b WHERE (b.id::text = $1 OR b.slug = $1) AND b.deleted_at IS NULL LIMIT 1`, [idOrSlug]
     );
     if (!q.rows.length) return sendError(res, 404, 'not_found');
     const blog = q.rows[0];
@@ -397,9 +549,10 @@ router.get('/:idOrSlug', async (req, res) => {
     const normalizedImgs = imgs.map(i => ({ ...i, url: buildImageUrl(i.url) }));
 
     // normalize blog og_image too
-    const normalizedBlog = { ...blog, og_image: buildImageUrl(blog.og_image) };
+    const normalizedBlog = { ...blog, og_image: buildImageUrl(blog.og_image), first_image: blog.first_image ? buildImageUrl(blog.first_image) : null };
+    const tags = (await loadTagsForBlogs(db, [blog.id])).get(blog.id) || [];
 
-    return sendOK(res, { blog: { ...normalizedBlog, images: normalizedImgs } });
+    return sendOK(res, { blog: { ...normalizedBlog, images: normalizedImgs, tags } });
   } catch (err) {
     console.error('[blogs.GET /:idOrSlug] error:', err);
     return sendError(res, 500, 'server_error');
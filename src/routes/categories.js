@@ -6,6 +6,11 @@
 const express = require('express');
 const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
+const { validateSchemaDefinition, loadEffectiveSchema, validateMetadata } = require('../lib/categorySchema');
+const { loadCategoryTree, loadBreadcrumbs, wouldCreateCycle } = require('../lib/categoryTree');
+const { recordSlugRedirect, repointSlugRedirects, trackSlugChange } = require('../lib/slugRedirects');
+const sitemapService = require('../lib/sitemapService');
+const { softDelete } = require('../lib/trash');
 
 const ALLOWED_TRADE_TYPES = new Set(['import', 'export', 'both']);
 
@@ -53,6 +58,27 @@ function requireEditorOrAdmin(req, res) {
   return res.status(403).json({ ok: false, error: "forbidden" });
 }
 
+function currentUserId(req) {
+  const u = req.user || {};
+  const id = u.id || u.user_id || u.sub;
+  return id ? String(id) : null;
+}
+
+function isEditorOrAdmin(req) {
+  const role = Number(req.user && req.user.role);
+  return role === 1 || role === 2;
+}
+
+/* Look up a category by id or slug */
+async function findCategory(db, idOrSlug) {
+  const { rows } = await db.query(
+    `SELECT id, slug, name, parent_id, sort_order FROM categories
+     WHERE (id::text = $1 OR slug = $1) AND deleted_at IS NULL LIMIT 1`,
+    [String(idOrSlug)]
+  );
+  return rows[0] || null;
+}
+
 /* -----------------------------------------------------------------------
    GET /api/categories
    Supports: ?include_counts=true, ?page, ?limit, ?q, ?trade_type
@@ -68,7 +94,7 @@ router.get('/', async (req, res) => {
     const offset = (page - 1) * limit;
 
     const params = [];
-    const filters = [];
+    const filters = ['c.deleted_at IS NULL'];
 
     if (req.query.q) {
       params.push(`%${req.query.q}%`);
@@ -94,6 +120,7 @@ router.get('/', async (req, res) => {
         LEFT JOIN (
           SELECT category_id, COUNT(*)::int AS product_count
           FROM products
+          WHERE deleted_at IS NULL
           GROUP BY category_id
         ) pc ON pc.category_id = c.id
         ${where}
@@ -152,29 +179,188 @@ router.get('/', async (req, res) => {
   }
 });
 
+/* -----------------------------------------------------------------------
+   GET /api/categories/tree
+   Nested tree with product_count (own) and total_product_count (rolled up
+   through descendants). Supports ?root=<id|slug>, ?depth=N.
+   Counts cover published products; editors/admins can pass ?include_unpublished=true
+------------------------------------------------------------------------ */
+router.get('/tree', async (req, res) => {
+  const db = req.db;
+  try {
+    let rootId = null;
+    if (req.query.root) {
+      const root = await findCategory(db, req.query.root);
+      if (!root) return res.status(404).json({ ok: false, error: 'not_found' });
+      rootId = root.id;
+    }
+
+    let maxDepth = null;
+    if (req.query.depth !== undefined) {
+      maxDepth = Number(req.query.depth);
+      if (!Number.isInteger(maxDepth) || maxDepth < 0) {
+        return res.status(400).json({ ok: false, error: 'invalid_depth' });
+      }
+    }
+
+    const publishedOnly = !(String(req.query.include_unpublished) === 'true' && isEditorOrAdmin(req));
+    const tree = await loadCategoryTree(db, { publishedOnly, rootId, maxDepth });
+    return res.json({ ok: true, tree });
+  } catch (err) {
+    console.error('[categories.GET/tree]', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+});
+
+/* -----------------------------------------------------------------------
+   PUT /api/categories/reorder
+   Body: { parent_id: <id>|null, ids: [id, ...] }
+   Sets sort_order = position for the listed siblings (all must share parent_id).
+   Roles: admin/editor only
+------------------------------------------------------------------------ */
+router.put('/reorder', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  const body = req.body || {};
+  const ids = Array.isArray(body.ids) ? body.ids.map(String) : null;
+  if (!ids || !ids.length) return res.status(400).json({ ok: false, error: 'ids_required' });
+  if (new Set(ids).size !== ids.length) return res.status(400).json({ ok: false, error: 'duplicate_ids' });
+  const parentId = body.parent_id || null;
+
+  try {
+    const categories = await req.txRun(async client => {
+      const { rows } = await client.query(
+        `SELECT id FROM categories
+         WHERE id::text = ANY($1::text[]) AND parent_id IS NOT DISTINCT FROM $2 AND deleted_at IS NULL
+         FOR UPDATE`,
+        [ids, parentId]
+      );
+      if (rows.length !== ids.length) {
+        throw Object.assign(new Error('not_siblings'), { status: 400 });
+      }
+
+      const r = await client.query(
+        `UPDATE categories c SET sort_order = o.pos - 1
+         FROM unnest($1::text[]) WITH ORDINALITY AS o(id, pos)
+         WHERE c.id::text = o.id
+         RETURNING c.id, c.slug, c.name, c.parent_id, c.sort_order`,
+        [ids]
+      );
+      return r.rows.sort((a, b) => a.sort_order - b.sort_order);
+    });
+
+    return res.json({ ok: true, categories });
+  } catch (err) {
+    if (err.status === 400) return res.status(400).json({ ok: false, error: err.message });
+    console.error('[categories.PUT/reorder]', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+});
+
 /* -----------------------------------------------------------------------
    GET /api/categories/:id
+   Includes attribute_schema (own) and effective_attribute_schema (own +
+   inherited from ancestors) for rendering product metadata forms.
 ------------------------------------------------------------------------ */
 router.get('/:id', async (req, res) => {
   const db = req.db;
   try {
     const { rows } = await db.query(
-      `SELECT id, slug, name, description, parent_id, trade_type, image
-       FROM categories WHERE id=$1 LIMIT 1`,
+      `SELECT id, slug, name, description, parent_id, trade_type, image, attribute_schema
+       FROM categories WHERE id=$1 AND deleted_at IS NULL LIMIT 1`,
       [req.params.id]
     );
 
     if (!rows[0]) return res.status(404).json({ ok: false, error: 'not_found' });
-    return res.json({ ok: true, category: rows[0] });
+
+    const effective = await loadEffectiveSchema(db, rows[0].id);
+    return res.json({ ok: true, category: { ...rows[0], effective_attribute_schema: effective } });
   } catch (err) {
     console.error('[categories.GET/:id]', err);
     return res.status(500).json({ ok: false, error: 'server_error' });
   }
 });
 
+/* -----------------------------------------------------------------------
+   GET /api/categories/:id/breadcrumbs  (:id may be a slug)
+   Root-first path ending with the category itself
+------------------------------------------------------------------------ */
+router.get('/:id/breadcrumbs', async (req, res) => {
+  const db = req.db;
+  try {
+    const cat = await findCategory(db, req.params.id);
+    if (!cat) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    const breadcrumbs = await loadBreadcrumbs(db, cat.id);
+    return res.json({ ok: true, breadcrumbs });
+  } catch (err) {
+    console.error('[categories.GET/:id/breadcrumbs]', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+});
+
+/* -----------------------------------------------------------------------
+   POST /api/categories/:id/move
+   Body: { parent_id: <id>|null, sort_order? }
+   Moves the category (and its whole subtree) under a new parent. Moving a
+   category under itself or one of its descendants is rejected (409).
+   Without sort_order the category goes last among its new siblings.
+   Roles: admin/editor only
+------------------------------------------------------------------------ */
+router.post('/:id/move', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  const body = req.body || {};
+  if (body.parent_id === undefined) return res.status(400).json({ ok: false, error: 'parent_id_required' });
+  const parentId = body.parent_id || null;
+  if (body.sort_order != null && !Number.isInteger(body.sort_order)) {
+    return res.status(400).json({ ok: false, error: 'invalid_sort_order' });
+  }
+
+  try {
+    const category = await req.txRun(async client => {
+      const cur = await client.query('SELECT id FROM categories WHERE id=$1 AND deleted_at IS NULL FOR UPDATE', [req.params.id]);
+      if (!cur.rows[0]) throw Object.assign(new Error('not_found'), { status: 404 });
+
+      if (parentId) {
+        const p = await client.query('SELECT id FROM categories WHERE id=$1 AND deleted_at IS NULL', [parentId]);
+        if (!p.rows[0]) throw Object.assign(new Error('parent_not_found'), { status: 400 });
+      }
+      if (await wouldCreateCycle(client, req.params.id, parentId)) {
+        throw Object.assign(new Error('category_cycle'), { status: 409 });
+      }
+
+      let sortOrder = body.sort_order;
+      if (sortOrder == null) {
+        const m = await client.query(
+          `SELECT COALESCE(MAX(sort_order), -1) + 1 AS next
+           FROM categories WHERE parent_id IS NOT DISTINCT FROM $1 AND id <> $2 AND deleted_at IS NULL`,
+          [parentId, req.params.id]
+        );
+        sortOrder = m.rows[0].next;
+      }
+
+      const { rows } = await client.query(
+        `UPDATE categories SET parent_id=$1, sort_order=$2
+         WHERE id=$3
+         RETURNING id, slug, name, description, parent_id, sort_order, trade_type, image, created_at, updated_at`,
+        [parentId, sortOrder, req.params.id]
+      );
+      return rows[0];
+    });
+
+    const breadcrumbs = await loadBreadcrumbs(req.db, category.id);
+    return res.json({ ok: true, category, breadcrumbs });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message });
+    console.error('[categories.POST/:id/move]', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
+  }
+});
+
 /* -----------------------------------------------------------------------
    POST /api/categories
-   Body: { name, slug?, description?, parent_id?, sort_order?, trade_type?, image? }
+   Body: { name, slug?, description?, parent_id?, sort_order?, trade_type?, image?, attribute_schema? }
    Roles: admin/editor only
 ------------------------------------------------------------------------ */
 router.post('/', async (req, res) => {
@@ -198,13 +384,24 @@ router.post('/', async (req, res) => {
 
     const image = normalizeImagePath(body.image);
 
+    const schema = validateSchemaDefinition(body.attribute_schema);
+    if (schema.error) {
+      return res.status(400).json({ ok: false, error: schema.error, detail: schema.detail });
+    }
+
+    if (body.parent_id) {
+      const parent = await db.query('SELECT id FROM categories WHERE id::text=$1 AND deleted_at IS NULL', [body.parent_id]);
+      if (!parent.rows[0]) return res.status(400).json({ ok: false, error: 'parent_not_found' });
+    }
+
     // slug uniqueness check
     const dup = await db.query(
-      `SELECT id FROM categories WHERE slug=$1 LIMIT 1`,
+      `SELECT id, deleted_at FROM categories WHERE slug=$1 LIMIT 1`,
       [slug]
     );
     if (dup.rows[0]) {
-      return res.status(409).json({ ok: false, error: 'slug_conflict' });
+      // trashed categories keep their slug until purged
+      return res.status(409).json({ ok: false, error: dup.rows[0].deleted_at ? 'slug_in_trash' : 'slug_conflict' });
     }
 
     await db.query(
@@ -217,8 +414,9 @@ router.post('/', async (req, res) => {
         sort_order,
         trade_type,
         image,
+        attribute_schema,
         created_at
-      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,now())`,
+      ) VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9::jsonb,now())`,
       [
         id,
         slug,
@@ -227,14 +425,15 @@ router.post('/', async (req, res) => {
         body.parent_id || null,
         Number.isInteger(body.sort_order) ? body.sort_order : 0,
         trade_type,
-        image
+        image,
+        JSON.stringify(schema.schema)
       ]
     );
 
     const { rows } = await db.query(
       `SELECT
          id, slug, name, description, parent_id,
-         sort_order, trade_type, image,
+         sort_order, trade_type, image, attribute_schema,
          created_at, updated_at
        FROM categories
        WHERE id=$1`,
@@ -258,6 +457,8 @@ router.post('/', async (req, res) => {
 
 /* -----------------------------------------------------------------------
    PUT /api/categories/:id
+   attribute_schema is left unchanged when omitted.
+   A slug change records a redirect from the old slug.
    Roles: admin/editor only
 ------------------------------------------------------------------------ */
 router.put('/:id', async (req, res) => {
@@ -281,22 +482,40 @@ router.put('/:id', async (req, res) => {
 
     const image = normalizeImagePath(body.image);
 
+    let schemaJson = null;
+    if (body.attribute_schema !== undefined) {
+      const schema = validateSchemaDefinition(body.attribute_schema);
+      if (schema.error) {
+        return res.status(400).json({ ok: false, error: schema.error, detail: schema.detail });
+      }
+      schemaJson = JSON.stringify(schema.schema);
+    }
+
     // ensure category exists
     const exists = await db.query(
-      `SELECT id FROM categories WHERE id=$1 LIMIT 1`,
+      `SELECT id, slug FROM categories WHERE id=$1 AND deleted_at IS NULL LIMIT 1`,
       [id]
     );
     if (!exists.rows[0]) {
       return res.status(404).json({ ok: false, error: 'not_found' });
     }
 
+    if (body.parent_id) {
+      const parent = await db.query('SELECT id FROM categories WHERE id::text=$1 AND deleted_at IS NULL', [body.parent_id]);
+      if (!parent.rows[0]) return res.status(400).json({ ok: false, error: 'parent_not_found' });
+    }
+    if (await wouldCreateCycle(db, id, body.parent_id || null)) {
+      return res.status(409).json({ ok: false, error: 'category_cycle' });
+    }
+
     // slug uniqueness (excluding self)
     const dup = await db.query(
-      `SELECT id FROM categories WHERE slug=$1 AND id!=$2 LIMIT 1`,
+      `SELECT id, deleted_at FROM categories WHERE slug=$1 AND id!=$2 LIMIT 1`,
       [slug, id]
     );
     if (dup.rows[0]) {
-      return res.status(409).json({ ok: false, error: 'slug_conflict' });
+      // trashed categories keep their slug until purged
+      return res.status(409).json({ ok: false, error: dup.rows[0].deleted_at ? 'slug_in_trash' : 'slug_conflict' });
     }
 
     const { rows } = await db.query(
@@ -307,11 +526,12 @@ router.put('/:id', async (req, res) => {
         parent_id=$4,
         sort_order=$5,
         trade_type=$6,
-        image=$7
+        image=$7,
+        attribute_schema=COALESCE($9::jsonb, attribute_schema)
       WHERE id=$8
       RETURNING
         id, slug, name, description, parent_id,
-        sort_order, trade_type, image,
+        sort_order, trade_type, image, attribute_schema,
         created_at, updated_at`,
       [
         body.name.trim(),
@@ -321,10 +541,20 @@ router.put('/:id', async (req, res) => {
         Number.isInteger(body.sort_order) ? body.sort_order : 0,
         trade_type,
         image,
-        id
+        id,
+        schemaJson
       ]
     );
 
+    const slugChanged = await trackSlugChange(db, {
+      entityType: 'category',
+      entityId: id,
+      oldSlug: exists.rows[0].slug,
+      newSlug: rows[0].slug,
+      userId: currentUserId(req)
+    });
+    if (slugChanged) sitemapService.invalidate(db).catch(() => {});
+
     return res.json({ ok: true, category: rows[0] });
   } catch (err) {
     console.error('[categories.PUT]', err);
@@ -340,41 +570,180 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// invalid products listed in a rejected merge (the count covers all of them)
+const MERGE_INVALID_LIST_LIMIT = 50;
+
+/*
+ * Products affected by a merge (moved ones plus those under moved child
+ * categories) whose metadata breaks their new effective attribute schema.
+ * Runs after the move, inside the merge transaction.
+ */
+async function findInvalidMovedProducts(client, productIds, childIds) {
+  const { rows } = await client.query(
+    `WITH RECURSIVE sub AS (
+       SELECT id FROM categories WHERE id::text = ANY($2::text[])
+       UNION
+       SELECT c.id FROM categories c JOIN sub ON c.parent_id = sub.id
+     )
+     SELECT id, slug, category_id, metadata FROM products
+     WHERE deleted_at IS NULL
+       AND (id::text = ANY($1::text[]) OR category_id IN (SELECT id FROM sub))`,
+    [productIds.map(String), childIds.map(String)]
+  );
+
+  const schemas = new Map();
+  const invalid = [];
+  for (const p of rows) {
+    const key = String(p.category_id);
+    if (!schemas.has(key)) schemas.set(key, await loadEffectiveSchema(client, p.category_id));
+    const { errors } = validateMetadata(schemas.get(key), p.metadata);
+    if (errors.length) invalid.push({ id: p.id, slug: p.slug, category_id: p.category_id, errors });
+  }
+  return invalid;
+}
+
+/*
+ * Move products and child categories of `source` into `target`, re-point
+ * existing redirects and redirect source's slug to target. Caller trashes source.
+ * Throws 409 merge_invalid_metadata (listing the products) when moved products
+ * would break the target's attribute schema.
+ */
+async function mergeCategoryInto(client, source, target, userId) {
+  const products = await client.query(
+    'UPDATE products SET category_id=$2, updated_at=NOW() WHERE category_id=$1 RETURNING id',
+    [source.id, target.id]
+  );
+  const children = await client.query(
+    'UPDATE categories SET parent_id=$2 WHERE parent_id=$1 RETURNING id',
+    [source.id, target.id]
+  );
+
+  const invalid = await findInvalidMovedProducts(
+    client, products.rows.map((r) => r.id), children.rows.map((r) => r.id)
+  );
+  if (invalid.length) {
+    throw Object.assign(new Error('merge_invalid_metadata'), {
+      status: 409,
+      detail: { invalid_count: invalid.length, invalid_products: invalid.slice(0, MERGE_INVALID_LIST_LIMIT) }
+    });
+  }
+
+  await repointSlugRedirects(client, 'category', source.id, target.id);
+  await recordSlugRedirect(client, {
+    entityType: 'category',
+    oldSlug: source.slug,
+    entityId: target.id,
+    reason: 'merge',
+    userId
+  });
+
+  return { moved_products: products.rowCount, moved_children: children.rowCount };
+}
+
+/* Lock source and resolve a valid merge/reassign target (throws with status) */
+async function lockMergePair(client, sourceId, targetRef) {
+  const src = await client.query(
+    'SELECT id, slug, name FROM categories WHERE id=$1 AND deleted_at IS NULL FOR UPDATE',
+    [sourceId]
+  );
+  if (!src.rows[0]) throw Object.assign(new Error('not_found'), { status: 404 });
+
+  const target = await findCategory(client, targetRef);
+  if (!target) throw Object.assign(new Error('target_not_found'), { status: 400 });
+
+  // target may not be the source itself or one of its descendants
+  if (await wouldCreateCycle(client, src.rows[0].id, target.id)) {
+    throw Object.assign(new Error('invalid_merge_target'), { status: 409 });
+  }
+  return { source: src.rows[0], target };
+}
+
 /* -----------------------------------------------------------------------
-   DELETE /api/categories/:id
+   DELETE /api/categories/:id[?reassign_to=<id|slug>]
+   Without reassign_to the delete is blocked (409 category_not_empty) while
+   the category still has products or child categories. With reassign_to,
+   products and children move to that category and the old slug redirects there
+   (409 merge_invalid_metadata with invalid_products when moved products do not
+   fit the target's attribute schema). The category itself goes to the trash (see /api/trash).
    Roles: admin/editor only
 ------------------------------------------------------------------------ */
 router.delete('/:id', async (req, res) => {
   if (requireEditorOrAdmin(req, res)) return;
 
-  const db = req.db;
   const id = req.params.id;
+  const reassignTo = req.query.reassign_to || (req.body && req.body.reassign_to) || null;
 
   try {
-    if (!db) throw new Error("database pool unavailable");
-
-    if (req.txRun) {
-      await req.txRun(async client => {
-        const r = await client.query(`DELETE FROM categories WHERE id=$1 RETURNING id`, [id]);
-        if (!r.rows[0])
-          throw Object.assign(new Error("not_found"), { status: 404 });
-        return true;
-      });
-      return res.json({ ok: true });
-    }
+    const result = await req.txRun(async client => {
+      if (reassignTo) {
+        const { source, target } = await lockMergePair(client, id, reassignTo);
+        const moved = await mergeCategoryInto(client, source, target, currentUserId(req));
+        await softDelete(client, 'categories', source.id, currentUserId(req));
+        return { reassigned_to: { id: target.id, slug: target.slug, name: target.name }, ...moved };
+      }
+
+      const cur = await client.query('SELECT id FROM categories WHERE id=$1 AND deleted_at IS NULL FOR UPDATE', [id]);
+      if (!cur.rows[0]) throw Object.assign(new Error('not_found'), { status: 404 });
+
+      const { rows } = await client.query(
+        `SELECT
+           (SELECT COUNT(*)::int FROM products WHERE category_id=$1 AND deleted_at IS NULL) AS product_count,
+           (SELECT COUNT(*)::int FROM categories WHERE parent_id=$1 AND deleted_at IS NULL) AS child_count`,
+        [id]
+      );
+      if (rows[0].product_count || rows[0].child_count) {
+        throw Object.assign(new Error('category_not_empty'), { status: 409, detail: rows[0] });
+      }
 
-    // fallback
-    const r = await db.query(`DELETE FROM categories WHERE id=$1 RETURNING id`, [id]);
-    if (!r.rows[0]) return res.status(404).json({ ok: false, error: "not_found" });
+      await softDelete(client, 'categories', id, currentUserId(req));
+      return {};
+    });
 
-    return res.json({ ok: true });
+    sitemapService.invalidate(req.db).catch(() => {});
+    return res.json({ ok: true, ...result });
   } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ ok: false, error: err.message, ...(err.detail || {}) });
+    }
     console.error("[categories.DELETE] error:", err);
+    return res.status(500).json({ ok: false, error: "server_error", detail: err.message });
+  }
+});
+
+/* -----------------------------------------------------------------------
+   POST /api/categories/:id/merge
+   Body: { target_id: <id|slug> }
+   Moves products and child categories into the target, redirects the old
+   slug to the target and moves the merged category to the trash.
+   Rejected with 409 merge_invalid_metadata { invalid_count, invalid_products:
+   [{ id, slug, category_id, errors }] } when moved products (or products under
+   moved child categories) break their new effective attribute schema.
+   Roles: admin/editor only
+------------------------------------------------------------------------ */
+router.post('/:id/merge', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
 
-    if (err.status === 404)
-      return res.status(404).json({ ok: false, error: "not_found" });
+  const targetRef = (req.body || {}).target_id;
+  if (!targetRef) return res.status(400).json({ ok: false, error: 'target_id_required' });
 
-    return res.status(500).json({ ok: false, error: "server_error", detail: err.message });
+  try {
+    const result = await req.txRun(async client => {
+      const { source, target } = await lockMergePair(client, req.params.id, targetRef);
+      const moved = await mergeCategoryInto(client, source, target, currentUserId(req));
+      await softDelete(client, 'categories', source.id, currentUserId(req));
+      return {
+        merged: { id: source.id, slug: source.slug, name: source.name },
+        target: { id: target.id, slug: target.slug, name: target.name },
+        ...moved
+      };
+    });
+
+    sitemapService.invalidate(req.db).catch(() => {});
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ ok: false, error: err.message, ...(err.detail || {}) });
+    console.error('[categories.POST/:id/merge]', err);
+    return res.status(500).json({ ok: false, error: 'server_error' });
   }
 });
 
@@ -149,3 +149,5 @@ router.get('/list-clients', (req, res) => {
 });
 
 module.exports = router;
+// server-side publishers (e.g. the publish scheduler) push events through this
+module.exports.broadcast = broadcast;
@@ -25,7 +25,7 @@ router.get("/", async (req, res) => {
         ORDER BY created_at DESC
         LIMIT 1
       ) pi ON TRUE
-      WHERE p.is_published = TRUE
+      WHERE p.is_published = TRUE AND p.deleted_at IS NULL
       ORDER BY p.created_at DESC
       LIMIT 8;
     `;
@@ -0,0 +1,87 @@
+// src/routes/feeds.js
+// Blog feeds (public). Mount at '/' BEFORE ssrBlog (/blog/:slug would catch /blog/feed.xml)
+//
+// GET /blog/feed.xml | /blog/rss.xml         RSS 2.0
+// GET /blog/atom.xml                         Atom 1.0
+// GET /blog/feed.json                        JSON Feed 1.1
+// GET /blog/tag/:slug/{feed.xml,rss.xml,atom.xml,feed.json}   same, one tag
+//
+// ?mode=full|excerpt (default FEED_DEFAULT_MODE or full), ?limit (default 20, max 100).
+// Responses carry ETag / Last-Modified and answer conditional requests with 304.
+
+const express = require('express');
+const router = express.Router();
+const {
+  FEED_MODES, FEED_MAX_ITEMS, loadFeedItems, feedEtag, buildRss, buildAtom, buildJsonFeed
+} = require('../lib/blogFeeds');
+
+const FEED_TITLE = process.env.FEED_TITLE || 'SPRADA2GLOBAL Blog';
+const FEED_DESCRIPTION = process.env.FEED_DESCRIPTION || 'Market updates and insights from SPRADA2GLOBAL';
+const FEED_DEFAULT_MODE = FEED_MODES.has(process.env.FEED_DEFAULT_MODE) ? process.env.FEED_DEFAULT_MODE : 'full';
+const FEED_MAX_AGE = Math.max(0, Number(process.env.FEED_MAX_AGE || 900));
+
+const FORMATS = {
+  'feed.xml': { type: 'application/rss+xml; charset=utf-8', build: buildRss },
+  'rss.xml': { type: 'application/rss+xml; charset=utf-8', build: buildRss },
+  'atom.xml': { type: 'application/atom+xml; charset=utf-8', build: buildAtom },
+  'feed.json': { type: 'application/feed+json; charset=utf-8', build: (feed) => JSON.stringify(buildJsonFeed(feed)) }
+};
+
+// same base as ssrBlog canonicals: APP_DOMAIN or the request host
+function siteBase(req) {
+  const domain = (process.env.APP_DOMAIN || '').replace(/\/$/, '');
+  const host = req.get('x-forwarded-host') || req.get('host') || '';
+  return domain || (host ? `${req.protocol}://${host}` : '');
+}
+
+async function sendFeed(req, res, file, tagSlug) {
+  const db = req.db || req.app?.locals?.db || null;
+  const format = FORMATS[file];
+  if (!format) return res.status(404).send('Not found');
+  if (!db || typeof db.query !== 'function') return res.status(500).send('Server misconfiguration: database not available.');
+
+  const mode = req.query.mode ? String(req.query.mode) : FEED_DEFAULT_MODE;
+  if (!FEED_MODES.has(mode)) return res.status(400).send('Invalid mode (full or excerpt)');
+  const limit = Math.min(FEED_MAX_ITEMS, Math.max(1, parseInt(req.query.limit || '20', 10) || 20));
+
+  try {
+    let tag = null;
+    if (tagSlug) {
+      const t = await db.query('SELECT id, name, slug FROM blog_tags WHERE slug = $1 LIMIT 1', [tagSlug]);
+      if (!t.rows.length) return res.status(404).send('Not found');
+      tag = t.rows[0];
+    }
+
+    const { items, updated } = await loadFeedItems(db, { tagId: tag ? tag.id : null, limit });
+    const siteUrl = siteBase(req);
+    const feed = {
+      title: tag ? `${FEED_TITLE} – ${tag.name}` : FEED_TITLE,
+      description: tag ? `${FEED_DESCRIPTION} (tagged ${tag.name})` : FEED_DESCRIPTION,
+      author: FEED_TITLE,
+      siteUrl,
+      feedUrl: `${siteUrl}${req.originalUrl}`,
+      tag,
+      mode,
+      updated,
+      items
+    };
+
+    res.set('Cache-Control', `public, max-age=${FEED_MAX_AGE}`);
+    res.set('ETag', feedEtag(file, feed));
+    if (updated) res.set('Last-Modified', updated.toUTCString());
+    if (req.fresh) return res.status(304).end();
+
+    res.set('Content-Type', format.type);
+    return res.send(format.build(feed));
+  } catch (err) {
+    console.error('[feeds] error', err && (err.stack || err.message) ? (err.stack || err.message) : err);
+    return res.status(500).send('Server error');
+  }
+}
+
+router.get('/blog/:file(feed.xml|rss.xml|atom.xml|feed.json)', (req, res) => sendFeed(req, res, req.params.file, null));
+router.get('/blog/tag/:slug/:file(feed.xml|rss.xml|atom.xml|feed.json)', (req, res) =>
+  sendFeed(req, res, req.params.file, req.params.slug)
+);
+
+module.exports = router;
@@ -0,0 +1,235 @@
+// src/routes/fx.js
+// FX rates store: public lookup/convert, admin entry + CSV/JSON import
+// Mount at /api/fx
+
+const express = require('express');
+const router = express.Router();
+const { parse } = require('csv-parse/sync');
+const {
+  FX_PIVOT, normalizeCurrency, roundingFor, loadLatestRates, getConverter, invalidateFxCache
+} = require('../lib/fx');
+
+function requireAdmin(req, res) {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  const role = Number(req.user.role || req.user.role_id || 0);
+  if (role === 1) return null;
+  return res.status(403).json({ ok: false, error: 'forbidden' });
+}
+
+function currentUserId(req) {
+  const u = req.user || {};
+  const id = u.id || u.user_id || u.sub;
+  return id ? String(id) : null;
+}
+
+const DATE_RE = /^\d{4}-\d{2}-\d{2}$/;
+const MAX_IMPORT_RATES = 5000;
+
+/* One rate from any accepted shape -> { base, quote, rate, rate_date } or { error } */
+function normalizeRateInput(o) {
+  if (!o || typeof o !== 'object') return { error: 'invalid_rate' };
+  const base = normalizeCurrency(o.base_currency ?? o.base ?? o.from);
+  const quote = normalizeCurrency(o.quote_currency ?? o.quote ?? o.to);
+  if (!base || !quote || base === quote) return { error: 'invalid_currency_pair' };
+
+  const rate = Number(o.rate);
+  if (!Number.isFinite(rate) || rate <= 0) return { error: 'invalid_rate' };
+
+  const rawDate = o.rate_date ?? o.date ?? null;
+  const rate_date = rawDate ? String(rawDate).trim().slice(0, 10) : new Date().toISOString().slice(0, 10);
+  if (!DATE_RE.test(rate_date) || Number.isNaN(new Date(rate_date).getTime())) return { error: 'invalid_rate_date' };
+
+  return { base, quote, rate, rate_date };
+}
+
+/*
+ * Flatten an import payload into rate objects. Accepts:
+ *   [{ base, quote, rate, date }, ...]
+ *   { rates: [...] }
+ *   { base: 'USD', date: '2024-05-01', rates: { EUR: 0.93, INR: 83.2 } }  (provider style)
+ */
+function flattenRatesPayload(payload) {
+  if (Array.isArray(payload)) return payload;
+  if (payload && Array.isArray(payload.rates)) return payload.rates;
+  if (payload && payload.rates && typeof payload.rates === 'object') {
+    const base = payload.base || payload.base_currency;
+    const date = payload.date || payload.rate_date;
+    return Object.entries(payload.rates).map(([quote, rate]) => ({ base, quote, rate, date }));
+  }
+  if (payload && (payload.base || payload.base_currency)) return [payload];
+  return null;
+}
+
+function parseUploadedRates(file) {
+  const name = String(file.name || '').toLowerCase();
+  const text = file.data.toString('utf8');
+  if (name.endsWith('.json') || /^\s*[[{]/.test(text)) return flattenRatesPayload(JSON.parse(text));
+  return parse(text, { columns: true, trim: true, skip_empty_lines: true, bom: true });
+}
+
+/* --------------------------------------------------------------------------
+   GET /api/fx/rates (Public)
+   Latest rate per pair (as of today) plus the rounding/pivot configuration
+-------------------------------------------------------------------------- */
+router.get('/rates', async (req, res) => {
+  try {
+    const rates = await loadLatestRates(req.db);
+    const base = normalizeCurrency(req.query.base);
+
+    const list = [];
+    for (const [pair, r] of rates) {
+      const [b, q] = pair.split('/');
+      if (base && b !== base) continue;
+      list.push({ base_currency: b, quote_currency: q, rate: r.rate, rate_date: r.rate_date });
+    }
+
+    return res.json({ ok: true, pivot: FX_PIVOT, rates: list });
+  } catch (err) {
+    console.error('[fx.GET/rates] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/fx/rates/history?base=USD&quote=EUR&limit=90 (Admin)
+-------------------------------------------------------------------------- */
+router.get('/rates/history', async (req, res) => {
+  if (requireAdmin(req, res)) return;
+
+  try {
+    const params = [];
+    const filters = [];
+    const base = normalizeCurrency(req.query.base);
+    const quote = normalizeCurrency(req.query.quote);
+    if (base) {
+      params.push(base);
+      filters.push(`base_currency = $${params.length}`);
+    }
+    if (quote) {
+      params.push(quote);
+      filters.push(`quote_currency = $${params.length}`);
+    }
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit || 90)));
+    params.push(limit);
+
+    const { rows } = await req.db.query(
+      `SELECT id, base_currency, quote_currency, rate, rate_date::text AS rate_date, source, created_by, created_at, updated_at
+       FROM fx_rates
+       ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+       ORDER BY rate_date DESC, base_currency, quote_currency
+       LIMIT $${params.length}`,
+      params
+    );
+
+    return res.json({ ok: true, rates: rows.map((r) => ({ ...r, rate: Number(r.rate) })) });
+  } catch (err) {
+    console.error('[fx.GET/rates/history] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/fx/convert?amount=100&from=USD&to=EUR (Public)
+-------------------------------------------------------------------------- */
+router.get('/convert', async (req, res) => {
+  const from = normalizeCurrency(req.query.from);
+  const to = normalizeCurrency(req.query.to);
+  const amount = Number(req.query.amount);
+  if (!from || !to) return res.status(400).json({ ok: false, error: 'invalid_currency' });
+  if (!Number.isFinite(amount)) return res.status(400).json({ ok: false, error: 'invalid_amount' });
+
+  try {
+    const converter = await getConverter(req.db, to);
+    const result = converter.convert(amount, from);
+    if (!result) return res.status(404).json({ ok: false, error: 'rate_unavailable' });
+
+    return res.json({ ok: true, ...result, rounding: roundingFor(to) });
+  } catch (err) {
+    console.error('[fx.convert] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   POST /api/fx/rates (Admin)
+   - JSON { base_currency, quote_currency, rate, rate_date? } (manual entry)
+   - JSON { rates: [...] } or provider style { base, date, rates: { EUR: 0.93 } }
+   - multipart `file`: CSV (base,quote,rate,date) or a JSON file in the shapes above
+   Existing (base, quote, rate_date) rows are overwritten.
+-------------------------------------------------------------------------- */
+router.post('/rates', async (req, res) => {
+  if (requireAdmin(req, res)) return;
+
+  let items;
+  let source = 'manual';
+  try {
+    const upload = req.files && req.files.file;
+    if (upload) {
+      const file = Array.isArray(upload) ? upload[0] : upload;
+      items = parseUploadedRates(file);
+      source = `import:${file.name || 'upload'}`;
+    } else {
+      const body = req.body || {};
+      items = flattenRatesPayload(body);
+      if (items && (Array.isArray(body) || body.rates)) source = 'import:json';
+    }
+  } catch (err) {
+    return res.status(400).json({ ok: false, error: 'invalid_rates_file', detail: err.message });
+  }
+
+  if (!items || !items.length) return res.status(400).json({ ok: false, error: 'rates_required' });
+  if (items.length > MAX_IMPORT_RATES) return res.status(400).json({ ok: false, error: 'too_many_rates' });
+
+  const rows = [];
+  const errors = [];
+  items.forEach((item, i) => {
+    const r = normalizeRateInput(item);
+    if (r.error) errors.push({ row: i + 1, reason: r.error });
+    else rows.push(r);
+  });
+  if (errors.length) return res.status(400).json({ ok: false, error: 'invalid_rates', errors: errors.slice(0, 100) });
+
+  try {
+    const saved = await req.txRun(async (client) => {
+      const out = [];
+      for (const r of rows) {
+        const { rows: ins } = await client.query(
+          `INSERT INTO fx_rates (base_currency, quote_currency, rate, rate_date, source, created_by)
+           VALUES ($1, $2, $3, $4::date, $5, $6)
+           ON CONFLICT (base_currency, quote_currency, rate_date)
+           DO UPDATE SET rate = EXCLUDED.rate, source = EXCLUDED.source, updated_at = NOW()
+           RETURNING id, base_currency, quote_currency, rate, rate_date::text AS rate_date, source`,
+          [r.base, r.quote, r.rate, r.rate_date, source, currentUserId(req)]
+        );
+        out.push({ ...ins[0], rate: Number(ins[0].rate) });
+      }
+      return out;
+    });
+
+    invalidateFxCache();
+    return res.status(201).json({ ok: true, count: saved.length, rates: saved.slice(0, 500) });
+  } catch (err) {
+    console.error('[fx.POST/rates] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   DELETE /api/fx/rates/:id (Admin)
+-------------------------------------------------------------------------- */
+router.delete('/rates/:id', async (req, res) => {
+  if (requireAdmin(req, res)) return;
+
+  try {
+    const { rows } = await req.db.query('DELETE FROM fx_rates WHERE id::text = $1 RETURNING id', [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    invalidateFxCache();
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[fx.DELETE/rates] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+module.exports = router;
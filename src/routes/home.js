@@ -2,6 +2,7 @@
 const express = require('express');
 const router = express.Router();
 const { buildImageUrl } = require('../lib/buildUrl');
+const { normalizeCurrency, getConverter } = require('../lib/fx');
 
 /**
  * /api/home
@@ -14,6 +15,9 @@ const { buildImageUrl } = require('../lib/buildUrl');
  *   blogs: [...],
  *   testimonials: [...]   // optional
  * }
+ *
+ * ?currency=EUR adds converted_price to each featured product
+ * (amount, original amount/currency, rate and rate_date).
  */
 
 router.get('/', async (req, res) => {
@@ -23,6 +27,13 @@ router.get('/', async (req, res) => {
     if (!db || typeof db.query !== 'function')
       throw new Error('db pool missing');
 
+    let converter = null;
+    if (req.query.currency) {
+      const target = normalizeCurrency(req.query.currency);
+      if (!target) return res.status(400).json({ ok: false, error: 'invalid_currency' });
+      converter = await getConverter(db, target);
+    }
+
     /* ------------------------------------
      * HERO SECTION (Static / Editable)
      * ------------------------------------ */
@@ -51,7 +62,7 @@ router.get('/', async (req, res) => {
       LEFT JOIN (
         SELECT category_id, COUNT(*) AS count
         FROM products
-        WHERE is_published = TRUE
+        WHERE is_published = TRUE AND deleted_at IS NULL
         GROUP BY category_id
       ) pc ON pc.category_id = c.id
       LEFT JOIN LATERAL (
@@ -60,9 +71,11 @@ router.get('/', async (req, res) => {
         JOIN products p2 ON p2.id = pi2.product_id
         WHERE p2.category_id = c.id
           AND p2.is_published = TRUE  -- RLS SAFE CONDITION
+          AND p2.deleted_at IS NULL
         ORDER BY pi2.is_primary DESC NULLS LAST, pi2.created_at DESC
         LIMIT 1
       ) pi ON TRUE
+      WHERE c.deleted_at IS NULL
       ORDER BY c.sort_order NULLS LAST, c.name
       LIMIT 12;
     `;
@@ -89,7 +102,7 @@ router.get('/', async (req, res) => {
         ORDER BY is_primary DESC NULLS LAST, created_at DESC
         LIMIT 1
       ) pi ON TRUE
-      WHERE p.is_published = TRUE
+      WHERE p.is_published = TRUE AND p.deleted_at IS NULL
       ORDER BY ((p.metadata->>'featured') = 'true') DESC NULLS LAST, p.created_at DESC
       LIMIT 8;
     `;
@@ -116,7 +129,7 @@ router.get('/', async (req, res) => {
             LIMIT 1
           ) AS image
         FROM blogs b
-        WHERE b.is_published = TRUE
+        WHERE b.is_published = TRUE AND b.deleted_at IS NULL
         ORDER BY b.published_at DESC NULLS LAST
         LIMIT 3;
       `;
@@ -209,7 +222,8 @@ router.get('/', async (req, res) => {
           metadata: p.metadata || {},
           category: p.category || null,
           primary_image: buildImageUrl(primary),
-          created_at: p.created_at
+          created_at: p.created_at,
+          ...(converter ? { converted_price: converter.convert(p.price, p.currency) } : {})
         };
       }),
 
@@ -3,8 +3,20 @@
 
 const express = require("express");
 const { v4: uuidv4 } = require("uuid");
+const {
+  readCursor, wantsTotal, appendCursorWhere, cursorOrderSql, cursorSelectSql, pageWithCursor,
+} = require("../lib/cursor");
+const { softDelete } = require("../lib/trash");
 const router = express.Router();
 
+// keyset form of ORDER BY created_at DESC (cursor mode)
+const LEADS_CURSOR_SPEC = {
+  name: "created_at.desc",
+  dir: "DESC",
+  keys: [{ expr: "COALESCE(created_at, '-infinity'::timestamp)", type: "timestamp" }],
+  id: { expr: "id", type: "uuid" },
+};
+
 /* ----------------------- Helpers ----------------------- */
 function requireAuth(req, res) {
   if (!req.user) return res.status(401).json({ ok: false, error: "unauthorized" });
@@ -25,7 +37,10 @@ function sendError(res, code = 400, message = "error") {
   return res.status(code).json({ ok: false, error: message });
 }
 
-/* ----------------------- LIST ----------------------- */
+/* ----------------------- LIST -----------------------
+   ?q, ?status, ?page, ?limit
+   ?cursor= (keyset mode, then next_cursor) and ?include_total=false
+------------------------------------------------------- */
 router.get("/", async (req, res) => {
   if (requireEditorOrAdmin(req, res)) return;
 
@@ -37,7 +52,7 @@ router.get("/", async (req, res) => {
   const offset = (page - 1) * limit;
 
   try {
-    const where = [];
+    const where = ["deleted_at IS NULL"];
     const params = [];
 
     if (q) {
@@ -52,12 +67,39 @@ router.get("/", async (req, res) => {
 
     const whereSql = where.length ? `WHERE ${where.join(" AND ")}` : "";
 
-    const countRes = await db.query(
-      `SELECT COUNT(*)::int AS total FROM leads ${whereSql}`,
-      params
-    );
+    const pager = readCursor(req.query, LEADS_CURSOR_SPEC);
+    if (pager.error) return sendError(res, 400, pager.error);
+
+    let total = null;
+    if (wantsTotal(req.query)) {
+      const countRes = await db.query(
+        `SELECT COUNT(*)::int AS total FROM leads ${whereSql}`,
+        params
+      );
+      total = countRes.rows[0].total;
+    }
 
-    const total = countRes.rows[0].total;
+    if (pager.enabled) {
+      const pageWhere = appendCursorWhere(whereSql, LEADS_CURSOR_SPEC, pager.cursor, params);
+      params.push(limit + 1);
+
+      const result = (
+        await db.query(
+          `
+        SELECT id, name, email, phone, company, country, product_interest,
+               status, created_at, updated_at${cursorSelectSql(LEADS_CURSOR_SPEC)}
+        FROM leads
+        ${pageWhere}
+        ORDER BY ${cursorOrderSql(LEADS_CURSOR_SPEC)}
+        LIMIT $${params.length}
+      `,
+          params
+        )
+      ).rows;
+
+      const { rows, next_cursor } = pageWithCursor(result, limit, LEADS_CURSOR_SPEC);
+      return sendOK(res, { leads: rows, total, page, limit, next_cursor });
+    }
 
     params.push(limit, offset);
 
@@ -127,7 +169,7 @@ router.get("/:id", async (req, res) => {
   const id = req.params.id;
 
   try {
-    const q = await db.query(`SELECT * FROM leads WHERE id=$1`, [id]);
+    const q = await db.query(`SELECT * FROM leads WHERE id=$1 AND deleted_at IS NULL`, [id]);
     if (!q.rows[0]) return sendError(res, 404, "not_found");
     return sendOK(res, { lead: q.rows[0] });
   } catch (err) {
@@ -173,7 +215,7 @@ router.put("/:id", async (req, res) => {
     const sql = `
       UPDATE leads
       SET ${sets.join(", ")}, updated_at = now()
-      WHERE id=$${idx}
+      WHERE id=$${idx} AND deleted_at IS NULL
       RETURNING *
     `;
 
@@ -187,15 +229,16 @@ router.put("/:id", async (req, res) => {
   }
 });
 
-/* ----------------------- DELETE ----------------------- */
+/* ----------------------- DELETE (to trash, see /api/trash) ----------------------- */
 router.delete("/:id", async (req, res) => {
   if (requireEditorOrAdmin(req, res)) return;
   const db = req.db;
   const id = req.params.id;
 
   try {
-    const r = await db.query(`DELETE FROM leads WHERE id=$1 RETURNING id`, [id]);
-    if (!r.rows[0]) return sendError(res, 404, "not_found");
+    const userId = req.user && req.user.id ? String(req.user.id) : null;
+    const r = await softDelete(db, "leads", id, userId);
+    if (!r) return sendError(res, 404, "not_found");
 
     return sendOK(res, { message: "deleted" });
   } catch (err) {
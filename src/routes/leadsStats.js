@@ -20,6 +20,7 @@ router.get("/stats", async (req, res) => {
         SUM(CASE WHEN created_at >= date_trunc('week', now()) THEN 1 ELSE 0 END) AS this_week,
         COUNT(*) AS total
       FROM leads
+      WHERE deleted_at IS NULL
     `;
 
     const { rows } = await db.query(sql);
@@ -0,0 +1,302 @@
+// src/routes/productImports.js
+// Asynchronous product import jobs (CSV / XLSX) with dry-run preview
+// Mount at /api/products/import-jobs (before the products router so /:slug doesn't swallow it)
+
+const express = require('express');
+const router = express.Router();
+const {
+  parseImportFile, createImportJob, getJob, getJobStats, formatJob, startImportJob
+} = require('../lib/productImport');
+
+function requireEditorOrAdmin(req, res) {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'unauthorized' });
+
+  const role = Number(req.user.role || req.user.role_id || req.user.roleId || 0);
+  if (role === 1 || role === 2) return null;
+
+  return res.status(403).json({ ok: false, error: 'forbidden' });
+}
+
+function currentUserId(req) {
+  const u = req.user || {};
+  const id = u.id || u.user_id || u.sub;
+  return id ? String(id) : null;
+}
+
+/* mapping/options arrive as JSON strings in multipart forms */
+function jsonField(v) {
+  if (v == null || v === '') return {};
+  if (typeof v === 'object') return v;
+  try {
+    return JSON.parse(v);
+  } catch {
+    return null;
+  }
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+async function loadJob(req, res) {
+  if (!UUID_RE.test(req.params.id)) {
+    res.status(400).json({ ok: false, error: 'invalid_id' });
+    return null;
+  }
+  const job = await getJob(req.db, req.params.id);
+  if (!job) {
+    res.status(404).json({ ok: false, error: 'not_found' });
+    return null;
+  }
+  return job;
+}
+
+/* --------------------------------------------------------------------------
+   POST /api/products/import-jobs  (Admin/Editor)
+   multipart/form-data:
+     - file     CSV or XLSX
+     - mapping  JSON { "<column header>": "<target>" }, targets:
+                title, slug, sku, description, short_description, price, currency,
+                moq, available_qty, is_published, trade_type, meta_title,
+                meta_description, og_image,
+                category            (category slug or name)
+                images              (image URLs, several per cell split on , | or space;
+                                     several columns may map here)
+                metadata.<key>      (merged into products.metadata)
+                variant.<field>     (sku, title, price, moq, available_qty, is_active,
+                                     sort_order — one row per variant; product
+                                     columns repeat on each row)
+                variant.option.<key> (variant options, e.g. grade / packaging)
+                ignore
+                Unmapped headers that match a target name (or meta_<key>,
+                category_slug, image_url, ...) are picked up automatically.
+     - dry_run  default true: stop after the preview and wait for /commit.
+                false commits straight after the preview.
+     - sheet    XLSX worksheet name or 1-based index (default first)
+   JSON body { csv, mapping, dry_run } is accepted too.
+   Responds 202 with the job; poll GET /:id for progress.
+-------------------------------------------------------------------------- */
+router.post('/', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const body = req.body || {};
+    const upload = req.files && req.files.file;
+    const file = upload
+      ? (Array.isArray(upload) ? upload[0] : upload)
+      : (body.csv ? { text: body.csv, name: 'upload.csv' } : null);
+
+    if (!file) return res.status(400).json({ ok: false, error: 'file_required' });
+
+    const mapping = jsonField(body.mapping);
+    if (mapping === null) return res.status(400).json({ ok: false, error: 'invalid_mapping' });
+
+    const dryRun = String(body.dry_run ?? 'true').toLowerCase() !== 'false';
+    const parsed = await parseImportFile(file, { sheet: body.sheet });
+
+    const job = await req.txRun((client) => createImportJob(client, {
+      parsed,
+      filename: file.name || null,
+      mapping,
+      options: { dry_run: dryRun, auto_commit: !dryRun, sheet: body.sheet || null },
+      userId: currentUserId(req)
+    }));
+
+    startImportJob(req.db, job.id);
+
+    return res.status(202).json({ ok: true, job: formatJob(job, null) });
+  } catch (err) {
+    if (err.status) {
+      return res.status(err.status).json({ ok: false, error: err.message, detail: err.detail || undefined });
+    }
+    console.error('[productImports.POST] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/products/import-jobs  (Admin/Editor) — recent jobs
+-------------------------------------------------------------------------- */
+router.get('/', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit || 20)));
+    const params = [limit];
+    let where = '';
+    if (req.query.status) {
+      params.push(String(req.query.status));
+      where = `WHERE status = $${params.length}`;
+    }
+
+    const { rows } = await req.db.query(
+      `SELECT id, status, phase, filename, source_format, total_rows, last_error,
+              created_by, created_at, updated_at, committed_at, finished_at
+       FROM product_import_jobs
+       ${where}
+       ORDER BY created_at DESC
+       LIMIT $1`,
+      params
+    );
+
+    return res.json({ ok: true, jobs: rows });
+  } catch (err) {
+    console.error('[productImports.GET] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/products/import-jobs/:id  (Admin/Editor)
+   Status, phase, progress (0-100) and counts
+   (creates / updates / unchanged / errors / committed / failed)
+-------------------------------------------------------------------------- */
+router.get('/:id', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const stats = await getJobStats(req.db, job.id);
+    return res.json({ ok: true, job: formatJob(job, stats) });
+  } catch (err) {
+    console.error('[productImports.GET/:id] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/products/import-jobs/:id/rows  (Admin/Editor) — dry-run diff
+   Query: action (create|update|skip|error), status, page, limit (max 500)
+-------------------------------------------------------------------------- */
+router.get('/:id/rows', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const page = Math.max(1, Number(req.query.page || 1));
+    const limit = Math.min(500, Math.max(1, Number(req.query.limit || 50)));
+    const offset = (page - 1) * limit;
+
+    const params = [job.id];
+    const filters = ['job_id = $1'];
+    if (req.query.action) {
+      params.push(String(req.query.action));
+      filters.push(`action = $${params.length}`);
+    }
+    if (req.query.status) {
+      params.push(String(req.query.status));
+      filters.push(`status = $${params.length}`);
+    }
+    const where = `WHERE ${filters.join(' AND ')}`;
+
+    const countRes = await req.db.query(`SELECT COUNT(*)::int AS total FROM product_import_rows ${where}`, params);
+    const total = countRes.rows[0]?.total ?? 0;
+
+    const { rows } = await req.db.query(
+      `SELECT row_no, status, action, diff, error, product_id, raw
+       FROM product_import_rows
+       ${where}
+       ORDER BY row_no
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    );
+
+    return res.json({ ok: true, rows, page, limit, total, total_pages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error('[productImports.GET/:id/rows] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   POST /api/products/import-jobs/:id/commit  (Admin/Editor)
+   Applies the previewed creates/updates; error rows are skipped.
+-------------------------------------------------------------------------- */
+router.post('/:id/commit', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const { rows } = await req.db.query(
+      `UPDATE product_import_jobs
+       SET status = 'committing', phase = 'commit', committed_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status = 'previewed'
+       RETURNING id`,
+      [job.id]
+    );
+    if (!rows[0]) return res.status(409).json({ ok: false, error: 'job_not_previewed', status: job.status });
+
+    startImportJob(req.db, job.id);
+
+    const fresh = await getJob(req.db, job.id);
+    return res.status(202).json({ ok: true, job: formatJob(fresh, await getJobStats(req.db, job.id)) });
+  } catch (err) {
+    console.error('[productImports.commit] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   POST /api/products/import-jobs/:id/resume  (Admin/Editor)
+   Restarts a failed job (or one not running in this process) from the
+   first unprocessed row of its current phase.
+-------------------------------------------------------------------------- */
+router.post('/:id/resume', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    if (!['failed', 'previewing', 'committing'].includes(job.status)) {
+      return res.status(409).json({ ok: false, error: 'job_not_resumable', status: job.status });
+    }
+
+    await req.db.query(
+      `UPDATE product_import_jobs
+       SET status = CASE WHEN phase = 'commit' THEN 'committing' ELSE 'previewing' END,
+           last_error = NULL, updated_at = NOW()
+       WHERE id = $1`,
+      [job.id]
+    );
+
+    const started = startImportJob(req.db, job.id);
+    return res.status(202).json({ ok: true, started });
+  } catch (err) {
+    console.error('[productImports.resume] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   POST /api/products/import-jobs/:id/cancel  (Admin/Editor)
+   Stops after the current chunk. Rows already committed stay committed.
+-------------------------------------------------------------------------- */
+router.post('/:id/cancel', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const job = await loadJob(req, res);
+    if (!job) return;
+
+    const { rows } = await req.db.query(
+      `UPDATE product_import_jobs
+       SET status = 'cancelled', finished_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status NOT IN ('completed', 'cancelled')
+       RETURNING id`,
+      [job.id]
+    );
+    if (!rows[0]) return res.status(409).json({ ok: false, error: 'job_finished', status: job.status });
+
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[productImports.cancel] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+module.exports = router;
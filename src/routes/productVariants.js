@@ -0,0 +1,186 @@
+// src/routes/productVariants.js
+// Product variants CRUD (packaging sizes, grades — own SKU, price, MOQ, stock)
+// Mount at /api/products/:productId/variants
+
+const express = require('express');
+const router = express.Router({ mergeParams: true });
+const { VARIANT_COLUMNS, validateVariantInput, formatVariant, loadVariants } = require('../lib/productVariants');
+
+function requireEditorOrAdmin(req, res) {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'unauthorized' });
+
+  const role = Number(req.user.role || req.user.role_id || req.user.roleId || 0);
+  if (role === 1 || role === 2) return null;
+
+  return res.status(403).json({ ok: false, error: 'forbidden' });
+}
+
+function isEditorOrAdmin(req) {
+  const role = Number((req.user && (req.user.role || req.user.role_id || req.user.roleId)) || 0);
+  return role === 1 || role === 2;
+}
+
+async function setAppUserIdIfPresent(client, req) {
+  try {
+    const userId = req.user && (req.user.id || req.user.user_id || req.user.sub) ? String(req.user.id || req.user.user_id || req.user.sub) : null;
+    if (userId) {
+      await client.query("SELECT set_config('app.user_id', $1, true)", [userId]);
+    }
+  } catch (err) {
+    console.warn('[productVariants] set_config failed:', err && err.message ? err.message : err);
+  }
+}
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/* unique index violations -> 409 codes */
+function conflictCode(err) {
+  if (!err || err.code !== '23505') return null;
+  if (/sku/.test(err.constraint || '')) return 'variant_sku_taken';
+  return 'variant_title_taken';
+}
+
+async function findProduct(db, id) {
+  if (!UUID_RE.test(String(id))) return null;
+  const { rows } = await db.query('SELECT id, price, currency, moq FROM products WHERE id = $1 AND deleted_at IS NULL LIMIT 1', [id]);
+  return rows[0] || null;
+}
+
+/* --------------------------------------------------------------------------
+   GET /api/products/:productId/variants
+   Public: active variants only. Admin/Editor: ?include_inactive=true for all.
+-------------------------------------------------------------------------- */
+router.get('/', async (req, res) => {
+  try {
+    const product = await findProduct(req.db, req.params.productId);
+    if (!product) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    const activeOnly = !(isEditorOrAdmin(req) && String(req.query.include_inactive) === 'true');
+    const variants = await loadVariants(req.db, product.id, { activeOnly, product });
+
+    return res.json({ ok: true, variants });
+  } catch (err) {
+    console.error('[productVariants.GET] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   POST /api/products/:productId/variants  (Admin/Editor)
+   Body: { title, sku?, options?: { grade: 'A', packaging: '25 kg bag' },
+           price?, moq?, available_qty?, is_active?, sort_order? }
+-------------------------------------------------------------------------- */
+router.post('/', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  const checked = validateVariantInput(req.body || {});
+  if (checked.error) return res.status(400).json({ ok: false, error: checked.error });
+  const f = checked.fields;
+
+  try {
+    const product = await findProduct(req.db, req.params.productId);
+    if (!product) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    const row = await req.txRun(async (client) => {
+      await setAppUserIdIfPresent(client, req);
+
+      const { rows } = await client.query(
+        `INSERT INTO product_variants
+           (product_id, sku, title, options, price, moq, available_qty, is_active, sort_order, created_at, updated_at)
+         VALUES ($1, $2, $3, $4::jsonb, $5, $6, $7, $8, $9, NOW(), NOW())
+         RETURNING ${VARIANT_COLUMNS}`,
+        [
+          product.id, f.sku ?? null, f.title, JSON.stringify(f.options || {}),
+          f.price ?? null, f.moq ?? null, f.available_qty ?? 0,
+          f.is_active ?? true, f.sort_order ?? 0
+        ]
+      );
+      return rows[0];
+    });
+
+    return res.status(201).json({ ok: true, variant: formatVariant(row, product) });
+  } catch (err) {
+    const conflict = conflictCode(err);
+    if (conflict) return res.status(409).json({ ok: false, error: conflict });
+    console.error('[productVariants.POST] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   PUT /api/products/:productId/variants/:variantId  (Admin/Editor)
+   Partial update; price/moq null = inherit from the product
+-------------------------------------------------------------------------- */
+router.put('/:variantId', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  const checked = validateVariantInput(req.body || {}, { partial: true });
+  if (checked.error) return res.status(400).json({ ok: false, error: checked.error });
+
+  const sets = [];
+  const params = [];
+  for (const [k, v] of Object.entries(checked.fields)) {
+    params.push(k === 'options' ? JSON.stringify(v) : v);
+    sets.push(`${k} = $${params.length}${k === 'options' ? '::jsonb' : ''}`);
+  }
+  if (!sets.length) return res.status(400).json({ ok: false, error: 'no_update_fields' });
+
+  try {
+    const product = await findProduct(req.db, req.params.productId);
+    if (!product || !UUID_RE.test(req.params.variantId)) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    const row = await req.txRun(async (client) => {
+      await setAppUserIdIfPresent(client, req);
+
+      params.push(req.params.variantId, product.id);
+      const { rows } = await client.query(
+        `UPDATE product_variants
+         SET ${sets.join(', ')}, updated_at = NOW()
+         WHERE id = $${params.length - 1} AND product_id = $${params.length}
+         RETURNING ${VARIANT_COLUMNS}`,
+        params
+      );
+      if (!rows[0]) throw Object.assign(new Error('not_found'), { status: 404 });
+      return rows[0];
+    });
+
+    return res.json({ ok: true, variant: formatVariant(row, product) });
+  } catch (err) {
+    if (err.status === 404) return res.status(404).json({ ok: false, error: 'not_found' });
+    const conflict = conflictCode(err);
+    if (conflict) return res.status(409).json({ ok: false, error: conflict });
+    console.error('[productVariants.PUT] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   DELETE /api/products/:productId/variants/:variantId  (Admin/Editor)
+-------------------------------------------------------------------------- */
+router.delete('/:variantId', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    if (!UUID_RE.test(String(req.params.productId)) || !UUID_RE.test(req.params.variantId)) {
+      return res.status(404).json({ ok: false, error: 'not_found' });
+    }
+
+    await req.txRun(async (client) => {
+      await setAppUserIdIfPresent(client, req);
+
+      const r = await client.query(
+        'DELETE FROM product_variants WHERE id = $1 AND product_id = $2 RETURNING id',
+        [req.params.variantId, req.params.productId]
+      );
+      if (!r.rows[0]) throw Object.assign(new Error('not_found'), { status: 404 });
+    });
+
+    return res.json({ ok: true });
+  } catch (err) {
+    if (err.status === 404) return res.status(404).json({ ok: false, error: 'not_found' });
+    console.error('[productVariants.DELETE] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+module.exports = router;
@@ -7,6 +7,23 @@ const router = express.Router();
 const { v4: uuidv4 } = require('uuid');
 const { parse } = require('csv-parse/sync'); // npm i csv-parse
 const { buildImageUrl } = require('../lib/buildUrl');
+const { formatPublicRow } = require('../lib/formatProduct');
+const { searchSelectSql, withSearchFields } = require('../lib/productSearch');
+const { parseProductFilters, buildWhere, facetKeys, computeFacets } = require('../lib/productFilters');
+const { EXPORT_FORMATS, streamProductExport } = require('../lib/productExport');
+const { validatePriceTiers, replacePriceTiers, loadPriceTiers, buildQuote } = require('../lib/priceTiers');
+const { loadVariants } = require('../lib/productVariants');
+const { loadEffectiveSchema, validateMetadata } = require('../lib/categorySchema');
+const { loadBreadcrumbs } = require('../lib/categoryTree');
+const { trackSlugChange } = require('../lib/slugRedirects');
+const sitemapService = require('../lib/sitemapService');
+const { softDelete } = require('../lib/trash');
+const { parseSchedule, scheduleOrderError, nudgePublishScheduler } = require('../lib/publishScheduler');
+const { normalizeCurrency, getConverter, withConvertedPrice } = require('../lib/fx');
+const { getRelated } = require('../lib/relatedContent');
+const {
+  readCursor, wantsTotal, appendCursorWhere, cursorOrderSql, cursorSelectSql, pageWithCursor
+} = require('../lib/cursor');
 
 const ALLOWED_TRADE_TYPES = new Set(['import', 'export', 'both']);
 
@@ -42,59 +59,52 @@ function requireEditorOrAdmin(req, res) {
   return res.status(403).json({ ok: false, error: 'forbidden' });
 }
 
-/* Format product row for frontend */
-function formatPublicRow(row) {
-  let category = null;
-  try {
-    if (row.category && typeof row.category === 'string') category = JSON.parse(row.category);
-    else category = row.category || null;
-  } catch {
-    category = null;
-  }
+function isEditorOrAdmin(req) {
+  const role = req.user ? Number(req.user.role || req.user.role_id || req.user.roleId || 0) : 0;
+  return role === 1 || role === 2;
+}
 
-  // decide effective_trade_type: product trade_type if set else category.trade_type (if available) else 'both'
-  const product_trade_type = (row.trade_type == null) ? null : String(row.trade_type);
-  const category_trade_type = category && category.trade_type ? category.trade_type : null;
-  const effective_trade_type = product_trade_type || category_trade_type || 'both';
+/*
+ * products.slug is unique across live and trashed rows, so a trashed product
+ * keeps its slug until it is purged. Unique violations on slug -> 409 code
+ * (slug_in_trash when the holder is in the trash), null for other errors.
+ */
+async function slugConflictCode(db, err, slug) {
+  if (!err || err.code !== '23505' || !/slug/.test(err.constraint || '')) return null;
+  const { rows } = await db.query('SELECT deleted_at FROM products WHERE slug = $1 LIMIT 1', [slug]);
+  return rows[0] && rows[0].deleted_at ? 'slug_in_trash' : 'slug_conflict';
+}
 
-  // Normalize og_image and primary_image to canonical full URLs
-  function normalizeSupabaseUrl(path) {
-  if (!path) return null;
-  if (path.startsWith('http')) return path;
-  return `https://kwthxsumqqssiywdcevx.supabase.co/storage/v1/object/public/sprada_storage/${path}`;
+/* Keyset sort keys for cursor mode (nullable columns are COALESCE'd) */
+const CURSOR_SORT_KEYS = {
+  created_at: { expr: 'p.created_at', type: 'timestamptz' },
+  price: { expr: 'p.price', type: 'numeric' },
+  title: { expr: 'p.title', type: 'text' },
+  available_qty: { expr: 'COALESCE(p.available_qty, 0)', type: 'int' }
+};
+
+/* Cursor sort spec matching the listing's ?order (p.id breaks ties) */
+function productSortSpec(order, search) {
+  const id = { expr: 'p.id', type: 'uuid' };
+  const m = order ? String(order).match(/^([a-zA-Z_]+)\.(asc|desc)$/i) : null;
+  if (m && CURSOR_SORT_KEYS[m[1]]) {
+    return { name: `${m[1]}.${m[2].toLowerCase()}`, dir: m[2].toUpperCase(), keys: [CURSOR_SORT_KEYS[m[1]]], id };
+  }
+  if (search) {
+    return { name: 'relevance', dir: 'DESC', keys: [{ expr: search.rank, type: 'float8' }, CURSOR_SORT_KEYS.created_at], id };
+  }
+  return { name: 'created_at.desc', dir: 'DESC', keys: [CURSOR_SORT_KEYS.created_at], id };
 }
 
-const ogImage = normalizeSupabaseUrl(
-  row.og_image || (row.metadata && row.metadata.og_image) || null
-);
-
-  const primaryImage = row.primary_image
-  ? row.primary_image.startsWith('http')
-    ? row.primary_image
-    : `https://kwthxsumqqssiywdcevx.supabase.co/storage/v1/object/public/sprada_storage/${row.primary_image}`
-  : null;
-
-  return {
-    id: row.id,
-    sku: row.sku || null,
-    title: row.title,
-    slug: row.slug,
-    short_description: row.short_description || row.description || null,
-    description: row.description || null,
-    price: row.price,
-    currency: row.currency,
-    moq: row.moq || 1,
-    available_qty: row.available_qty == null ? null : Number(row.available_qty),
-    is_published: !!row.is_published,
-    og_image: ogImage,
-    metadata: row.metadata || {},
-    category: category ? { ...category, trade_type: category_trade_type || 'both' } : null,
-    trade_type: product_trade_type, // explicit product-level value (nullable)
-    effective_trade_type, // computed effective value for convenience
-    primary_image: primaryImage || null,
-    created_at: row.created_at || null,
-    updated_at: row.updated_at || null
-  };
+/*
+ * ?currency=EUR -> FX converter for the response (null when absent).
+ * Returns { converter } or { error } for an invalid code.
+ */
+async function displayCurrency(db, query) {
+  if (query.currency == null || query.currency === '') return { converter: null };
+  const target = normalizeCurrency(query.currency);
+  if (!target) return { error: 'invalid_currency' };
+  return { converter: await getConverter(db, target) };
 }
 
 /* helper to set app.user_id for RLS inside a transaction */
@@ -110,6 +120,12 @@ async function setAppUserIdIfPresent(client, req) {
   }
 }
 
+function currentUserId(req) {
+  const u = req.user || {};
+  const id = u.id || u.user_id || u.sub;
+  return id ? String(id) : null;
+}
+
 /* --------------------------------------------------------------------------
    GET /api/products  (Public + supports q, category, limit, pagination, trade_type)
    Query params supported:
@@ -118,8 +134,23 @@ async function setAppUserIdIfPresent(client, req) {
      - category_id
      - category_slug
      - q (search on title/slug/short_description)
-     - order (e.g. price.asc or created_at.desc)
+     - search_mode (simple|ranked, default simple) — ranked uses search_vector
+       with prefix + trigram typo matching and adds search.{rank,snippet,title}
+     - order (e.g. price.asc or created_at.desc; ranked mode defaults to relevance)
      - trade_type (import|export|both)
+     - price_min, price_max (in the product's own currency)
+     - price_currency (comma list, e.g. USD,EUR — filter on stored currency)
+     - currency (display currency, e.g. EUR: adds converted_price
+       { amount, currency, original_amount, original_currency, rate, rate_date })
+     - moq_min, moq_max, in_stock (true|false)
+       (price/moq/stock also match on any active variant)
+     - meta[<key>]=v1,v2 (metadata match, e.g. meta[origin]=India&meta[grade]=A)
+     - variant[<option>]=v1,v2 (active variant option match, e.g. variant[packaging]=25 kg bag)
+     - include_facets=true (adds a `facets` block with per-value counts)
+     - facet_keys (metadata keys to facet on, default origin,grade,packaging,hs_code)
+     - cursor (keyset mode: pass empty for the first page, then next_cursor;
+       page is ignored in this mode)
+     - include_total=false (skip the COUNT query; total/total_pages come back null)
 -------------------------------------------------------------------------- */
 router.get('/', async (req, res) => {
   const db = req.db;
@@ -133,41 +164,23 @@ router.get('/', async (req, res) => {
 
     const offset = (page - 1) * limit;
 
-    const { category_id, category_slug, q, order, trade_type } = req.query;
-
-    const filters = [];
-    const params = [];
-
-    if (category_id) {
-      params.push(category_id);
-      filters.push(`p.category_id = $${params.length}`);
-    }
+    const { order } = req.query;
 
-    if (category_slug) {
-      params.push(category_slug);
-      filters.push(`c.slug = $${params.length}`);
-    }
+    const parsed = parseProductFilters(req.query);
+    if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
 
-    if (q) {
-      params.push(`%${q}%`);
-      filters.push(`(p.title ILIKE $${params.length} OR p.slug ILIKE $${params.length} OR p.short_description ILIKE $${params.length})`);
-    }
+    const display = await displayCurrency(db, req.query);
+    if (display.error) return res.status(400).json({ ok: false, error: display.error });
 
-    // trade_type filter: product-level OR inherited from category
-    if (trade_type) {
-      const tt = String(trade_type).toLowerCase();
-      if (!ALLOWED_TRADE_TYPES.has(tt)) {
-        return res.status(400).json({ ok: false, error: 'invalid_trade_type' });
-      }
-      params.push(tt);
-      // Use NULLIF + lower to treat '' or whitespace as NULL and compare lower-case values.
-      // Condition: effective product trade_type (NULLIF(lower(p.trade_type),'') or c.trade_type) = $n
-      filters.push(`(COALESCE(NULLIF(lower(p.trade_type),''), lower(c.trade_type)) = $${params.length})`);
-    }
+    const params = [];
+    const { where, search } = buildWhere(parsed.filters, params);
+    const filterParams = params.slice();
 
-    const where = filters.length ? `WHERE ${filters.join(' AND ')}` : '';
+    const sortSpec = productSortSpec(order, search);
+    const pager = readCursor(req.query, sortSpec);
+    if (pager.error) return res.status(400).json({ ok: false, error: pager.error });
 
-    let orderSql = 'p.created_at DESC';
+    let orderSql = search ? 'search_rank DESC, p.created_at DESC' : 'p.created_at DESC';
     if (order) {
       const m = order.match(/^([a-zA-Z_]+)\.(asc|desc)$/i);
       const allowed = new Set(['created_at', 'price', 'title', 'available_qty']);
@@ -176,13 +189,16 @@ router.get('/', async (req, res) => {
       }
     }
 
+    // cursor mode: rows after the cursor position (count below still uses the plain filters)
+    const pageWhere = pager.enabled ? appendCursorWhere(where, sortSpec, pager.cursor, params) : where;
+
     const qtext = `
       SELECT
         p.id, p.sku, p.title, p.slug, p.short_description, p.description,
         p.price, p.currency, p.moq, p.available_qty, p.is_published,
-        p.og_image, p.metadata, p.created_at, p.updated_at, p.trade_type,
+        p.og_image, p.metadata, p.created_at, p.updated_at, p.trade_type, p.publish_at, p.unpublish_at,
         jsonb_build_object('id', c.id, 'slug', c.slug, 'name', c.name, 'trade_type', c.trade_type) AS category,
-        pi.url AS primary_image
+        pi.url AS primary_image${searchSelectSql(search)}${pager.enabled ? cursorSelectSql(sortSpec) : ''}
       FROM products p
       LEFT JOIN categories c ON c.id = p.category_id
       LEFT JOIN LATERAL (
@@ -192,46 +208,100 @@ router.get('/', async (req, res) => {
         ORDER BY sort_order DESC, created_at DESC
         LIMIT 1
       ) pi ON TRUE
-      ${where}
-      ORDER BY ${orderSql}
-      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+      ${pageWhere}
+      ORDER BY ${pager.enabled ? cursorOrderSql(sortSpec) : orderSql}
+      LIMIT $${params.length + 1}${pager.enabled ? '' : ` OFFSET $${params.length + 2}`}
     `;
-    params.push(limit, offset);
+    // cursor mode fetches one look-ahead row to know whether there is a next page
+    if (pager.enabled) params.push(limit + 1);
+    else params.push(limit, offset);
 
-    const { rows } = await db.query(qtext, params);
+    const result = await db.query(qtext, params);
+    const { rows, next_cursor } = pager.enabled
+      ? pageWithCursor(result.rows, limit, sortSpec)
+      : { rows: result.rows, next_cursor: undefined };
 
-    // Count
+    // Count (skippable with include_total=false)
     let total = null;
-    try {
-      const countQ =
-        `SELECT COUNT(*)::int AS total
-         FROM products p LEFT JOIN categories c ON c.id = p.category_id
-         ${where}`;
-      const countParams = params.slice(0, params.length - 2);
-      const cr = await db.query(countQ, countParams);
-      total = cr.rows[0]?.total ?? 0;
-    } catch (countErr) {
-      console.warn('[products.GET] count failed', countErr && countErr.message ? countErr.message : countErr);
+    if (wantsTotal(req.query)) {
+      try {
+        const countQ =
+          `SELECT COUNT(*)::int AS total
+           FROM products p LEFT JOIN categories c ON c.id = p.category_id
+           ${where}`;
+        const cr = await db.query(countQ, filterParams);
+        total = cr.rows[0]?.total ?? 0;
+      } catch (countErr) {
+        console.warn('[products.GET] count failed', countErr && countErr.message ? countErr.message : countErr);
+      }
     }
 
     const total_pages = total != null ? Math.ceil(total / limit) : null;
 
-    return res.json({
+    const payload = {
       ok: true,
-      products: rows.map(formatPublicRow),
+      products: rows.map((r) => withConvertedPrice(
+        search ? withSearchFields(formatPublicRow(r), r) : formatPublicRow(r),
+        display.converter
+      )),
       page,
       limit,
       total,
       total_pages
-    });
+    };
+    if (pager.enabled) payload.next_cursor = next_cursor;
+
+    if (String(req.query.include_facets) === 'true') {
+      try {
+        payload.facets = await computeFacets(db, parsed.filters, { keys: facetKeys(req.query.facet_keys) });
+      } catch (facetErr) {
+        console.warn('[products.GET] facets failed', facetErr && facetErr.message ? facetErr.message : facetErr);
+        payload.facets = null;
+      }
+    }
+
+    return res.json(payload);
   } catch (err) {
     console.error('[products.GET] error:', err);
     return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
   }
 });
 
+/* --------------------------------------------------------------------------
+   GET /api/products/export  (Admin/Editor)
+   Streams the catalog, or the subset matched by the same filters as
+   GET /api/products (category_*, q, trade_type, price_*, price_currency, moq_*,
+   in_stock, meta[...]).
+     - format: csv (default) | xlsx | ndjson
+   CSV/XLSX columns round-trip through /api/products/import-jobs
+   (category_slug, trade_type, metadata.<key>, image_url = primary image).
+   Must stay above /:slug.
+-------------------------------------------------------------------------- */
+router.get('/export', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  const format = String(req.query.format || 'csv').toLowerCase();
+  if (!EXPORT_FORMATS[format]) return res.status(400).json({ ok: false, error: 'invalid_format' });
+
+  const parsed = parseProductFilters(req.query);
+  if (parsed.error) return res.status(400).json({ ok: false, error: parsed.error });
+
+  try {
+    const stamp = new Date().toISOString().slice(0, 10);
+    await streamProductExport(req.db, res, { format, filters: parsed.filters, filename: `products-${stamp}` });
+  } catch (err) {
+    console.error('[products.export] error:', err);
+    if (!res.headersSent) {
+      return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+    }
+    res.destroy(err);
+  }
+});
+
 /* --------------------------------------------------------------------------
    GET /api/products/:slug (Public)
+   Includes active price_tiers, variants and category breadcrumbs (root first)
+   ?currency=EUR adds converted_price (and converted tier / variant prices)
 -------------------------------------------------------------------------- */
 router.get('/:slug', async (req, res) => {
   const db = req.db;
@@ -252,20 +322,161 @@ router.get('/:slug', async (req, res) => {
             WHERE product_id = p.id AND is_primary = TRUE
             ORDER BY sort_order DESC, created_at DESC LIMIT 1
         ) pi ON TRUE
-      WHERE p.slug = $1 LIMIT 1;
+      WHERE p.slug = $1 AND p.deleted_at IS NULL LIMIT 1;
     `;
+    const display = await displayCurrency(db, req.query);
+    if (display.error) return res.status(400).json({ ok: false, error: display.error });
+
     const r = await db.query(q, [slug]);
     if (!r.rows[0]) return res.status(404).json({ ok: false, error: 'not_found' });
 
-    return res.json({ ok: true, product: formatPublicRow(r.rows[0]) });
+    const row = r.rows[0];
+    let [price_tiers, variants, breadcrumbs] = await Promise.all([
+      loadPriceTiers(db, row.id, { activeOnly: true }),
+      loadVariants(db, row.id, { activeOnly: true, product: row }),
+      loadBreadcrumbs(db, row.category_id)
+    ]);
+
+    const { converter } = display;
+    if (converter) {
+      price_tiers = price_tiers.map((t) => ({ ...t, converted_unit_price: converter.convert(t.unit_price, row.currency) }));
+      variants = variants.map((v) => ({ ...v, converted_price: converter.convert(v.effective_price, row.currency) }));
+    }
+
+    return res.json({
+      ok: true,
+      product: { ...withConvertedPrice(formatPublicRow(row), converter), price_tiers, variants, breadcrumbs }
+    });
   } catch (err) {
     console.error('[products.GET/:slug] error:', err);
     return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
   }
 });
 
+/* --------------------------------------------------------------------------
+   GET /api/products/:slug/quote?quantity=500 (Public)
+   Applicable unit price for the quantity (active price tier, else base price),
+   total and the next tier break. Quantities below MOQ are rejected (400 below_moq).
+-------------------------------------------------------------------------- */
+router.get('/:slug/quote', async (req, res) => {
+  const db = req.db;
+  try {
+    const r = await db.query(
+      'SELECT id, slug, title, price, currency, moq, available_qty FROM products WHERE slug = $1 AND deleted_at IS NULL LIMIT 1',
+      [req.params.slug]
+    );
+    const product = r.rows[0];
+    if (!product) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    const tiers = await loadPriceTiers(db, product.id, { activeOnly: true });
+    const quote = buildQuote(product, tiers, req.query.quantity ?? req.query.qty);
+    if (quote.error) return res.status(400).json({ ok: false, ...quote });
+
+    return res.json({
+      ok: true,
+      product: { id: product.id, slug: product.slug, title: product.title },
+      quote
+    });
+  } catch (err) {
+    console.error('[products.quote] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/products/:slug/related?limit=8 (Public)
+   related_products: same category, shared metadata attributes, search_vector
+                     similarity and co-views (analytics_events product_view)
+   related_posts:    published blogs linking to / naming the product
+   Served from the precomputed lists (lib/relatedContent); missing or stale
+   lists are refreshed in the background shortly after the read (empty until then);
+   ?refresh=true (Admin/Editor) recomputes them now.
+-------------------------------------------------------------------------- */
+router.get('/:slug/related', async (req, res) => {
+  const db = req.db;
+  try {
+    const r = await db.query('SELECT id FROM products WHERE slug = $1 AND deleted_at IS NULL LIMIT 1', [req.params.slug]);
+    if (!r.rows[0]) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    const limit = Math.min(24, Math.max(1, Number(req.query.limit) || 8));
+    const refresh = String(req.query.refresh || '') === 'true' && isEditorOrAdmin(req);
+    const related = await getRelated(db, 'product', r.rows[0].id, { limit, refresh });
+
+    res.set('Cache-Control', refresh ? 'no-store' : 'public, max-age=300');
+    return res.json({ ok: true, ...related });
+  } catch (err) {
+    console.error('[products.related] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/products/:id/price-tiers  (Admin/Editor)
+   All tiers including expired / not yet valid ones (see is_active)
+-------------------------------------------------------------------------- */
+router.get('/:id/price-tiers', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const r = await req.db.query('SELECT id FROM products WHERE id = $1 AND deleted_at IS NULL LIMIT 1', [req.params.id]);
+    if (!r.rows[0]) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    const price_tiers = await loadPriceTiers(req.db, req.params.id);
+    return res.json({ ok: true, price_tiers });
+  } catch (err) {
+    console.error('[products.GET/:id/price-tiers] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   PUT /api/products/:id/price-tiers  (Admin/Editor)
+   Body: { price_tiers: [{ min_qty, unit_price, label?, valid_from?, valid_to? }] }
+   Replaces the product's tiers ([] clears them).
+-------------------------------------------------------------------------- */
+router.put('/:id/price-tiers', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  const checked = validatePriceTiers((req.body || {}).price_tiers);
+  if (checked.error) return res.status(400).json({ ok: false, error: checked.error });
+
+  try {
+    const price_tiers = await req.txRun(async (client) => {
+      await setAppUserIdIfPresent(client, req);
+
+      const r = await client.query('SELECT id FROM products WHERE id = $1 AND deleted_at IS NULL FOR UPDATE', [req.params.id]);
+      if (!r.rows[0]) throw Object.assign(new Error('not_found'), { status: 404 });
+
+      await replacePriceTiers(client, req.params.id, checked.tiers);
+      return loadPriceTiers(client, req.params.id);
+    });
+
+    return res.json({ ok: true, price_tiers });
+  } catch (err) {
+    if (err.status === 404) return res.status(404).json({ ok: false, error: 'not_found' });
+    console.error('[products.PUT/:id/price-tiers] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/*
+ * Validate metadata against the category's attribute schema; returns the
+ * normalized metadata or throws a 400 'invalid_metadata' carrying the errors.
+ */
+async function checkMetadata(db, categoryId, metadata) {
+  const schema = await loadEffectiveSchema(db, categoryId);
+  const { metadata: normalized, errors } = validateMetadata(schema, metadata);
+  if (errors.length) {
+    throw Object.assign(new Error('invalid_metadata'), { status: 400, errors });
+  }
+  return normalized;
+}
+
 /* --------------------------------------------------------------------------
    POST /api/products  (Admin/Editor)
+   Optional price_tiers: [{ min_qty, unit_price, label?, valid_from?, valid_to? }]
+   metadata is validated/normalized against the category's attribute schema
+   Optional publish_at / unpublish_at schedule the is_published flip
 -------------------------------------------------------------------------- */
 router.post('/', async (req, res) => {
   if (requireEditorOrAdmin(req, res)) return;
@@ -275,12 +486,23 @@ router.post('/', async (req, res) => {
     price = 0, currency = 'USD', category_id,
     moq = 1, sku = null, available_qty = 0,
     is_published = false, metadata = {}, og_image = null,
-    trade_type = null
+    trade_type = null, price_tiers
   } = req.body || {};
 
   if (!title || !slug)
     return res.status(400).json({ ok: false, error: 'title_and_slug_required' });
 
+  let tiers = [];
+  if (price_tiers !== undefined) {
+    const checked = validatePriceTiers(price_tiers);
+    if (checked.error) return res.status(400).json({ ok: false, error: checked.error });
+    tiers = checked.tiers;
+  }
+
+  const scheduled = parseSchedule(req.body);
+  if (scheduled.error) return res.status(400).json({ ok: false, error: scheduled.error });
+  const { schedule } = scheduled;
+
   // normalize and validate trade_type (coerce empty -> null)
   const normalizedTradeType = normalizeTradeTypeInput(trade_type);
   if (trade_type != null && normalizedTradeType === null) {
@@ -294,24 +516,35 @@ router.post('/', async (req, res) => {
       // ensure app.user_id is set for RLS
       await setAppUserIdIfPresent(client, req);
 
+      const meta = await checkMetadata(client, category_id || null, metadata);
+
       await client.query(`
         INSERT INTO products
           (id, sku, title, slug, description, short_description,
            price, currency, category_id, moq, available_qty, is_published,
-           metadata, og_image, trade_type, created_at, updated_at)
-        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,NOW(),NOW())
+           metadata, og_image, trade_type, publish_at, unpublish_at, created_at, updated_at)
+        VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17,NOW(),NOW())
       `, [
         newId, sku, title, slug, description, short_description,
         price, currency, category_id || null, moq, available_qty,
-        !!is_published, metadata || {}, og_image || null, normalizedTradeType
+        !!is_published, meta, og_image || null, normalizedTradeType,
+        schedule.publish_at || null, schedule.unpublish_at || null
       ]);
 
+      if (tiers.length) await replacePriceTiers(client, newId, tiers);
+
       const r = await client.query('SELECT p.*, jsonb_build_object(\'id\', c.id, \'slug\', c.slug, \'name\', c.name, \'trade_type\', c.trade_type) AS category FROM products p LEFT JOIN categories c ON c.id = p.category_id WHERE p.id=$1 LIMIT 1', [newId]);
-      return r.rows[0];
+      return { row: r.rows[0], price_tiers: await loadPriceTiers(client, newId) };
     });
 
-    return res.status(201).json({ ok: true, product: formatPublicRow(created) });
+    if (schedule.publish_at || schedule.unpublish_at) nudgePublishScheduler();
+    return res.status(201).json({ ok: true, product: { ...formatPublicRow(created.row), price_tiers: created.price_tiers } });
   } catch (err) {
+    if (err.message === 'invalid_metadata') {
+      return res.status(400).json({ ok: false, error: 'invalid_metadata', errors: err.errors });
+    }
+    const conflict = await slugConflictCode(req.db, err, slug).catch(() => null);
+    if (conflict) return res.status(409).json({ ok: false, error: conflict, slug });
     console.error('[products.POST] error:', err);
     return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
   }
@@ -319,6 +552,9 @@ router.post('/', async (req, res) => {
 
 /* --------------------------------------------------------------------------
    PUT /api/products/:id  (Admin/Editor)
+   price_tiers, when present, replaces the product's tiers ([] clears them)
+   metadata (or a category change) is re-validated against the attribute schema
+   publish_at / unpublish_at (null clears) schedule the is_published flip
 -------------------------------------------------------------------------- */
 router.put('/:id', async (req, res) => {
   if (requireEditorOrAdmin(req, res)) return;
@@ -338,6 +574,17 @@ router.put('/:id', async (req, res) => {
     body.trade_type = nt;
   }
 
+  let tiers = null;
+  if (body.price_tiers !== undefined) {
+    const checked = validatePriceTiers(body.price_tiers);
+    if (checked.error) return res.status(400).json({ ok: false, error: checked.error });
+    tiers = checked.tiers;
+  }
+
+  const scheduled = parseSchedule(body);
+  if (scheduled.error) return res.status(400).json({ ok: false, error: scheduled.error });
+  Object.assign(body, scheduled.schedule);
+
   try {
     const updated = await req.txRun(async (client) => {
       // Set app.user_id for RLS evaluation
@@ -377,10 +624,31 @@ router.put('/:id', async (req, res) => {
         console.warn('[products.PUT][diag] privilege check failed (non-fatal):', diagErr && diagErr.message ? diagErr.message : diagErr);
       }
 
+      if (body.metadata !== undefined || body.category_id !== undefined) {
+        const cur = await client.query('SELECT category_id, metadata FROM products WHERE id=$1 LIMIT 1', [id]);
+        if (!cur.rows[0]) throw Object.assign(new Error('not_found'), { status: 404 });
+        const categoryId = body.category_id !== undefined ? body.category_id : cur.rows[0].category_id;
+        const metadata = body.metadata !== undefined ? body.metadata : cur.rows[0].metadata;
+        body.metadata = await checkMetadata(client, categoryId || null, metadata);
+      }
+
+      if (Object.keys(scheduled.schedule).length) {
+        const cur = await client.query('SELECT publish_at, unpublish_at FROM products WHERE id=$1 LIMIT 1 FOR UPDATE', [id]);
+        const orderError = cur.rows[0] && scheduleOrderError(scheduled.schedule, cur.rows[0]);
+        if (orderError) throw Object.assign(new Error(orderError), { status: 400 });
+      }
+
+      let oldSlug = null;
+      if (body.slug !== undefined) {
+        const prev = await client.query('SELECT slug FROM products WHERE id=$1 LIMIT 1', [id]);
+        oldSlug = prev.rows[0] ? prev.rows[0].slug : null;
+      }
+
       // Build update dynamically to allow optional trade_type
       const allowed = [
         'sku','title','slug','description','short_description','price','currency',
-        'category_id','moq','available_qty','is_published','metadata','og_image','trade_type'
+        'category_id','moq','available_qty','is_published','metadata','og_image','trade_type',
+        'publish_at','unpublish_at'
       ];
 
       const sets = [];
@@ -402,7 +670,7 @@ router.put('/:id', async (req, res) => {
       const q = `
         UPDATE products SET
           ${sets.join(', ')}, updated_at = NOW()
-        WHERE id = $${params.length}
+        WHERE id = $${params.length} AND deleted_at IS NULL
         RETURNING *
       `;
       const r = await client.query(q, params);
@@ -412,12 +680,20 @@ router.put('/:id', async (req, res) => {
         throw notFoundErr;
       }
 
+      if (tiers) await replacePriceTiers(client, id, tiers);
+
+      const slugChanged = await trackSlugChange(client, {
+        entityType: 'product', entityId: id, oldSlug, newSlug: r.rows[0].slug, userId: currentUserId(req)
+      });
+
       // attach category object
       const full = await client.query(`SELECT p.*, jsonb_build_object('id', c.id, 'slug', c.slug, 'name', c.name, 'trade_type', c.trade_type) AS category FROM products p LEFT JOIN categories c ON c.id = p.category_id WHERE p.id=$1 LIMIT 1`, [id]);
-      return full.rows[0];
+      return { row: full.rows[0], price_tiers: await loadPriceTiers(client, id), slugChanged };
     });
 
-    return res.json({ ok: true, product: formatPublicRow(updated) });
+    if (updated.slugChanged) sitemapService.invalidate(req.db).catch(() => {});
+    if (Object.keys(scheduled.schedule).length) nudgePublishScheduler();
+    return res.json({ ok: true, product: { ...formatPublicRow(updated.row), price_tiers: updated.price_tiers } });
   } catch (err) {
     if (err && err.message === 'db_role_lacks_update_privilege') {
       console.error('[products.PUT] DB role lacks UPDATE privilege:', err.detail);
@@ -429,6 +705,16 @@ router.put('/:id', async (req, res) => {
       });
     }
 
+    if (err && err.message === 'invalid_metadata') {
+      return res.status(400).json({ ok: false, error: 'invalid_metadata', errors: err.errors });
+    }
+    if (err && err.message === 'unpublish_before_publish') {
+      return res.status(400).json({ ok: false, error: 'unpublish_before_publish' });
+    }
+
+    const conflict = await slugConflictCode(req.db, err, body.slug).catch(() => null);
+    if (conflict) return res.status(409).json({ ok: false, error: conflict, slug: body.slug });
+
     console.error('[products.PUT] error during tx (diag included):', err && err.message ? err.message : err);
     const code = err && err.status === 404 ? 404 : (err && err.status === 400 ? 400 : 500);
     return res.status(code).json({
@@ -441,6 +727,7 @@ router.put('/:id', async (req, res) => {
 
 /* --------------------------------------------------------------------------
    DELETE /api/products/:id  (Admin/Editor)
+   Moves the product to the trash (see /api/trash)
 -------------------------------------------------------------------------- */
 router.delete('/:id', async (req, res) => {
   if (requireEditorOrAdmin(req, res)) return;
@@ -450,10 +737,11 @@ router.delete('/:id', async (req, res) => {
     await req.txRun(async (client) => {
       await setAppUserIdIfPresent(client, req);
 
-      const r = await client.query('DELETE FROM products WHERE id=$1 RETURNING id', [id]);
-      if (!r.rows[0]) throw Object.assign(new Error('not_found'), { status: 404 });
+      const r = await softDelete(client, 'products', id, currentUserId(req));
+      if (!r) throw Object.assign(new Error('not_found'), { status: 404 });
     });
 
+    sitemapService.invalidate(req.db).catch(() => {});
     return res.json({ ok: true });
   } catch (err) {
     console.error('[products.DELETE] error:', err);
@@ -469,6 +757,7 @@ router.delete('/:id', async (req, res) => {
 /* --------------------------------------------------------------------------
    POST /api/products/import-csv  (Admin/Editor)
    CSV may optionally include 'trade_type' column for product-level value
+   Synchronous, single transaction — use /api/products/import-jobs for large files
 -------------------------------------------------------------------------- */
 router.post('/import-csv', async (req, res) => {
   if (requireEditorOrAdmin(req, res)) return;
@@ -0,0 +1,63 @@
+// src/routes/recommendations.js
+// Product recommendations (lib/recommendations): personalized for visitors who
+// consented to personalization, trending products otherwise.
+// Mount at /api/recommendations
+
+const express = require('express');
+const router = express.Router();
+const { getRecommendations, getTrendingProducts, RECO_LIMIT } = require('../lib/recommendations');
+const { readVisitorCookie } = require('../lib/visitorCookie');
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function readLimit(v) {
+  return Math.min(48, Math.max(1, Number(v) || RECO_LIMIT));
+}
+
+/* --------------------------------------------------------------------------
+   GET /api/recommendations?limit=12&exclude=<id,id>  (Public)
+   The visitor is the requester's own signed visitor cookie (set by
+   POST /api/visitors/identify); ids in the query string are not accepted.
+   Personalized from the visitor's product_view history (co-views + category
+   affinity) when their latest cookie consent has personalization: true;
+   otherwise trending products. Viewed products and `exclude` are left out.
+   Response: { ok, strategy: 'personalized' | 'trending',
+               reason: null | 'unknown_visitor' | 'no_consent' | 'no_history',
+               products: [...product, recommendation_score, recommendation_reasons] }
+-------------------------------------------------------------------------- */
+router.get('/', async (req, res) => {
+  try {
+    const exclude = String(req.query.exclude || '').split(',').map((s) => s.trim()).filter((s) => UUID_RE.test(s));
+    const result = await getRecommendations(req.db, {
+      visitorId: readVisitorCookie(req),
+      limit: readLimit(req.query.limit),
+      exclude
+    });
+
+    // per-visitor answer: never cached by shared caches
+    res.set('Cache-Control', 'private, no-store');
+    return res.json({ ok: true, ...result });
+  } catch (err) {
+    console.error('[recommendations.GET] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/recommendations/trending?limit=12  (Public)
+   Most viewed published products of the last RECO_TRENDING_DAYS (recent
+   views weigh more); newest products while there are no views.
+-------------------------------------------------------------------------- */
+router.get('/trending', async (req, res) => {
+  try {
+    const products = await getTrendingProducts(req.db, readLimit(req.query.limit));
+
+    res.set('Cache-Control', 'public, max-age=300');
+    return res.json({ ok: true, products });
+  } catch (err) {
+    console.error('[recommendations.trending] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+module.exports = router;
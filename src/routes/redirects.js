@@ -0,0 +1,98 @@
+// src/routes/redirects.js
+// Slug redirect lookup (public) + management (admin/editor)
+// Mount at /api/redirects
+
+const express = require('express');
+const router = express.Router();
+const { ENTITY_TYPES, resolveSlugRedirect } = require('../lib/slugRedirects');
+
+function requireEditorOrAdmin(req, res) {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  const role = Number(req.user.role || req.user.role_id || 0);
+  if (role === 1 || role === 2) return null;
+  return res.status(403).json({ ok: false, error: 'forbidden' });
+}
+
+/* --------------------------------------------------------------------------
+   GET /api/redirects (Admin/Editor)
+   ?type=product|category|blog, ?entity_id, ?limit
+-------------------------------------------------------------------------- */
+router.get('/', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const params = [];
+    const filters = [];
+    if (req.query.type) {
+      if (!ENTITY_TYPES.has(req.query.type)) return res.status(400).json({ ok: false, error: 'invalid_type' });
+      params.push(req.query.type);
+      filters.push(`entity_type = $${params.length}`);
+    }
+    if (req.query.entity_id) {
+      params.push(String(req.query.entity_id));
+      filters.push(`entity_id::text = $${params.length}`);
+    }
+    const limit = Math.min(1000, Math.max(1, Number(req.query.limit || 200)));
+    params.push(limit);
+
+    const { rows } = await req.db.query(
+      `SELECT id, entity_type, old_slug, entity_id, reason, created_by, created_at
+       FROM slug_redirects
+       ${filters.length ? `WHERE ${filters.join(' AND ')}` : ''}
+       ORDER BY created_at DESC
+       LIMIT $${params.length}`,
+      params
+    );
+
+    return res.json({ ok: true, redirects: rows });
+  } catch (err) {
+    console.error('[redirects.GET] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/redirects/:type/:slug (Public)
+   301 to the entity's current storefront path when :slug is a retired slug;
+   the JSON body carries the same info. ?json=true answers 200 instead, for
+   clients that can't read redirect responses (fetch follows them).
+   404 when the slug never redirected (or is live).
+-------------------------------------------------------------------------- */
+router.get('/:type/:slug', async (req, res) => {
+  const { type, slug } = req.params;
+  if (!ENTITY_TYPES.has(type)) return res.status(400).json({ ok: false, error: 'invalid_type' });
+
+  try {
+    const redirect = await resolveSlugRedirect(req.db, type, slug);
+    if (!redirect) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    const domain = (process.env.APP_DOMAIN || '').replace(/\/$/, '');
+    const location = `${domain}${redirect.path}`;
+    const body = { ok: true, status: 301, type, from: redirect.from, to: redirect.to, location };
+
+    if (String(req.query.json) === 'true') return res.json(body);
+    res.set('Cache-Control', 'public, max-age=3600');
+    return res.status(301).location(location).json(body);
+  } catch (err) {
+    console.error('[redirects.lookup] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   DELETE /api/redirects/:id (Admin/Editor)
+-------------------------------------------------------------------------- */
+router.delete('/:id', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const { rows } = await req.db.query('DELETE FROM slug_redirects WHERE id::text = $1 RETURNING id', [req.params.id]);
+    if (!rows[0]) return res.status(404).json({ ok: false, error: 'not_found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[redirects.DELETE] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+module.exports = router;
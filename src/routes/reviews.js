@@ -3,20 +3,34 @@ const express = require('express');
 const router = express.Router();
 const { pool } = require('../db');
 const { v4: uuidv4 } = require('uuid');
+const {
+  readCursor, wantsTotal, appendCursorWhere, cursorOrderSql, cursorSelectSql, pageWithCursor
+} = require('../lib/cursor');
 
 // Helper: validate UUID strings
 const isValidUUID = (v) =>
   /^[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$/.test(v);
 
+// Keyset form of ORDER BY created_at DESC (cursor mode)
+const REVIEWS_CURSOR_SPEC = {
+  name: 'created_at.desc',
+  dir: 'DESC',
+  keys: [{ expr: "COALESCE(created_at, '-infinity'::timestamptz)", type: 'timestamptz' }],
+  id: { expr: 'id', type: 'uuid' }
+};
+
 /**
  * GET /api/reviews?about_type=&about_id=&limit=&page=
+ * Cursor mode: ?cursor= (empty for the first page, then next_cursor)
+ * ?include_total=false skips the count (total/total_pages = null)
  * Returns:
  * {
  *   reviews: [...],
  *   total: number,
  *   page: number,
  *   limit: number,
- *   total_pages: number
+ *   total_pages: number,
+ *   next_cursor?: string | null   (cursor mode only)
  * }
  */
 router.get('/', async (req, res) => {
@@ -61,10 +75,42 @@ router.get('/', async (req, res) => {
 
     const whereSQL = where.length ? `WHERE ${where.join(" AND ")}` : "";
 
+    const pager = readCursor(req.query, REVIEWS_CURSOR_SPEC);
+    if (pager.error) return res.status(400).json({ error: pager.error });
+
     // Count rows
-    const countQ = `SELECT COUNT(*)::int AS total FROM reviews ${whereSQL}`;
-    const { rows: countRows } = await db.query(countQ, params);
-    const total = countRows[0].total || 0;
+    let total = null;
+    if (wantsTotal(req.query)) {
+      const countQ = `SELECT COUNT(*)::int AS total FROM reviews ${whereSQL}`;
+      const { rows: countRows } = await db.query(countQ, params);
+      total = countRows[0].total || 0;
+    }
+
+    if (pager.enabled) {
+      const pageWhere = appendCursorWhere(whereSQL, REVIEWS_CURSOR_SPEC, pager.cursor, params);
+      params.push(limit + 1);
+
+      const cq = `
+        SELECT
+          id, author_name, author_email, rating, title, body,
+          about_type, about_id, created_at${cursorSelectSql(REVIEWS_CURSOR_SPEC)}
+        FROM reviews
+        ${pageWhere}
+        ORDER BY ${cursorOrderSql(REVIEWS_CURSOR_SPEC)}
+        LIMIT $${params.length};
+      `;
+      const { rows: cursorRows } = await db.query(cq, params);
+      const { rows, next_cursor } = pageWithCursor(cursorRows, limit, REVIEWS_CURSOR_SPEC);
+
+      return res.json({
+        reviews: rows,
+        total,
+        page,
+        limit,
+        total_pages: total == null ? null : Math.ceil(total / limit),
+        next_cursor
+      });
+    }
 
     // Fetch reviews
     params.push(limit, offset);
@@ -87,7 +133,7 @@ router.get('/', async (req, res) => {
       total,
       page,
       limit,
-      total_pages: Math.ceil(total / limit)
+      total_pages: total == null ? null : Math.ceil(total / limit)
     });
 
   } catch (err) {
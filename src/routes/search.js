@@ -0,0 +1,93 @@
+// src/routes/search.js
+// Public ranked product search (full-text on products.search_vector + trigram typo fallback)
+// Mount at /api/search
+
+const express = require('express');
+const router = express.Router();
+const { formatPublicRow } = require('../lib/formatProduct');
+const { buildRankedSearch, searchSelectSql, withSearchFields } = require('../lib/productSearch');
+
+/* --------------------------------------------------------------------------
+   GET /api/search?q=turmric+powder
+   Query params supported:
+     - q (required)
+     - page (default 1)
+     - limit (default 20, max 100)
+     - category_slug
+   Only published products are returned, ordered by relevance.
+-------------------------------------------------------------------------- */
+router.get('/', async (req, res) => {
+  const db = req.db;
+  try {
+    if (!db || typeof db.query !== 'function')
+      throw new Error('db pool missing');
+
+    const q = String(req.query.q || '').trim();
+    if (!q) return res.status(400).json({ ok: false, error: 'q_required' });
+
+    const page = Math.max(1, Number(req.query.page || 1));
+    const limit = Math.min(100, Math.max(1, Number(req.query.limit || 20)));
+    const offset = (page - 1) * limit;
+
+    const params = [];
+    const search = buildRankedSearch(q, params);
+    if (!search) {
+      return res.json({ ok: true, q, results: [], page, limit, total: 0, total_pages: 0 });
+    }
+
+    const filters = ['p.is_published = TRUE', 'p.deleted_at IS NULL', search.where];
+
+    if (req.query.category_slug) {
+      params.push(req.query.category_slug);
+      filters.push(`c.slug = $${params.length}`);
+    }
+
+    const where = `WHERE ${filters.join(' AND ')}`;
+
+    const qtext = `
+      SELECT
+        p.id, p.sku, p.title, p.slug, p.short_description, p.description,
+        p.price, p.currency, p.moq, p.available_qty, p.is_published,
+        p.og_image, p.metadata, p.created_at, p.updated_at, p.trade_type,
+        jsonb_build_object('id', c.id, 'slug', c.slug, 'name', c.name, 'trade_type', c.trade_type) AS category,
+        pi.url AS primary_image${searchSelectSql(search)}
+      FROM products p
+      LEFT JOIN categories c ON c.id = p.category_id
+      LEFT JOIN LATERAL (
+        SELECT url
+        FROM product_images
+        WHERE product_id = p.id AND is_primary = TRUE
+        ORDER BY sort_order DESC, created_at DESC
+        LIMIT 1
+      ) pi ON TRUE
+      ${where}
+      ORDER BY search_rank DESC, p.created_at DESC
+      LIMIT $${params.length + 1} OFFSET $${params.length + 2}
+    `;
+
+    const countQ = `
+      SELECT COUNT(*)::int AS total
+      FROM products p LEFT JOIN categories c ON c.id = p.category_id
+      ${where}
+    `;
+    const countRes = await db.query(countQ, params);
+    const total = countRes.rows[0]?.total ?? 0;
+
+    const { rows } = await db.query(qtext, [...params, limit, offset]);
+
+    return res.json({
+      ok: true,
+      q,
+      results: rows.map((r) => withSearchFields(formatPublicRow(r), r)),
+      page,
+      limit,
+      total,
+      total_pages: Math.ceil(total / limit)
+    });
+  } catch (err) {
+    console.error('[search.GET] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+module.exports = router;
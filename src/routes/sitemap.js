@@ -1,66 +1,44 @@
-// sitemapService.js
-// A clean, reusable sitemap generator service for Node.js / Express
-
-import fs from "fs";
-import path from "path";
-import { promisify } from "util";
-const writeFile = promisify(fs.writeFile);
-
-class SitemapService {
-  constructor(options = {}) {
-    this.hostname = options.hostname || "https://example.com";
-    this.outputDir = options.outputDir || "public";
-    this.staticRoutes = options.staticRoutes || [];
-  }
-
-  /**
-   * Build <url> entries for sitemap
-   */
-  buildUrlEntry(loc, lastmod = null, changefreq = "weekly", priority = 0.8) {
-    return `
-      <url>
-        <loc>${this.hostname}${loc}</loc>
-        ${lastmod ? `<lastmod>${lastmod}</lastmod>` : ""}
-        <changefreq>${changefreq}</changefreq>
-        <priority>${priority}</priority>
-      </url>
-    `;
-  }
-
-  /**
-   * Generate full XML sitemap
-   */
-  async generate(dynamicRoutes = []) {
-    const urls = [];
-
-    // Add static routes
-    this.staticRoutes.forEach(route => {
-      urls.push(this.buildUrlEntry(route));
-    });
-
-    // Add dynamic routes
-    dynamicRoutes.forEach(item => {
-      urls.push(
-        this.buildUrlEntry(
-          item.loc,
-          item.lastmod || new Date().toISOString(),
-          item.changefreq || "weekly",
-          item.priority || 0.7
-        )
-      );
-    });
-
-    const xml = `<?xml version="1.0" encoding="UTF-8"?>
-      <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
-        ${urls.join("\n")}
-      </urlset>
-    `;
-
-    const outputPath = path.join(this.outputDir, "sitemap.xml");
-
-    await writeFile(outputPath, xml.trim());
-    return { success: true, path: outputPath };
+// src/routes/sitemap.js
+// Sitemaps (public), built by lib/sitemapService and cached in memory. Mount at '/'
+//
+// GET /sitemap.xml                      sitemap index
+// GET /sitemaps/<section>-<n>.xml       one part (pages, categories, products, blogs, blog-tags)
+// GET /sitemap.xml.gz, /sitemaps/<section>-<n>.xml.gz   gzipped copies
+//
+// Urls use APP_DOMAIN, whatever host the request came in on.
+// Responses carry ETag / Last-Modified and answer conditional requests with 304.
+
+const express = require('express');
+const router = express.Router();
+const sitemapService = require('../lib/sitemapService');
+
+const SITEMAP_MAX_AGE = Math.max(0, Number(process.env.SITEMAP_MAX_AGE || 3600));
+
+async function sendSitemap(req, res, name, gzip) {
+  const db = req.db || req.app?.locals?.db || null;
+  if (!db || typeof db.query !== 'function') return res.status(500).send('Server misconfiguration: database not available.');
+
+  try {
+    const file = await sitemapService.getFile(db, name, { gzip });
+    if (!file) return res.status(404).send('Not found');
+
+    res.set('Cache-Control', `public, max-age=${SITEMAP_MAX_AGE}`);
+    res.set('ETag', file.etag);
+    if (file.lastmod) res.set('Last-Modified', file.lastmod.toUTCString());
+    if (req.fresh) return res.status(304).end();
+
+    res.set('Content-Type', gzip ? 'application/gzip' : 'application/xml; charset=utf-8');
+    return res.send(file.body);
+  } catch (err) {
+    console.error('[sitemap] error', err && (err.stack || err.message) ? (err.stack || err.message) : err);
+    return res.status(500).send('Server error');
   }
 }
 
-export default SitemapService;
+router.get('/sitemap.xml', (req, res) => sendSitemap(req, res, 'index', false));
+router.get('/sitemap.xml.gz', (req, res) => sendSitemap(req, res, 'index', true));
+router.get(/^\/sitemaps\/([a-z-]+-\d+)\.xml(\.gz)?$/, (req, res) =>
+  sendSitemap(req, res, req.params[0], Boolean(req.params[1]))
+);
+
+module.exports = router;
@@ -0,0 +1,419 @@
+// src/routes/ssrCatalog.js
+// Crawler-facing HTML for product and category pages (the storefront renders
+// them client-side). Meta tags come from products.meta_title / meta_description /
+// canonical_url / og_image; pages carry schema.org JSON-LD: Product + Offer
+// (+ AggregateRating from review_aggregates) and BreadcrumbList from the
+// category tree, CollectionPage + ItemList for categories.
+// Mount at '/' (same as ssrBlog): /product/:slug, /category/:slug and the
+// /ssr/... aliases. Retired slugs 301 to the current one.
+
+const express = require('express');
+const router = express.Router();
+const { resolveSlugRedirect } = require('../lib/slugRedirects');
+const { loadBreadcrumbs } = require('../lib/categoryTree');
+const { formatPublicRow } = require('../lib/formatProduct');
+const { buildImageUrl } = require('../lib/buildUrl');
+const { escapeHtml } = require('../lib/blogHtml');
+const { sanitizeHtml, parseHtml, textContent } = require('../lib/htmlSanitizer');
+
+const PRODUCT_PATHS = ['/ssr/product/:slug', '/product/:slug'];
+const CATEGORY_PATHS = ['/ssr/category/:slug', '/category/:slug'];
+const CATEGORY_PAGE_SIZE = 24;
+const DESCRIPTION_MAX = 160;
+// descriptions holding any of these tags are treated as HTML
+const HTML_HINT_RE = /<\/?(p|br|div|span|ul|ol|li|h[1-6]|strong|em|b|i|u|a|img|table|blockquote)\b[^>]*>/i;
+
+/* Site base from APP_DOMAIN or the request host (proxied deployments) */
+function domainBaseFor(req) {
+  const domain = (process.env.APP_DOMAIN || '').replace(/\/$/, '');
+  const host = req.get('x-forwarded-host') || req.get('host') || '';
+  return domain || (host ? `${req.protocol}://${host}` : '');
+}
+
+/* canonical_url may be absolute or a site path */
+function absoluteUrl(domainBase, url) {
+  if (!url) return null;
+  if (/^https?:\/\//i.test(url)) return url;
+  return `${domainBase}/${String(url).replace(/^\/+/, '')}`;
+}
+
+/* Plain-text summary for meta descriptions */
+function summarize(text, max = DESCRIPTION_MAX) {
+  const s = String(text || '').replace(/\s+/g, ' ').trim();
+  if (s.length <= max) return s;
+  return `${s.slice(0, max - 1).replace(/\s+\S*$/, '')}…`;
+}
+
+/* Stored descriptions are HTML or plain text (blank-line separated paragraphs) */
+function descriptionHtml(text) {
+  if (!text) return '';
+  if (HTML_HINT_RE.test(text)) return sanitizeHtml(text);
+  return String(text).split(/\n\s*\n/).map((p) => p.trim()).filter(Boolean)
+    .map((p) => `<p>${escapeHtml(p).replace(/\n/g, '<br>')}</p>`).join('\n');
+}
+
+function descriptionText(text) {
+  if (!text) return '';
+  return HTML_HINT_RE.test(text) ? textContent(parseHtml(sanitizeHtml(text))) : String(text);
+}
+
+/* JSON-LD <script>; "<" escaped so no value can close the script element */
+function jsonLd(data) {
+  return `<script type="application/ld+json">${JSON.stringify(data).replace(/</g, '\\u003c')}</script>`;
+}
+
+/* Home -> category chain (-> current page) */
+function breadcrumbList(domainBase, crumbs, current = null) {
+  const items = [{ name: 'Home', url: `${domainBase}/` }]
+    .concat(crumbs.map((c) => ({ name: c.name, url: `${domainBase}/category/${encodeURIComponent(c.slug)}` })));
+  if (current) items.push(current);
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: items.map((it, i) => ({ '@type': 'ListItem', position: i + 1, name: it.name, item: it.url }))
+  };
+}
+
+function breadcrumbNav(domainBase, crumbs, currentName) {
+  const links = [`<a href="${escapeHtml(domainBase)}/">Home</a>`]
+    .concat(crumbs.map((c) => `<a href="${escapeHtml(domainBase)}/category/${escapeHtml(encodeURIComponent(c.slug))}">${escapeHtml(c.name)}</a>`));
+  return `<nav class="breadcrumbs" aria-label="Breadcrumb">${links.join(' › ')} › <span>${escapeHtml(currentName)}</span></nav>`;
+}
+
+/* Page shell shared by product and category pages */
+function renderPage({ title, description, canonical, image, ogType = 'website', head = '', body }) {
+  return `<!doctype html>
+<html lang="en">
+<head>
+  <meta charset="utf-8" />
+  <meta name="viewport" content="width=device-width,initial-scale=1" />
+  <title>${escapeHtml(title)}</title>
+  <meta name="description" content="${escapeHtml(description)}" />
+  <link rel="canonical" href="${escapeHtml(canonical)}" />
+  <meta property="og:type" content="${ogType}" />
+  <meta property="og:title" content="${escapeHtml(title)}" />
+  <meta property="og:description" content="${escapeHtml(description)}" />
+  <meta property="og:url" content="${escapeHtml(canonical)}" />
+  ${image ? `<meta property="og:image" content="${escapeHtml(image)}" />` : ''}
+  <meta name="twitter:card" content="${image ? 'summary_large_image' : 'summary'}" />
+  ${head}
+  <style>
+    /* small readable reset for SSR pages */
+    body { font-family: system-ui, -apple-system, "Segoe UI", Roboto, "Helvetica Neue", Arial; color: #213; line-height:1.6; padding:24px; background:#fff; }
+    main { max-width: 900px; margin: 0 auto; }
+    h1 { color:#33504F; font-size:28px; margin-bottom:8px; }
+    p.lead { color:#666; margin-top:0; }
+    img { max-width:100%; height:auto; }
+    .breadcrumbs { font-size:14px; color:#666; margin-bottom:16px; }
+    ul.products { list-style:none; padding:0; display:grid; grid-template-columns:repeat(auto-fill, minmax(200px, 1fr)); gap:16px; }
+    table.attributes td, table.attributes th { text-align:left; padding:4px 12px 4px 0; }
+  </style>
+</head>
+<body>
+  <main>
+    ${body}
+  </main>
+</body>
+</html>`;
+}
+
+/* --------------------------------------------------------------------------
+   PRODUCT
+-------------------------------------------------------------------------- */
+
+async function loadProduct(db, slug) {
+  const { rows } = await db.query(
+    `SELECT p.*,
+            jsonb_build_object('id', c.id, 'slug', c.slug, 'name', c.name, 'trade_type', c.trade_type) AS category,
+            pi.url AS primary_image,
+            ra.avg_rating, ra.rating_count
+     FROM products p
+     LEFT JOIN categories c ON c.id = p.category_id AND c.deleted_at IS NULL
+     LEFT JOIN LATERAL (
+       SELECT url FROM product_images
+       WHERE product_id = p.id AND is_primary = TRUE
+       ORDER BY sort_order DESC, created_at DESC LIMIT 1
+     ) pi ON TRUE
+     LEFT JOIN review_aggregates ra ON ra.about_type = 'product' AND ra.about_id = p.id
+     WHERE p.slug = $1 AND p.is_published = TRUE AND p.deleted_at IS NULL
+     LIMIT 1`,
+    [slug]
+  );
+  if (!rows[0]) return null;
+
+  const row = rows[0];
+  const [images, breadcrumbs] = await Promise.all([
+    db.query(
+      `SELECT url FROM product_images WHERE product_id = $1
+       ORDER BY is_primary DESC, sort_order DESC, created_at ASC`,
+      [row.id]
+    ),
+    loadBreadcrumbs(db, row.category_id)
+  ]);
+  return { row, images: images.rows.map((r) => buildImageUrl(r.url)).filter(Boolean), breadcrumbs };
+}
+
+function productJsonLd({ p, row, images, breadcrumbs, canonical }) {
+  const inStock = p.available_qty == null || p.available_qty > 0;
+  const data = {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    name: p.title,
+    description: summarize(descriptionText(p.description || p.short_description), 5000) || undefined,
+    sku: p.sku || undefined,
+    image: images.length ? images : (p.og_image ? [p.og_image] : undefined),
+    url: canonical,
+    category: breadcrumbs.length ? breadcrumbs.map((c) => c.name).join(' > ') : undefined,
+    offers: {
+      '@type': 'Offer',
+      url: canonical,
+      price: Number(p.price).toFixed(2),
+      priceCurrency: p.currency,
+      availability: inStock ? 'https://schema.org/InStock' : 'https://schema.org/OutOfStock',
+      itemCondition: 'https://schema.org/NewCondition',
+      eligibleQuantity: p.moq > 1 ? { '@type': 'QuantitativeValue', minValue: p.moq } : undefined
+    }
+  };
+  const count = Number(row.rating_count || 0);
+  if (count > 0) {
+    data.aggregateRating = {
+      '@type': 'AggregateRating',
+      ratingValue: Number(row.avg_rating).toFixed(1),
+      reviewCount: count,
+      bestRating: 5,
+      worstRating: 1
+    };
+  }
+  return data;
+}
+
+function renderProductPage(req, { row, images, breadcrumbs }) {
+  const p = formatPublicRow(row);
+  const domainBase = domainBaseFor(req);
+  const canonical = absoluteUrl(domainBase, row.canonical_url) || `${domainBase}/product/${encodeURIComponent(p.slug)}`;
+  const title = row.meta_title || p.title || '';
+  const description = row.meta_description || summarize(descriptionText(p.short_description || p.description));
+  const image = p.og_image || p.primary_image || images[0] || null;
+
+  const attributes = Object.entries(p.metadata || {})
+    .filter(([k, v]) => k !== 'og_image' && v != null && typeof v !== 'object' && String(v).trim() !== '');
+  const rating = Number(row.rating_count || 0) > 0
+    ? `<p class="rating">Rated ${escapeHtml(Number(row.avg_rating).toFixed(1))} / 5 from ${escapeHtml(row.rating_count)} review${Number(row.rating_count) === 1 ? '' : 's'}</p>`
+    : '';
+
+  const body = `${breadcrumbNav(domainBase, breadcrumbs, p.title)}
+    <article>
+      <h1>${escapeHtml(p.title)}</h1>
+      ${p.short_description ? `<p class="lead">${escapeHtml(descriptionText(p.short_description))}</p>` : ''}
+      ${images.map((src, i) => `<img src="${escapeHtml(src)}" alt="${escapeHtml(i === 0 ? p.title : `${p.title} (${i + 1})`)}" />`).join('\n      ')}
+      <p class="price">${escapeHtml(p.currency)} ${escapeHtml(Number(p.price).toFixed(2))}${p.moq > 1 ? ` · MOQ ${escapeHtml(p.moq)}` : ''}</p>
+      ${rating}
+      ${p.sku ? `<p class="sku">SKU: ${escapeHtml(p.sku)}</p>` : ''}
+      ${descriptionHtml(p.description)}
+      ${attributes.length ? `<table class="attributes"><tbody>${attributes.map(([k, v]) => `<tr><th>${escapeHtml(k)}</th><td>${escapeHtml(v)}</td></tr>`).join('')}</tbody></table>` : ''}
+    </article>`;
+
+  return renderPage({
+    title,
+    description,
+    canonical,
+    image,
+    ogType: 'product',
+    head: [
+      jsonLd(productJsonLd({ p, row, images, breadcrumbs, canonical })),
+      jsonLd(breadcrumbList(domainBase, breadcrumbs, { name: p.title, url: canonical }))
+    ].join('\n  '),
+    body
+  });
+}
+
+/* --------------------------------------------------------------------------
+   CATEGORY
+-------------------------------------------------------------------------- */
+
+async function loadCategory(db, slug, page) {
+  const { rows } = await db.query(
+    `SELECT id, slug, name, description, parent_id, image, updated_at
+     FROM categories WHERE slug = $1 AND deleted_at IS NULL LIMIT 1`,
+    [slug]
+  );
+  if (!rows[0]) return null;
+  const category = rows[0];
+
+  // products of the category and its descendants
+  const offset = (page - 1) * CATEGORY_PAGE_SIZE;
+  const [breadcrumbs, children, products] = await Promise.all([
+    loadBreadcrumbs(db, category.id),
+    db.query(
+      `SELECT slug, name FROM categories
+       WHERE parent_id = $1 AND deleted_at IS NULL
+       ORDER BY sort_order NULLS LAST, name`,
+      [category.id]
+    ),
+    db.query(
+      `WITH RECURSIVE tree AS (
+         SELECT id, 0 AS depth FROM categories WHERE id = $1
+         UNION ALL
+         SELECT c.id, tree.depth + 1 FROM categories c
+         JOIN tree ON c.parent_id = tree.id
+         WHERE c.deleted_at IS NULL AND tree.depth < 20
+       )
+       SELECT p.id, p.title, p.slug, p.short_description, p.price, p.currency, p.moq, p.og_image, p.metadata,
+              pi.url AS primary_image, COUNT(*) OVER() AS total_count
+       FROM products p
+       LEFT JOIN LATERAL (
+         SELECT url FROM product_images
+         WHERE product_id = p.id AND is_primary = TRUE
+         ORDER BY sort_order DESC, created_at DESC LIMIT 1
+       ) pi ON TRUE
+       WHERE p.category_id IN (SELECT id FROM tree) AND p.is_published = TRUE AND p.deleted_at IS NULL
+       ORDER BY p.created_at DESC, p.id
+       LIMIT $2 OFFSET $3`,
+      [category.id, CATEGORY_PAGE_SIZE, offset]
+    )
+  ]);
+
+  const total = products.rows[0] ? Number(products.rows[0].total_count) : 0;
+  return {
+    category,
+    breadcrumbs: breadcrumbs.filter((c) => String(c.id) !== String(category.id)),
+    children: children.rows,
+    products: products.rows.map(formatPublicRow),
+    total
+  };
+}
+
+function renderCategoryPage(req, { category, breadcrumbs, children, products, total }, page) {
+  const domainBase = domainBaseFor(req);
+  const base = `${domainBase}/category/${encodeURIComponent(category.slug)}`;
+  const pageUrl = (n) => (n > 1 ? `${base}?page=${n}` : base);
+  const canonical = pageUrl(page);
+  const pages = Math.max(1, Math.ceil(total / CATEGORY_PAGE_SIZE));
+  const title = page > 1 ? `${category.name} (page ${page})` : category.name;
+  const description = summarize(descriptionText(category.description)) || `${category.name}: ${total} product${total === 1 ? '' : 's'}`;
+  const image = buildImageUrl(category.image) || (products[0] && (products[0].og_image || products[0].primary_image)) || null;
+
+  const productUrl = (p) => `${domainBase}/product/${encodeURIComponent(p.slug)}`;
+  const collection = {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    name: category.name,
+    description: description || undefined,
+    url: canonical,
+    mainEntity: {
+      '@type': 'ItemList',
+      numberOfItems: total,
+      itemListElement: products.map((p, i) => ({
+        '@type': 'ListItem',
+        position: (page - 1) * CATEGORY_PAGE_SIZE + i + 1,
+        url: productUrl(p),
+        name: p.title
+      }))
+    }
+  };
+
+  const pager = [
+    page > 1 ? `<link rel="prev" href="${escapeHtml(pageUrl(page - 1))}" />` : '',
+    page < pages ? `<link rel="next" href="${escapeHtml(pageUrl(page + 1))}" />` : ''
+  ].filter(Boolean);
+
+  const body = `${breadcrumbNav(domainBase, breadcrumbs, category.name)}
+    <h1>${escapeHtml(category.name)}</h1>
+    ${descriptionHtml(category.description)}
+    ${children.length ? `<nav class="subcategories"><ul>${children.map((c) => `<li><a href="${escapeHtml(domainBase)}/category/${escapeHtml(encodeURIComponent(c.slug))}">${escapeHtml(c.name)}</a></li>`).join('')}</ul></nav>` : ''}
+    <ul class="products">
+      ${products.map((p) => `<li>
+        <a href="${escapeHtml(productUrl(p))}">
+          ${p.primary_image || p.og_image ? `<img src="${escapeHtml(p.primary_image || p.og_image)}" alt="${escapeHtml(p.title)}" loading="lazy" />` : ''}
+          <strong>${escapeHtml(p.title)}</strong>
+        </a>
+        ${p.short_description ? `<p>${escapeHtml(summarize(descriptionText(p.short_description)))}</p>` : ''}
+        <p class="price">${escapeHtml(p.currency)} ${escapeHtml(Number(p.price).toFixed(2))}</p>
+      </li>`).join('\n      ')}
+    </ul>
+    ${pages > 1 ? `<nav class="pager">${page > 1 ? `<a href="${escapeHtml(pageUrl(page - 1))}">Previous</a>` : ''} Page ${page} of ${pages} ${page < pages ? `<a href="${escapeHtml(pageUrl(page + 1))}">Next</a>` : ''}</nav>` : ''}`;
+
+  return renderPage({
+    title,
+    description,
+    canonical,
+    image,
+    head: [
+      ...pager,
+      jsonLd(collection),
+      jsonLd(breadcrumbList(domainBase, breadcrumbs, { name: category.name, url: base }))
+    ].join('\n  '),
+    body
+  });
+}
+
+/* --------------------------------------------------------------------------
+   ROUTES
+-------------------------------------------------------------------------- */
+
+function getDb(req, res) {
+  const db = req.db || req.app?.locals?.db || null;
+  if (!db || typeof db.query !== 'function') {
+    console.error('[ssr] db not configured');
+    res.status(500).send('Server misconfiguration: database not available.');
+    return null;
+  }
+  return db;
+}
+
+PRODUCT_PATHS.forEach((path) => {
+  router.get(path, async (req, res) => {
+    const db = getDb(req, res);
+    if (!db) return;
+    const slug = req.params.slug;
+
+    try {
+      const product = await loadProduct(db, slug);
+      if (!product) {
+        // retired slug -> 301 to the current one (same /product or /ssr/product prefix)
+        const redirect = await resolveSlugRedirect(db, 'product', slug);
+        if (redirect) return res.redirect(301, req.path.replace(/[^/]+$/, encodeURIComponent(redirect.to)));
+        return res.status(404).send('Not found');
+      }
+
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      res.set('Cache-Control', 'public, max-age=300');
+      return res.send(renderProductPage(req, product));
+    } catch (err) {
+      console.error('[ssr.product] error', err && (err.stack || err.message) ? (err.stack || err.message) : err);
+      return res.status(500).send('Server error');
+    }
+  });
+});
+
+CATEGORY_PATHS.forEach((path) => {
+  router.get(path, async (req, res) => {
+    const db = getDb(req, res);
+    if (!db) return;
+    const slug = req.params.slug;
+    const page = Math.max(1, parseInt(req.query.page, 10) || 1);
+
+    try {
+      const data = await loadCategory(db, slug, page);
+      if (!data) {
+        const redirect = await resolveSlugRedirect(db, 'category', slug);
+        if (redirect) {
+          const qs = page > 1 ? `?page=${page}` : '';
+          return res.redirect(301, req.path.replace(/[^/]+$/, encodeURIComponent(redirect.to)) + qs);
+        }
+        return res.status(404).send('Not found');
+      }
+      // past the last page
+      if (page > 1 && !data.products.length) return res.status(404).send('Not found');
+
+      res.set('Content-Type', 'text/html; charset=utf-8');
+      res.set('Cache-Control', 'public, max-age=300');
+      return res.send(renderCategoryPage(req, data, page));
+    } catch (err) {
+      console.error('[ssr.category] error', err && (err.stack || err.message) ? (err.stack || err.message) : err);
+      return res.status(500).send('Server error');
+    }
+  });
+});
+
+module.exports = router;
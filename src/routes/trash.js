@@ -0,0 +1,123 @@
+// src/routes/trash.js
+// Trash bin for soft-deleted products, categories, blogs and leads
+// Mount at /api/trash
+
+const express = require('express');
+const router = express.Router();
+const sitemapService = require('../lib/sitemapService');
+const {
+  TRASH_RETENTION_DAYS, TRASH_ENTITIES, restore, purge, listTrash, trashCounts, purgeExpired
+} = require('../lib/trash');
+
+// types whose rows show up in the sitemap
+const SITEMAP_TYPES = new Set(['products', 'categories', 'blogs']);
+
+function requireEditorOrAdmin(req, res) {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  const role = Number(req.user.role || req.user.role_id || 0);
+  if (role === 1 || role === 2) return null;
+  return res.status(403).json({ ok: false, error: 'forbidden' });
+}
+
+function requireAdmin(req, res) {
+  if (!req.user) return res.status(401).json({ ok: false, error: 'unauthorized' });
+  const role = Number(req.user.role || req.user.role_id || 0);
+  if (role === 1) return null;
+  return res.status(403).json({ ok: false, error: 'forbidden' });
+}
+
+function checkType(req, res) {
+  if (TRASH_ENTITIES[req.params.type]) return null;
+  return res.status(400).json({ ok: false, error: 'invalid_type' });
+}
+
+/* --------------------------------------------------------------------------
+   GET /api/trash (Admin/Editor)
+   Number of trashed rows per type + retention
+-------------------------------------------------------------------------- */
+router.get('/', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+
+  try {
+    const counts = await trashCounts(req.db);
+    return res.json({ ok: true, retention_days: TRASH_RETENTION_DAYS, counts });
+  } catch (err) {
+    console.error('[trash.GET] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   POST /api/trash/purge-expired (Admin)
+   Runs the retention purge now (it also runs periodically)
+-------------------------------------------------------------------------- */
+router.post('/purge-expired', async (req, res) => {
+  if (requireAdmin(req, res)) return;
+
+  try {
+    const purged = await purgeExpired(req.db);
+    return res.json({ ok: true, purged });
+  } catch (err) {
+    console.error('[trash.purge-expired] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   GET /api/trash/:type?page=&limit= (Admin/Editor)
+   :type = products | categories | blogs | leads
+-------------------------------------------------------------------------- */
+router.get('/:type', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  if (checkType(req, res)) return;
+
+  const page = Math.max(1, Number(req.query.page || 1));
+  const limit = Math.min(200, Math.max(1, Number(req.query.limit || 50)));
+
+  try {
+    const { items, total } = await listTrash(req.db, req.params.type, { limit, offset: (page - 1) * limit });
+    return res.json({ ok: true, type: req.params.type, items, page, limit, total, total_pages: Math.ceil(total / limit) });
+  } catch (err) {
+    console.error('[trash.GET/:type] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   POST /api/trash/:type/:id/restore (Admin/Editor)
+-------------------------------------------------------------------------- */
+router.post('/:type/:id/restore', async (req, res) => {
+  if (requireEditorOrAdmin(req, res)) return;
+  if (checkType(req, res)) return;
+
+  try {
+    const item = await req.txRun((client) => restore(client, req.params.type, req.params.id));
+    if (!item) return res.status(404).json({ ok: false, error: 'not_found' });
+
+    if (SITEMAP_TYPES.has(req.params.type)) sitemapService.invalidate(req.db).catch(() => {});
+    return res.json({ ok: true, type: req.params.type, item });
+  } catch (err) {
+    console.error('[trash.restore] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+/* --------------------------------------------------------------------------
+   DELETE /api/trash/:type/:id (Admin)
+   Permanently deletes a trashed row (live rows are never touched)
+-------------------------------------------------------------------------- */
+router.delete('/:type/:id', async (req, res) => {
+  if (requireAdmin(req, res)) return;
+  if (checkType(req, res)) return;
+
+  try {
+    const purged = await req.txRun((client) => purge(client, req.params.type, req.params.id));
+    if (!purged) return res.status(404).json({ ok: false, error: 'not_found' });
+    return res.json({ ok: true });
+  } catch (err) {
+    console.error('[trash.DELETE] error:', err);
+    return res.status(500).json({ ok: false, error: 'server_error', detail: err.message });
+  }
+});
+
+module.exports = router;
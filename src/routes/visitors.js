@@ -2,6 +2,16 @@
 const express = require('express');
 const router = express.Router();
 const { pool } = require('../db');
+const { readCursor, appendCursorWhere, cursorOrderSql, cursorSelectSql, pageWithCursor } = require('../lib/cursor');
+const { setVisitorCookie } = require('../lib/visitorCookie');
+
+// Keyset form of ORDER BY last_seen DESC NULLS LAST (cursor mode)
+const VISITORS_CURSOR_SPEC = {
+  name: 'last_seen.desc',
+  dir: 'DESC',
+  keys: [{ expr: "COALESCE(v.last_seen, '-infinity'::timestamptz)", type: 'timestamptz' }],
+  id: { expr: 'v.id', type: 'uuid' }
+};
 
 /**
  * Very simple UUID v4-ish check (for safety)
@@ -112,6 +122,8 @@ async function resolveVisitorIdWithClient(maybeUuidOrSession, ip = null, ua = nu
 /* POST /api/visitors/identify
    body: { session_id, ip?, ua?, meta? }
    returns: { visitor_id }
+   A visitor resolved from session_id also gets the signed visitor cookie
+   (lib/visitorCookie) that personalized routes read.
 */
 router.post('/identify', async (req, res) => {
   const { session_id, ip: bodyIp, ua: bodyUa, meta = {} } = req.body || {};
@@ -129,6 +141,9 @@ router.post('/identify', async (req, res) => {
     if (usedTransaction && client) {
       await client.query('COMMIT');
       client.release();
+      client = null;
+      // only ids the server resolved itself; a uuid passed as session_id is echoed back unchecked
+      setVisitorCookie(res, visitorId);
     }
 
     return res.json({ visitor_id: visitorId });
@@ -219,8 +234,10 @@ router.post('/event', async (req, res) => {
  * Query params:
  *   - limit (optional, default 50)
  *   - since (optional ISO timestamp) — return visitors seen after this time
+ *   - cursor (optional) — keyset mode; pass empty for the first page, then next_cursor
  *
  * Response: [{ id, session_id, ip, user_agent, metadata, first_seen, last_seen, events_count }, ...]
+ * Cursor mode response: { ok, visitors: [...], limit, next_cursor }
  */
 router.get('/list', async (req, res) => {
   const qLimit = Math.min(500, Math.max(1, parseInt(req.query.limit || '50', 10)));
@@ -243,15 +260,20 @@ router.get('/list', async (req, res) => {
     return res.json(demo);
   }
 
+  const pager = readCursor(req.query, VISITORS_CURSOR_SPEC);
+  if (pager.error) return res.status(400).json({ error: pager.error });
+
   try {
     // Build query with optional since filter
-    const params = [qLimit];
+    // (cursor mode fetches one look-ahead row to detect the next page)
+    const params = [pager.enabled ? qLimit + 1 : qLimit];
     let whereClause = '';
     if (since && !Number.isNaN(since.getTime())) {
       // Use parameterized since at position 2
       params.push(since.toISOString());
       whereClause = `WHERE v.last_seen >= $2`;
     }
+    if (pager.enabled) whereClause = appendCursorWhere(whereClause, VISITORS_CURSOR_SPEC, pager.cursor, params);
 
     // Query: select visitor columns and count of analytics events
     // NOTE: metadata is returned as JSON (Postgres json/jsonb)
@@ -264,7 +286,7 @@ router.get('/list', async (req, res) => {
         v.metadata,
         to_char(v.first_seen AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS"Z"') AS first_seen,
         to_char(v.last_seen  AT TIME ZONE 'UTC', 'YYYY-MM-DD"T"HH24:MI:SS"Z"') AS last_seen,
-        COALESCE(a.event_count, 0) AS events_count
+        COALESCE(a.event_count, 0) AS events_count${pager.enabled ? cursorSelectSql(VISITORS_CURSOR_SPEC) : ''}
       FROM public.visitors v
       LEFT JOIN (
         SELECT visitor_id, COUNT(*) AS event_count
@@ -272,14 +294,20 @@ router.get('/list', async (req, res) => {
         GROUP BY visitor_id
       ) a ON a.visitor_id = v.id
       ${whereClause}
-      ORDER BY v.last_seen DESC NULLS LAST
+      ORDER BY ${pager.enabled ? cursorOrderSql(VISITORS_CURSOR_SPEC) : 'v.last_seen DESC NULLS LAST'}
       LIMIT $1
     `;
 
     const result = await pool.query(sql, params);
 
+    let next_cursor = null;
+    let resultRows = result.rows || [];
+    if (pager.enabled) {
+      ({ rows: resultRows, next_cursor } = pageWithCursor(resultRows, qLimit, VISITORS_CURSOR_SPEC));
+    }
+
     // Normalize rows: ensure metadata is object if text
-    const rows = (result.rows || []).map(r => {
+    const rows = resultRows.map(r => {
       let meta = r.metadata;
       try {
         if (typeof meta === 'string') meta = JSON.parse(meta);
@@ -296,6 +324,7 @@ router.get('/list', async (req, res) => {
       };
     });
 
+    if (pager.enabled) return res.json({ ok: true, visitors: rows, limit: qLimit, next_cursor });
     return res.json(rows);
   } catch (err) {
     console.error('[visitors.list] error', err && err.stack ? err.stack : err);
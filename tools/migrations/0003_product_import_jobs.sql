@@ -0,0 +1,41 @@
+-- Product import jobs: uploaded CSV/XLSX files are parsed into rows, previewed (dry run) and committed in chunks
+CREATE TABLE IF NOT EXISTS product_import_jobs (
+id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+status text NOT NULL DEFAULT 'previewing',
+phase text NOT NULL DEFAULT 'preview',
+filename text,
+source_format text NOT NULL,
+columns jsonb NOT NULL DEFAULT '[]'::jsonb,
+ignored_columns jsonb NOT NULL DEFAULT '[]'::jsonb,
+options jsonb NOT NULL DEFAULT '{}'::jsonb,
+total_rows integer NOT NULL DEFAULT 0,
+last_error text,
+created_by uuid NULL,
+created_at timestamptz DEFAULT now(),
+updated_at timestamptz DEFAULT now(),
+committed_at timestamptz NULL,
+finished_at timestamptz NULL,
+CONSTRAINT product_import_jobs_status_check CHECK (status IN ('previewing','previewed','committing','completed','failed','cancelled')),
+CONSTRAINT product_import_jobs_phase_check CHECK (phase IN ('preview','commit'))
+);
+CREATE INDEX IF NOT EXISTS product_import_jobs_created_idx ON product_import_jobs (created_at DESC);
+CREATE INDEX IF NOT EXISTS product_import_jobs_active_idx ON product_import_jobs (status) WHERE status IN ('previewing','committing');
+
+CREATE TABLE IF NOT EXISTS product_import_rows (
+job_id uuid NOT NULL REFERENCES product_import_jobs(id) ON DELETE CASCADE,
+row_no integer NOT NULL,
+raw jsonb NOT NULL,
+data jsonb NULL,
+match_key text NULL,
+status text NOT NULL DEFAULT 'pending',
+action text NULL,
+diff jsonb NULL,
+error text NULL,
+product_id uuid NULL,
+updated_at timestamptz DEFAULT now(),
+PRIMARY KEY (job_id, row_no),
+CONSTRAINT product_import_rows_status_check CHECK (status IN ('pending','previewed','committed','failed')),
+CONSTRAINT product_import_rows_action_check CHECK (action IS NULL OR action IN ('create','update','skip','error'))
+);
+CREATE INDEX IF NOT EXISTS product_import_rows_status_idx ON product_import_rows (job_id, status, row_no);
+CREATE INDEX IF NOT EXISTS product_import_rows_match_idx ON product_import_rows (job_id, match_key);
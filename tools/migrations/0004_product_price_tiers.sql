@@ -0,0 +1,16 @@
+-- Quantity-based price tiers: unit_price applies from min_qty up to the next tier's min_qty
+CREATE TABLE IF NOT EXISTS product_price_tiers (
+id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+product_id uuid NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+min_qty integer NOT NULL,
+unit_price numeric(12,2) NOT NULL,
+label text NULL,
+valid_from timestamptz NULL,
+valid_to timestamptz NULL,
+created_at timestamptz DEFAULT now(),
+updated_at timestamptz DEFAULT now(),
+CONSTRAINT product_price_tiers_min_qty_check CHECK (min_qty >= 1),
+CONSTRAINT product_price_tiers_unit_price_check CHECK (unit_price >= 0),
+CONSTRAINT product_price_tiers_validity_check CHECK (valid_from IS NULL OR valid_to IS NULL OR valid_to > valid_from)
+);
+CREATE INDEX IF NOT EXISTS product_price_tiers_product_idx ON product_price_tiers (product_id, min_qty);
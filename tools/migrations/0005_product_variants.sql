@@ -0,0 +1,26 @@
+-- Product variants (packaging sizes, grades): own SKU, price, MOQ and stock under one product.
+-- NULL price / moq inherit the product's value.
+CREATE TABLE IF NOT EXISTS product_variants (
+id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+product_id uuid NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+sku text NULL,
+title text NOT NULL,
+options jsonb NOT NULL DEFAULT '{}'::jsonb,
+price numeric(12,2) NULL,
+moq integer NULL,
+available_qty integer NOT NULL DEFAULT 0,
+is_active boolean NOT NULL DEFAULT true,
+sort_order integer NOT NULL DEFAULT 0,
+created_at timestamptz DEFAULT now(),
+updated_at timestamptz DEFAULT now(),
+CONSTRAINT product_variants_price_check CHECK (price IS NULL OR price >= 0),
+CONSTRAINT product_variants_moq_check CHECK (moq IS NULL OR moq >= 0),
+CONSTRAINT product_variants_available_qty_check CHECK (available_qty >= 0)
+);
+CREATE UNIQUE INDEX IF NOT EXISTS product_variants_sku_key ON product_variants (sku) WHERE sku IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS product_variants_product_title_key ON product_variants (product_id, lower(title));
+CREATE INDEX IF NOT EXISTS product_variants_product_idx ON product_variants (product_id, sort_order);
+CREATE INDEX IF NOT EXISTS product_variants_options_idx ON product_variants USING gin (options);
+
+-- import rows: variant rows share their product's match_key, so duplicates are keyed on both
+ALTER TABLE product_import_rows ADD COLUMN IF NOT EXISTS variant_key text NULL;
@@ -0,0 +1,16 @@
+-- FX rates: 1 base_currency = rate quote_currency on rate_date
+CREATE TABLE IF NOT EXISTS fx_rates (
+id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+base_currency text NOT NULL,
+quote_currency text NOT NULL,
+rate numeric(20,10) NOT NULL,
+rate_date date NOT NULL DEFAULT CURRENT_DATE,
+source text NULL,
+created_by uuid NULL,
+created_at timestamptz DEFAULT now(),
+updated_at timestamptz DEFAULT now(),
+CONSTRAINT fx_rates_rate_check CHECK (rate > 0),
+CONSTRAINT fx_rates_currency_check CHECK (base_currency ~ '^[A-Z]{3}$' AND quote_currency ~ '^[A-Z]{3}$' AND base_currency <> quote_currency),
+CONSTRAINT fx_rates_pair_date_key UNIQUE (base_currency, quote_currency, rate_date)
+);
+CREATE INDEX IF NOT EXISTS fx_rates_pair_idx ON fx_rates (base_currency, quote_currency, rate_date DESC);
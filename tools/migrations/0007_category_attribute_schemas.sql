@@ -0,0 +1,2 @@
+-- Category attribute schemas: { attributes: [{ key, type, required, ... }], additional } (see src/lib/categorySchema.js)
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS attribute_schema jsonb NOT NULL DEFAULT '{"attributes": [], "additional": true}'::jsonb;
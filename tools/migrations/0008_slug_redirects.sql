@@ -0,0 +1,13 @@
+-- Old slug -> entity redirects (category merges / deletes with reassignment, slug changes)
+CREATE TABLE IF NOT EXISTS slug_redirects (
+id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+entity_type text NOT NULL,
+old_slug text NOT NULL,
+entity_id uuid NOT NULL,
+reason text NULL,
+created_by uuid NULL,
+created_at timestamptz DEFAULT now(),
+CONSTRAINT slug_redirects_entity_type_check CHECK (entity_type IN ('product', 'category', 'blog')),
+CONSTRAINT slug_redirects_type_slug_key UNIQUE (entity_type, old_slug)
+);
+CREATE INDEX IF NOT EXISTS slug_redirects_entity_idx ON slug_redirects (entity_type, entity_id);
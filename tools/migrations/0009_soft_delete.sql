@@ -0,0 +1,13 @@
+-- Soft delete: rows with deleted_at set are in the trash (purged after TRASH_RETENTION_DAYS)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS deleted_at timestamptz NULL;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS deleted_by uuid NULL;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS deleted_at timestamptz NULL;
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS deleted_by uuid NULL;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS deleted_at timestamptz NULL;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS deleted_by uuid NULL;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS deleted_at timestamptz NULL;
+ALTER TABLE leads ADD COLUMN IF NOT EXISTS deleted_by uuid NULL;
+CREATE INDEX IF NOT EXISTS products_deleted_at_idx ON products (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS categories_deleted_at_idx ON categories (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS blogs_deleted_at_idx ON blogs (deleted_at) WHERE deleted_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS leads_deleted_at_idx ON leads (deleted_at) WHERE deleted_at IS NOT NULL;
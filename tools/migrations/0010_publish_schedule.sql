@@ -0,0 +1,9 @@
+-- Scheduled publish / unpublish (flipped by the in-process scheduler, see src/lib/publishScheduler.js)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS publish_at timestamptz NULL;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS unpublish_at timestamptz NULL;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS publish_at timestamptz NULL;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS unpublish_at timestamptz NULL;
+CREATE INDEX IF NOT EXISTS products_publish_at_idx ON products (publish_at) WHERE publish_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS products_unpublish_at_idx ON products (unpublish_at) WHERE unpublish_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS blogs_publish_at_idx ON blogs (publish_at) WHERE publish_at IS NOT NULL;
+CREATE INDEX IF NOT EXISTS blogs_unpublish_at_idx ON blogs (unpublish_at) WHERE unpublish_at IS NOT NULL;
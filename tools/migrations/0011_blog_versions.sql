@@ -0,0 +1,3 @@
+-- Blog revision history: every save snapshots the post into blog_versions (see src/lib/blogVersions.js)
+CREATE INDEX IF NOT EXISTS blog_versions_blog_created_idx ON blog_versions (blog_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS blog_versions_auto_save_idx ON blog_versions (blog_id, created_at) WHERE is_auto_save = TRUE;
@@ -0,0 +1,3 @@
+-- Blog tags: slugs are looked up by the tag filter / archive pages (see src/lib/blogTags.js)
+CREATE UNIQUE INDEX IF NOT EXISTS blog_tags_slug_key ON blog_tags (slug);
+CREATE INDEX IF NOT EXISTS blog_tag_map_tag_idx ON blog_tag_map (tag_id);
@@ -0,0 +1,16 @@
+-- Blog comment moderation: status (is_published / is_approved mirror it), local spam score, submitter ip
+ALTER TABLE blog_comments ADD COLUMN IF NOT EXISTS status text NOT NULL DEFAULT 'pending';
+ALTER TABLE blog_comments ADD COLUMN IF NOT EXISTS spam_score integer NOT NULL DEFAULT 0;
+ALTER TABLE blog_comments ADD COLUMN IF NOT EXISTS spam_reasons jsonb NOT NULL DEFAULT '[]';
+ALTER TABLE blog_comments ADD COLUMN IF NOT EXISTS ip text NULL;
+ALTER TABLE blog_comments ADD COLUMN IF NOT EXISTS user_agent text NULL;
+ALTER TABLE blog_comments ADD COLUMN IF NOT EXISTS moderated_by uuid NULL;
+ALTER TABLE blog_comments ADD COLUMN IF NOT EXISTS moderated_at timestamptz NULL;
+UPDATE blog_comments SET status = 'approved' WHERE is_published = TRUE AND status = 'pending';
+ALTER TABLE blog_comments DROP CONSTRAINT IF EXISTS blog_comments_status_check;
+ALTER TABLE blog_comments ADD CONSTRAINT blog_comments_status_check CHECK (status IN ('pending', 'approved', 'rejected', 'spam'));
+CREATE INDEX IF NOT EXISTS blog_comments_blog_status_idx ON blog_comments (blog_id, status, created_at);
+CREATE INDEX IF NOT EXISTS blog_comments_status_created_idx ON blog_comments (status, created_at DESC);
+CREATE INDEX IF NOT EXISTS blog_comments_parent_idx ON blog_comments (parent_id) WHERE parent_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS blog_comments_ip_created_idx ON blog_comments (ip, created_at DESC) WHERE ip IS NOT NULL;
+CREATE INDEX IF NOT EXISTS blog_comments_email_created_idx ON blog_comments (lower(email), created_at DESC) WHERE email IS NOT NULL;
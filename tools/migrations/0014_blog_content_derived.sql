@@ -0,0 +1,5 @@
+-- Blog content pipeline: derived fields computed on save (lib/blogContent) for list endpoints
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS word_count integer NULL;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS reading_time_minutes integer NULL;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS toc jsonb NULL;
+ALTER TABLE blogs ADD COLUMN IF NOT EXISTS first_image text NULL;
@@ -0,0 +1,57 @@
+-- Blog import jobs: WordPress WXR / Wix JSON exports are parsed into items and imported one post at a time
+CREATE TABLE IF NOT EXISTS blog_import_jobs (
+id uuid PRIMARY KEY DEFAULT uuid_generate_v4(),
+status text NOT NULL DEFAULT 'running',
+source_format text NOT NULL,
+source text NOT NULL,
+filename text,
+options jsonb NOT NULL DEFAULT '{}'::jsonb,
+total_items integer NOT NULL DEFAULT 0,
+last_error text,
+created_by uuid NULL,
+created_at timestamptz DEFAULT now(),
+updated_at timestamptz DEFAULT now(),
+finished_at timestamptz NULL,
+CONSTRAINT blog_import_jobs_status_check CHECK (status IN ('running','completed','failed','cancelled')),
+CONSTRAINT blog_import_jobs_format_check CHECK (source_format IN ('wordpress','wix'))
+);
+CREATE INDEX IF NOT EXISTS blog_import_jobs_created_idx ON blog_import_jobs (created_at DESC);
+CREATE INDEX IF NOT EXISTS blog_import_jobs_running_idx ON blog_import_jobs (status) WHERE status = 'running';
+
+CREATE TABLE IF NOT EXISTS blog_import_items (
+job_id uuid NOT NULL REFERENCES blog_import_jobs(id) ON DELETE CASCADE,
+item_no integer NOT NULL,
+source_id text NULL,
+title text NULL,
+data jsonb NOT NULL,
+status text NOT NULL DEFAULT 'pending',
+reason text NULL,
+blog_id uuid NULL,
+warnings jsonb NOT NULL DEFAULT '[]'::jsonb,
+updated_at timestamptz DEFAULT now(),
+PRIMARY KEY (job_id, item_no),
+CONSTRAINT blog_import_items_status_check CHECK (status IN ('pending','imported','updated','skipped','failed'))
+);
+CREATE INDEX IF NOT EXISTS blog_import_items_status_idx ON blog_import_items (job_id, status, item_no);
+
+-- which blog every source post became (makes re-runs idempotent)
+CREATE TABLE IF NOT EXISTS blog_import_sources (
+source text NOT NULL,
+source_id text NOT NULL,
+blog_id uuid NOT NULL REFERENCES blogs(id) ON DELETE CASCADE,
+content_hash text NULL,
+job_id uuid NULL,
+imported_at timestamptz DEFAULT now(),
+updated_at timestamptz DEFAULT now(),
+PRIMARY KEY (source, source_id)
+);
+CREATE INDEX IF NOT EXISTS blog_import_sources_blog_idx ON blog_import_sources (blog_id);
+
+-- source image URL -> copy in the storage bucket (downloaded once)
+CREATE TABLE IF NOT EXISTS blog_import_images (
+source_url text PRIMARY KEY,
+storage_path text NOT NULL,
+content_type text NULL,
+bytes integer NULL,
+created_at timestamptz DEFAULT now()
+);
@@ -0,0 +1,18 @@
+-- Related content cache: related products / posts per product or blog (lib/relatedContent, refreshed nightly)
+CREATE TABLE IF NOT EXISTS related_content (
+entity_type text NOT NULL,
+entity_id uuid NOT NULL,
+related_products jsonb NOT NULL DEFAULT '[]'::jsonb,
+related_posts jsonb NOT NULL DEFAULT '[]'::jsonb,
+computed_at timestamptz NOT NULL DEFAULT now(),
+PRIMARY KEY (entity_type, entity_id),
+CONSTRAINT related_content_entity_type_check CHECK (entity_type IN ('product','blog'))
+);
+
+-- co-view lookups over product_view events
+CREATE INDEX IF NOT EXISTS analytics_events_product_view_id_idx
+  ON public.analytics_events ((event_props->>'product_id'), created_at) WHERE event_type = 'product_view';
+CREATE INDEX IF NOT EXISTS analytics_events_product_view_slug_idx
+  ON public.analytics_events ((event_props->>'slug'), created_at) WHERE event_type = 'product_view';
+CREATE INDEX IF NOT EXISTS analytics_events_product_view_visitor_idx
+  ON public.analytics_events (visitor_id, created_at) WHERE event_type = 'product_view';
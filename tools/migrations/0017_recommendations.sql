@@ -0,0 +1,5 @@
+-- Recommendations (lib/recommendations): latest consent per visitor, visitor lookup by session
+CREATE INDEX IF NOT EXISTS cookie_consents_visitor_created_idx
+  ON public.cookie_consents (visitor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS visitors_session_last_seen_idx
+  ON public.visitors (session_id, last_seen DESC);